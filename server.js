@@ -3,16 +3,31 @@ const app = require('./src/app');
 const connectDB = require('./src/config/database');
 const VtuProviderService = require('./src/services/vtuProviderService');
 const vtuConfig = require('./src/config/vtuProviders');
+const CredentialVault = require('./src/services/credentialVault');
 const { startApiBalanceAlertWorker } = require('./src/workers/apiBalanceAlertWorker');
 const { startAirtimeReconciliationWorker } = require('./src/workers/airtimeReconciliationWorker');
 const { startAlrahuzDataReconciliationWorker } = require('./src/workers/alrahuzDataReconciliationWorker');
 const { startVtuPollingWorker } = require('./src/workers/vtuPollingWorker');
+const { startPayoutWorker } = require('./src/workers/payoutWorker');
+const { startScheduledPurchaseWorker } = require('./src/workers/scheduledPurchaseWorker');
+const { startStatementWorker } = require('./src/workers/statementWorker');
+const { startPlanCatalogSyncWorker } = require('./src/workers/planCatalogSyncWorker');
+const { startBalanceForecastWorker } = require('./src/workers/balanceForecastWorker');
+const { startWebhookWorker } = require('./src/workers/webhookWorker');
+const { startProviderHealthWorker } = require('./src/workers/providerHealthWorker');
 const { runCommissionsReferralBackfill } = require('./src/scripts/backfillCommissionsReferrals');
 
 const PORT = process.env.PORT || 5000;
 
 connectDB().then(async () => {
   
+  try {
+    await CredentialVault.initialize();
+  } catch (error) {
+    console.warn('Credential vault initialization failed:', error.message);
+  }
+
+  
   try {
     await VtuProviderService.initializeProviders();
     console.log('VTU Providers initialized');
@@ -37,6 +52,13 @@ connectDB().then(async () => {
   startAirtimeReconciliationWorker();
   startAlrahuzDataReconciliationWorker();
   startVtuPollingWorker();
+  startPayoutWorker();
+  startScheduledPurchaseWorker();
+  startStatementWorker();
+  startPlanCatalogSyncWorker();
+  startBalanceForecastWorker();
+  startWebhookWorker();
+  startProviderHealthWorker();
 
   if (String(process.env.RUN_BACKFILL_ON_START || '').toLowerCase() === 'true') {
     runCommissionsReferralBackfill()
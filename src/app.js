@@ -22,6 +22,10 @@ const vtuConsoleRoutes = require('./routes/vtuConsoleRoutes');
 const smsRoutes = require('./routes/smsRoutes');
 const giftCardRoutes = require('./routes/giftCardRoutes');
 const flightRoutes = require('./routes/flightRoutes');
+const kycRoutes = require('./routes/kycRoutes');
+const beneficiaryRoutes = require('./routes/beneficiaryRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const statusRoutes = require('./routes/statusRoutes');
 
 const { errorHandler } = require('./middlewares/errorHandler');
 const logger = require('./utils/logger');
@@ -32,8 +36,13 @@ app.use(helmet());
 app.use(cors());
 
 
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// Webhook signatures are computed over the exact bytes received.
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+app.use(express.json({ limit: "10mb", verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: "10mb", verify: keepRawBody }));
 
 app.use("/api/v1/webhook", webhookRoutes);
 app.use("/api/v1/webhooks", webhookRoutes);
@@ -63,6 +72,10 @@ app.use("/api/v1/console", vtuConsoleRoutes);
 app.use("/api/v1/sms", smsRoutes);
 app.use("/api/v1/giftcards", giftCardRoutes);
 app.use("/api/v1/flights", flightRoutes);
+app.use("/api/v1/kyc", kycRoutes);
+app.use("/api/v1/beneficiaries", beneficiaryRoutes);
+app.use("/api/v1/schedules", scheduleRoutes);
+app.use("/api/v1/status", statusRoutes);
 
 app.get('/api/v1/health', (req, res) => {
   res.status(200).json({
@@ -74,6 +74,22 @@ function getRedisConnection() {
   return sharedConnection;
 }
 
+// Shared connection for optional Redis-backed state: connects on first use
+// and returns null while Redis is unconfigured or not ready, so callers can
+// fall back to in-process state.
+async function getReadyRedisConnection() {
+  if (!isRedisConfigured()) return null;
+  const connection = getRedisConnection();
+  if (!connection) return null;
+
+  try {
+    if (connection.status === 'wait') await connection.connect();
+    return connection.status === 'ready' ? connection : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 async function ensureRedisNoEviction(connection = getRedisConnection()) {
   if (!connection) {
     return { policy: null, updated: false, skipped: true };
@@ -126,6 +142,7 @@ module.exports = {
   buildRedisConfig,
   createRedisConnection,
   getRedisConnection,
+  getReadyRedisConnection,
   ensureRedisNoEviction,
   verifyRedisConnection,
 };
@@ -22,10 +22,22 @@ const swaggerSpec = {
     '/auth/set-pin': { post: { summary: 'Set transaction PIN', tags: ['Authentication'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['transactionPin'], properties: { transactionPin: { type: 'string' } } } } } }, responses: { 200: { description: 'PIN set successfully' } } } },
     '/wallet/create': { post: { summary: 'Create wallet', tags: ['Wallet'], security: [{ bearerAuth: [] }], responses: { 201: { description: 'Wallet created' } } } },
     '/wallet/status': { get: { summary: 'Check wallet status', tags: ['Wallet'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Wallet status' } } } },
+    '/kyc': { get: { summary: 'Get KYC submission status', tags: ['KYC'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'KYC status' } } }, post: { summary: 'Submit KYC details and documents', tags: ['KYC'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'multipart/form-data': { schema: { type: 'object', properties: { bvn: { type: 'string' }, nin: { type: 'string' }, identificationType: { type: 'string', enum: ['nin', 'drivers_license', 'voters_card', 'international_passport'] }, identificationNumber: { type: 'string' }, identificationFront: { type: 'string', format: 'binary' }, identificationBack: { type: 'string', format: 'binary' }, selfiePhoto: { type: 'string', format: 'binary' }, proofOfAddress: { type: 'string', format: 'binary' } } } } } }, responses: { 201: { description: 'KYC submitted' } } } },
+    '/beneficiaries': { get: { summary: 'List saved beneficiaries', tags: ['Beneficiaries'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'type', schema: { type: 'string', enum: ['phone', 'meter', 'smartcard', 'bank_account'] } }], responses: { 200: { description: 'Beneficiaries list' } } }, post: { summary: 'Save a beneficiary', tags: ['Beneficiaries'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { type: { type: 'string', enum: ['phone', 'meter', 'smartcard', 'bank_account'] }, label: { type: 'string' }, phoneNumber: { type: 'string' }, network: { type: 'string' }, meterNumber: { type: 'string' }, disco: { type: 'string' }, meterType: { type: 'string', enum: ['prepaid', 'postpaid'] }, smartCardNumber: { type: 'string' }, provider: { type: 'string' }, accountNumber: { type: 'string' }, bankCode: { type: 'string' }, bankName: { type: 'string' } } } } } }, responses: { 201: { description: 'Beneficiary saved' } } } },
+    '/beneficiaries/suggestions': { get: { summary: 'Suggest beneficiaries from recent successful transactions', tags: ['Beneficiaries'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'limit', schema: { type: 'integer' } }, { in: 'query', name: 'days', schema: { type: 'integer' } }], responses: { 200: { description: 'Suggested beneficiaries' } } } },
+    '/beneficiaries/{id}': { get: { summary: 'Get a beneficiary', tags: ['Beneficiaries'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Beneficiary details' } } }, put: { summary: 'Update a beneficiary', tags: ['Beneficiaries'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { type: { type: 'string', enum: ['phone', 'meter', 'smartcard', 'bank_account'] }, label: { type: 'string' }, phoneNumber: { type: 'string' }, network: { type: 'string' }, meterNumber: { type: 'string' }, disco: { type: 'string' }, meterType: { type: 'string', enum: ['prepaid', 'postpaid'] }, smartCardNumber: { type: 'string' }, provider: { type: 'string' }, accountNumber: { type: 'string' }, bankCode: { type: 'string' }, bankName: { type: 'string' } } } } } }, responses: { 200: { description: 'Beneficiary updated' } } }, delete: { summary: 'Remove a beneficiary', tags: ['Beneficiaries'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Beneficiary removed' } } } },
+    '/schedules': { get: { summary: 'List scheduled purchases', tags: ['Schedules'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'status', schema: { type: 'string', enum: ['active', 'paused', 'completed', 'cancelled'] } }], responses: { 200: { description: 'Schedules list' } } }, post: { summary: 'Schedule a one-off or recurring purchase', tags: ['Schedules'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { service: { type: 'string', enum: ['airtime', 'data', 'electricity', 'cable_tv'] }, label: { type: 'string' }, beneficiaryId: { type: 'string' }, phoneNumber: { type: 'string' }, network: { type: 'string' }, planId: { type: 'string' }, dataType: { type: 'string' }, amount: { type: 'number' }, meterNumber: { type: 'string' }, disco: { type: 'string' }, meterType: { type: 'string' }, smartCardNumber: { type: 'string' }, provider: { type: 'string' }, months: { type: 'integer' }, frequency: { type: 'string', enum: ['once', 'daily', 'weekly', 'monthly', 'interval'] }, intervalDays: { type: 'integer' }, startAt: { type: 'string', format: 'date-time' }, endAt: { type: 'string', format: 'date-time' }, maxRuns: { type: 'integer' }, transactionPin: { type: 'string' } } } } } }, responses: { 201: { description: 'Schedule created' } } } },
+    '/schedules/{id}': { get: { summary: 'Get a scheduled purchase with recent runs', tags: ['Schedules'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Schedule details' } } }, put: { summary: 'Update a scheduled purchase', tags: ['Schedules'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { service: { type: 'string', enum: ['airtime', 'data', 'electricity', 'cable_tv'] }, label: { type: 'string' }, beneficiaryId: { type: 'string' }, phoneNumber: { type: 'string' }, network: { type: 'string' }, planId: { type: 'string' }, dataType: { type: 'string' }, amount: { type: 'number' }, meterNumber: { type: 'string' }, disco: { type: 'string' }, meterType: { type: 'string' }, smartCardNumber: { type: 'string' }, provider: { type: 'string' }, months: { type: 'integer' }, frequency: { type: 'string', enum: ['once', 'daily', 'weekly', 'monthly', 'interval'] }, intervalDays: { type: 'integer' }, startAt: { type: 'string', format: 'date-time' }, endAt: { type: 'string', format: 'date-time' }, maxRuns: { type: 'integer' }, transactionPin: { type: 'string' } } } } } }, responses: { 200: { description: 'Schedule updated' } } }, delete: { summary: 'Cancel a scheduled purchase', tags: ['Schedules'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Schedule cancelled' } } } },
+    '/schedules/{id}/pause': { post: { summary: 'Pause a scheduled purchase', tags: ['Schedules'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Schedule paused' } } } },
+    '/schedules/{id}/resume': { post: { summary: 'Resume and re-authorize a paused schedule', tags: ['Schedules'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['transactionPin'], properties: { transactionPin: { type: 'string' } } } } } }, responses: { 200: { description: 'Schedule resumed' } } } },
     '/wallet/balance': { get: { summary: 'Get wallet balance', tags: ['Wallet'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Balance retrieved' } } } },
+    '/wallet/limits': { get: { summary: 'Get KYC tier limits and remaining allowance', tags: ['Wallet'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Limits retrieved' } } } },
+    '/wallet/statements': { get: { summary: 'Download an account statement as PDF, CSV or JSON', tags: ['Wallet'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'from', schema: { type: 'string', format: 'date' } }, { in: 'query', name: 'to', schema: { type: 'string', format: 'date' } }, { in: 'query', name: 'month', schema: { type: 'string', example: '2026-09' } }, { in: 'query', name: 'format', schema: { type: 'string', enum: ['pdf', 'csv', 'json'], default: 'pdf' } }], responses: { 200: { description: 'Statement generated' }, 400: { description: 'Invalid period or too many entries' } } } },
     '/wallet/fund': { post: { summary: 'Fund wallet', tags: ['Wallet'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['amount'], properties: { amount: { type: 'number' } } } } } }, responses: { 200: { description: 'Wallet funded' } } } },
     '/wallet/transfer': { post: { summary: 'Transfer to user', tags: ['Wallet'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['recipientPhone', 'amount', 'transactionPin'], properties: { recipientPhone: { type: 'string' }, amount: { type: 'number' }, transactionPin: { type: 'string' } } } } } }, responses: { 200: { description: 'Transfer successful' } } } },
-    '/wallet/withdraw': { post: { summary: 'Withdraw to bank', tags: ['Wallet'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['amount', 'bankCode', 'accountNumber', 'transactionPin'], properties: { amount: { type: 'number' }, bankCode: { type: 'string' }, accountNumber: { type: 'string' }, transactionPin: { type: 'string' } } } } } }, responses: { 200: { description: 'Withdrawal initiated' } } } },
+    '/wallet/withdraw': { post: { summary: 'Withdraw to bank (uses bankAccountId, bankCode + accountNumber, or the primary saved account)', tags: ['Wallet'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['amount', 'transactionPin'], properties: { amount: { type: 'number' }, bankAccountId: { type: 'string' }, bankCode: { type: 'string' }, bankName: { type: 'string' }, accountNumber: { type: 'string' }, transactionPin: { type: 'string' } } } } } }, responses: { 200: { description: 'Withdrawal queued for payout' } } } },
+    '/wallet/bank-accounts': { get: { summary: 'List saved bank accounts', tags: ['Wallet'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Saved bank accounts' } } }, post: { summary: 'Verify and save a bank account', tags: ['Wallet'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['bankCode', 'accountNumber'], properties: { bankCode: { type: 'string' }, bankName: { type: 'string' }, accountNumber: { type: 'string' }, isPrimary: { type: 'boolean' } } } } } }, responses: { 201: { description: 'Bank account saved' } } }, },
+    '/wallet/bank-accounts/{id}': { delete: { summary: 'Remove a saved bank account', tags: ['Wallet'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Bank account removed' } } } },
     '/wallet/transactions': { get: { summary: 'Get transaction history', tags: ['Wallet'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Transactions list' } } } },
     '/wallet/accounts': { get: { summary: 'Get virtual accounts', tags: ['Wallet'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Virtual accounts' } } } },
     '/wallet/accounts/refresh': { post: { summary: 'Refresh virtual accounts', tags: ['Wallet'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Accounts refreshed' } } } },
@@ -92,6 +104,11 @@ const swaggerSpec = {
     '/admin/users/{id}/reject-agent': { put: { summary: 'Reject agent', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } } }, responses: { 200: { description: 'Agent rejected' } } } },
     '/admin/users/{id}/lock': { put: { summary: 'Lock user account', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } } }, responses: { 200: { description: 'Account locked' } } } },
     '/admin/users/{id}/unlock': { put: { summary: 'Unlock user account', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Account unlocked' } } } },
+    '/admin/kyc': { get: { summary: 'Get KYC review queue', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'status', schema: { type: 'string', enum: ['under_review', 'approved', 'rejected', 'all'] } }, { in: 'query', name: 'level', schema: { type: 'string' } }, { in: 'query', name: 'page', schema: { type: 'integer' } }, { in: 'query', name: 'limit', schema: { type: 'integer' } }], responses: { 200: { description: 'KYC submissions' } } } },
+    '/admin/kyc/{id}': { get: { summary: 'Get KYC submission', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'KYC submission' } } } },
+    '/admin/kyc/{id}/documents/{document}': { get: { summary: 'Download KYC document', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }, { in: 'path', name: 'document', required: true, schema: { type: 'string', enum: ['identificationFront', 'identificationBack', 'selfiePhoto', 'proofOfAddress'] } }], responses: { 200: { description: 'Document file' } } } },
+    '/admin/kyc/{id}/approve': { put: { summary: 'Approve KYC submission', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { level: { type: 'string', enum: ['basic', 'advanced', 'verified'] }, notes: { type: 'string' } } } } } }, responses: { 200: { description: 'KYC approved' } } } },
+    '/admin/kyc/{id}/reject': { put: { summary: 'Reject KYC submission', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['reason'], properties: { reason: { type: 'string' }, notes: { type: 'string' } } } } } }, responses: { 200: { description: 'KYC rejected' } } } },
     '/admin/wallets': { get: { summary: 'Get all wallets', tags: ['Admin'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Wallets list' } } } },
     '/admin/wallets/{userId}': { get: { summary: 'Get user wallet', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'userId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Wallet details' } } } },
     '/admin/wallets/{userId}/credit': { post: { summary: 'Credit user wallet', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'userId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['amount'], properties: { amount: { type: 'number' } } } } } }, responses: { 200: { description: 'Wallet credited' } } } },
@@ -103,10 +120,25 @@ const swaggerSpec = {
     '/admin/transactions/{id}/refund': { post: { summary: 'Refund transaction', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Transaction refunded' } } } },
     '/admin/transactions/retry-failed': { post: { summary: 'Retry failed transactions', tags: ['Admin'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Retry initiated' } } } },
     '/admin/pricing': { get: { summary: 'Get pricing', tags: ['Admin'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Pricing list' } } } },
+    '/admin/pricing/sync': { post: { summary: 'Run provider plan catalog sync', tags: ['Admin'], security: [{ bearerAuth: [] }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { providerId: { type: 'string' }, mode: { type: 'string', enum: ['stage', 'auto'] } } } } } }, responses: { 200: { description: 'Sync summary' }, 409: { description: 'Sync already running' } } } },
+    '/admin/pricing/sync/changes': { get: { summary: 'List plan catalog sync changes', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'status', schema: { type: 'string', enum: ['pending', 'applied', 'rejected', 'superseded', 'all'] } }, { in: 'query', name: 'provider', schema: { type: 'string' } }, { in: 'query', name: 'network', schema: { type: 'string' } }, { in: 'query', name: 'changeType', schema: { type: 'string', enum: ['new', 'removed', 'price_changed'] } }, { in: 'query', name: 'unprofitable', schema: { type: 'boolean' } }], responses: { 200: { description: 'Staged plan changes and last run summary' } } } },
+    '/admin/pricing/sync/changes/{id}/approve': { post: { summary: 'Apply a staged plan change', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { sellingPrice: { type: 'number' }, note: { type: 'string' } } } } } }, responses: { 200: { description: 'Change applied' }, 409: { description: 'Change is no longer pending' } } } },
+    '/admin/pricing/sync/changes/{id}/reject': { post: { summary: 'Reject a staged plan change', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { note: { type: 'string' } } } } } }, responses: { 200: { description: 'Change rejected' } } } },
     '/admin/pricing/{id}': { put: { summary: 'Update pricing', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Pricing updated' } } } },
+    '/admin/fees': { get: { summary: 'List fee schedules and the default fees', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'transactionType', schema: { type: 'string', enum: ['funding', 'withdrawal', 'transfer'] } }, { in: 'query', name: 'isActive', schema: { type: 'boolean' } }], responses: { 200: { description: 'Fee schedules' } } }, post: { summary: 'Create fee schedule', tags: ['Admin'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string' }, description: { type: 'string' }, transactionType: { type: 'string', enum: ['funding', 'withdrawal', 'transfer'] }, channel: { type: 'string', example: 'paystack' }, role: { type: 'string' }, kycTier: { type: 'string', enum: ['pending', 'basic', 'advanced', 'verified'] }, method: { type: 'string', enum: ['flat', 'percentage', 'tiered'] }, flatAmount: { type: 'number' }, rate: { type: 'number', example: 0.015 }, tiers: { type: 'array', items: { type: 'object', properties: { upTo: { type: 'number' }, flatAmount: { type: 'number' }, rate: { type: 'number' } } } }, minFee: { type: 'number' }, maxFee: { type: 'number' }, priority: { type: 'integer' }, isActive: { type: 'boolean' } } } } } }, responses: { 201: { description: 'Fee schedule created' } } } },
+    '/admin/fees/preview': { post: { summary: 'Preview fees for a context, optionally with a draft schedule', tags: ['Admin'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { transactionType: { type: 'string', enum: ['funding', 'withdrawal', 'transfer'] }, amount: { type: 'number' }, amounts: { type: 'array', items: { type: 'number' } }, channel: { type: 'string' }, role: { type: 'string' }, kycTier: { type: 'string' }, userId: { type: 'string' }, schedule: { type: 'object', properties: { name: { type: 'string' }, description: { type: 'string' }, transactionType: { type: 'string', enum: ['funding', 'withdrawal', 'transfer'] }, channel: { type: 'string', example: 'paystack' }, role: { type: 'string' }, kycTier: { type: 'string', enum: ['pending', 'basic', 'advanced', 'verified'] }, method: { type: 'string', enum: ['flat', 'percentage', 'tiered'] }, flatAmount: { type: 'number' }, rate: { type: 'number', example: 0.015 }, tiers: { type: 'array', items: { type: 'object', properties: { upTo: { type: 'number' }, flatAmount: { type: 'number' }, rate: { type: 'number' } } } }, minFee: { type: 'number' }, maxFee: { type: 'number' }, priority: { type: 'integer' }, isActive: { type: 'boolean' } } } } } } } }, responses: { 200: { description: 'Fee quotes' } } } },
+    '/admin/fees/{id}': { put: { summary: 'Update fee schedule', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string' }, description: { type: 'string' }, transactionType: { type: 'string', enum: ['funding', 'withdrawal', 'transfer'] }, channel: { type: 'string', example: 'paystack' }, role: { type: 'string' }, kycTier: { type: 'string', enum: ['pending', 'basic', 'advanced', 'verified'] }, method: { type: 'string', enum: ['flat', 'percentage', 'tiered'] }, flatAmount: { type: 'number' }, rate: { type: 'number', example: 0.015 }, tiers: { type: 'array', items: { type: 'object', properties: { upTo: { type: 'number' }, flatAmount: { type: 'number' }, rate: { type: 'number' } } } }, minFee: { type: 'number' }, maxFee: { type: 'number' }, priority: { type: 'integer' }, isActive: { type: 'boolean' } } } } } }, responses: { 200: { description: 'Fee schedule updated' } } }, delete: { summary: 'Delete fee schedule', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Fee schedule deleted' } } } },
     '/admin/providers': { get: { summary: 'Get providers', tags: ['Admin'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Providers list' } } } },
     '/admin/providers/{name}/status': { put: { summary: 'Update provider status', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'name', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Provider status updated' } } } },
+    '/admin/maintenance': { get: { summary: 'List maintenance windows', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'state', schema: { type: 'string', enum: ['scheduled', 'in_progress', 'completed', 'cancelled'] } }, { in: 'query', name: 'provider', schema: { type: 'string' } }, { in: 'query', name: 'serviceType', schema: { type: 'string' } }, { in: 'query', name: 'network', schema: { type: 'string' } }], responses: { 200: { description: 'Maintenance windows' } } }, post: { summary: 'Schedule a maintenance window', tags: ['Admin'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' }, message: { type: 'string' }, provider: { type: 'string' }, serviceType: { type: 'string' }, network: { type: 'string' }, startsAt: { type: 'string', format: 'date-time' }, endsAt: { type: 'string', format: 'date-time' } } } } } }, responses: { 201: { description: 'Maintenance window scheduled' } } } },
+    '/admin/maintenance/{id}': { patch: { summary: 'Update a maintenance window', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' }, message: { type: 'string' }, provider: { type: 'string' }, serviceType: { type: 'string' }, network: { type: 'string' }, startsAt: { type: 'string', format: 'date-time' }, endsAt: { type: 'string', format: 'date-time' } } } } } }, responses: { 200: { description: 'Maintenance window updated' } } } },
+    '/admin/maintenance/{id}/cancel': { post: { summary: 'Cancel a maintenance window', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Maintenance window cancelled' } } } },
+    '/admin/incidents': { get: { summary: 'List service incidents', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'status', schema: { type: 'string', enum: ['open', 'investigating', 'identified', 'monitoring', 'resolved'] } }, { in: 'query', name: 'service', schema: { type: 'string' } }], responses: { 200: { description: 'Service incidents' } } }, post: { summary: 'Open a service incident', tags: ['Admin'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' }, services: { type: 'array', items: { type: 'string' } }, severity: { type: 'string', enum: ['degraded', 'outage'] }, status: { type: 'string', enum: ['investigating', 'identified', 'monitoring', 'resolved'] }, message: { type: 'string' } } } } } }, responses: { 201: { description: 'Incident created' } } } },
+    '/admin/incidents/{id}': { patch: { summary: 'Post an incident update', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' }, services: { type: 'array', items: { type: 'string' } }, severity: { type: 'string', enum: ['degraded', 'outage'] }, status: { type: 'string', enum: ['investigating', 'identified', 'monitoring', 'resolved'] }, message: { type: 'string' } } } } } }, responses: { 200: { description: 'Incident updated' } } } },
     '/admin/logs': { get: { summary: 'Get admin logs', tags: ['Admin'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Admin logs' } } } },
+    '/admin/webhooks/events': { get: { summary: 'List stored inbound webhook events', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'provider', schema: { type: 'string' } }, { in: 'query', name: 'handler', schema: { type: 'string' } }, { in: 'query', name: 'status', schema: { type: 'string', enum: ['received', 'queued', 'processing', 'processed', 'failed'] } }, { in: 'query', name: 'eventId', schema: { type: 'string' } }, { in: 'query', name: 'startDate', schema: { type: 'string', format: 'date-time' } }, { in: 'query', name: 'endDate', schema: { type: 'string', format: 'date-time' } }, { in: 'query', name: 'page', schema: { type: 'integer' } }, { in: 'query', name: 'limit', schema: { type: 'integer' } }], responses: { 200: { description: 'Webhook events' } } } },
+    '/admin/webhooks/events/{id}': { get: { summary: 'Get a webhook event with its payload and headers', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Webhook event' }, 404: { description: 'Not found' } } } },
+    '/admin/webhooks/events/{id}/replay': { post: { summary: 'Replay a stored webhook event through its handler', tags: ['Admin'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }], responses: { 202: { description: 'Event queued for replay' }, 404: { description: 'Not found' }, 409: { description: 'Event is already queued or processing' } } } },
     '/admin/staff': { get: { summary: 'Get all staff members', tags: ['Admin - Staff'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Staff list' } } }, post: { summary: 'Add a new staff member', tags: ['Admin - Staff'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['firstName', 'lastName', 'email', 'phoneNumber'], properties: { firstName: { type: 'string' }, lastName: { type: 'string' }, email: { type: 'string' }, phoneNumber: { type: 'string' }, role: { type: 'string' } } } } } }, responses: { 201: { description: 'Staff member added' } } } },
     '/admin/staff/{staffId}': { get: { summary: 'Get staff member by ID', tags: ['Admin - Staff'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'staffId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Staff member details' } } }, delete: { summary: 'Remove a staff member', tags: ['Admin - Staff'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'staffId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Staff member removed' } } } },
     '/admin/staff/{staffId}/role': { put: { summary: 'Update staff member role', tags: ['Admin - Staff'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'staffId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['role'], properties: { role: { type: 'string' } } } } } }, responses: { 200: { description: 'Staff role updated' } } } },
@@ -122,13 +154,29 @@ const swaggerSpec = {
     '/console/providers/{providerId}/balance': { get: { summary: 'Get provider balance', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Provider balance' } } } },
     '/console/switch': { post: { summary: 'Switch provider', tags: ['VTU Console'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['serviceType', 'newProvider'], properties: { serviceType: { type: 'string' }, newProvider: { type: 'string' } } } } } }, responses: { 200: { description: 'Provider switched' } } } },
     '/console/health': { post: { summary: 'Run health check', tags: ['VTU Console'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Health check results' } } } },
+    '/console/providers/{providerId}/credentials': { get: { summary: 'Get masked provider credentials', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Masked credentials' }, 404: { description: 'Provider not found' } } }, put: { summary: 'Rotate provider credentials in the encrypted vault', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { credentials: { type: 'object', additionalProperties: { type: 'string' }, example: { apiKey: 'new-key' } } } } } } }, responses: { 200: { description: 'Credentials rotated' }, 400: { description: 'Unknown credential field' }, 503: { description: 'Vault not configured' } } }, delete: { summary: 'Remove stored credentials so env values apply', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Credentials removed' }, 404: { description: 'Nothing stored' } } } },
+    '/console/credentials/rewrap': { post: { summary: 'Re-encrypt credential data keys under the active master key (super admin)', tags: ['VTU Console'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Rewrap summary' } } } },
     '/console/providers/{providerId}/health': { post: { summary: 'Run provider health check', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Health check result' } } } },
-    '/console/balances': { get: { summary: 'Get all provider balances', tags: ['VTU Console'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Provider balances' } } } },
-    '/console/logs': { get: { summary: 'Get API logs', tags: ['VTU Console'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'API logs' } } } },
+    '/console/providers/{providerId}/health/history': { get: { summary: 'Provider health samples with uptime and latency percentiles', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }, { in: 'query', name: 'hours', schema: { type: 'integer', default: 24 } }], responses: { 200: { description: 'Health history' } } } },
+    '/console/balances': { get: { summary: 'Get all provider balances with time-to-empty forecasts', tags: ['VTU Console'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Provider balances' } } } },
+    '/console/balances/forecast/check': { post: { summary: 'Snapshot balances and alert on providers forecast to run dry', tags: ['VTU Console'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Forecast check result' } } } },
+    '/console/providers/{providerId}/balance/history': { get: { summary: 'Get provider balance snapshots and forecast', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }, { in: 'query', name: 'hours', schema: { type: 'integer', default: 24 } }], responses: { 200: { description: 'Balance history' }, 404: { description: 'Provider not found' } } } },
+    '/console/providers/{providerId}/statement-mapping': { get: { summary: 'Get provider statement column mapping', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'Statement mapping' } } }, put: { summary: 'Update provider statement column mapping', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { columns: { type: 'object', properties: { providerReference: { type: 'string' }, requestId: { type: 'string' }, amount: { type: 'string' }, status: { type: 'string' }, date: { type: 'string' } } }, chargedStatuses: { type: 'array', items: { type: 'string' } }, amountTolerance: { type: 'number' }, dayFirst: { type: 'boolean' } } } } } }, responses: { 200: { description: 'Mapping updated' }, 400: { description: 'Invalid mapping' } } } },
+    '/console/providers/{providerId}/statements': { post: { summary: 'Upload a provider statement (CSV/XLSX) and reconcile it', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'multipart/form-data': { schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' }, periodStart: { type: 'string', format: 'date-time' }, periodEnd: { type: 'string', format: 'date-time' } } } } } }, responses: { 201: { description: 'Reconciliation result' }, 400: { description: 'Unreadable file or missing columns' } } } },
+    '/console/statements': { get: { summary: 'List reconciled provider statements', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'provider', schema: { type: 'string' } }, { in: 'query', name: 'page', schema: { type: 'integer', default: 1 } }, { in: 'query', name: 'limit', schema: { type: 'integer', default: 20 } }], responses: { 200: { description: 'Statements' } } } },
+    '/console/statements/{statementId}': { get: { summary: 'Get a reconciled statement with its discrepancies', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'statementId', required: true, schema: { type: 'string' } }, { in: 'query', name: 'type', schema: { type: 'string', enum: ['charged_failed_locally', 'charged_pending_locally', 'missing_from_statement', 'amount_mismatch', 'unmatched'] } }, { in: 'query', name: 'resolution', schema: { type: 'string', enum: ['open', 'resolved', 'failed'] } }], responses: { 200: { description: 'Statement' }, 404: { description: 'Not found' } } } },
+    '/console/statements/{statementId}/report': { get: { summary: 'Download the reconciliation report', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'statementId', required: true, schema: { type: 'string' } }, { in: 'query', name: 'format', schema: { type: 'string', enum: ['csv', 'json'], default: 'csv' } }], responses: { 200: { description: 'Reconciliation report' } } } },
+    '/console/statements/{statementId}/items/{itemId}/{action}': { post: { summary: 'Re-poll, refund (super admin) or ignore a statement discrepancy', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'statementId', required: true, schema: { type: 'string' } }, { in: 'path', name: 'itemId', required: true, schema: { type: 'string' } }, { in: 'path', name: 'action', required: true, schema: { type: 'string', enum: ['repoll', 'refund', 'ignore'] } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { note: { type: 'string' } } } } } }, responses: { 200: { description: 'Action result' }, 400: { description: 'Action not available for this item' }, 409: { description: 'Already resolved' } } } },
+    '/console/logs': { get: { summary: 'Search provider API call logs', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'provider', schema: { type: 'string' } }, { in: 'query', name: 'reference', schema: { type: 'string' } }, { in: 'query', name: 'outcome', schema: { type: 'string', enum: ['success', 'http_error', 'timeout', 'network_error'] } }, { in: 'query', name: 'statusCode', schema: { type: 'integer' } }, { in: 'query', name: 'endpoint', schema: { type: 'string' } }, { in: 'query', name: 'search', schema: { type: 'string' } }, { in: 'query', name: 'minLatencyMs', schema: { type: 'integer' } }, { in: 'query', name: 'startDate', schema: { type: 'string', format: 'date-time' } }, { in: 'query', name: 'endDate', schema: { type: 'string', format: 'date-time' } }, { in: 'query', name: 'page', schema: { type: 'integer', default: 1 } }, { in: 'query', name: 'limit', schema: { type: 'integer', default: 20 } }], responses: { 200: { description: 'API logs' } } } },
+    '/console/logs/export': { get: { summary: 'Export provider API call logs', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'provider', schema: { type: 'string' } }, { in: 'query', name: 'reference', schema: { type: 'string' } }, { in: 'query', name: 'outcome', schema: { type: 'string', enum: ['success', 'http_error', 'timeout', 'network_error'] } }, { in: 'query', name: 'statusCode', schema: { type: 'integer' } }, { in: 'query', name: 'endpoint', schema: { type: 'string' } }, { in: 'query', name: 'search', schema: { type: 'string' } }, { in: 'query', name: 'minLatencyMs', schema: { type: 'integer' } }, { in: 'query', name: 'startDate', schema: { type: 'string', format: 'date-time' } }, { in: 'query', name: 'endDate', schema: { type: 'string', format: 'date-time' } }, { in: 'query', name: 'format', schema: { type: 'string', enum: ['csv', 'json'], default: 'csv' } }, { in: 'query', name: 'includeBodies', schema: { type: 'boolean', default: false } }], responses: { 200: { description: 'Exported logs' } } } },
+    '/console/logs/{logId}': { get: { summary: 'Get a provider API call log with redacted request and response bodies', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'logId', required: true, schema: { type: 'string' } }], responses: { 200: { description: 'API log' }, 404: { description: 'Not found' } } } },
     '/console/providers/{providerId}/status': { put: { summary: 'Update provider status', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['status'], properties: { status: { type: 'string' } } } } } }, responses: { 200: { description: 'Provider status updated' } } } },
     '/console/init': { post: { summary: 'Initialize providers', tags: ['VTU Console'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Providers initialized' } } } },
     '/console/bill-payment/providers': { get: { summary: 'Get bill payment providers', tags: ['VTU Console'], security: [{ bearerAuth: [] }], responses: { 200: { description: 'Bill payment providers' } } } },
     '/console/bill-payment/switch': { post: { summary: 'Switch bill payment provider', tags: ['VTU Console'], security: [{ bearerAuth: [] }], requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['serviceType', 'newProvider'], properties: { serviceType: { type: 'string' }, newProvider: { type: 'string' } } } } } }, responses: { 200: { description: 'Provider switched' } } } },
+    '/console/circuits': { get: { summary: 'Get provider circuit breaker states and recent transitions', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'query', name: 'provider', schema: { type: 'string' } }, { in: 'query', name: 'limit', schema: { type: 'integer', default: 20 } }], responses: { 200: { description: 'Circuit states' } } } },
+    '/console/providers/{providerId}/circuit/reset': { post: { summary: 'Close a provider circuit', tags: ['VTU Console'], security: [{ bearerAuth: [] }], parameters: [{ in: 'path', name: 'providerId', required: true, schema: { type: 'string' } }], requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { serviceType: { type: 'string', enum: ['data_recharge', 'airtime_recharge'] } } } } } }, responses: { 200: { description: 'Circuit reset' } } } },
+    '/status': { get: { summary: 'Public service status', tags: ['Health'], responses: { 200: { description: 'Status of every service with maintenance and incidents' } } } },
     '/health': { get: { summary: 'Health check', tags: ['Health'], responses: { 200: { description: 'API is running' } } } }
   }
 };
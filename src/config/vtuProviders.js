@@ -20,8 +20,6 @@ module.exports = {
       color: '#f59e0b',
       icon: 'zap',
       baseUrl: process.env.VTU_BASE_URL || 'https://www.nellobytesystems.com',
-      apiKey: process.env.NELLO_API_KEY || '',
-      apiSecret: process.env.NELLO_API_KEY || '',
       timeout: 45000,
       retryCount: 3,
       supportedServices: ['data_recharge', 'airtime_recharge', 'sme_data', 'cable_tv', 'electricity', 'recharge_pin', 'education_pin'],
@@ -51,8 +49,6 @@ module.exports = {
       color: '#0284c7',
       icon: 'airplay',
       baseUrl: process.env.AIRTIME_NIGERIA_BASE_URL || 'https://www.airtimenigeria.com/api/v1',
-      apiKey: process.env.AIRTIME_NIGERIA_API_KEY || '',
-      apiSecret: process.env.AIRTIME_NIGERIA_API_SECRET || '',
       timeout: 45000,
       retryCount: 2,
       supportedServices: ['data_recharge', 'airtime_recharge', 'cable_tv', 'electricity'],
@@ -82,8 +78,6 @@ module.exports = {
       color: '#7c3aed', 
       icon: 'plug',
       baseUrl: process.env.SMEPLUG_BASE_URL || 'https://api.smeplug.ng/v1',
-      apiKey: process.env.SMEPLUG_API_KEY || '',
-      apiSecret: process.env.SMEPLUG_API_SECRET || '',
       timeout: 35000,
       retryCount: 3,
       supportedServices: ['data_recharge', 'airtime_recharge', 'sme_data', 'electricity', 'cable_tv'],
@@ -113,8 +107,6 @@ module.exports = {
       color: '#16a34a',
       icon: 'puzzle',
       baseUrl: process.env.PLUGINNG_BASE_URL || 'https://pluginng.com',
-      apiKey: process.env.PLUGINNG_TOKEN || '',
-      apiSecret: process.env.PLUGINNG_PASSWORD || '',
       timeout: 45000,
       retryCount: 2,
       supportedServices: ['data_recharge', 'airtime_recharge', 'sme_data', 'electricity', 'cable_tv', 'education_pin'],
@@ -143,8 +135,6 @@ module.exports = {
       color: '#0f766e',
       icon: 'database',
       baseUrl: process.env.ALRAHUZDATA_BASE_URL || 'https://alrahuzdata.com.ng',
-      apiKey: process.env.ALRAHUZDATA_TOKEN || '',
-      apiSecret: process.env.ALRAHUZDATA_TOKEN || '',
       timeout: 45000,
       retryCount: 2,
       supportedServices: ['data_recharge', 'airtime_recharge', 'sme_data', 'electricity', 'cable_tv', 'education_pin'],
@@ -173,8 +163,6 @@ module.exports = {
       color: '#2563eb',
       icon: 'gift',
       baseUrl: process.env.RELOADLY_GIFTCARD_BASE_URL || 'https://giftcards.reloadly.com',
-      apiKey: process.env.RELOADLY_CLIENT_ID || '',
-      apiSecret: process.env.RELOADLY_CLIENT_SECRET || '',
       timeout: 45000,
       retryCount: 2,
       supportedServices: ['gift_card'],
@@ -203,8 +191,6 @@ module.exports = {
       color: '#0f172a',
       icon: 'wifi',
       baseUrl: process.env.AREWA_BASE_URL || 'https://arewaglobal.co',
-      apiKey: process.env.AREWA_API_KEY || '',
-      apiSecret: process.env.AREWA_API_KEY || '',
       timeout: 45000,
       retryCount: 2,
       supportedServices: ['smile_data', 'alpha', 'kirani'],
@@ -366,28 +352,6 @@ module.exports = {
     return { ...this.serviceRouting };
   },
 
-  getDataPlansService(source) {
-    const serviceMap = {
-      'nellobytes': require('../services/nelloBytesService'),
-      'airtimenigeria': require('../services/airtimeNigeriaService'),
-      'smeplug': require('../services/smePlugService'),
-      'pluginng': require('../services/pluginngService'),
-      'alrahuzdata': require('../services/alrahuzDataService'),
-    };
-    return serviceMap[source] || null;
-  },
-
-  getAirtimeService(source) {
-    const serviceMap = {
-      'nellobytes': require('../services/nelloBytesService'),
-      'airtimenigeria': require('../services/airtimeNigeriaService'),
-      'smeplug': require('../services/smePlugService'),
-      'pluginng': require('../services/pluginngService'),
-      'alrahuzdata': require('../services/alrahuzDataService'),
-    };
-    return serviceMap[source] || null;
-  },
-
   async loadFromDatabase() {
     let VtuConfig;
     try {
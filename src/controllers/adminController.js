@@ -8,9 +8,17 @@ const ProviderStatus = require('../models/ProviderStatus');
 const AdminLog = require('../models/AdminLog');
 const Settings = require('../models/Settings');
 const WalletService = require('../services/walletService');
+const LedgerService = require('../services/ledgerService');
+const KycLimitService = require('../services/kycLimitService');
+const KycService = require('../services/kycService');
+const FeeService = require('../services/feeService');
 const TransactionService = require('../services/transactionService');
 const TelecomService = require('../services/telecomService');
 const BillsService = require('../services/billsService');
+const PlanCatalogSyncService = require('../services/planCatalogSyncService');
+const WebhookEventService = require('../services/webhookEventService');
+const MaintenanceService = require('../services/maintenanceService');
+const ServiceStatusService = require('../services/serviceStatusService');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const { toCsv } = require('../utils/exportUtils');
@@ -1311,6 +1319,40 @@ class AdminController {
     }
   }
 
+  static async getWalletLedger(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { page = 1, limit = 50, startDate, endDate } = req.query;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return next(new AppError('User not found', 404));
+      }
+
+      const [reconciliation, journal] = await Promise.all([
+        LedgerService.verifyWalletBalance(userId),
+        LedgerService.getWalletJournal(userId, {
+          page: parseInt(page) || 1,
+          limit: Math.min(parseInt(limit) || 50, 200),
+          startDate,
+          endDate,
+        }),
+      ]);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          reconciliation,
+          entries: journal.entries,
+          pagination: journal.pagination,
+        },
+      });
+    } catch (error) {
+      logger.error('Error getting wallet ledger:', error);
+      next(error);
+    }
+  }
+
   static async creditWallet(req, res, next) {
     try {
       const { userId } = req.params;
@@ -1342,7 +1384,9 @@ class AdminController {
         userId,
         amount,
         transactionReference,
-        `Manual credit by admin: ${reason || 'No reason provided'}`
+        `Manual credit by admin: ${reason || 'No reason provided'}`,
+        {},
+        { entryType: 'adjustment' }
       );
       
       
@@ -2108,7 +2152,196 @@ class AdminController {
     }
   }
 
+  static async getPlanSyncChanges(req, res, next) {
+    try {
+      const { page = 1, limit = 50, ...filters } = req.query;
+      const [{ changes, pagination }, lastRun] = await Promise.all([
+        PlanCatalogSyncService.listChanges(filters, { page, limit }),
+        PlanCatalogSyncService.getLastRun(),
+      ]);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          changes,
+          pagination,
+          lastRun,
+          mode: PlanCatalogSyncService.getMode(),
+        },
+      });
+    } catch (error) {
+      logger.error('Error getting plan sync changes:', error);
+      next(error);
+    }
+  }
+
+  static async runPlanSync(req, res, next) {
+    try {
+      const { providerId, mode } = req.body || {};
+      if (mode && !['auto', 'stage'].includes(mode)) {
+        return next(new AppError('mode must be auto or stage', 400));
+      }
+
+      const summary = await PlanCatalogSyncService.run({
+        providerId,
+        mode: mode || PlanCatalogSyncService.getMode(),
+        triggeredBy: req.admin.email,
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Plan catalog sync completed',
+        data: { summary },
+      });
+
+      logger.info(`Plan catalog sync ${summary.runId} triggered by ${req.admin.email}`);
+    } catch (error) {
+      logger.error('Error running plan sync:', error);
+      next(error);
+    }
+  }
+
+  static async approvePlanSyncChange(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { sellingPrice, note } = req.body || {};
+
+      const change = await PlanCatalogSyncService.approve(id, {
+        reviewer: req.admin._id,
+        sellingPrice: sellingPrice ?? null,
+        note,
+      });
+
+      await AdminLog.log({
+        admin: req.admin._id,
+        adminEmail: req.admin.email,
+        adminRole: req.admin.role,
+        action: 'approve',
+        entity: 'pricing',
+        entityId: change.pricing,
+        changes: {
+          old: { costPrice: change.previousCostPrice },
+          new: { costPrice: change.newCostPrice, sellingPrice: change.sellingPrice },
+        },
+        description: `Plan sync ${change.changeType} for ${change.provider} ${change.network} ${change.providerPlanId} approved by ${req.admin.email}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        status: 'success',
+        metadata: {
+          changeId: change._id,
+          unprofitable: change.unprofitable,
+        },
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Plan change applied',
+        data: { change },
+      });
+    } catch (error) {
+      logger.error('Error approving plan sync change:', error);
+      next(error);
+    }
+  }
+
+  static async rejectPlanSyncChange(req, res, next) {
+    try {
+      const change = await PlanCatalogSyncService.reject(req.params.id, {
+        reviewer: req.admin._id,
+        note: req.body?.note,
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Plan change rejected',
+        data: { change },
+      });
+    } catch (error) {
+      logger.error('Error rejecting plan sync change:', error);
+      next(error);
+    }
+  }
+
   
+  static async getFeeSchedules(req, res, next) {
+    try {
+      const { transactionType, isActive } = req.query;
+      const result = await FeeService.list({ transactionType, isActive });
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error getting fee schedules:', error);
+      next(error);
+    }
+  }
+
+  static async createFeeSchedule(req, res, next) {
+    try {
+      const schedule = await FeeService.create(req.body, req.admin._id);
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Fee schedule created successfully',
+        data: { schedule },
+      });
+
+      logger.info(`Fee schedule created: ${schedule.name} (${schedule.transactionType}), Admin: ${req.admin.email}`);
+    } catch (error) {
+      logger.error('Error creating fee schedule:', error);
+      next(error);
+    }
+  }
+
+  static async updateFeeSchedule(req, res, next) {
+    try {
+      const schedule = await FeeService.update(req.params.id, req.body, req.admin._id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Fee schedule updated successfully',
+        data: { schedule },
+      });
+
+      logger.info(`Fee schedule updated: ${schedule.name} (${schedule.transactionType}), Admin: ${req.admin.email}`);
+    } catch (error) {
+      logger.error('Error updating fee schedule:', error);
+      next(error);
+    }
+  }
+
+  static async deleteFeeSchedule(req, res, next) {
+    try {
+      const schedule = await FeeService.remove(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Fee schedule deleted successfully',
+      });
+
+      logger.info(`Fee schedule deleted: ${schedule.name} (${schedule.transactionType}), Admin: ${req.admin.email}`);
+    } catch (error) {
+      logger.error('Error deleting fee schedule:', error);
+      next(error);
+    }
+  }
+
+  static async previewFees(req, res, next) {
+    try {
+      const quotes = await FeeService.preview(req.body);
+
+      res.status(200).json({
+        status: 'success',
+        data: { quotes },
+      });
+    } catch (error) {
+      logger.error('Error previewing fees:', error);
+      next(error);
+    }
+  }
+
   static async getProviders(req, res, next) {
     try {
       const {
@@ -2221,6 +2454,131 @@ class AdminController {
     }
   }
 
+  static async getMaintenanceWindows(req, res, next) {
+    try {
+      const { page = 1, limit = 20, ...filters } = req.query;
+      const result = await MaintenanceService.list(filters, { page, limit });
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error getting maintenance windows:', error);
+      next(error);
+    }
+  }
+
+  static async createMaintenanceWindow(req, res, next) {
+    try {
+      const window = await MaintenanceService.create(req.body || {}, {
+        admin: req.admin,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Maintenance window scheduled',
+        data: { window: { ...window.toObject(), state: window.getState() } },
+      });
+    } catch (error) {
+      logger.error('Error creating maintenance window:', error);
+      next(error);
+    }
+  }
+
+  static async updateMaintenanceWindow(req, res, next) {
+    try {
+      const window = await MaintenanceService.update(req.params.id, req.body || {}, {
+        admin: req.admin,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Maintenance window updated',
+        data: { window: { ...window.toObject(), state: window.getState() } },
+      });
+    } catch (error) {
+      logger.error('Error updating maintenance window:', error);
+      next(error);
+    }
+  }
+
+  static async cancelMaintenanceWindow(req, res, next) {
+    try {
+      const window = await MaintenanceService.cancel(req.params.id, {
+        admin: req.admin,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Maintenance window cancelled',
+        data: { window: { ...window.toObject(), state: window.getState() } },
+      });
+    } catch (error) {
+      logger.error('Error cancelling maintenance window:', error);
+      next(error);
+    }
+  }
+
+  static async getServiceIncidents(req, res, next) {
+    try {
+      const { page = 1, limit = 20, ...filters } = req.query;
+      const result = await ServiceStatusService.listIncidents(filters, { page, limit });
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error getting service incidents:', error);
+      next(error);
+    }
+  }
+
+  static async createServiceIncident(req, res, next) {
+    try {
+      const incident = await ServiceStatusService.createIncident(req.body || {}, {
+        admin: req.admin,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Incident created',
+        data: { incident },
+      });
+    } catch (error) {
+      logger.error('Error creating service incident:', error);
+      next(error);
+    }
+  }
+
+  static async updateServiceIncident(req, res, next) {
+    try {
+      const incident = await ServiceStatusService.updateIncident(req.params.id, req.body || {}, {
+        admin: req.admin,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Incident updated',
+        data: { incident },
+      });
+    } catch (error) {
+      logger.error('Error updating service incident:', error);
+      next(error);
+    }
+  }
+
   
   static async getAdminLogs(req, res, next) {
     try {
@@ -2293,6 +2651,80 @@ class AdminController {
     }
   }
 
+  static async getWebhookEvents(req, res, next) {
+    try {
+      const { page = 1, limit = 20, ...filters } = req.query;
+      const result = await WebhookEventService.list(filters, { page, limit });
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error getting webhook events:', error);
+      next(error);
+    }
+  }
+
+  static async getWebhookEvent(req, res, next) {
+    try {
+      const event = await WebhookEventService.getById(req.params.id);
+      if (!event) {
+        return next(new AppError('Webhook event not found', 404));
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: { event },
+      });
+    } catch (error) {
+      logger.error('Error getting webhook event:', error);
+      next(error);
+    }
+  }
+
+  static async replayWebhookEvent(req, res, next) {
+    try {
+      const event = await WebhookEventService.replay(req.params.id, { admin: req.admin });
+      const previousStatus = event.replays[event.replays.length - 1]?.previousStatus;
+
+      await AdminLog.log({
+        admin: req.admin._id,
+        adminEmail: req.admin.email,
+        adminRole: req.admin.role,
+        action: 'update',
+        entity: 'system',
+        entityId: event._id,
+        description: `Webhook event ${event.provider} ${event.eventId} replayed by ${req.admin.email}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        status: 'success',
+        metadata: {
+          handler: event.handler,
+          previousStatus,
+        },
+      });
+
+      res.status(202).json({
+        status: 'success',
+        message: 'Webhook event queued for replay',
+        data: {
+          event: {
+            _id: event._id,
+            provider: event.provider,
+            handler: event.handler,
+            eventId: event.eventId,
+            status: event.status,
+            replays: event.replays.length,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Error replaying webhook event:', error);
+      next(error);
+    }
+  }
+
   
   static async getDailyTransactionChart() {
     try {
@@ -2512,6 +2944,130 @@ class AdminController {
     }
   }
 
+  static async getKycSubmissions(req, res, next) {
+    try {
+      const { status = 'under_review', level, page = 1, limit = 20 } = req.query;
+      const result = await KycService.listSubmissions({ status, level, page, limit });
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error getting KYC submissions:', error);
+      next(error);
+    }
+  }
+
+  static async getKycSubmission(req, res, next) {
+    try {
+      const kyc = await KycService.getSubmission(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: { kyc },
+      });
+    } catch (error) {
+      logger.error('Error getting KYC submission:', error);
+      next(error);
+    }
+  }
+
+  static async getKycDocument(req, res, next) {
+    try {
+      const { buffer, contentType } = await KycService.getDocument(req.params.id, req.params.document);
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).send(buffer);
+    } catch (error) {
+      logger.error('Error getting KYC document:', error);
+      next(error);
+    }
+  }
+
+  static async approveKyc(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { level, notes } = req.body;
+
+      const { kyc, user } = await KycService.approve(id, req.admin, { level, notes });
+
+      await AdminLog.log({
+        admin: req.admin._id,
+        adminEmail: req.admin.email,
+        adminRole: req.admin.role,
+        action: 'approve',
+        entity: 'kyc',
+        entityId: kyc._id,
+        changes: {
+          old: { status: 'under_review' },
+          new: { status: 'approved', level: kyc.level },
+        },
+        description: `KYC for ${user?.email || kyc.user} approved at ${kyc.level} level by ${req.admin.email}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        status: 'success',
+        metadata: { userId: kyc.user, notes },
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'KYC approved successfully',
+        data: {
+          kyc,
+          user: {
+            id: user?._id,
+            kycStatus: user?.kycStatus,
+          },
+        },
+      });
+
+      logger.info(`KYC approved: ${kyc._id} (${kyc.level}) by ${req.admin.email}`);
+    } catch (error) {
+      logger.error('Error approving KYC:', error);
+      next(error);
+    }
+  }
+
+  static async rejectKyc(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { reason, notes } = req.body;
+
+      const { kyc, user } = await KycService.reject(id, req.admin, { reason, notes });
+
+      await AdminLog.log({
+        admin: req.admin._id,
+        adminEmail: req.admin.email,
+        adminRole: req.admin.role,
+        action: 'reject',
+        entity: 'kyc',
+        entityId: kyc._id,
+        changes: {
+          old: { status: 'under_review' },
+          new: { status: 'rejected', rejectionReason: kyc.rejectionReason },
+        },
+        description: `KYC for ${user?.email || kyc.user} rejected by ${req.admin.email}: ${kyc.rejectionReason}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        status: 'success',
+        metadata: { userId: kyc.user, notes },
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'KYC rejected',
+        data: { kyc },
+      });
+
+      logger.info(`KYC rejected: ${kyc._id} by ${req.admin.email}`);
+    } catch (error) {
+      logger.error('Error rejecting KYC:', error);
+      next(error);
+    }
+  }
+
   static async getSystemSettings(req, res, next) {
     try {
       const settingsDocs = await Settings.find({}).lean();
@@ -2524,6 +3080,7 @@ class AdminController {
           maintenanceMode: false,
         },
         fees: {
+          fundingFee: 50,
           walletTransferFee: 0.02,
           walletTransferMinFee: 10,
           withdrawalFee: 0.015,
@@ -2558,6 +3115,7 @@ class AdminController {
           }
         }
       });
+      settings.kyc.tierLimits = await KycLimitService.getTierLimitsConfig();
       
       res.status(200).json({
         status: 'success',
@@ -3131,10 +3689,16 @@ module.exports = {
   rejectAgent: AdminController.rejectAgent,
   lockAccount: AdminController.lockAccount,
   unlockAccount: AdminController.unlockAccount,
+  getKycSubmissions: AdminController.getKycSubmissions,
+  getKycSubmission: AdminController.getKycSubmission,
+  getKycDocument: AdminController.getKycDocument,
+  approveKyc: AdminController.approveKyc,
+  rejectKyc: AdminController.rejectKyc,
   
   
   getWallets: AdminController.getWallets,
   getUserWallet: AdminController.getUserWallet,
+  getWalletLedger: AdminController.getWalletLedger,
   creditWallet: AdminController.creditWallet,
   debitWallet: AdminController.debitWallet,
   lockWallet: AdminController.lockWallet,
@@ -3152,14 +3716,33 @@ module.exports = {
   bulkUpdatePricing: notImplementedHandler('Bulk pricing update'),
   updatePricing: AdminController.updatePricing,
   deletePricing: AdminController.deletePricing,
+  getPlanSyncChanges: AdminController.getPlanSyncChanges,
+  runPlanSync: AdminController.runPlanSync,
+  approvePlanSyncChange: AdminController.approvePlanSyncChange,
+  rejectPlanSyncChange: AdminController.rejectPlanSyncChange,
+  getFeeSchedules: AdminController.getFeeSchedules,
+  createFeeSchedule: AdminController.createFeeSchedule,
+  updateFeeSchedule: AdminController.updateFeeSchedule,
+  deleteFeeSchedule: AdminController.deleteFeeSchedule,
+  previewFees: AdminController.previewFees,
   
   
   getProviders: AdminController.getProviders,
   updateProviderStatus: AdminController.updateProviderStatus,
+  getMaintenanceWindows: AdminController.getMaintenanceWindows,
+  createMaintenanceWindow: AdminController.createMaintenanceWindow,
+  updateMaintenanceWindow: AdminController.updateMaintenanceWindow,
+  cancelMaintenanceWindow: AdminController.cancelMaintenanceWindow,
+  getServiceIncidents: AdminController.getServiceIncidents,
+  createServiceIncident: AdminController.createServiceIncident,
+  updateServiceIncident: AdminController.updateServiceIncident,
   checkApiBalanceAlerts: notImplementedHandler('API balance alert check'),
   
   
   getAdminLogs: AdminController.getAdminLogs,
+  getWebhookEvents: AdminController.getWebhookEvents,
+  getWebhookEvent: AdminController.getWebhookEvent,
+  replayWebhookEvent: AdminController.replayWebhookEvent,
   
   
   getMyProfile: AdminController.getMyProfile,
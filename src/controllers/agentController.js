@@ -5,6 +5,7 @@ const Transaction = require('../models/Transaction');
 const ProviderStatus = require("../models/ProviderStatus");
 const AdminLog = require('../models/AdminLog');
 const WalletService = require('../services/walletService');
+const LedgerService = require('../services/ledgerService');
 const telecomController = require('./telecomController');
 const billsController = require('./billsController');
 const { AppError } = require('../middlewares/errorHandler');
@@ -108,6 +109,8 @@ const serializeWallet = (wallet) => {
 
   return {
     balance: wallet.balance,
+    availableBalance: wallet.availableBalance,
+    heldBalance: wallet.heldBalance || 0,
     currency: wallet.currency,
     locked: wallet.locked,
     virtualAccount: wallet.virtualAccount
@@ -1196,8 +1199,17 @@ class AgentController {
       await agent.save({ session });
       await wallet.save({ session });
 
+      const commissionReference = `COM-WALLET-${Date.now()}`;
+      await LedgerService.recordWalletCredit(wallet, amount, {
+        entryType: 'commission',
+        counterAccount: LedgerService.ACCOUNTS.FEE_INCOME,
+        reference: commissionReference,
+        description: 'Commission moved to wallet',
+        session,
+      });
+
       const transaction = new Transaction({
-        reference: `COM-WALLET-${Date.now()}`,
+        reference: commissionReference,
         user: agent._id,
         type: 'commission_transfer',
         category: 'commission',
@@ -284,6 +284,8 @@ exports.login = async (req, res, next) => {
         wallet: wallet
           ? {
               balance: wallet.balance,
+              availableBalance: wallet.availableBalance,
+              heldBalance: wallet.heldBalance || 0,
               currency: wallet.currency,
               locked: wallet.locked,
               virtualAccount: wallet.virtualAccount,
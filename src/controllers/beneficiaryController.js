@@ -0,0 +1,84 @@
+const BeneficiaryService = require('../services/beneficiaryService');
+
+exports.getBeneficiaries = async (req, res, next) => {
+  try {
+    const beneficiaries = await BeneficiaryService.list(req.user.id, { type: req.query.type });
+
+    res.status(200).json({
+      status: 'success',
+      results: beneficiaries.length,
+      data: { beneficiaries },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getSuggestions = async (req, res, next) => {
+  try {
+    const { limit, days } = req.query;
+    const suggestions = await BeneficiaryService.getSuggestions(req.user.id, { limit, days });
+
+    res.status(200).json({
+      status: 'success',
+      results: suggestions.length,
+      data: { suggestions },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getBeneficiary = async (req, res, next) => {
+  try {
+    const beneficiary = await BeneficiaryService.getForUser(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: { beneficiary },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createBeneficiary = async (req, res, next) => {
+  try {
+    const beneficiary = await BeneficiaryService.create(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Beneficiary saved successfully',
+      data: { beneficiary },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateBeneficiary = async (req, res, next) => {
+  try {
+    const beneficiary = await BeneficiaryService.update(req.user.id, req.params.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Beneficiary updated successfully',
+      data: { beneficiary },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteBeneficiary = async (req, res, next) => {
+  try {
+    await BeneficiaryService.remove(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Beneficiary removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
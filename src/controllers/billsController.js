@@ -1,25 +1,49 @@
-const { AppError } = require('../middlewares/errorHandler');
+const { AppError, LimitExceededError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const Wallet = require('../models/Wallet');
+const WalletService = require('../services/walletService');
 const NelloBytesService = require('../services/nelloBytesService');
 const PluginngService = require('../services/pluginngService');
+const ProviderRegistry = require('../services/providerRegistry');
 const NotificationService = require('../services/NotificationService');
 const ProviderPurchaseGuardService = require('../services/providerPurchaseGuardService');
 const VtuTransactionLifecycleService = require('../services/vtuTransactionLifecycleService');
+const KycLimitService = require('../services/kycLimitService');
+const WebhookVerificationService = require('../services/webhookVerificationService');
+const MaintenanceService = require('../services/maintenanceService');
 const vtuConfig = require('../config/vtuProviders');
 
 const SERVER_URL = process.env.SERVER_URL || 'https://api.yareemadata.com';
 
-async function resolveBillProvider(serviceType) {
-  const activeProvider = await vtuConfig.getProviderIdForService(serviceType);
+// The only providers the bill purchase handlers below can place orders with.
+const BILL_PURCHASE_PROVIDERS = ['clubkonnect', 'pluginng'];
+
+async function resolveBillProvider(serviceType, { purchase = false, network = null } = {}) {
+  const configuredProvider = await vtuConfig.getProviderIdForService(serviceType);
+  // Purchases move to an alternate provider while the configured one is in maintenance.
+  const activeProvider = purchase
+    ? await MaintenanceService.resolveProvider(serviceType, configuredProvider, {
+      network,
+      dispatchable: BILL_PURCHASE_PROVIDERS,
+    })
+    : configuredProvider;
   return {
     activeProvider,
     activeSource: vtuConfig.providers[activeProvider]?.source || activeProvider,
   };
 }
 
+function resolveDiscoKey(disco) {
+  if (!disco) return null;
+  try {
+    return NelloBytesService.resolveElectricityCompany(disco).key;
+  } catch (error) {
+    return String(disco).trim().toLowerCase();
+  }
+}
+
 function normalizeElectricityDiscos(rawDiscos) {
   if (Array.isArray(rawDiscos)) {
     return rawDiscos.map((item) => {
@@ -44,27 +68,6 @@ function normalizeElectricityDiscos(rawDiscos) {
   return [];
 }
 
-function normalizePluginngTitle(value = '') {
-  return String(value || '')
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '');
-}
-
-function matchPluginngProviderItem(items = [], needle = '') {
-  const normalizedNeedle = normalizePluginngTitle(needle);
-  if (!normalizedNeedle) return null;
-
-  return items.find((item) => {
-    const title = normalizePluginngTitle(item?.title);
-    const serviceId = normalizePluginngTitle(item?.serviceID);
-    return title.includes(normalizedNeedle)
-      || serviceId.includes(normalizedNeedle)
-      || normalizedNeedle.includes(title)
-      || normalizedNeedle.includes(serviceId);
-  }) || null;
-}
-
 function escapeRegex(value = '') {
   return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
@@ -78,59 +81,6 @@ function normalizeExamTypeKey(value = '') {
     .replace(/^-|-$/g, '');
 }
 
-function normalizeCallbackStatus(input = '') {
-  return String(input || '').trim().toUpperCase();
-}
-
-function extractNelloCallbackFields(data = {}) {
-  return {
-    orderId: String(data.orderid || data.orderId || '').trim(),
-    requestId: String(data.requestid || data.requestId || '').trim(),
-    statusCode: String(data.statuscode || data.statusCode || '').trim(),
-    orderStatus: normalizeCallbackStatus(data.orderstatus || data.orderStatus),
-    rawStatus: normalizeCallbackStatus(data.status),
-    remark: data.orderremark || data.orderRemark || data.remark || data.status || data.message || '',
-  };
-}
-
-function classifyNelloCallbackStatus({ statusCode = '', orderStatus = '', rawStatus = '' } = {}) {
-  const code = String(statusCode).trim();
-  const normalizedOrderStatus = normalizeCallbackStatus(orderStatus);
-  const normalizedRawStatus = normalizeCallbackStatus(rawStatus);
-  const statusSignals = [normalizedOrderStatus, normalizedRawStatus].filter(Boolean);
-
-  if (code === '200' || statusSignals.includes('ORDER_COMPLETED')) {
-    return 'successful';
-  }
-
-  if (code === '100' || statusSignals.includes('ORDER_RECEIVED') || statusSignals.includes('ORDER_ONHOLD')) {
-    return 'pending';
-  }
-
-  const explicitFailureStatuses = new Set([
-    'FAILED',
-    'FAIL',
-    'ERROR',
-    'REJECTED',
-    'CANCELLED',
-    'ORDER_CANCELLED',
-    'ORDER_FAILED',
-    'INVALID_ACCOUNTNO',
-    'INVALID_METERNO',
-    'INSUFFICIENT_BALANCE',
-  ]);
-
-  if (code && !['100', '200'].includes(code)) {
-    return 'failed';
-  }
-
-  if (statusSignals.some((signal) => explicitFailureStatuses.has(signal))) {
-    return 'failed';
-  }
-
-  return 'unknown';
-}
-
 function resolveEducationExamType(value = '') {
   const normalized = normalizeExamTypeKey(value);
   const aliases = {
@@ -234,7 +184,7 @@ function normalizeEducationPackageItems(raw) {
 async function resolveEducationAmountByProvider({ activeProvider, activeSource, examTypeInput, resolvedExamType }) {
   if (activeProvider === 'pluginng' || activeSource === 'pluginng') {
     const providers = await PluginngService.getExamProviders();
-    const matchedExam = matchPluginngProviderItem(providers, examTypeInput) || matchPluginngProviderItem(providers, resolvedExamType);
+    const matchedExam = PluginngService.matchProviderItem(providers, examTypeInput) || PluginngService.matchProviderItem(providers, resolvedExamType);
     if (!matchedExam) {
       throw new AppError('Exam type not found on Pluginng', 404);
     }
@@ -330,6 +280,11 @@ async function resolveEducationAmountByProvider({ activeProvider, activeSource,
 async function refundTransactionToWallet(transaction, reason = 'Transaction refund', amountOverride = null) {
   if (!transaction) return null;
 
+  if (transaction.metadata?.walletHold && transaction.metadata.walletHold.status !== 'captured') {
+    await WalletService.settleTransactionHold(transaction, 'release');
+    return Wallet.findOne({ user: transaction.user });
+  }
+
   const alreadyRefunded =
     transaction?.metadata?.refundProcessed === true ||
     (
@@ -347,7 +302,11 @@ async function refundTransactionToWallet(transaction, reason = 'Transaction refu
 
   const refundAmount = Number(amountOverride ?? transaction.amount ?? 0);
   if (refundAmount > 0) {
-    await wallet.credit(refundAmount, reason);
+    await wallet.credit(refundAmount, {
+      entryType: 'refund',
+      reference: transaction.reference,
+      description: reason,
+    });
   }
 
   transaction.metadata = {
@@ -420,72 +379,41 @@ exports.verifyElectricityCustomer = async (req, res, next) => {
       return next(new AppError('Please provide meter number and DISCO', 400));
     }
     
-    const { activeProvider, activeSource } = await resolveBillProvider('electricity');
-
-    if (activeProvider === 'clubkonnect' || activeSource === 'nellobytes') {
-      try {
-        const result = await NelloBytesService.verifyElectricityMeter({
-          electricCompany: disco,
-          meterNo: meterNumber,
-          meterType,
-        });
-        
-        return res.status(200).json({
-          status: 'success',
-          message: 'Customer verification successful',
-          data: {
-            meterNumber,
-            disco,
-            meterType,
-            customerName: result.customerName,
-            verified: result.valid,
-            provider: activeProvider,
-          },
-        });
-      } catch (error) {
-        logger.error(`NelloBytes electricity verification error: ${error.message}`);
-        return next(new AppError('Unable to verify meter number', 500));
-      }
+    const { activeProvider } = await resolveBillProvider('electricity');
+    const adapter = ProviderRegistry.getAdapter(activeProvider);
+    if (!adapter?.supports('verifyCustomer')) {
+      return next(new AppError(`Electricity verification is not implemented for ${activeProvider}`, 400));
     }
 
-    if (activeProvider === 'pluginng' || activeSource === 'pluginng') {
-      const providers = await PluginngService.getElectricityProviders();
-      const matched = matchPluginngProviderItem(providers, disco);
-      if (!matched) {
-        return next(new AppError('Electricity provider not found on Pluginng', 404));
-      }
-
-      const verifyResult = await PluginngService.verifyCard({
-        plan: matched.serviceID || matched.title,
-        cardno: meterNumber,
-        type: meterType,
-      });
-
-      const verificationData = verifyResult?.data || verifyResult || {};
-      return res.status(200).json({
-        status: 'success',
-        message: 'Customer verification request sent',
-        data: {
-          meterNumber,
-          disco: matched.title || disco,
-          meterType,
-          customerName:
-            verificationData.customer_name
-            || verificationData.name
-            || verificationData.customerName
-            || null,
-          verified:
-            Boolean(verificationData.success)
-            || Boolean(verificationData.valid)
-            || Boolean(verificationData.status)
-            || true,
-          provider: activeProvider,
-          raw: verifyResult,
-        },
+    let result;
+    try {
+      result = await adapter.verifyCustomer({
+        serviceType: 'electricity',
+        customerId: meterNumber,
+        serviceProvider: disco,
+        meterType,
       });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return next(error);
+      }
+      logger.error(`${adapter.displayName} electricity verification error: ${error.message}`);
+      return next(new AppError('Unable to verify meter number', 500));
     }
-    
-    return next(new AppError(`Electricity verification is not implemented for ${activeProvider}`, 400));
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Customer verification successful',
+      data: {
+        meterNumber,
+        disco: result.serviceProviderName || disco,
+        meterType,
+        customerName: result.customerName,
+        verified: result.valid,
+        provider: activeProvider,
+        raw: result.raw,
+      },
+    });
   } catch (error) {
     next(error);
   }
@@ -496,9 +424,12 @@ exports.purchaseElectricity = async (req, res, next) => {
     const { meterNumber, disco, amount, phoneNumber, meterType = 'prepaid', transactionPin } = req.body;
     const parsedAmount = Number(amount);
 
-    const { activeProvider, activeSource } = await resolveBillProvider('electricity');
+    const { activeProvider, activeSource } = await resolveBillProvider('electricity', {
+      purchase: true,
+      network: resolveDiscoKey(disco),
+    });
 
-    if (!meterNumber || !disco || !amount || !transactionPin) {
+    if (!meterNumber || !disco || !amount || (!transactionPin && !req.scheduledPurchase)) {
       return next(new AppError('Please provide all required fields', 400));
     }
 
@@ -507,7 +438,7 @@ exports.purchaseElectricity = async (req, res, next) => {
     }
 
     const user = await User.findById(req.user.id).select('+transactionPin');
-    const isPinValid = await user.compareTransactionPin(transactionPin);
+    const isPinValid = req.scheduledPurchase || await user.compareTransactionPin(transactionPin);
 
     if (!isPinValid) {
       return next(new AppError('Invalid transaction PIN', 401));
@@ -518,7 +449,7 @@ exports.purchaseElectricity = async (req, res, next) => {
       return next(new AppError('Wallet not found', 404));
     }
 
-    if (wallet.balance < parsedAmount) {
+    if (wallet.availableBalance < parsedAmount) {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
@@ -528,9 +459,13 @@ exports.purchaseElectricity = async (req, res, next) => {
       { serviceType: 'electricity', meterNumber, disco }
     );
 
-    await wallet.debit(parsedAmount, `Electricity bill payment: ${disco}`);
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', parsedAmount);
 
     const reference = `ELEC-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    const heldWallet = await wallet.placeHold(parsedAmount, {
+      reference,
+      description: `Electricity bill payment: ${disco}`,
+    });
     const callbackUrl = `${SERVER_URL}/api/v1/bills/webhook/nellobytes`;
 
     const transaction = await Transaction.create({
@@ -540,8 +475,8 @@ exports.purchaseElectricity = async (req, res, next) => {
       category: 'bills',
       amount: parsedAmount,
       totalAmount: parsedAmount,
-      previousBalance: wallet.balance + parsedAmount,
-      newBalance: wallet.balance,
+      previousBalance: heldWallet.balance,
+      newBalance: heldWallet.balance,
       status: 'pending',
       description: `${String(disco).toUpperCase()} electricity bill payment of NGN ${amount} for meter ${meterNumber}`,
       service: {
@@ -551,13 +486,16 @@ exports.purchaseElectricity = async (req, res, next) => {
         meterType,
         phoneNumber,
       },
+      metadata: {
+        walletHold: WalletService.buildHoldMetadata(reference, parsedAmount),
+      },
       statusHistory: [{ status: 'pending', note: `Payment initiated via ${activeProvider}`, timestamp: new Date() }],
     });
 
     try {
       if (activeProvider === 'pluginng' || activeSource === 'pluginng') {
         const providers = await PluginngService.getElectricityProviders();
-        const matched = matchPluginngProviderItem(providers, disco);
+        const matched = PluginngService.matchProviderItem(providers, disco);
         if (!matched) {
           throw new Error('Electricity provider not found on Pluginng');
         }
@@ -667,7 +605,7 @@ let pluginngLocalStatus = 'pending';
         amount: parsedAmount,
         phoneNo: phoneNumber || user.phoneNumber,
         requestId: reference,
-        callBackURL: callbackUrl,
+        callBackURL: WebhookVerificationService.withCallbackToken('nellobytes', callbackUrl),
       });
 
       if (apiResponse.success || apiResponse.statusCode === '100' || apiResponse.statusCode === '200') {
@@ -817,14 +755,17 @@ exports.getCablePlans = async (req, res, next) => {
 exports.purchaseCableTV = async (req, res, next) => {
   try {
     const { smartCardNumber, provider, planId, months = 1, transactionPin } = req.body;
-    const { activeProvider } = await resolveBillProvider('cable');
+    const { activeProvider } = await resolveBillProvider('cable', {
+      purchase: true,
+      network: provider ? String(provider).toLowerCase() : null,
+    });
     
-    if (!smartCardNumber || !provider || !planId || !transactionPin) {
+    if (!smartCardNumber || !provider || !planId || (!transactionPin && !req.scheduledPurchase)) {
       return next(new AppError('Please provide all required fields', 400));
     }
     
     const user = await User.findById(req.user.id).select('+transactionPin');
-    const isPinValid = await user.compareTransactionPin(transactionPin);
+    const isPinValid = req.scheduledPurchase || await user.compareTransactionPin(transactionPin);
     
     if (!isPinValid) {
       return next(new AppError('Invalid transaction PIN', 401));
@@ -872,6 +813,8 @@ exports.purchaseCableTV = async (req, res, next) => {
         );
         
         
+        await KycLimitService.assertWithinLimit(wallet.user, 'transaction', totalAmount);
+
         await wallet.debit(totalAmount, `Cable TV: ${provider}`);
         
         const reference = `CABLE-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -906,7 +849,7 @@ exports.purchaseCableTV = async (req, res, next) => {
           smartCardNo: smartCardNumber,
           phoneNo: user.phoneNumber,
           requestId: reference,
-          callBackURL: callbackUrl,
+          callBackURL: WebhookVerificationService.withCallbackToken('nellobytes', callbackUrl),
         });
         
         if (apiResponse.success || apiResponse.statusCode === '100' || apiResponse.statusCode === '200') {
@@ -946,6 +889,9 @@ exports.purchaseCableTV = async (req, res, next) => {
         throw new Error(apiResponse.response?.status || 'Purchase failed');
         
       } catch (error) {
+        if (error instanceof LimitExceededError) {
+          return next(error);
+        }
         
         if (transaction) {
           await refundTransactionToWallet(transaction, 'Cable TV refund', totalAmount);
@@ -999,6 +945,8 @@ exports.purchaseCableTV = async (req, res, next) => {
           { serviceType: 'cable_tv', provider, smartCardNumber }
         );
 
+        await KycLimitService.assertWithinLimit(wallet.user, 'transaction', totalAmount);
+
         await wallet.debit(totalAmount, `Cable TV: ${provider}`);
 
         const reference = `CABLE-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -1114,6 +1062,10 @@ exports.purchaseCableTV = async (req, res, next) => {
           },
         });
       } catch (error) {
+        if (error instanceof LimitExceededError) {
+          return next(error);
+        }
+
         if (transaction) {
           await refundTransactionToWallet(transaction, 'Cable TV refund', totalAmount);
           transaction.status = 'failed';
@@ -1208,7 +1160,7 @@ exports.purchaseEducationPin = async (req, res, next) => {
       return next(new AppError('ClubKonnect education PIN purchase currently supports quantity 1 only', 400));
     }
 
-    const { activeProvider, activeSource } = await resolveBillProvider('education');
+    const { activeProvider, activeSource } = await resolveBillProvider('education', { purchase: true });
 
     const user = await User.findById(req.user.id).select('+transactionPin');
     if (!user) {
@@ -1245,6 +1197,8 @@ exports.purchaseEducationPin = async (req, res, next) => {
       { serviceType: 'education_pin', examType: resolvedExamType, quantity: 1 }
     );
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', totalAmount);
+
     await wallet.debit(totalAmount, `Education PIN purchase: ${displayName}`);
 
     const reference = `EDU-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -1399,13 +1353,13 @@ exports.purchaseEducationPin = async (req, res, next) => {
             examType: normalizedExamType,
             phoneNo: phoneNumber || user.phoneNumber,
             requestId: reference,
-            callBackURL: callbackUrl,
+            callBackURL: WebhookVerificationService.withCallbackToken('nellobytes', callbackUrl),
           })
         : await NelloBytesService.buyWAECEPIN({
             examType: normalizedExamType,
             phoneNo: phoneNumber || user.phoneNumber,
             requestId: reference,
-            callBackURL: callbackUrl,
+            callBackURL: WebhookVerificationService.withCallbackToken('nellobytes', callbackUrl),
           });
 
       transaction.service.orderId = providerResponse.orderId || reference;
@@ -1586,7 +1540,7 @@ exports.nelloBytesWebhook = async (req, res, next) => {
     const mergedPayloads = payloads.map((item) => ({ ...(item || {}), ...queryData }));
 
     for (const data of mergedPayloads) {
-      const { orderId, requestId, statusCode, orderStatus, rawStatus, remark } = extractNelloCallbackFields(data);
+      const { orderId, requestId, statusCode, orderStatus, rawStatus, remark } = NelloBytesService.extractCallbackFields(data);
 
       if (!orderId && !requestId) {
         logger.warn('NelloBytes bills webhook received without orderid/requestid');
@@ -1616,7 +1570,7 @@ exports.nelloBytesWebhook = async (req, res, next) => {
         callback: data,
       };
 
-      const mappedStatus = classifyNelloCallbackStatus({ statusCode, orderStatus, rawStatus });
+      const mappedStatus = NelloBytesService.classifyStatus({ statusCode, orderStatus, rawStatus });
 
       if (mappedStatus === 'successful') {
         transaction.status = 'successful';
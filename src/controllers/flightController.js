@@ -1,5 +1,6 @@
 const DuffelService = require('../services/duffelService');
 const TiqwaService = require('../services/tiqwaService');
+const KycLimitService = require('../services/kycLimitService');
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const { AppError } = require('../middlewares/errorHandler');
@@ -9,7 +10,13 @@ const logger = require('../utils/logger');
 async function refundToWallet(transaction, reason, amount) {
   try {
     const wallet = await Wallet.findOne({ user: transaction.user });
-    if (wallet) await wallet.credit(amount, reason);
+    if (wallet) {
+      await wallet.credit(amount, {
+        entryType: 'refund',
+        reference: transaction.reference,
+        description: reason,
+      });
+    }
   } catch (err) {
     logger.error('Flight refund failed', { ref: transaction.reference, err: err.message });
   }
@@ -121,6 +128,8 @@ exports.bookInternational = async (req, res, next) => {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `International flight: ${offerId}`);
 
     const reference = `FLT-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -320,6 +329,8 @@ exports.bookDomestic = async (req, res, next) => {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Domestic flight: ${offerId}`);
 
     const reference = `DFLY-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
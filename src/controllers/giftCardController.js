@@ -8,6 +8,7 @@ const GiftCardProduct = require('../models/GiftCardProduct');
 const GiftCardOrder = require('../models/GiftCardOrder');
 const GiftCardCode = require('../models/GiftCardCode');
 const FxRateService = require('../services/fxRateService');
+const KycLimitService = require('../services/kycLimitService');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
@@ -17,7 +18,11 @@ async function refundToWallet(transaction, reason, amount) {
   try {
     const wallet = await Wallet.findOne({ user: transaction.user });
     if (wallet) {
-      await wallet.credit(amount, reason);
+      await wallet.credit(amount, {
+        entryType: 'refund',
+        reference: transaction.reference,
+        description: reason,
+      });
     }
   } catch (err) {
     logger.error('Gift card refund failed', { ref: transaction.reference, err: err.message });
@@ -688,6 +693,8 @@ exports.buyGiftCard = async (req, res, next) => {
       return next(new AppError('Wallet not found', 404));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', nairaAmount);
+
     const walletBefore = wallet.balance;
     let debitedWallet;
     try {
@@ -930,6 +937,8 @@ exports.purchaseOrder = async (req, res, next) => {
       return next(new AppError('Unable to resolve gift card Naira amount', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     const walletBefore = wallet.balance;
     let debitedWallet;
     try {
@@ -1155,6 +1164,8 @@ exports.purchaseGiftCard = async (req, res, next) => {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Gift card purchase: ${productId}`);
 
     const reference = `GC-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -1283,6 +1294,8 @@ exports.purchaseZenditGiftCard = async (req, res, next) => {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Zendit gift card: ${offerId}`);
 
     const reference = `GCZ-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -0,0 +1,28 @@
+const KycService = require('../services/kycService');
+
+exports.getKycStatus = async (req, res, next) => {
+  try {
+    const kyc = await KycService.getUserSubmission(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: { kyc },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.submitKyc = async (req, res, next) => {
+  try {
+    const kyc = await KycService.submit(req.user.id, req.body, req.files);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'KYC submitted successfully and is under review',
+      data: { kyc },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
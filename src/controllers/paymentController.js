@@ -3,61 +3,106 @@ const crypto = require('crypto');
 const Transaction = require('../models/Transaction');
 const Wallet = require('../models/Wallet');
 const User = require('../models/User');
-const { AppError } = require('../middlewares/errorHandler');
+const LedgerService = require('../services/ledgerService');
+const KycLimitService = require('../services/kycLimitService');
+const FeeService = require('../services/feeService');
+const { AppError, LimitExceededError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 
-const FUNDING_FEE = 50;
-
-function calculateNetFundingAmount(grossAmount) {
+async function calculateNetFundingAmount(grossAmount, { userId, channel = 'paystack' } = {}) {
   const parsedAmount = Number(grossAmount) || 0;
+  const { fee, breakdown } = await FeeService.quote({
+    transactionType: 'funding',
+    amount: parsedAmount,
+    channel,
+    userId,
+  });
 
   return {
     grossAmount: parsedAmount,
-    fee: FUNDING_FEE,
-    netAmount: Math.max(parsedAmount - FUNDING_FEE, 0),
+    fee,
+    netAmount: Math.max(parsedAmount - fee, 0),
+    feeBreakdown: breakdown,
   };
 }
 
 async function applyFundingToTransaction(transaction, grossAmount, metadata = {}, note = 'Payment confirmed') {
-  const { grossAmount: resolvedGrossAmount, fee, netAmount } = calculateNetFundingAmount(grossAmount);
-
-  let wallet = await Wallet.findOne({ user: transaction.user });
-  const previousBalance = wallet?.balance || 0;
-
-  if (wallet) {
-    wallet.balance += netAmount;
-    wallet.totalFunded += netAmount;
-    wallet.lastTransaction = new Date();
-    await wallet.save();
-  } else {
-    wallet = await Wallet.create({
-      user: transaction.user,
-      balance: netAmount,
-      totalFunded: netAmount,
-      lastTransaction: new Date(),
-    });
-  }
-
-  transaction.status = 'successful';
-  transaction.amount = netAmount;
-  transaction.fee = fee;
-  transaction.totalAmount = resolvedGrossAmount;
-  transaction.previousBalance = previousBalance;
-  transaction.newBalance = wallet.balance;
-  transaction.completedAt = new Date();
-  transaction.metadata = {
-    ...(transaction.metadata || {}),
+  const {
     grossAmount: resolvedGrossAmount,
-    fundingFee: fee,
+    fee,
     netAmount,
-    ...metadata,
-  };
-  transaction.statusHistory.push({
-    status: 'successful',
-    note: `${note}. Gross ₦${resolvedGrossAmount}, fee ₦${fee}, net credited ₦${netAmount}`,
-    timestamp: new Date(),
+    feeBreakdown,
+  } = await calculateNetFundingAmount(grossAmount, {
+    userId: transaction.user,
+    channel: transaction.metadata?.provider,
   });
-  await transaction.save();
+  const kycLimitBreach = await KycLimitService.reviewInboundFunding(transaction.user, netAmount, transaction.reference);
+
+  // The wallet, its journal and the transaction commit together so the
+  // ledger can never miss a funding.
+  const session = await Wallet.startSession();
+  let wallet;
+  let previousBalance = 0;
+
+  try {
+    session.startTransaction();
+
+    wallet = await Wallet.findOne({ user: transaction.user }).session(session);
+    previousBalance = wallet?.balance || 0;
+
+    if (wallet) {
+      wallet.balance += netAmount;
+      wallet.totalFunded += netAmount;
+      wallet.lastTransaction = new Date();
+      await wallet.save({ session });
+    } else {
+      [wallet] = await Wallet.create([{
+        user: transaction.user,
+        balance: netAmount,
+        totalFunded: netAmount,
+        lastTransaction: new Date(),
+      }], { session });
+    }
+
+    await LedgerService.recordWalletCredit(wallet, netAmount, {
+      entryType: 'funding',
+      counterAccount: LedgerService.ACCOUNTS.SUSPENSE,
+      fee,
+      reference: transaction.reference,
+      description: note,
+      session,
+    });
+
+    transaction.status = 'successful';
+    transaction.amount = netAmount;
+    transaction.fee = fee;
+    transaction.totalAmount = resolvedGrossAmount;
+    transaction.previousBalance = previousBalance;
+    transaction.newBalance = wallet.balance;
+    transaction.completedAt = new Date();
+    transaction.metadata = {
+      ...(transaction.metadata || {}),
+      grossAmount: resolvedGrossAmount,
+      fundingFee: fee,
+      feeBreakdown,
+      netAmount,
+      ...(kycLimitBreach && { kycLimitBreach }),
+      ...metadata,
+    };
+    transaction.statusHistory.push({
+      status: 'successful',
+      note: `${note}. Gross ₦${resolvedGrossAmount}, fee ₦${fee}, net credited ₦${netAmount}`,
+      timestamp: new Date(),
+    });
+    await transaction.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
 
   return { wallet, grossAmount: resolvedGrossAmount, fee, netAmount };
 }
@@ -74,6 +119,9 @@ exports.initializePaystackPayment = async (req, res, next) => {
     const user = await User.findById(userId);
     if (!user) return next(new AppError('User not found', 404));
 
+    await KycLimitService.assertWithinLimit(userId, 'funding', amount);
+
+    const { fee, netAmount, feeBreakdown } = await calculateNetFundingAmount(amount, { userId, channel: 'paystack' });
     const reference = `FUND-${Date.now()}-${userId.slice(-6)}-${Math.random().toString(36).substring(7)}`;
 
     const transaction = await Transaction.create({
@@ -81,7 +129,7 @@ exports.initializePaystackPayment = async (req, res, next) => {
       type: 'fund_wallet',
       category: 'funding',
       amount,
-      fee: FUNDING_FEE,
+      fee,
       totalAmount: amount,
       reference,
       status: 'pending',
@@ -89,8 +137,9 @@ exports.initializePaystackPayment = async (req, res, next) => {
         provider: 'paystack',
         initiatedAt: new Date(),
         grossAmount: amount,
-        fundingFee: FUNDING_FEE,
-        expectedNetAmount: Math.max(Number(amount) - FUNDING_FEE, 0),
+        fundingFee: fee,
+        feeBreakdown,
+        expectedNetAmount: netAmount,
       },
       statusHistory: [{ status: 'pending', note: 'Payment initiated', timestamp: new Date() }],
     });
@@ -116,11 +165,15 @@ exports.initializePaystackPayment = async (req, res, next) => {
         authorization_url: response.data.data.authorization_url,
         reference,
         transactionId: transaction._id,
-        fundingFee: FUNDING_FEE,
-        expectedNetAmount: Math.max(Number(amount) - FUNDING_FEE, 0),
+        fundingFee: fee,
+        expectedNetAmount: netAmount,
       },
     });
   } catch (error) {
+    if (error instanceof LimitExceededError) {
+      return next(error);
+    }
+
     logger.error('Error initializing Paystack payment:', error);
 
     if (error.response?.data?.transactionId) {
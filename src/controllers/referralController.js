@@ -2,6 +2,7 @@ const User = require('../models/User');
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const ReferralEarning = require('../models/ReferralEarning');
+const LedgerService = require('../services/ledgerService');
 const { AppError } = require('../middlewares/errorHandler');
 
 exports.getReferralList = async (req, res, next) => {
@@ -55,14 +56,19 @@ exports.getReferralList = async (req, res, next) => {
 };
 
 exports.moveBonusToWallet = async (req, res, next) => {
+  const session = await Wallet.startSession();
   try {
-    const wallet = await Wallet.findOne({ user: req.user.id });
+    session.startTransaction();
+
+    const wallet = await Wallet.findOne({ user: req.user.id }).session(session);
     if (!wallet) {
+      await session.abortTransaction();
       return next(new AppError('Wallet not found', 404));
     }
 
     const bonusAmount = Number(wallet.referralBonus || 0);
     if (bonusAmount <= 0) {
+      await session.abortTransaction();
       return res.status(400).json({
         status: 'error',
         message: 'No referral bonus available to move',
@@ -75,10 +81,17 @@ exports.moveBonusToWallet = async (req, res, next) => {
     wallet.totalReferralBonusMoved = Number(wallet.totalReferralBonusMoved || 0) + bonusAmount;
     wallet.referralBonus = 0;
     wallet.lastTransaction = new Date();
-    await wallet.save();
+    await wallet.save({ session });
 
     const reference = `REFBONUS-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-    await Transaction.create({
+    await LedgerService.recordWalletCredit(wallet, bonusAmount, {
+      entryType: 'referral_bonus',
+      counterAccount: LedgerService.ACCOUNTS.FEE_INCOME,
+      reference,
+      description: 'Referral bonus moved to wallet',
+      session,
+    });
+    await Transaction.create([{
       reference,
       user: req.user.id,
       type: 'fund_wallet',
@@ -100,7 +113,9 @@ exports.moveBonusToWallet = async (req, res, next) => {
           timestamp: new Date(),
         },
       ],
-    });
+    }], { session });
+
+    await session.commitTransaction();
 
     res.status(200).json({
       status: 'success',
@@ -112,6 +127,9 @@ exports.moveBonusToWallet = async (req, res, next) => {
       },
     });
   } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
     next(error);
+  } finally {
+    session.endSession();
   }
 };
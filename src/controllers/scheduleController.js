@@ -0,0 +1,98 @@
+const ScheduledPurchaseService = require('../services/scheduledPurchaseService');
+
+exports.getSchedules = async (req, res, next) => {
+  try {
+    const schedules = await ScheduledPurchaseService.listSchedules(req.user.id, { status: req.query.status });
+
+    res.status(200).json({
+      status: 'success',
+      results: schedules.length,
+      data: { schedules },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await ScheduledPurchaseService.getSchedule(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: { schedule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createSchedule = async (req, res, next) => {
+  try {
+    const schedule = await ScheduledPurchaseService.createSchedule(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Schedule created successfully',
+      data: { schedule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateSchedule = async (req, res, next) => {
+  try {
+    const schedule = await ScheduledPurchaseService.updateSchedule(req.user.id, req.params.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule updated successfully',
+      data: { schedule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.pauseSchedule = async (req, res, next) => {
+  try {
+    const schedule = await ScheduledPurchaseService.pauseSchedule(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule paused',
+      data: { schedule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resumeSchedule = async (req, res, next) => {
+  try {
+    const schedule = await ScheduledPurchaseService.resumeSchedule(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule resumed',
+      data: { schedule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.cancelSchedule = async (req, res, next) => {
+  try {
+    const schedule = await ScheduledPurchaseService.cancelSchedule(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule cancelled',
+      data: { schedule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
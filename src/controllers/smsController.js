@@ -5,6 +5,9 @@ const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const NotificationService = require('../services/NotificationService');
 const BulkSmsNigeriaService = require('../services/bulkSmsNigeriaService');
+const KycLimitService = require('../services/kycLimitService');
+const WalletService = require('../services/walletService');
+const WebhookVerificationService = require('../services/webhookVerificationService');
 
 const SERVER_URL = process.env.SERVER_URL || 'https://api.yareemadata.com';
 const ALLOWED_GATEWAYS = new Set(['direct-refund', 'direct-corporate', 'otp', 'dual-backup']);
@@ -72,24 +75,37 @@ exports.sendBulkSms = async (req, res, next) => {
       return next(new AppError('Wallet not found', 404));
     }
 
-    if (wallet.balance <= 0) {
+    // The provider only prices the message after sending, so the estimate is
+    // what the limit check and the wallet hold are made against.
+    const estimatedCost = BulkSmsNigeriaService.estimateCost(normalizedRecipients.recipients.length, body);
+    await KycLimitService.assertWithinLimit(user._id, 'transaction', estimatedCost);
+
+    if (!wallet.canDebit(estimatedCost)) {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
     const reference = customerReference || generateReference('SMS');
     const resolvedCallbackUrl = callbackUrl || `${SERVER_URL}/api/v1/sms/webhook/bulksmsnigeria`;
+    const description = `Bulk SMS to ${normalizedRecipients.recipients.length} recipient(s)`;
+
+    let heldWallet;
+    try {
+      heldWallet = await wallet.placeHold(estimatedCost, { reference, description });
+    } catch (error) {
+      return next(new AppError('Insufficient wallet balance', 400));
+    }
 
     const transaction = await Transaction.create({
       reference,
       user: user._id,
       type: 'bulk_sms',
       category: 'telecom',
-      amount: 0,
-      totalAmount: 0,
-      previousBalance: wallet.balance,
-      newBalance: wallet.balance,
+      amount: estimatedCost,
+      totalAmount: estimatedCost,
+      previousBalance: heldWallet.balance,
+      newBalance: heldWallet.balance,
       status: 'pending',
-      description: `Bulk SMS to ${normalizedRecipients.recipients.length} recipient(s)`,
+      description,
       service: {
         provider: 'bulksmsnigeria',
         phoneNumber: normalizedRecipients.to,
@@ -101,6 +117,8 @@ exports.sendBulkSms = async (req, res, next) => {
         gateway: gateway || null,
         appendSender,
         callbackUrl: resolvedCallbackUrl,
+        estimatedCost,
+        walletHold: WalletService.buildHoldMetadata(reference, estimatedCost),
       },
       statusHistory: [{ status: 'pending', note: 'Bulk SMS request initiated', timestamp: new Date() }],
     });
@@ -112,34 +130,38 @@ exports.sendBulkSms = async (req, res, next) => {
         body,
         gateway,
         appendSender,
-        callbackUrl: resolvedCallbackUrl,
+        callbackUrl: callbackUrl || WebhookVerificationService.withCallbackToken('bulksmsnigeria', resolvedCallbackUrl),
         customerReference: reference,
       });
 
-      const smsCost = Number(providerResponse.data?.cost || 0);
-      if (Number.isNaN(smsCost) || smsCost <= 0) {
-        throw new AppError('Bulk SMS provider did not return a valid SMS cost', 500);
+      const reportedCost = Number(providerResponse.data?.cost || 0);
+      const smsCost = Number.isNaN(reportedCost) || reportedCost <= 0 ? estimatedCost : reportedCost;
+      if (smsCost !== reportedCost) {
+        logger.warn(`Bulk SMS ${reference} returned no valid cost; charging the estimate of ₦${estimatedCost}`);
       }
 
-      if (wallet.balance < smsCost) {
-        transaction.status = 'failed';
-        transaction.providerResponse = providerResponse.raw;
-        transaction.failureReason = 'Provider accepted request but user wallet balance is insufficient for the final SMS cost';
-        transaction.statusHistory.push({
-          status: 'failed',
-          note: transaction.failureReason,
-          timestamp: new Date(),
-        });
-        await transaction.save();
-        return next(new AppError('Insufficient wallet balance for SMS cost', 400));
+      // The messages are already out, so a final cost above the estimate is
+      // still charged in full and any limit it breaks is recorded.
+      if (smsCost > estimatedCost) {
+        const overrun = await KycLimitService.evaluate(user._id, 'transaction', smsCost - estimatedCost);
+        if (!overrun.allowed) {
+          transaction.metadata = {
+            ...transaction.metadata,
+            kycLimitBreach: { code: overrun.code, ...overrun.details, flaggedAt: new Date() },
+          };
+          logger.warn(`Bulk SMS ${reference} final cost ₦${smsCost} breaks the KYC limit: ${overrun.code}`);
+        }
       }
 
-      await wallet.debit(smsCost, 'Bulk SMS purchase');
+      const settled = await WalletService.settleTransactionHold(transaction, 'capture', { amount: smsCost });
+      if (!settled) {
+        throw new AppError('Wallet hold for this SMS could not be captured', 500);
+      }
 
       transaction.amount = smsCost;
       transaction.totalAmount = smsCost;
-      transaction.previousBalance = wallet.balance + smsCost;
-      transaction.newBalance = wallet.balance;
+      transaction.previousBalance = settled.wallet.balance + smsCost;
+      transaction.newBalance = settled.wallet.balance;
       transaction.status = 'successful';
       transaction.service.orderId = providerResponse.data?.message_id || reference;
       transaction.providerResponse = providerResponse.raw;
@@ -172,6 +194,9 @@ exports.sendBulkSms = async (req, res, next) => {
         },
       });
     } catch (error) {
+      if (WalletService.hasOpenHold(transaction)) {
+        await WalletService.settleTransactionHold(transaction, 'release');
+      }
       transaction.status = 'failed';
       transaction.failureReason = error.message;
       transaction.statusHistory.push({
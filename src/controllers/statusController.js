@@ -0,0 +1,17 @@
+const ServiceStatusService = require('../services/serviceStatusService');
+const logger = require('../utils/logger');
+
+exports.getServiceStatus = async (req, res, next) => {
+  try {
+    const status = await ServiceStatusService.getStatus();
+
+    res.set('Cache-Control', `public, max-age=${Math.floor(ServiceStatusService.getCacheTtlMs() / 1000)}`);
+    res.status(200).json({
+      status: 'success',
+      data: status,
+    });
+  } catch (error) {
+    logger.error('Error building service status:', error);
+    next(error);
+  }
+};
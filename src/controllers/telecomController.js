@@ -2,7 +2,8 @@
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Wallet = require("../models/Wallet");
-const { AppError } = require('../middlewares/errorHandler');
+const WalletService = require('../services/walletService');
+const { AppError, LimitExceededError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
 const NotificationService = require('../services/NotificationService');
@@ -11,7 +12,6 @@ const VtuProviderService = require('../services/vtuProviderService');
 const AirtimeNigeriaService = require('../services/airtimeNigeriaService');
 const SmePlugService = require('../services/smePlugService');
 const PluginngService = require('../services/pluginngService');
-const AlrahuzDataService = require('../services/alrahuzDataService');
 const ArewaService = require('../services/arewaService');
 const ReloadlyGiftCardService = require('../services/reloadlyGiftCardService');
 const ReloadlyAirtimeService = require('../services/reloadlyAirtimeService');
@@ -19,7 +19,14 @@ const FxRateService = require('../services/fxRateService');
 const AlrahuzDataReconciliationService = require('../services/alrahuzDataReconciliationService');
 const ProviderPurchaseGuardService = require('../services/providerPurchaseGuardService');
 const ProviderMarkupService = require('../services/providerMarkupService');
+const ProviderRegistry = require('../services/providerRegistry');
+const ProviderRoutingService = require('../services/providerRoutingService');
+const ProviderCircuitBreaker = require('../services/providerCircuitBreaker');
+const ProviderApiLogService = require('../services/providerApiLogService');
 const VtuTransactionLifecycleService = require('../services/vtuTransactionLifecycleService');
+const KycLimitService = require('../services/kycLimitService');
+const WebhookVerificationService = require('../services/webhookVerificationService');
+const MaintenanceService = require('../services/maintenanceService');
 const vtuConfig = require('../config/vtuProviders');
 const crypto = require('crypto');
 
@@ -278,47 +285,14 @@ function formatAvailableDataTypes(availableTypes = {}, network = null) {
   return availableTypes?.byNetwork || {};
 }
 
-function hasGroupedPlans(groupedPlans = {}) {
-  if (!groupedPlans || typeof groupedPlans !== 'object') return false;
-  return Object.values(groupedPlans).some((plans) => Array.isArray(plans) && plans.length > 0);
-}
-
-function normalizeGroupedDataPlans(source, rawPlans) {
-  if (!rawPlans) return {};
-
-  if (source === 'alrahuzdata') {
-    if (
-      rawPlans
-      && typeof rawPlans === 'object'
-      && rawPlans.data
-      && typeof rawPlans.data === 'object'
-      && !Array.isArray(rawPlans.data)
-      && hasGroupedPlans(rawPlans.data)
-    ) {
-      return rawPlans.data;
-    }
-
-    if (rawPlans?.raw) {
-      const fromRaw = vtuConfig.transformDataPlans(source, rawPlans.raw) || {};
-      if (hasGroupedPlans(fromRaw)) {
-        return fromRaw;
-      }
-    }
-  }
-
-  return vtuConfig.transformDataPlans(source, rawPlans) || {};
-}
-
 async function getConfiguredDataPlans(providerId, network = null, includeUnavailable = true, dataType = null) {
   const providerConfig = vtuConfig.providers[providerId];
   if (!providerConfig) return [];
 
-  const source = providerConfig.source || providerId;
-  const DataService = vtuConfig.getDataPlansService(source);
-  if (!DataService || !DataService.getDataPlans) return [];
+  const adapter = ProviderRegistry.getAdapter(providerId);
+  if (!adapter?.supports('listPlans')) return [];
 
-  const rawPlans = await DataService.getDataPlans(normalizeNetwork(network));
-  const groupedPlans = normalizeGroupedDataPlans(source, rawPlans);
+  const groupedPlans = await adapter.listPlans(normalizeNetwork(network));
   const flatPlans = [];
 
   for (const [networkKey, plans] of Object.entries(groupedPlans)) {
@@ -391,16 +365,6 @@ async function resolveDataPricing({ providerId, network, planIdentifier, allowUn
   };
 }
 
-function isProviderBalanceError(error) {
-  const message = `${error?.response?.data?.message || ''} ${error?.message || ''}`.toLowerCase();
-  return (
-    (message.includes('insufficient') && message.includes('balance'))
-    || message.includes('service is temporarily unavailable at the moment')
-    || message.includes('provider balance unavailable')
-    || (message.includes('unable to verify') && message.includes('balance'))
-  );
-}
-
 function shouldBypassProviderBalanceCheck(providerConfig, error) {
   if (providerConfig?.source !== 'pluginng') {
     return false;
@@ -410,32 +374,6 @@ function shouldBypassProviderBalanceCheck(providerConfig, error) {
   return message.includes('unable to verify') || message.includes('not exposed');
 }
 
-function getProviderAttemptOrder(network, preferredProvider) {
-  const ordered = [];
-
-  if (preferredProvider) {
-    ordered.push(preferredProvider);
-  }
-
-  for (const provider of VtuProviderService.getProvidersForNetwork(network)) {
-    if (!ordered.includes(provider.id) && provider.supportedServices.includes('data_recharge')) {
-      ordered.push(provider.id);
-    }
-  }
-
-  return ordered;
-}
-
-function normalizePhoneForSmePlug(phoneNumber) {
-  if (phoneNumber.startsWith('0')) {
-    return `234${phoneNumber.substring(1)}`;
-  }
-  if (!phoneNumber.startsWith('234')) {
-    return `234${phoneNumber}`;
-  }
-  return phoneNumber;
-}
-
 async function applyProviderMarkupToGroupedPlans(groupedPlans = {}, providerId, serviceType = 'data_recharge') {
   const result = {};
   for (const [network, plans] of Object.entries(groupedPlans || {})) {
@@ -483,87 +421,14 @@ function normalizeNigerianPhoneNumber(phoneNumber = '') {
   return '';
 }
 
-function normalizeCallbackStatus(input = '') {
-  return String(input || '').trim().toUpperCase();
-}
-
-function extractNelloCallbackFields(data = {}) {
-  return {
-    orderId: String(data.orderid || data.orderId || '').trim(),
-    requestId: String(data.requestid || data.requestId || '').trim(),
-    statusCode: String(data.statuscode || data.statusCode || '').trim(),
-    orderStatus: normalizeCallbackStatus(data.orderstatus || data.orderStatus),
-    rawStatus: normalizeCallbackStatus(data.status),
-    remark: data.orderremark || data.orderRemark || data.remark || data.message || '',
-  };
-}
-
-function classifyNelloCallbackStatus({ statusCode = '', orderStatus = '', rawStatus = '' } = {}) {
-  const code = String(statusCode).trim();
-  const normalizedOrderStatus = normalizeCallbackStatus(orderStatus);
-  const normalizedRawStatus = normalizeCallbackStatus(rawStatus);
-  const statusSignals = [normalizedOrderStatus, normalizedRawStatus].filter(Boolean);
-
-  if (code === '200' || statusSignals.includes('ORDER_COMPLETED')) {
-    return 'successful';
-  }
-
-  if (code === '100' || statusSignals.includes('ORDER_RECEIVED') || statusSignals.includes('ORDER_ONHOLD')) {
-    return 'pending';
-  }
-
-  const explicitFailureStatuses = new Set([
-    'INVALID_CREDENTIALS',
-    'MISSING_CREDENTIALS',
-    'MISSING_USERID',
-    'MISSING_APIKEY',
-    'MISSING_MOBILENETWORK',
-    'MISSING_AMOUNT',
-    'INVALID_AMOUNT',
-    'MINIMUM_50',
-    'MINIMUM_200000',
-    'INVALID_RECIPIENT',
-    'FAILED',
-    'FAIL',
-    'ERROR',
-    'REJECTED',
-    'CANCELLED',
-    'ORDER_CANCELLED',
-    'ORDER_FAILED',
-    'INVALID_MOBILE_NUMBER',
-    'INVALID_ACCOUNTNO',
-    'INSUFFICIENT_BALANCE',
-  ]);
-
-  if (code && !['100', '200'].includes(code)) {
-    return 'failed';
-  }
-
-  if (statusSignals.some((signal) => explicitFailureStatuses.has(signal))) {
-    return 'failed';
-  }
-
-  return 'unknown';
-}
-
-async function resolvePluginngDataSubcategory({ attemptPricing = {}, network, planIdentifier }) {
-  const fromPricing = (
-    attemptPricing?.providerMeta?.subcategoryId ||
-    attemptPricing?.variationCode ||
-    attemptPricing?.providerMeta?.subcategory_id ||
-    null
-  );
-
-  if (fromPricing) {
-    return String(fromPricing);
-  }
-
-  return PluginngService.resolveDataSubcategoryId(network, attemptPricing?.providerPlanId || attemptPricing?.planCode || attemptPricing?.planName || planIdentifier);
-}
-
 async function refundTransactionToWallet(transaction, reason = 'Transaction refund', amountOverride = null) {
   if (!transaction) return null;
 
+  if (transaction.metadata?.walletHold && transaction.metadata.walletHold.status !== 'captured') {
+    await WalletService.settleTransactionHold(transaction, 'release');
+    return Wallet.findOne({ user: transaction.user });
+  }
+
   const alreadyRefunded =
     transaction?.metadata?.refundProcessed === true ||
     (
@@ -581,7 +446,11 @@ async function refundTransactionToWallet(transaction, reason = 'Transaction refu
 
   const refundAmount = Number(amountOverride ?? transaction.amount ?? 0);
   if (refundAmount > 0) {
-    await wallet.credit(refundAmount, reason);
+    await wallet.credit(refundAmount, {
+      entryType: 'refund',
+      reference: transaction.reference,
+      description: reason,
+    });
   }
 
   transaction.metadata = {
@@ -626,11 +495,10 @@ exports.getDataPlans = async (req, res, next) => {
       return res.status(200).json(cachedResponse);
     }
 
-    const DataService = vtuConfig.getDataPlansService(selectedSource);
-    
-    if (DataService && DataService.getDataPlans) {
-      const rawPlans = await DataService.getDataPlans(normalizedNetwork);
-      const unifiedPlans = normalizeGroupedDataPlans(selectedSource, rawPlans);
+    const adapter = ProviderRegistry.getAdapterBySource(selectedSource);
+
+    if (adapter?.supports('listPlans')) {
+      const unifiedPlans = await adapter.listPlans(normalizedNetwork);
       const availableTypes = buildAvailableDataTypesFromGroupedPlans(unifiedPlans);
       let responseData = applyDataTypeOnUnifiedPlans(unifiedPlans, normalizedDataType);
       responseData = await applyProviderMarkupToGroupedPlans(responseData, selectedProviderId, 'data_recharge');
@@ -697,10 +565,12 @@ exports.purchaseData = async (req, res, next) => {
     if (!planIdentifier) {
       return next(new AppError('Data plan is required (dataPlan or planId)', 400));
     }
-    if (!transactionPin) {
+    if (!transactionPin && !req.scheduledPurchase) {
       return next(new AppError('Transaction PIN is required', 400));
     }
 
+    await MaintenanceService.assertServiceAvailable({ serviceType: 'data_recharge', network: normalizedNetwork });
+
     if (!/^(?:\+234|0)[789][01]\d{8}$/.test(phoneNumber)) {
       return next(new AppError('Invalid phone number', 400));
     }
@@ -710,7 +580,7 @@ exports.purchaseData = async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
-    const isPinValid = await user.compareTransactionPin(transactionPin);
+    const isPinValid = req.scheduledPurchase || await user.compareTransactionPin(transactionPin);
     if (!isPinValid) {
       return next(new AppError('Invalid transaction PIN', 401));
     }
@@ -756,16 +626,17 @@ exports.purchaseData = async (req, res, next) => {
     });
     const chargedAmount = chargePricing.chargedAmount;
 
-    if (wallet.balance < chargedAmount) {
+    if (wallet.availableBalance < chargedAmount) {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
-    await wallet.debit(chargedAmount, `Data purchase: ${network} ${planIdentifier}`);
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
 
     const reference = generateReference('DATA');
-    const nelloCallbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/nellobytes`;
-    const airtimeNigeriaCallbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/airtimenigeria`;
-    const smePlugCallbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/smeplug`;
+    const heldWallet = await wallet.placeHold(chargedAmount, {
+      reference,
+      description: `Data purchase: ${network} ${planIdentifier}`,
+    });
 
     const transaction = await Transaction.create({
       reference,
@@ -774,8 +645,8 @@ exports.purchaseData = async (req, res, next) => {
       category: 'telecom',
       amount: chargedAmount,
       totalAmount: chargedAmount,
-      previousBalance: wallet.balance + chargedAmount,
-      newBalance: wallet.balance,
+      previousBalance: heldWallet.balance,
+      newBalance: heldWallet.balance,
       status: 'pending',
       description: `${normalizedNetwork.toUpperCase()} ${requestedPricing?.planName || planIdentifier} for ${phoneNumber}`,
       service: {
@@ -789,19 +660,37 @@ exports.purchaseData = async (req, res, next) => {
         chargedAmount,
         markupPercentage: chargePricing.percentage,
         markupAmount: chargePricing.markupAmount,
+        walletHold: WalletService.buildHoldMetadata(reference, chargedAmount),
       },
       statusHistory: [{ status: 'pending', note: `Purchase initiated via ${requestedProvider}`, timestamp: new Date() }],
     });
 
     try {
-      let apiResponse;
+      let purchase;
       let successfulProvider = requestedProvider;
+      let successfulAdapter;
       let activePricing = requestedPricing;
       let lastProviderError;
 
-      for (const providerId of getProviderAttemptOrder(normalizedNetwork, requestedProvider)) {
+      const routes = await ProviderRoutingService.rankProviders({
+        serviceType: 'data_recharge',
+        network: normalizedNetwork,
+        planIdentifier,
+        amount: providerPrice,
+        preferredProvider: requestedProvider,
+      });
+
+      for (const route of routes) {
+        const providerId = route.providerId;
         const providerConfig = vtuConfig.providers[providerId];
-        if (!providerConfig) {
+        const adapter = ProviderRegistry.getAdapter(providerId);
+        const attempt = ProviderRoutingService.startAttempt(providerId, route.score);
+
+        try {
+          await ProviderCircuitBreaker.acquire(providerId, 'data_recharge');
+        } catch (circuitError) {
+          lastProviderError = circuitError;
+          ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'skipped', error: circuitError });
           continue;
         }
 
@@ -816,148 +705,129 @@ exports.purchaseData = async (req, res, next) => {
             });
 
         if (!attemptPricing || attemptPricing.isAvailable === false) {
+          ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'skipped', error: 'Plan not available' });
           continue;
         }
 
         try {
-          try {
-            await ProviderPurchaseGuardService.assertSufficientProviderBalance(
-              providerId,
-              Number(attemptPricing?.sellingPrice || providerPrice),
-              { serviceType: 'data_recharge', network: normalizedNetwork, phoneNumber }
-            );
-          } catch (balanceCheckError) {
-            if (!shouldBypassProviderBalanceCheck(providerConfig, balanceCheckError)) {
-              throw balanceCheckError;
-            }
-            logger.warn(`Skipping provider balance guard for ${providerId}: ${balanceCheckError.message}`);
+          await ProviderPurchaseGuardService.assertSufficientProviderBalance(
+            providerId,
+            Number(attemptPricing?.sellingPrice || providerPrice),
+            { serviceType: 'data_recharge', network: normalizedNetwork, phoneNumber }
+          );
+        } catch (balanceCheckError) {
+          if (!shouldBypassProviderBalanceCheck(providerConfig, balanceCheckError)) {
+            lastProviderError = balanceCheckError;
+            ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'skipped', error: balanceCheckError });
+            continue;
           }
+          logger.warn(`Skipping provider balance guard for ${providerId}: ${balanceCheckError.message}`);
+        }
 
-          if (providerConfig.source === 'airtimenigeria') {
-            apiResponse = await AirtimeNigeriaService.purchaseData({
-              phone: phoneNumber,
-              variationCode: attemptPricing.variationCode,
-              packageCode: attemptPricing.planCode || attemptPricing.providerPlanId || planIdentifier,
-              planId: attemptPricing.providerPlanId,
-              callbackUrl: airtimeNigeriaCallbackUrl,
-              customerReference: reference,
-            });
-          } else if (providerConfig.source === 'smeplug') {
-            apiResponse = await SmePlugService.purchaseData({
-              phone: normalizePhoneForSmePlug(phoneNumber),
-              network: normalizedNetwork,
-              planId: attemptPricing.providerPlanId || attemptPricing.planCode || planIdentifier,
-              customerReference: reference,
-              callbackUrl: smePlugCallbackUrl,
-            });
-          } else if (providerConfig.source === 'pluginng') {
-            const subcategoryId = await resolvePluginngDataSubcategory({
-              attemptPricing,
-              network: normalizedNetwork,
-              planIdentifier,
-            });
-            if (!subcategoryId) {
-              throw new AppError('Pluginng data plan is missing subcategory configuration', 400);
-            }
-
-            apiResponse = await PluginngService.purchaseData({
-              planId: attemptPricing.providerPlanId || attemptPricing.planCode || attemptPricing.planName || planIdentifier,
-              phoneNumber,
-              subcategoryId,
-              customReference: reference,
-            });
-          } else if (providerConfig.source === 'alrahuzdata') {
-            apiResponse = await AlrahuzDataService.purchaseData({
+        try {
+          const result = await ProviderApiLogService.withReference(reference, () => (
+            ProviderCircuitBreaker.track(providerId, 'data_recharge', () => adapter.purchaseData({
               network: normalizedNetwork,
-              planId: attemptPricing.providerPlanId || attemptPricing.planCode || attemptPricing.planName || planIdentifier,
               phoneNumber,
-              customReference: reference,
-            });
-          } else {
-            apiResponse = await NelloBytesService.purchaseData({
-              network: normalizedNetwork,
-              dataPlan: attemptPricing.providerPlanId || attemptPricing.planCode || planIdentifier,
-              mobileNumber: phoneNumber,
-              callBackURL: nelloCallbackUrl,
+              plan: attemptPricing,
+              planIdentifier,
+              reference,
+            }))
+          ));
+
+          if (result.status === 'failed') {
+            lastProviderError = new AppError(result.message || 'Purchase failed', 400);
+            ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'failed', error: lastProviderError });
+            transaction.statusHistory.push({
+              status: 'pending',
+              note: `${providerId} rejected the order: ${lastProviderError.message}`,
+              timestamp: new Date(),
             });
+            continue;
           }
 
-          successfulProvider = providerId;
-          activePricing = attemptPricing;
-          break;
+          purchase = result;
+          ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'accepted', orderId: result.orderId });
         } catch (providerError) {
           lastProviderError = providerError;
-          if (!isProviderBalanceError(providerError)) {
-            throw providerError;
+          if (ProviderRoutingService.isDefinitiveFailure(providerError)) {
+            ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'failed', error: providerError });
+            transaction.statusHistory.push({
+              status: 'pending',
+              note: `${providerId} rejected the order: ${providerError.message}`,
+              timestamp: new Date(),
+            });
+            continue;
           }
+
+          // The provider may still deliver, so failing over could send the
+          // bundle twice. Keep the hold and let polling settle the order.
+          ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'ambiguous', error: providerError });
+          purchase = ProviderRoutingService.unconfirmedOrder(reference, providerError);
         }
+
+        successfulProvider = providerId;
+        successfulAdapter = adapter;
+        activePricing = attemptPricing;
+        break;
       }
 
-      if (!apiResponse) {
+      if (!purchase) {
         throw lastProviderError || new AppError('Service Temporarily Unavailable', 503);
       }
 
-      if (
-        apiResponse.success
-        || apiResponse.status === 'success'
-        || apiResponse.status === 'pending'
-        || apiResponse.statusCode === '100'
-        || apiResponse.statusCode === '0'
-      ) {
-        transaction.status = 'pending';
-        transaction.service.provider = successfulProvider;
-        transaction.service.plan = activePricing?.providerPlanId || activePricing?.variationCode || activePricing?.planCode || planIdentifier;
-        const providerOrderId = apiResponse.reference
-          || apiResponse.orderId
-          || apiResponse.raw?.id
-          || apiResponse.raw?.data?.id
-          || reference;
-        transaction.service.orderId = providerOrderId;
-        transaction.provider = {
-          ...(transaction.provider || {}),
-          name: successfulProvider,
-          providerReference: providerOrderId,
-          providerResponse: apiResponse,
-        };
-        transaction.statusHistory.push({ 
-          status: 'pending', 
-          note: `Order received from ${successfulProvider}: ${providerOrderId}`, 
-          timestamp: new Date() 
-        });
-        await transaction.save();
+      const providerOrderId = purchase.orderId || reference;
+      transaction.status = 'pending';
+      transaction.service.provider = successfulProvider;
+      transaction.service.plan = activePricing?.providerPlanId || activePricing?.variationCode || activePricing?.planCode || planIdentifier;
+      transaction.service.orderId = providerOrderId;
+      transaction.provider = {
+        ...(transaction.provider || {}),
+        name: successfulProvider,
+        providerReference: providerOrderId,
+        providerResponse: purchase.raw,
+      };
+      transaction.statusHistory.push({
+        status: 'pending',
+        note: purchase.status === 'pending'
+          ? `Order received from ${successfulProvider}: ${providerOrderId}`
+          : purchase.message || `Order received from ${successfulProvider}`,
+        timestamp: new Date(),
+      });
+      await transaction.save();
 
-        if (vtuConfig.providers[successfulProvider]?.source === 'alrahuzdata' && providerOrderId) {
-          try {
-            await reconcileAlrahuzDataTransaction(transaction, providerOrderId);
-          } catch (syncError) {
-            logger.warn(`Alrahuz status sync skipped for ${reference}: ${syncError.message}`);
-          }
-        } else if (transaction.status === 'pending') {
-          try {
-            await VtuTransactionLifecycleService.schedulePolling(transaction._id, {
-              attempt: 1,
-              reason: 'data-initial',
-            });
-          } catch (pollError) {
-            logger.warn(`Failed to enqueue data polling for ${reference}: ${pollError.message}`);
-          }
+      if (successfulAdapter.reconcilesOnPurchase && purchase.orderId) {
+        try {
+          await successfulAdapter.reconcilePurchase(transaction, providerOrderId);
+        } catch (syncError) {
+          logger.warn(`${successfulAdapter.displayName} status sync skipped for ${reference}: ${syncError.message}`);
         }
+      } else {
+        try {
+          await VtuTransactionLifecycleService.schedulePolling(transaction._id, {
+            attempt: 1,
+            reason: 'data-initial',
+          });
+        } catch (pollError) {
+          logger.warn(`Failed to enqueue data polling for ${reference}: ${pollError.message}`);
+        }
+      }
 
-        const localStatus = transaction.status || 'pending';
-        const responseMessage = localStatus === 'successful'
-          ? 'Data purchase successful'
-          : localStatus === 'failed'
-            ? 'Data purchase failed and wallet refunded'
-            : 'Data purchase initiated successfully';
+      const localStatus = transaction.status || 'pending';
+      const responseMessage = localStatus === 'successful'
+        ? 'Data purchase successful'
+        : localStatus === 'failed'
+          ? 'Data purchase failed and held funds released'
+          : 'Data purchase initiated successfully';
 
-        res.status(200).json({
-          status: 'success',
-          message: responseMessage,
-          data: {
-            reference,
-            orderId: providerOrderId,
-            phoneNumber,
-            network: normalizedNetwork,
+      res.status(200).json({
+        status: 'success',
+        message: responseMessage,
+        data: {
+          reference,
+          orderId: providerOrderId,
+          phoneNumber,
+          network: normalizedNetwork,
           dataPlan: activePricing?.planName || planIdentifier,
           dataType: normalizeDataType(activePricing?.providerPlanType || extractDataTypeFromPlanName(activePricing?.planName || '')) || 'other',
           amount: chargedAmount,
@@ -968,66 +838,8 @@ exports.purchaseData = async (req, res, next) => {
           },
           status: localStatus,
           provider: successfulProvider,
-          },
-        });
-      } else {
-        const explicitlyFailed =
-          apiResponse.failed === true
-          || apiResponse.reversed === true
-          || apiResponse.status === 'failed'
-          || apiResponse.status === 'error'
-          || apiResponse.status === 'reversed';
-
-        if (explicitlyFailed) {
-          throw new AppError(apiResponse.message || apiResponse.note || 'Purchase failed', 400);
-        }
-
-        transaction.status = 'pending';
-        transaction.service.provider = successfulProvider;
-        transaction.service.orderId = apiResponse.reference
-          || apiResponse.orderId
-          || apiResponse.raw?.id
-          || reference;
-        transaction.provider = {
-          ...(transaction.provider || {}),
-          name: successfulProvider,
-          providerReference: transaction.service.orderId,
-          providerResponse: apiResponse,
-        };
-        transaction.statusHistory.push({
-          status: 'pending',
-          note: apiResponse.message || apiResponse.note || `Order received from ${successfulProvider}`,
-          timestamp: new Date(),
-        });
-        await transaction.save();
-        try {
-          await VtuTransactionLifecycleService.schedulePolling(transaction._id, {
-            attempt: 1,
-            reason: 'data-initial',
-          });
-        } catch (pollError) {
-          logger.warn(`Failed to enqueue data polling for ${reference}: ${pollError.message}`);
-        }
-        res.status(200).json({
-          status: 'success',
-          message: 'Data purchase initiated successfully',
-          data: {
-            reference,
-            orderId: transaction.service.orderId,
-            phoneNumber,
-            network: normalizedNetwork,
-            dataPlan: activePricing?.planName || planIdentifier,
-            amount: chargedAmount,
-            providerAmount: providerPrice,
-            markup: {
-              percentage: chargePricing.percentage,
-              amount: chargePricing.markupAmount,
-            },
-            status: 'pending',
-            provider: successfulProvider,
-          },
-        });
-      }
+        },
+      });
     } catch (err) {
       
       await refundTransactionToWallet(transaction, 'Data purchase refund', chargedAmount);
@@ -1097,7 +909,7 @@ exports.purchaseAirtime = async (req, res, next) => {
     const normalizedPhoneNumber = normalizeNigerianPhoneNumber(phoneNumber);
     const parsedAmount = Number(amount);
 
-    if (!phoneNumber || !network || !amount || !transactionPin) {
+    if (!phoneNumber || !network || !amount || (!transactionPin && !req.scheduledPurchase)) {
       return next(new AppError("All fields required", 400));
     }
 
@@ -1113,9 +925,10 @@ exports.purchaseAirtime = async (req, res, next) => {
       return next(new AppError("Airtime amount must be between 50 and 200000", 400));
     }
 
+    await MaintenanceService.assertServiceAvailable({ serviceType: 'airtime_recharge', network: normalizedNetwork });
+
     const defaultProvider = await vtuConfig.getProviderIdForService('airtime');
     let activeProvider = defaultProvider;
-    const providerConfig = vtuConfig.providers[activeProvider];
 
     const user = await User.findById(req.user.id).select("+transactionPin");
 
@@ -1123,7 +936,7 @@ exports.purchaseAirtime = async (req, res, next) => {
       return next(new AppError("User not found", 404));
     }
 
-    const isValidPin = await user.compareTransactionPin(transactionPin);
+    const isValidPin = req.scheduledPurchase || await user.compareTransactionPin(transactionPin);
     if (!isValidPin) {
       return next(new AppError("Invalid transaction PIN", 401));
     }
@@ -1145,19 +958,6 @@ exports.purchaseAirtime = async (req, res, next) => {
       return next(new AppError("Insufficient wallet balance", 400));
     }
 
-    try {
-      await ProviderPurchaseGuardService.assertSufficientProviderBalance(
-        activeProvider,
-        parsedAmount,
-        { serviceType: 'airtime_recharge', network: normalizedNetwork, phoneNumber: normalizedPhoneNumber }
-      );
-    } catch (balanceCheckError) {
-      if (!shouldBypassProviderBalanceCheck(providerConfig, balanceCheckError)) {
-        throw balanceCheckError;
-      }
-      logger.warn(`Skipping provider balance guard for ${activeProvider}: ${balanceCheckError.message}`);
-    }
-
     const networkCode = networkMap[normalizedNetwork.toUpperCase()];
     if (!networkCode) {
       return next(new AppError("Invalid network selected", 400));
@@ -1170,6 +970,8 @@ exports.purchaseAirtime = async (req, res, next) => {
     const profitPercent = profitConfig[normalizedNetwork.toUpperCase()] || 0;
     const profit = (profitPercent / 100) * parsedAmount;
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, "Airtime purchase");
 
     const transaction = await Transaction.create({
@@ -1202,138 +1004,106 @@ exports.purchaseAirtime = async (req, res, next) => {
       ],
     });
 
-    let apiResponse;
-    let responseData;
+    let purchase;
     let successfulProvider = activeProvider;
-    const airtimeCallbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/airtimenigeria`;
-
-    const candidateProviders = [activeProvider];
-    for (const provider of VtuProviderService.getProvidersForNetwork(normalizedNetwork)) {
-      if (
-        provider?.id !== activeProvider
-        && provider?.supportedServices?.includes('airtime_recharge')
-        && !candidateProviders.includes(provider.id)
-      ) {
-        candidateProviders.push(provider.id);
-      }
-    }
+
+    const routes = await ProviderRoutingService.rankProviders({
+      serviceType: 'airtime_recharge',
+      network: normalizedNetwork,
+      amount: parsedAmount,
+      preferredProvider: activeProvider,
+    });
 
     let lastAirtimeError = null;
-    for (const providerId of candidateProviders) {
-      const providerConfigTried = vtuConfig.providers[providerId];
-      if (!providerConfigTried) continue;
+    for (const route of routes) {
+      const providerId = route.providerId;
+      const adapter = ProviderRegistry.getAdapter(providerId);
+      const attempt = ProviderRoutingService.startAttempt(providerId, route.score);
 
       try {
-        if (providerConfigTried.source === 'airtimenigeria') {
-          apiResponse = await AirtimeNigeriaService.purchaseAirtime({
-            network: normalizedNetwork,
-            phone: normalizedPhoneNumber,
-            amount: parsedAmount,
-            maxAmount: parsedAmount,
-            callbackUrl: airtimeCallbackUrl,
-            customerReference: requestId,
-          });
-          responseData = {
-            status: apiResponse.success ? "ORDER_RECEIVED" : "FAILED",
-            orderid: apiResponse.reference,
-            raw: apiResponse,
-          };
-
-        } else if (providerConfigTried.source === 'smeplug') {
-          const smeCallbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/smeplug`;
-          apiResponse = await SmePlugService.purchaseAirtime({
-            phone: normalizePhoneForSmePlug(normalizedPhoneNumber),
-            network: normalizedNetwork,
-            amount: parsedAmount,
-            customerReference: requestId,
-            callbackUrl: smeCallbackUrl,
-          });
-          responseData = {
-            status: apiResponse.success ? "ORDER_RECEIVED" : "FAILED",
-            orderid: apiResponse.reference,
-            raw: apiResponse,
-          };
-        } else if (providerConfigTried.source === 'pluginng') {
-          const subcategoryId = await PluginngService.getAirtimeSubcategoryId(normalizedNetwork);
-          if (!subcategoryId) {
-            throw new AppError(`Pluginng airtime subcategory was not found for ${normalizedNetwork}`, 400);
-          }
-
-          apiResponse = await PluginngService.purchaseAirtime({
-            amount: parsedAmount,
-            phoneNumber: normalizedPhoneNumber,
-            subcategoryId,
-            customReference: requestId,
-          });
+        await ProviderCircuitBreaker.acquire(providerId, 'airtime_recharge');
+      } catch (circuitError) {
+        lastAirtimeError = circuitError;
+        ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'skipped', error: circuitError });
+        continue;
+      }
 
-          const providerStatus = String(apiResponse.status || '').toLowerCase();
-          responseData = {
-            status: ['success', 'pending'].includes(providerStatus) ? "ORDER_RECEIVED" : "FAILED",
-            orderid: apiResponse.orderId || apiResponse.reference || requestId,
-            raw: apiResponse,
-          };
+      try {
+        await ProviderPurchaseGuardService.assertSufficientProviderBalance(
+          providerId,
+          parsedAmount,
+          { serviceType: 'airtime_recharge', network: normalizedNetwork, phoneNumber: normalizedPhoneNumber }
+        );
+      } catch (balanceCheckError) {
+        if (!shouldBypassProviderBalanceCheck(vtuConfig.providers[providerId], balanceCheckError)) {
+          lastAirtimeError = balanceCheckError;
+          ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'skipped', error: balanceCheckError });
+          continue;
+        }
+        logger.warn(`Skipping provider balance guard for ${providerId}: ${balanceCheckError.message}`);
+      }
 
-        } else if (providerConfigTried.source === 'alrahuzdata') {
-          apiResponse = await AlrahuzDataService.purchaseAirtime({
+      try {
+        purchase = await ProviderApiLogService.withReference(requestId, () => (
+          ProviderCircuitBreaker.track(providerId, 'airtime_recharge', () => adapter.purchaseAirtime({
             network: normalizedNetwork,
-            amount: parsedAmount,
             phoneNumber: normalizedPhoneNumber,
-            customReference: requestId,
-          });
-
-          const providerStatus = String(apiResponse.status || '').toLowerCase();
-          responseData = {
-            status: ['success', 'pending'].includes(providerStatus) ? "ORDER_RECEIVED" : "FAILED",
-            orderid: apiResponse.orderId || apiResponse.reference || requestId,
-            raw: apiResponse,
-          };
-
-        } else {
-          apiResponse = await NelloBytesService.purchaseAirtime({
-            network: normalizedNetwork,
             amount: parsedAmount,
-            mobileNumber: normalizedPhoneNumber,
-            requestId,
-            callBackURL: AIRTIME_CALLBACK_URL,
+            reference: requestId,
             bonusType,
+          }))
+        ));
+        successfulProvider = providerId;
+
+        if (purchase.status === 'failed') {
+          ProviderRoutingService.recordAttempt(transaction, attempt, {
+            outcome: 'failed',
+            error: purchase.message || 'Provider rejected request',
           });
-          responseData = apiResponse.response;
+          continue;
         }
 
-        successfulProvider = providerId;
+        ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'accepted', orderId: purchase.orderId });
         break;
       } catch (providerError) {
         lastAirtimeError = providerError;
         logger.warn(`Airtime provider ${providerId} failed for ${normalizedNetwork}: ${providerError?.message}`);
+
+        if (ProviderRoutingService.isDefinitiveFailure(providerError)) {
+          ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'failed', error: providerError });
+          continue;
+        }
+
+        ProviderRoutingService.recordAttempt(transaction, attempt, { outcome: 'ambiguous', error: providerError });
+        purchase = ProviderRoutingService.unconfirmedOrder(requestId, providerError);
+        successfulProvider = providerId;
+        break;
       }
     }
 
-    if (!apiResponse) {
-      throw lastAirtimeError || new AppError('Airtime service temporarily unavailable', 503);
+    if (!purchase) {
+      const failure = lastAirtimeError || new AppError('Airtime service temporarily unavailable', 503);
+      transaction.status = "failed";
+      transaction.failureReason = failure.message;
+      transaction.statusHistory.push({ status: "failed", note: failure.message, timestamp: new Date() });
+      await transaction.save();
+      await refundTransactionToWallet(transaction, 'Airtime refund', chargedAmount);
+      await transaction.save();
+      throw failure;
     }
     activeProvider = successfulProvider;
     transaction.service.provider = successfulProvider;
+    const responseData = purchase.response;
 
-    const providerStatus = String(responseData?.status || responseData?.orderstatus || '').toUpperCase();
-    const providerStatusCode = String(responseData?.statuscode || '');
-    const isOrderReceived = providerStatusCode === '100' || providerStatus === 'ORDER_RECEIVED' || providerStatus === 'ORDER_ONHOLD';
-    const isOrderCompleted = providerStatusCode === '200' || providerStatus === 'ORDER_COMPLETED';
-
-    if (isOrderReceived || isOrderCompleted) {
+    if (purchase.status === 'successful' || purchase.status === 'pending') {
+      const isOrderCompleted = purchase.status === 'successful';
       transaction.status = isOrderCompleted ? "successful" : "pending";
 
-      const successProviderConfig = vtuConfig.providers[successfulProvider];
-      const callbackForProvider = successProviderConfig?.source === 'airtimenigeria'
-        ? airtimeCallbackUrl
-        : (successProviderConfig?.source === 'smeplug'
-          ? `${SERVER_URL}/api/v1/telecom/webhook/smeplug`
-          : AIRTIME_CALLBACK_URL);
-
       transaction.service = {
         ...transaction.service,
-        orderId: apiResponse?.orderId || apiResponse?.reference || responseData?.orderid || requestId,
-        requestId: apiResponse?.requestId || responseData?.requestid || requestId,
-        callbackUrl: callbackForProvider,
+        orderId: purchase.orderId || requestId,
+        requestId: purchase.requestId || requestId,
+        callbackUrl: purchase.callbackUrl || AIRTIME_CALLBACK_URL,
       };
 
       transaction.statusHistory.push({
@@ -1351,7 +1121,7 @@ exports.purchaseAirtime = async (req, res, next) => {
           parsedAmount,
           transaction.service?.phoneNumber
         );
-      } else if (transaction.status === 'pending') {
+      } else {
         try {
           await VtuTransactionLifecycleService.schedulePolling(transaction._id, {
             attempt: 1,
@@ -1362,19 +1132,12 @@ exports.purchaseAirtime = async (req, res, next) => {
         }
       }
     } else {
-      const explicitlyFailed =
-        apiResponse?.failed === true
-        || apiResponse?.reversed === true
-        || apiResponse?.status === 'failed'
-        || apiResponse?.status === 'error'
-        || apiResponse?.status === 'reversed';
-
-      if (explicitlyFailed) {
+      if (purchase.status === 'failed') {
         transaction.status = "failed";
 
         transaction.statusHistory.push({
           status: "failed",
-          note: responseData.orderremark || responseData.status || responseData.orderstatus || "Provider rejected request",
+          note: purchase.message || "Provider rejected request",
           timestamp: new Date(),
         });
 
@@ -1399,14 +1162,14 @@ exports.purchaseAirtime = async (req, res, next) => {
 
       transaction.statusHistory.push({
         status: "pending",
-        note: responseData.orderremark || responseData.status || responseData.orderstatus || "Order received by provider",
+        note: purchase.message || "Order received by provider",
         timestamp: new Date(),
       });
 
       transaction.service = {
         ...transaction.service,
-        orderId: apiResponse?.orderId || apiResponse?.reference || responseData?.orderid || requestId,
-        requestId: apiResponse?.requestId || responseData?.requestid || requestId,
+        orderId: purchase.orderId || requestId,
+        requestId: purchase.requestId || requestId,
       };
 
       await transaction.save();
@@ -1439,18 +1202,22 @@ exports.purchaseAirtime = async (req, res, next) => {
       },
     });
   } catch (error) {
+    if (error instanceof LimitExceededError) {
+      return next(error);
+    }
+
     console.error("Airtime Error:", error);
     const message = error?.response?.data?.message
       || error?.message
       || 'Airtime purchase failed. Please try again shortly.';
-    return next(new AppError(message, error?.response?.status || 500));
+    return next(new AppError(message, error?.response?.status || error?.statusCode || 500));
   }
 };
 
 exports.airtimeCallback = async (req, res) => {
   try {
     const data = { ...(req.body || {}), ...(req.query || {}) };
-    const { orderId, requestId, statusCode, orderStatus, rawStatus, remark } = extractNelloCallbackFields(data);
+    const { orderId, requestId, statusCode, orderStatus, rawStatus, remark } = NelloBytesService.extractCallbackFields(data);
 
     if (!orderId && !requestId) {
       return res.status(400).send('Missing orderid/requestid');
@@ -1476,7 +1243,7 @@ exports.airtimeCallback = async (req, res) => {
       callback: data,
     };
 
-    const mappedStatus = classifyNelloCallbackStatus({ statusCode, orderStatus, rawStatus });
+    const mappedStatus = NelloBytesService.classifyStatus({ statusCode, orderStatus, rawStatus });
 
     if (mappedStatus === "successful") {
       transaction.status = "successful";
@@ -1552,7 +1319,7 @@ exports.queryAirtimeStatus = async (requestId) => {
 };
 
 async function reconcileSingleNelloAirtimeTransaction(transaction, providerResult) {
-  const mappedStatus = classifyNelloCallbackStatus({
+  const mappedStatus = NelloBytesService.classifyStatus({
     statusCode: providerResult?.statusCode,
     orderStatus: providerResult?.status,
     rawStatus: providerResult?.status,
@@ -1790,10 +1557,12 @@ exports.purchaseSpectranetData = async (req, res, next) => {
       { serviceType: 'data_recharge', network: 'spectranet', phoneNumber: mobileNumber }
     );
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Spectranet Data: ${dataPlan}`);
 
     const reference = requestId || `SPN-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
-    const callbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/nellobytes`;
+    const callbackUrl = WebhookVerificationService.withCallbackToken('nellobytes', `${SERVER_URL}/api/v1/telecom/webhook/nellobytes`);
 
     const transaction = await Transaction.create({
       reference,
@@ -2040,6 +1809,8 @@ exports.purchaseSmileData = async (req, res, next) => {
       { serviceType: 'smile_data', network: 'smile', phoneNumber: accountNumber }
     );
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Smile Data: ${resolvedBundleTypeCode}`);
 
     const reference = requestId || `SML-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -2081,7 +1852,7 @@ exports.purchaseSmileData = async (req, res, next) => {
         actype: actype || 'AccountNumber',
       });
 
-      const smileClassification = classifyArewaResponse({
+      const smileClassification = ArewaService.classifyResponse({
         status: apiResponse?.response?.status || (apiResponse?.success ? 'success' : ''),
         msg: apiResponse?.msg || apiResponse?.response?.msg,
       });
@@ -2157,33 +1928,6 @@ exports.cancelSmileTransaction = async (req, res, next) => {
   }
 };
 
-function classifyArewaResponse(apiResponse = {}) {
-  const statusRaw = String(apiResponse?.status || apiResponse?.service || '').toLowerCase();
-  const msgRaw = String(
-    apiResponse?.msg
-    || apiResponse?.message
-    || apiResponse?.error
-    || apiResponse?.description
-    || ''
-  ).toLowerCase();
-
-  if (statusRaw === 'success' || statusRaw === 'completed' || statusRaw === 'delivered') {
-    return { state: 'successful', success: true };
-  }
-
-  const failureTokens = ['fail', 'error', 'invalid', 'insufficient', 'reject', 'denied', 'cannot', 'unable'];
-  const isExplicitFailure =
-    failureTokens.some((token) => statusRaw.includes(token))
-    || failureTokens.some((token) => msgRaw.includes(token));
-
-  if (isExplicitFailure) {
-    return { state: 'failed', success: false };
-  }
-
-  return { state: 'pending', success: false };
-}
-
-
 exports.getAlphaPlans = async (req, res) => {
   return res.status(200).json({
     status: 'success',
@@ -2246,6 +1990,8 @@ exports.purchaseAlpha = async (req, res, next) => {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Alpha purchase: ${selectedPlan.name}`);
 
     const reference = `ALP-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -2279,7 +2025,7 @@ exports.purchaseAlpha = async (req, res, next) => {
 
     try {
       const apiResponse = await ArewaService.purchaseAlpha({ phone, planid: String(planid) });
-      const alphaClassification = classifyArewaResponse(apiResponse);
+      const alphaClassification = ArewaService.classifyResponse(apiResponse);
       const success = alphaClassification.state === 'successful';
 
       transaction.status = alphaClassification.state;
@@ -2369,6 +2115,8 @@ exports.purchaseKirani = async (req, res, next) => {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Kirani purchase: ${selectedPlan.name}`);
 
     const reference = `KIR-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -2403,7 +2151,7 @@ exports.purchaseKirani = async (req, res, next) => {
 
     try {
       const apiResponse = await ArewaService.purchaseKirani({ phone, planid: String(planid) });
-      const kiraniClassification = classifyArewaResponse(apiResponse);
+      const kiraniClassification = ArewaService.classifyResponse(apiResponse);
       const success = kiraniClassification.state === 'successful';
 
       transaction.status = kiraniClassification.state;
@@ -2710,6 +2458,8 @@ exports.orderGiftCard = async (req, res, next) => {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Gift card order: ${productId}`);
 
     const reference = customIdentifier || `GFT-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -2822,7 +2572,7 @@ exports.orderGiftCard = async (req, res, next) => {
 exports.airtimeWebhook = async (req, res) => {
   try {
     const data = { ...(req.body || {}), ...(req.query || {}) };
-    const { orderId, requestId, statusCode, orderStatus, rawStatus, remark } = extractNelloCallbackFields(data);
+    const { orderId, requestId, statusCode, orderStatus, rawStatus, remark } = NelloBytesService.extractCallbackFields(data);
 
     if (!orderId && !requestId) {
       return res.status(400).send('Missing orderid/requestid');
@@ -2844,7 +2594,7 @@ exports.airtimeWebhook = async (req, res) => {
       ...(transaction.providerResponse || {}),
       callback: data,
     };
-    const mappedStatus = classifyNelloCallbackStatus({ statusCode, orderStatus, rawStatus });
+    const mappedStatus = NelloBytesService.classifyStatus({ statusCode, orderStatus, rawStatus });
 
     if (mappedStatus === 'pending') {
       transaction.status = 'pending';
@@ -3013,10 +2763,12 @@ exports.purchaseRechargePin = async (req, res, next) => {
       }
     );
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', totalAmount);
+
     await wallet.debit(totalAmount, `Recharge PIN purchase: ${normalizedNetwork} ${selectedPlan.planId || requestedPlanId}`);
 
     const reference = generateReference('PIN');
-    const callbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/nellobytes`;
+    const callbackUrl = WebhookVerificationService.withCallbackToken('nellobytes', `${SERVER_URL}/api/v1/telecom/webhook/nellobytes`);
 
     const transaction = await Transaction.create({
       reference,
@@ -3164,7 +2916,7 @@ exports.nelloBytesWebhook = async (req, res, next) => {
     const mergedPayloads = payloads.map((item) => ({ ...(item || {}), ...queryData }));
 
     for (const data of mergedPayloads) {
-      const { orderId, requestId, statusCode, orderStatus, rawStatus, remark } = extractNelloCallbackFields(data);
+      const { orderId, requestId, statusCode, orderStatus, rawStatus, remark } = NelloBytesService.extractCallbackFields(data);
 
       if (!orderId && !requestId) {
         logger.warn('NelloBytes webhook received without orderid/requestid');
@@ -3194,7 +2946,7 @@ exports.nelloBytesWebhook = async (req, res, next) => {
         callback: data,
       };
 
-      const mappedStatus = classifyNelloCallbackStatus({ statusCode, orderStatus, rawStatus });
+      const mappedStatus = NelloBytesService.classifyStatus({ statusCode, orderStatus, rawStatus });
 
       if (mappedStatus === 'successful') {
         transaction.status = 'successful';
@@ -3426,10 +3178,12 @@ exports.purchaseAirtimeNigeriaData = async (req, res, next) => {
     );
 
     
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `AirtimeNigeria Data: ${network} ${plan.planName}`);
 
     const reference = `AN-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
-    const callbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/airtimenigeria`;
+    const callbackUrl = WebhookVerificationService.withCallbackToken('airtimenigeria', `${SERVER_URL}/api/v1/telecom/webhook/airtimenigeria`);
 
     const transaction = await Transaction.create({
       reference,
@@ -3562,10 +3316,12 @@ exports.purchaseAirtimeNigeriaAirtime = async (req, res, next) => {
     );
 
     
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `AirtimeNigeria Airtime: ${network} ${amount}`);
 
     const reference = `AN-AIR-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
-    const callbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/airtimenigeria`;
+    const callbackUrl = WebhookVerificationService.withCallbackToken('airtimenigeria', `${SERVER_URL}/api/v1/telecom/webhook/airtimenigeria`);
 
     const transaction = await Transaction.create({
       reference,
@@ -3980,6 +3736,8 @@ exports.purchaseSmePlugData = async (req, res, next) => {
     );
 
     
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `SMEPlug Data: ${network} ${planId}`);
 
     const reference = `SP-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -4011,9 +3769,9 @@ exports.purchaseSmePlugData = async (req, res, next) => {
     });
 
     try {
-      const callbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/smeplug`;
+      const callbackUrl = WebhookVerificationService.withCallbackToken('smeplug', `${SERVER_URL}/api/v1/telecom/webhook/smeplug`);
       const apiResponse = await SmePlugService.purchaseData({
-        phone: normalizePhoneForSmePlug(phoneNumber),
+        phone: SmePlugService.normalizePhone(phoneNumber),
         network: normalizedNetwork,
         planId: pricing.providerPlanId || pricing.planCode || planId,
         customerReference: reference,
@@ -4117,6 +3875,8 @@ exports.purchaseSmePlugAirtime = async (req, res, next) => {
     );
 
     
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `SMEPlug Airtime: ${network} ${amount}`);
 
     const reference = `SP-AIR-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -4147,9 +3907,9 @@ exports.purchaseSmePlugAirtime = async (req, res, next) => {
     });
 
     try {
-      const callbackUrl = `${SERVER_URL}/api/v1/telecom/webhook/smeplug`;
+      const callbackUrl = WebhookVerificationService.withCallbackToken('smeplug', `${SERVER_URL}/api/v1/telecom/webhook/smeplug`);
       const apiResponse = await SmePlugService.purchaseAirtime({
-        phone: normalizePhoneForSmePlug(phoneNumber),
+        phone: SmePlugService.normalizePhone(phoneNumber),
         network: normalizedNetwork,
         amount: providerAmount,
         customerReference: reference,
@@ -4301,11 +4061,7 @@ exports.purchasePluginngData = async (req, res, next) => {
       return next(new AppError(`Selected plan is '${pricingType}' type, but '${requestedDataType}' was requested`, 400));
     }
 
-    const subcategoryId = await resolvePluginngDataSubcategory({
-      attemptPricing: pricing,
-      network: normalizedNetwork,
-      planIdentifier: planId,
-    });
+    const subcategoryId = await PluginngService.resolvePricingSubcategoryId(pricing, normalizedNetwork, planId);
     if (!subcategoryId) {
       return next(new AppError('Pluginng data plan is missing subcategory configuration', 400));
     }
@@ -4328,6 +4084,8 @@ exports.purchasePluginngData = async (req, res, next) => {
       { serviceType: 'data_recharge', network: normalizedNetwork, phoneNumber: normalizedPhoneNumber }
     );
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Pluginng Data: ${network} ${planId}`);
 
     const reference = `PG-DATA-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -4467,6 +4225,8 @@ exports.purchasePluginngAirtime = async (req, res, next) => {
       { serviceType: 'airtime_recharge', network: normalizedNetwork, phoneNumber: normalizedPhoneNumber }
     );
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(chargedAmount, `Pluginng Airtime: ${network} ${providerAmount}`);
 
     const reference = `PG-AIR-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -4640,6 +4400,8 @@ exports.purchaseInternationalAirtime = async (req, res, next) => {
       return next(new AppError('Insufficient wallet balance', 400));
     }
 
+    await KycLimitService.assertWithinLimit(wallet.user, 'transaction', chargedAmount);
+
     await wallet.debit(
       chargedAmount,
       `International airtime: ${normalizedRecipientCountryCode} ${normalizedRecipientNumber}`
@@ -1,13 +1,22 @@
 
 const VtuProviderService = require('../services/vtuProviderService');
 const ProviderMarkupService = require('../services/providerMarkupService');
+const ProviderCircuitBreaker = require('../services/providerCircuitBreaker');
+const ProviderRateLimiter = require('../services/providerRateLimiter');
+const ProviderApiLogService = require('../services/providerApiLogService');
+const CredentialVault = require('../services/credentialVault');
+const ProviderBalanceForecastService = require('../services/providerBalanceForecastService');
+const ProviderHealthService = require('../services/providerHealthService');
+const ProviderStatementService = require('../services/providerStatementService');
 const ProviderStatus = require('../models/ProviderStatus');
+const AdminLog = require('../models/AdminLog');
 const Transaction = require('../models/Transaction');
 const PrestmitService = require('../services/prestmitService');
 const ArewaService = require('../services/arewaService');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
 const vtuConfig = require('../config/vtuProviders');
+const { toCsv } = require('../utils/exportUtils');
 
 const SERVICE_TYPE_TO_CONSOLE = {
   data_recharge: 'data',
@@ -35,6 +44,18 @@ function normalizeProviderId(providerId = '') {
   return String(providerId || '').trim().toLowerCase();
 }
 
+function auditActor(req) {
+  return {
+    admin: req.admin,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  };
+}
+
+async function providerExists(providerId) {
+  return Boolean(vtuConfig.providers[providerId] || await ProviderStatus.exists({ providerName: providerId }));
+}
+
 function extractBalanceValue(payload) {
   if (payload === null || payload === undefined) {
     return null;
@@ -376,6 +397,41 @@ exports.runProviderHealthCheck = async (req, res, next) => {
 
 
 
+exports.getProviderHealthHistory = async (req, res, next) => {
+  try {
+    const providerId = vtuConfig.normalizeProviderId(req.params.providerId);
+    if (!vtuConfig.providers[providerId]) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Provider not found',
+      });
+    }
+
+    const [status, samples] = await Promise.all([
+      ProviderStatus.findOne({ providerName: providerId }).select('status uptime healthStats healthCheckInterval lastChecked').lean(),
+      ProviderHealthService.getHistory(providerId, req.query.hours),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        providerId,
+        status: status?.status || 'active',
+        uptime: status?.uptime ?? 100,
+        health: status?.healthStats || null,
+        healthCheckInterval: status?.healthCheckInterval || null,
+        lastChecked: status?.lastChecked || null,
+        samples,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+
+
+
 exports.getProviderBalances = async (req, res, next) => {
   try {
     const [providerBalances, consoleBalances] = await Promise.all([
@@ -383,7 +439,18 @@ exports.getProviderBalances = async (req, res, next) => {
       getConsoleServiceBalances(),
     ]);
 
-    const balances = [...providerBalances, ...consoleBalances].map(normalizeBalanceRecord);
+    let forecasts = [];
+    try {
+      await ProviderBalanceForecastService.recordSnapshots(providerBalances, 'console');
+      forecasts = await ProviderBalanceForecastService.getForecasts(providerBalances);
+    } catch (forecastError) {
+      logger.warn(`Balance forecasts unavailable: ${forecastError.message}`);
+    }
+    const forecastMap = new Map(forecasts.map((forecast) => [forecast.providerId, forecast]));
+
+    const balances = [...providerBalances, ...consoleBalances]
+      .map(normalizeBalanceRecord)
+      .map((record) => ({ ...record, forecast: forecastMap.get(record.providerId) || null }));
     
     res.status(200).json({
       status: 'success',
@@ -417,6 +484,51 @@ exports.getProviderBalance = async (req, res, next) => {
 
 
 
+exports.getProviderBalanceHistory = async (req, res, next) => {
+  try {
+    const providerId = vtuConfig.normalizeProviderId(req.params.providerId);
+    if (!vtuConfig.providers[providerId]) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Provider not found',
+      });
+    }
+
+    const balance = await VtuProviderService.getProviderBalance(providerId);
+    const [snapshots, [forecast]] = await Promise.all([
+      ProviderBalanceForecastService.getHistory(providerId, req.query.hours),
+      ProviderBalanceForecastService.getForecasts([balance]),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        providerId,
+        forecast,
+        snapshots,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.runBalanceForecastCheck = async (req, res, next) => {
+  try {
+    const result = await ProviderBalanceForecastService.checkAndAlert(req.admin?.email || 'admin');
+
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+
+
+
 exports.getProviderConfig = async (req, res, next) => {
   try {
     const providers = VtuProviderService.getAllProviders();
@@ -462,7 +574,7 @@ exports.getProviderConfig = async (req, res, next) => {
         successfulRequests: dbStatus.successfulRequests || 0,
         failedRequests: dbStatus.failedRequests || 0,
         successRate: dbStatus.successRate || 100,
-        uptime: dbStatus.uptime || 100,
+        uptime: dbStatus.uptime ?? 100,
         lastChecked: dbStatus.lastChecked || null,
         balance: balanceMap[p.id] || null,
       };
@@ -676,7 +788,10 @@ exports.getProviderStats = async (req, res, next) => {
   try {
     const { providerId } = req.params;
     
-    const stats = await ProviderStatus.findOne({ providerName: providerId });
+    const [stats, rateLimit] = await Promise.all([
+      ProviderStatus.findOne({ providerName: providerId }),
+      ProviderRateLimiter.getUsage(providerId),
+    ]);
     
     if (!stats) {
       return res.status(404).json({
@@ -698,6 +813,10 @@ exports.getProviderStats = async (req, res, next) => {
         averageResponseTime: stats.averageResponseTime,
         lastChecked: stats.lastChecked,
         status: stats.status,
+        rateLimit: {
+          ...rateLimit,
+          rateLimitReset: stats.rateLimitReset || null,
+        },
       }
     });
   } catch (error) {
@@ -1006,6 +1125,7 @@ exports.updateProvider = async (req, res, next) => {
       priority,
       apiKey,
       apiSecret,
+      credentials,
       baseUrl,
       callbackUrl,
       supportedServices,
@@ -1047,8 +1167,6 @@ exports.updateProvider = async (req, res, next) => {
     
     if (status) updateData.status = status;
     if (priority !== undefined) updateData.priority = priority;
-    if (apiKey) updateData.apiKey = apiKey;
-    if (apiSecret) updateData.apiSecret = apiSecret;
     if (baseUrl) updateData.baseUrl = baseUrl;
     if (callbackUrl) updateData.callbackUrl = callbackUrl;
     if (supportedServices) updateData.supportedServices = supportedServices;
@@ -1074,6 +1192,11 @@ exports.updateProvider = async (req, res, next) => {
     }
     
     
+    const credentialInput = { apiKey, apiSecret, ...credentials };
+    const storedCredentials = Object.values(credentialInput).some(Boolean)
+      ? await CredentialVault.rotate(providerId, credentialInput, auditActor(req))
+      : undefined;
+    
     const updated = await ProviderStatus.findOneAndUpdate(
       { providerName: providerId },
       { $set: updateData },
@@ -1085,7 +1208,9 @@ exports.updateProvider = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       message: 'Provider updated successfully',
-      data: updated
+      data: storedCredentials
+        ? { ...updated.toObject(), credentials: storedCredentials }
+        : updated
     });
   } catch (error) {
     next(error);
@@ -1107,6 +1232,7 @@ exports.createProvider = async (req, res, next) => {
       baseUrl,
       apiKey,
       apiSecret,
+      credentials,
       timeout,
       supportedServices,
       supportedNetworks,
@@ -1139,6 +1265,15 @@ exports.createProvider = async (req, res, next) => {
     const allowedStatuses = ['active', 'inactive', 'maintenance', 'degraded'];
     const providerStatus = status && allowedStatuses.includes(status) ? status : 'active';
     
+    const credentialInput = { apiKey, apiSecret, ...credentials };
+    const hasCredentials = Object.keys(CredentialVault.normalizeInput(providerId, credentialInput)).length > 0;
+    if (hasCredentials && !CredentialVault.isConfigured()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Credential vault is not configured. Set CREDENTIAL_MASTER_KEY to store provider credentials.'
+      });
+    }
+    
     
     const newProvider = new ProviderStatus({
       providerName: providerId,
@@ -1149,8 +1284,6 @@ exports.createProvider = async (req, res, next) => {
       status: providerStatus,
       priority: priority || 1,
       isDefault: isDefault || false,
-      apiKey,
-      apiSecret,
       baseUrl,
       supportedNetworks,
       features,
@@ -1163,12 +1296,18 @@ exports.createProvider = async (req, res, next) => {
     
     await newProvider.save();
     
+    const storedCredentials = hasCredentials
+      ? await CredentialVault.rotate(providerId, credentialInput, auditActor(req))
+      : undefined;
+    
     logger.info(`Provider ${providerId} created by user: ${req.user?.id || 'system'}`);
     
     res.status(201).json({
       status: 'success',
       message: 'Provider created successfully',
-      data: newProvider
+      data: storedCredentials
+        ? { ...newProvider.toObject(), credentials: storedCredentials }
+        : newProvider
     });
   } catch (error) {
     next(error);
@@ -1178,32 +1317,166 @@ exports.createProvider = async (req, res, next) => {
 
 
 
-exports.getApiLogs = async (req, res, next) => {
+exports.getProviderCredentials = async (req, res, next) => {
+  try {
+    const providerId = normalizeProviderId(req.params.providerId);
+    if (!await providerExists(providerId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Provider not found'
+      });
+    }
+
+    const credentials = await CredentialVault.describe(providerId, auditActor(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: { credentials }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.rotateProviderCredentials = async (req, res, next) => {
   try {
-    const { provider, limit = 20 } = req.query;
-    
-    
-    const mockLogs = [
-      { timestamp: new Date(), provider: 'clubkonnect', endpoint: '/v1/mtn/data', status: 'success', duration: 87 },
-      { timestamp: new Date(Date.now() - 180000), provider: 'airtimenigeria', endpoint: '/api/airtime', status: 'success', duration: 124 },
-      { timestamp: new Date(Date.now() - 480000), provider: 'smeplug', endpoint: '/v2/electricity', status: 'pending', duration: 312 },
-      { timestamp: new Date(Date.now() - 900000), provider: 'clubkonnect', endpoint: '/v1/glo/data', status: 'success', duration: 91 },
-      { timestamp: new Date(Date.now() - 1200000), provider: 'airtimenigeria', endpoint: '/api/data', status: 'success', duration: 156 },
-      { timestamp: new Date(Date.now() - 1800000), provider: 'smeplug', endpoint: '/v2/cable', status: 'failed', duration: 45 },
-      { timestamp: new Date(Date.now() - 2400000), provider: 'clubkonnect', endpoint: '/v1/mtn/airtime', status: 'success', duration: 78 },
-      { timestamp: new Date(Date.now() - 3000000), provider: 'airtimenigeria', endpoint: '/api/sme', status: 'success', duration: 203 },
-    ];
-    
-    let logs = mockLogs;
-    if (provider) {
-      logs = logs.filter(l => l.provider === provider);
+    const providerId = normalizeProviderId(req.params.providerId);
+    if (!await providerExists(providerId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Provider not found'
+      });
     }
-    
+
+    const credentials = await CredentialVault.rotate(providerId, req.body?.credentials || req.body, auditActor(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Provider credentials rotated',
+      data: { credentials }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteProviderCredentials = async (req, res, next) => {
+  try {
+    const providerId = normalizeProviderId(req.params.providerId);
+    const removed = await CredentialVault.remove(providerId, auditActor(req));
+    if (!removed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No stored credentials for this provider'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Stored credentials removed; environment values now apply'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.rewrapCredentials = async (req, res, next) => {
+  try {
+    const result = await CredentialVault.rewrap(auditActor(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: `Credential data keys rewrapped under ${result.masterKeyId}`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getApiLogs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, ...filters } = req.query;
+    const { logs, pagination } = await ProviderApiLogService.search(filters, { page, limit });
+
     res.status(200).json({
       status: 'success',
       results: logs.length,
       data: {
-        logs: logs.slice(0, parseInt(limit)),
+        logs,
+        pagination,
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getApiLog = async (req, res, next) => {
+  try {
+    const log = /^[a-f\d]{24}$/i.test(req.params.logId)
+      ? await ProviderApiLogService.getById(req.params.logId)
+      : null;
+    if (!log) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API log not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { log }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.exportApiLogs = async (req, res, next) => {
+  try {
+    const { format = 'csv', includeBodies, ...filters } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'format must be csv or json'
+      });
+    }
+
+    const logs = await ProviderApiLogService.exportLogs(filters, {
+      includeBodies: includeBodies === 'true',
+    });
+
+    await AdminLog.log({
+      admin: req.admin?._id,
+      adminEmail: req.admin?.email,
+      adminRole: req.admin?.role,
+      action: 'export',
+      entity: 'provider',
+      description: `Provider API logs exported by ${req.admin?.email || 'system'}`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      status: 'success',
+      metadata: {
+        format,
+        recordCount: logs.length,
+        filters,
+      },
+    });
+
+    const filename = `provider_api_logs_${new Date().toISOString().split('T')[0]}`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+      return res.send(`\uFEFF${toCsv(logs)}`);
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.json`);
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        count: logs.length,
+        logs,
       }
     });
   } catch (error) {
@@ -1386,6 +1659,50 @@ exports.getBillPaymentProviders = async (req, res, next) => {
   }
 };
 
+exports.getCircuits = async (req, res, next) => {
+  try {
+    const [circuits, events] = await Promise.all([
+      ProviderCircuitBreaker.getStates(req.query.provider || null),
+      ProviderCircuitBreaker.getRecentEvents(Math.min(parseInt(req.query.limit, 10) || 20, 100)),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        circuits,
+        events,
+        settings: ProviderCircuitBreaker.getSettings(),
+        enabled: ProviderCircuitBreaker.isEnabled(),
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resetCircuit = async (req, res, next) => {
+  try {
+    const { providerId } = req.params;
+    if (!vtuConfig.providers[normalizeProviderId(providerId)]) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Provider not found'
+      });
+    }
+
+    const circuits = await ProviderCircuitBreaker.reset(providerId, req.body?.serviceType || null);
+    logger.info(`Circuit reset for ${providerId} by admin: ${req.admin?.email || 'system'}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Provider circuit reset',
+      data: { circuits }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.clearPlansCache = async (req, res, next) => {
   try {
     await cache.clearCached('dataplans');
@@ -1397,3 +1714,183 @@ exports.clearPlansCache = async (req, res, next) => {
     next(error);
   }
 };
+
+exports.getStatementMapping = async (req, res, next) => {
+  try {
+    const providerId = vtuConfig.normalizeProviderId(req.params.providerId);
+    if (!(await providerExists(providerId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Provider not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        providerId,
+        mapping: await ProviderStatementService.getMapping(providerId),
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateStatementMapping = async (req, res, next) => {
+  try {
+    const providerId = vtuConfig.normalizeProviderId(req.params.providerId);
+    if (!(await providerExists(providerId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Provider not found'
+      });
+    }
+
+    const mapping = await ProviderStatementService.setMapping(providerId, req.body || {}, auditActor(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Statement mapping updated',
+      data: { providerId, mapping }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.importProviderStatement = async (req, res, next) => {
+  try {
+    const providerId = vtuConfig.normalizeProviderId(req.params.providerId);
+    if (!(await providerExists(providerId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Provider not found'
+      });
+    }
+
+    const statement = await ProviderStatementService.reconcile(providerId, req.file, {
+      periodStart: req.body?.periodStart || null,
+      periodEnd: req.body?.periodEnd || null,
+      actor: auditActor(req),
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Statement reconciled',
+      data: { statement }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getProviderStatements = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, provider } = req.query;
+    const { statements, pagination } = await ProviderStatementService.list({ provider }, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      data: { statements, pagination }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getProviderStatement = async (req, res, next) => {
+  try {
+    const statement = await ProviderStatementService.getById(req.params.statementId);
+    if (!statement) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Statement not found'
+      });
+    }
+
+    const { type, resolution } = req.query;
+    statement.items = statement.items.filter((item) => (
+      (!type || item.type === type) && (!resolution || item.resolution?.status === resolution)
+    ));
+
+    res.status(200).json({
+      status: 'success',
+      data: { statement }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.downloadStatementReport = async (req, res, next) => {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'format must be csv or json'
+      });
+    }
+
+    const report = await ProviderStatementService.getReportRows(req.params.statementId);
+    if (!report) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Statement not found'
+      });
+    }
+
+    await AdminLog.log({
+      admin: req.admin?._id,
+      adminEmail: req.admin?.email,
+      adminRole: req.admin?.role,
+      action: 'export',
+      entity: 'provider',
+      entityId: report.statement._id,
+      description: `Reconciliation report for ${report.statement.provider} exported by ${req.admin?.email || 'system'}`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      status: 'success',
+      metadata: { format, recordCount: report.rows.length },
+    });
+
+    const filename = `reconciliation_${report.statement.provider}_${new Date(report.statement.createdAt).toISOString().split('T')[0]}`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+      return res.send(`\uFEFF${toCsv(report.rows)}`);
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.json`);
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        summary: report.statement.summary,
+        periodStart: report.statement.periodStart,
+        periodEnd: report.statement.periodEnd,
+        items: report.rows,
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resolveStatementItem = async (req, res, next) => {
+  try {
+    const { statementId, itemId, action } = req.params;
+    const item = await ProviderStatementService.resolveItem(statementId, itemId, action, {
+      actor: auditActor(req),
+      note: req.body?.note || null,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Statement item ${action} ${item.resolution.status === 'resolved' ? 'completed' : 'recorded'}`,
+      data: { item }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,9 @@
 const WalletService = require('../services/walletService');
 const TransactionService = require('../services/transactionService');
+const PayoutService = require('../services/payoutService');
+const KycLimitService = require('../services/kycLimitService');
+const StatementService = require('../services/statementService');
+const FeeService = require('../services/feeService');
 const { AppError } = require('../middlewares/errorHandler');
 const mongoose = require("mongoose");
 const Wallet = require("../models/Wallet");
@@ -8,6 +12,12 @@ const Transaction = require("../models/Transaction");
 const { buildSimplePdf } = require("../utils/exportUtils");
 const logger = require('../utils/logger');
 
+const HOLD_STATUS_LABELS = {
+  held: "Held pending provider confirmation",
+  captured: "Captured from wallet",
+  released: "Released back to available balance",
+};
+
 exports.getWalletBalance = async (req, res, next) => {
   try {
     const wallet = await WalletService.getWallet(req.user.id);
@@ -16,6 +26,14 @@ exports.getWalletBalance = async (req, res, next) => {
       status: 'success',
       data: {
         balance: wallet.balance,
+        availableBalance: wallet.availableBalance,
+        heldBalance: wallet.heldBalance || 0,
+        holds: (wallet.holds || []).map((hold) => ({
+          reference: hold.reference,
+          amount: hold.amount,
+          description: hold.description,
+          createdAt: hold.createdAt,
+        })),
         referralBonus: wallet.referralBonus || 0,
         referral_bonus: wallet.referralBonus || 0,
         currency: wallet.currency,
@@ -42,6 +60,19 @@ exports.getWalletBalance = async (req, res, next) => {
   }
 };
 
+exports.getLimits = async (req, res, next) => {
+  try {
+    const limits = await KycLimitService.getRemainingLimits(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: limits,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.getWalletAccounts = async (req, res, next) => {
   try {
     const accounts = await WalletService.getFundingAccounts(req.user.id);
@@ -75,6 +106,8 @@ exports.checkWalletStatus = async (req, res, next) => {
         walletExists: !!wallet,
         ...(wallet && {
           balance: wallet.balance,
+          availableBalance: wallet.availableBalance,
+          heldBalance: wallet.heldBalance || 0,
           currency: wallet.currency,
           locked: wallet.locked,
           accountsCount: wallet.monnifyAccounts?.length || 0
@@ -117,6 +150,8 @@ exports.fundWallet = async (req, res, next) => {
       return next(new AppError('Please provide a valid amount', 400));
     }
     
+    await KycLimitService.assertWithinLimit(req.user.id, 'funding', amount);
+    
     const reference = `FUND-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     
     const transaction = await TransactionService.createTransaction({
@@ -207,6 +242,8 @@ exports.transferToUser = async (req, res, next) => {
       return next(new AppError('Invalid transaction PIN', 401));
     }
     
+    await KycLimitService.assertWithinLimit(req.user.id, 'transaction', amount);
+    
     const result = await WalletService.transferFunds(
       req.user.id,
       recipient._id,
@@ -239,16 +276,12 @@ exports.transferToUser = async (req, res, next) => {
 
 exports.withdrawToBank = async (req, res, next) => {
   try {
-    const { amount, bankCode, accountNumber, transactionPin } = req.body;
+    const { amount, bankCode, accountNumber, bankName, bankAccountId, transactionPin } = req.body;
     
     if (!amount || amount <= 0) {
       return next(new AppError('Please provide a valid amount', 400));
     }
     
-    if (!bankCode || !accountNumber) {
-      return next(new AppError('Bank details are required', 400));
-    }
-    
     if (!transactionPin) {
       return next(new AppError('Transaction PIN is required', 400));
     }
@@ -266,76 +299,104 @@ exports.withdrawToBank = async (req, res, next) => {
       return next(new AppError('Wallet is locked', 400));
     }
     
-    const fee = Math.max(50, amount * 0.015);
+    const { fee, breakdown: feeBreakdown } = await FeeService.quote({
+      transactionType: 'withdrawal',
+      amount,
+      channel: PayoutService.getProvider(),
+      userId: req.user.id,
+    });
     const totalAmount = amount + fee;
     
-    if (wallet.balance < totalAmount) {
+    if (wallet.availableBalance < totalAmount) {
       return next(new AppError('Insufficient balance to cover amount and fee', 400));
     }
     
-    const reference = `WDL-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    await KycLimitService.assertWithinLimit(req.user.id, 'withdrawal', amount);
     
-    const transaction = await TransactionService.createTransaction({
-      reference,
-      user: req.user.id,
-      type: 'withdrawal',
-      category: 'transfer',
+    const destination = await PayoutService.resolveDestination(req.user.id, {
+      bankAccountId,
+      bankCode,
+      accountNumber,
+      bankName,
+    });
+    const verification = await PayoutService.verifyAccount(destination.accountNumber, destination.bankCode);
+    
+    const transaction = await PayoutService.createWithdrawal({
+      userId: req.user.id,
       amount,
       fee,
-      totalAmount: totalAmount,
-      previousBalance: wallet.balance,
-      newBalance: wallet.balance - totalAmount,
-      status: 'pending',
-      description: `Bank withdrawal to ${accountNumber}`,
-      metadata: {
-        bankCode,
-        accountNumber,
-        feeBreakdown: {
-          withdrawalFee: fee,
-        },
-      },
+      feeBreakdown,
+      destination,
+      accountName: verification.accountName,
     });
     
-    await WalletService.debitWallet(
-      req.user.id,
-      totalAmount,
-      reference,
-      `Bank withdrawal to ${accountNumber}`
-    );
-    
-    setTimeout(async () => {
-      try {
-        await Transaction.findByIdAndUpdate(transaction._id, {
-          status: 'successful',
-          statusHistory: [
-            ...transaction.statusHistory,
-            {
-              status: 'successful',
-              note: 'Bank transfer completed',
-              timestamp: new Date(),
-            },
-          ],
-          completedAt: new Date(),
-        });
-      } catch (error) {
-        logger.error('Error updating withdrawal transaction:', error);
-      }
-    }, 5000);
-    
     res.status(200).json({
       status: 'success',
       message: 'Withdrawal request submitted',
       data: {
-        reference,
+        reference: transaction.reference,
         amount,
         fee,
         totalDebited: totalAmount,
+        accountName: verification.accountName,
+        accountNumber: destination.accountNumber,
         estimatedDelivery: 'Within 24 hours',
         transaction,
       },
     });
     
-    logger.info(`Withdrawal requested: User ${req.user.id}, Amount: ${amount}, Bank: ${bankCode}`);
+    logger.info(`Withdrawal requested: User ${req.user.id}, Amount: ${amount}, Bank: ${destination.bankCode}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getBankAccounts = async (req, res, next) => {
+  try {
+    const bankAccounts = await PayoutService.getSavedBankAccounts(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        bankAccounts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.addBankAccount = async (req, res, next) => {
+  try {
+    const { bankCode, accountNumber, bankName, isPrimary } = req.body;
+
+    const bankAccount = await PayoutService.saveBankAccount(req.user.id, {
+      bankCode,
+      accountNumber,
+      bankName,
+      isPrimary,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Bank account verified and saved',
+      data: {
+        bankAccount,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.removeBankAccount = async (req, res, next) => {
+  try {
+    await PayoutService.removeBankAccount(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Bank account removed',
+    });
   } catch (error) {
     next(error);
   }
@@ -390,6 +451,7 @@ exports.downloadTransactionReceipt = async (req, res, next) => {
     const amount = Number(transaction.amount || 0).toFixed(2);
     const fee = Number(transaction.fee || 0).toFixed(2);
     const total = Number(transaction.totalAmount || 0).toFixed(2);
+    const walletHold = transaction.metadata?.walletHold;
 
     const lines = [
       "YAREEMA TRANSACTION RECEIPT",
@@ -407,6 +469,12 @@ exports.downloadTransactionReceipt = async (req, res, next) => {
       `Total: NGN ${total}`,
       `Previous Balance: NGN ${Number(transaction.previousBalance || 0).toFixed(2)}`,
       `New Balance: NGN ${Number(transaction.newBalance || 0).toFixed(2)}`,
+      ...(walletHold
+        ? [
+            `Wallet Hold: NGN ${Number(walletHold.amount || 0).toFixed(2)}`,
+            `Hold Status: ${HOLD_STATUS_LABELS[walletHold.status] || walletHold.status}`,
+          ]
+        : []),
       `Description: ${transaction.description || "N/A"}`,
       `Created At: ${new Date(transaction.createdAt).toISOString()}`,
       `Completed At: ${transaction.completedAt ? new Date(transaction.completedAt).toISOString() : "N/A"}`,
@@ -428,6 +496,34 @@ exports.downloadTransactionReceipt = async (req, res, next) => {
   }
 };
 
+exports.downloadStatement = async (req, res, next) => {
+  try {
+    const { from, to, month } = req.query;
+    const format = String(req.query.format || "pdf").toLowerCase();
+
+    if (!StatementService.FORMATS.includes(format)) {
+      return next(new AppError(`format must be one of: ${StatementService.FORMATS.join(", ")}`, 400));
+    }
+
+    const statement = await StatementService.generate(req.user.id, { from, to, month });
+
+    if (format === "json") {
+      return res.status(200).json({
+        status: "success",
+        data: statement,
+      });
+    }
+
+    const { buffer, contentType, fileName } = StatementService.render(statement, format);
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    return res.status(200).send(buffer);
+  } catch (error) {
+    return next(error);
+  }
+};
+
 exports.createWallet = async (req, res, next) => {
   try {
     const userId = req.user.id;
@@ -1,17 +1,26 @@
 const crypto = require('crypto');
 const WalletService = require('../services/walletService');
+const LedgerService = require('../services/ledgerService');
 const NotificationService = require('../services/NotificationService');
 const SmePlugService = require('../services/smePlugService');
+const MonnifyService = require('../services/monnifyService');
+const PayoutService = require('../services/payoutService');
+const KycLimitService = require('../services/kycLimitService');
+const FeeService = require('../services/feeService');
+const ProviderCallbackService = require('../services/providerCallbackService');
 const Transaction = require('../models/Transaction');
 const Wallet = require('../models/Wallet');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 
-const FUNDING_FEE = 50;
-
 async function refundTransactionToWallet(transaction, reason = 'Transaction refund', amountOverride = null) {
   if (!transaction) return null;
 
+  if (transaction.metadata?.walletHold && transaction.metadata.walletHold.status !== 'captured') {
+    await WalletService.settleTransactionHold(transaction, 'release');
+    return Wallet.findOne({ user: transaction.user });
+  }
+
   const alreadyRefunded =
     transaction?.metadata?.refundProcessed === true ||
     (
@@ -29,7 +38,11 @@ async function refundTransactionToWallet(transaction, reason = 'Transaction refu
 
   const refundAmount = Number(amountOverride ?? transaction.amount ?? 0);
   if (refundAmount > 0) {
-    await wallet.credit(refundAmount, reason);
+    await wallet.credit(refundAmount, {
+      entryType: 'refund',
+      reference: transaction.reference,
+      description: reason,
+    });
   }
 
   transaction.metadata = {
@@ -48,50 +61,86 @@ async function refundTransactionToWallet(transaction, reason = 'Transaction refu
   return wallet;
 }
 
-function calculateNetFundingAmount(grossAmount) {
+async function calculateNetFundingAmount(grossAmount, { userId, channel } = {}) {
   const parsedAmount = Number(grossAmount) || 0;
+  const { fee, breakdown } = await FeeService.quote({
+    transactionType: 'funding',
+    amount: parsedAmount,
+    channel,
+    userId,
+  });
+
   return {
     grossAmount: parsedAmount,
-    fee: FUNDING_FEE,
-    netAmount: Math.max(parsedAmount - FUNDING_FEE, 0),
+    fee,
+    netAmount: Math.max(parsedAmount - fee, 0),
+    feeBreakdown: breakdown,
   };
 }
 
-async function applyFundingSuccess({ transaction, grossAmount, note, metadata = {} }) {
-  const wallet = await Wallet.findOne({ user: transaction.user });
+async function applyFundingSuccess({ transaction, grossAmount, note, channel, metadata = {} }) {
+  const { netAmount, fee, feeBreakdown } = await calculateNetFundingAmount(grossAmount, {
+    userId: transaction.user,
+    channel: transaction.metadata?.provider || channel,
+  });
+  const kycLimitBreach = await KycLimitService.reviewInboundFunding(transaction.user, netAmount, transaction.reference);
 
-  if (!wallet) {
-    throw new AppError('Wallet not found', 404);
-  }
+  const session = await Wallet.startSession();
+  let wallet;
 
-  const { netAmount, fee } = calculateNetFundingAmount(grossAmount);
-  const previousBalance = wallet.balance;
-
-  wallet.balance += netAmount;
-  wallet.totalFunded += netAmount;
-  wallet.lastTransaction = new Date();
-  await wallet.save();
-
-  transaction.status = 'successful';
-  transaction.amount = netAmount;
-  transaction.fee = fee;
-  transaction.totalAmount = Number(grossAmount) || transaction.totalAmount || transaction.amount;
-  transaction.previousBalance = previousBalance;
-  transaction.newBalance = wallet.balance;
-  transaction.completedAt = new Date();
-  transaction.metadata = {
-    ...(transaction.metadata || {}),
-    grossAmount: Number(grossAmount) || 0,
-    fundingFee: fee,
-    netAmount,
-    ...metadata,
-  };
-  transaction.statusHistory.push({
-    status: 'successful',
-    note,
-    timestamp: new Date(),
-  });
-  await transaction.save();
+  try {
+    session.startTransaction();
+
+    wallet = await Wallet.findOne({ user: transaction.user }).session(session);
+    if (!wallet) {
+      throw new AppError('Wallet not found', 404);
+    }
+
+    const previousBalance = wallet.balance;
+    wallet.balance += netAmount;
+    wallet.totalFunded += netAmount;
+    wallet.lastTransaction = new Date();
+    await wallet.save({ session });
+
+    await LedgerService.recordWalletCredit(wallet, netAmount, {
+      entryType: 'funding',
+      counterAccount: LedgerService.ACCOUNTS.SUSPENSE,
+      fee,
+      reference: transaction.reference,
+      description: note,
+      session,
+    });
+
+    transaction.status = 'successful';
+    transaction.amount = netAmount;
+    transaction.fee = fee;
+    transaction.totalAmount = Number(grossAmount) || transaction.totalAmount || transaction.amount;
+    transaction.previousBalance = previousBalance;
+    transaction.newBalance = wallet.balance;
+    transaction.completedAt = new Date();
+    transaction.metadata = {
+      ...(transaction.metadata || {}),
+      grossAmount: Number(grossAmount) || 0,
+      fundingFee: fee,
+      feeBreakdown,
+      netAmount,
+      ...(kycLimitBreach && { kycLimitBreach }),
+      ...metadata,
+    };
+    transaction.statusHistory.push({
+      status: 'successful',
+      note: `${note}. Gross ₦${Number(grossAmount) || 0}, fee ₦${fee}, net credited ₦${netAmount}`,
+      timestamp: new Date(),
+    });
+    await transaction.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
 
   return { wallet, netAmount, fee };
 }
@@ -210,6 +259,19 @@ exports.budpayWebhook = async (req, res) => {
 
     const event = req.body;
 
+    if (event.notify === "payout") {
+      const payout = event.data || {};
+      const state = PayoutService.normalizeState(event.notifyType || payout.status);
+
+      if (state === 'successful') {
+        await handleSuccessfulTransfer(payout, 'webhook:budpay');
+      } else if (state === 'failed') {
+        await handleFailedTransfer(payout, 'webhook:budpay');
+      }
+
+      return res.status(200).send("Payout processed");
+    }
+
     if (event.notify !== "transaction") {
       return res.status(200).send("Ignored");
     }
@@ -223,7 +285,6 @@ exports.budpayWebhook = async (req, res) => {
     const amount = Number(data.amount);
     const accountNumber = data.craccount;
     const reference = data.paymentReference;
-    const { netAmount, fee } = calculateNetFundingAmount(amount);
 
     const existingTx = await Transaction.findOne({ reference });
 
@@ -240,42 +301,73 @@ exports.budpayWebhook = async (req, res) => {
       return res.status(404).send("Wallet not found");
     }
 
-    await Wallet.updateOne(
-      { _id: wallet._id },
-      {
-        $inc: {
-          balance: netAmount,
-          totalFunded: netAmount
-        },
-        $set: {
-          lastTransaction: new Date()
-        },
-      }
-    );
+    const { netAmount, fee, feeBreakdown } = await calculateNetFundingAmount(amount, {
+      userId: wallet.user,
+      channel: 'budpay',
+    });
 
-    await Transaction.create({
-      reference,
-      user: wallet.user,
-      type: "fund_wallet",
-      category: "funding",
-      amount: netAmount,
-      fee,
-      totalAmount: amount,
-      status: "successful",
-      description: "Wallet funded via BudPay virtual account",
-      metadata: {
-        grossAmount: amount,
-        fundingFee: fee,
-        netAmount,
-      },
-      statusHistory: [
+    const kycLimitBreach = await KycLimitService.reviewInboundFunding(wallet.user, netAmount, reference);
+
+    const session = await Wallet.startSession();
+    try {
+      session.startTransaction();
+
+      const fundedWallet = await Wallet.findOneAndUpdate(
+        { _id: wallet._id },
         {
-          status: "successful",
-          note: `Funding confirmed from BudPay webhook. Gross ₦${amount}, fee ₦${fee}, net credited ₦${netAmount}`,
-          timestamp: new Date()
-        }
-      ]
-    });
+          $inc: {
+            balance: netAmount,
+            totalFunded: netAmount
+          },
+          $set: {
+            lastTransaction: new Date()
+          },
+        },
+        { new: true, session }
+      );
+
+      await LedgerService.recordWalletCredit(fundedWallet, netAmount, {
+        entryType: 'funding',
+        counterAccount: LedgerService.ACCOUNTS.SUSPENSE,
+        fee,
+        reference,
+        description: 'Wallet funded via BudPay virtual account',
+        session,
+      });
+
+      await Transaction.create([{
+        reference,
+        user: wallet.user,
+        type: "fund_wallet",
+        category: "funding",
+        amount: netAmount,
+        fee,
+        totalAmount: amount,
+        status: "successful",
+        description: "Wallet funded via BudPay virtual account",
+        metadata: {
+          grossAmount: amount,
+          fundingFee: fee,
+          feeBreakdown,
+          netAmount,
+          ...(kycLimitBreach && { kycLimitBreach }),
+        },
+        statusHistory: [
+          {
+            status: "successful",
+            note: `Funding confirmed from BudPay webhook. Gross ₦${amount}, fee ₦${fee}, net credited ₦${netAmount}`,
+            timestamp: new Date()
+          }
+        ]
+      }], { session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
     return res.status(200).send("OK");
 
@@ -306,7 +398,7 @@ exports.paystackWebhook = async (req, res, next) => {
     
     switch (event.event) {
       case 'charge.success':
-        await handleSuccessfulPayment(event.data);
+        await handleSuccessfulPayment(event.data, 'paystack');
         break;
         
       case 'charge.failed':
@@ -314,12 +406,12 @@ exports.paystackWebhook = async (req, res, next) => {
         break;
         
       case 'transfer.success':
-        await handleSuccessfulTransfer(event.data);
+        await handleSuccessfulTransfer(event.data, 'webhook:paystack');
         break;
         
       case 'transfer.failed':
       case 'transfer.reversed':
-        await handleFailedTransfer(event.data);
+        await handleFailedTransfer(event.data, 'webhook:paystack');
         break;
     }
     
@@ -330,8 +422,35 @@ exports.paystackWebhook = async (req, res, next) => {
   }
 };
 
+const MONNIFY_DISBURSEMENT_EVENTS = {
+  SUCCESSFUL_DISBURSEMENT: 'successful',
+  FAILED_DISBURSEMENT: 'failed',
+  REVERSED_DISBURSEMENT: 'failed',
+};
+
 exports.monnifyWebhook = async (req, res, next) => {
   try {
+    const disbursementOutcome = MONNIFY_DISBURSEMENT_EVENTS[req.body?.eventType];
+
+    if (disbursementOutcome) {
+      if (!MonnifyService.verifyWebhookSignature(req.body, req.headers['monnify-signature'])) {
+        return next(new AppError('Invalid signature', 400));
+      }
+
+      const transferData = {
+        ...(req.body.eventData || {}),
+        reason: req.body.eventData?.status,
+      };
+
+      if (disbursementOutcome === 'successful') {
+        await handleSuccessfulTransfer(transferData, 'webhook:monnify');
+      } else {
+        await handleFailedTransfer(transferData, 'webhook:monnify');
+      }
+
+      return res.status(200).json({ status: 'success' });
+    }
+
     const { paymentReference, amountPaid, paidOn, transactionHash } = req.body;
     
     const apiKey = process.env.MONNIFY_API_KEY;
@@ -351,7 +470,7 @@ exports.monnifyWebhook = async (req, res, next) => {
       reference: paymentReference,
       amount: amountPaid / 100,
       status: 'success',
-    });
+    }, 'monnify');
     
     res.status(200).json({ status: 'success' });
   } catch (error) {
@@ -376,7 +495,7 @@ exports.flutterwaveWebhook = async (req, res, next) => {
         reference: event.txRef,
         amount: event.amount,
         status: 'success',
-      });
+      }, 'flutterwave');
     } else {
       await handleFailedPayment({
         reference: event.txRef,
@@ -394,28 +513,24 @@ exports.flutterwaveWebhook = async (req, res, next) => {
 exports.providerCallback = async (req, res, next) => {
   try {
     const { providerName } = req.params;
-    const callbackData = req.body;
-    
-    logger.info(`Provider callback received from ${providerName}:`, callbackData);
-    
-    switch (providerName.toLowerCase()) {
-      case 'mtn':
-      case 'airtel':
-      case 'glo':
-      case '9mobile':
-        break;
-      default:
-        logger.warn(`Unknown provider callback: ${providerName}`);
+    const payload = Array.isArray(req.body) || Object.keys(req.body || {}).length ? req.body : req.query;
+
+    logger.info(`Provider callback received from ${providerName}:`, payload);
+
+    const result = await ProviderCallbackService.handle(providerName, payload);
+    if (!result) {
+      logger.warn(`Unknown provider callback: ${providerName}`);
+      return res.status(404).json({ status: 'error', message: `Unknown provider ${providerName}` });
     }
-    
-    res.status(200).json({ status: 'success' });
+
+    res.status(200).json({ status: 'success', data: result });
   } catch (error) {
     logger.error('Provider callback error:', error);
-    res.status(400).json({ status: 'error', message: error.message });
+    next(error);
   }
 };
 
-async function handleSuccessfulPayment(paymentData) {
+async function handleSuccessfulPayment(paymentData, channel) {
   try {
     const { reference, amount } = paymentData;
     
@@ -433,7 +548,8 @@ async function handleSuccessfulPayment(paymentData) {
     const { netAmount } = await applyFundingSuccess({
       transaction,
       grossAmount: amount,
-      note: `Payment confirmed via webhook. Gross ₦${amount}, fee ₦${FUNDING_FEE}, net credited ₦${Math.max(Number(amount || 0) - FUNDING_FEE, 0)}`,
+      note: 'Payment confirmed via webhook',
+      channel,
       metadata: {
         providerWebhookData: paymentData,
       },
@@ -477,30 +593,21 @@ async function handleFailedPayment(paymentData) {
   }
 }
 
-async function handleSuccessfulTransfer(transferData) {
+async function handleSuccessfulTransfer(transferData, source = 'webhook') {
   try {
     const { reference, amount } = transferData;
     
-    const transaction = await Transaction.findOne({
-      reference,
-      type: 'withdrawal',
-      status: 'pending',
+    const transaction = await PayoutService.markPayoutSuccessful(reference, {
+      source,
+      note: 'Bank transfer completed via webhook',
+      providerResponse: transferData,
     });
     
     if (!transaction) {
-      logger.error(`Withdrawal transaction not found: ${reference}`);
+      logger.error(`Open withdrawal transaction not found: ${reference}`);
       return;
     }
     
-    transaction.status = 'successful';
-    transaction.statusHistory.push({
-      status: 'successful',
-      note: 'Bank transfer completed via webhook',
-      timestamp: new Date(),
-    });
-    transaction.completedAt = new Date();
-    await transaction.save();
-    
     logger.info(`Withdrawal successful via webhook: ${reference}, Amount: ${amount}`);
   } catch (error) {
     logger.error('Error handling successful transfer:', error);
@@ -508,37 +615,21 @@ async function handleSuccessfulTransfer(transferData) {
   }
 }
 
-async function handleFailedTransfer(transferData) {
+async function handleFailedTransfer(transferData, source = 'webhook') {
   try {
     const { reference } = transferData;
     
-    const transaction = await Transaction.findOne({
-      reference,
-      type: 'withdrawal',
-      status: 'pending',
+    const transaction = await PayoutService.reversePayout(reference, {
+      source,
+      reason: transferData.reason || transferData.status || 'Transfer failed',
+      providerResponse: transferData,
     });
     
     if (!transaction) {
-      logger.error(`Withdrawal transaction not found: ${reference}`);
+      logger.error(`Open withdrawal transaction not found: ${reference}`);
       return;
     }
     
-    await WalletService.creditWallet(
-      transaction.user,
-      transaction.totalAmount,
-      `REFUND-${reference}`,
-      'Refund for failed withdrawal'
-    );
-    
-    transaction.status = 'refunded';
-    transaction.statusHistory.push({
-      status: 'refunded',
-      note: 'Withdrawal failed, amount refunded via webhook',
-      timestamp: new Date(),
-    });
-    transaction.completedAt = new Date();
-    await transaction.save();
-    
     logger.info(`Withdrawal failed and refunded via webhook: ${reference}`);
   } catch (error) {
     logger.error('Error handling failed transfer:', error);
@@ -0,0 +1,38 @@
+const BeneficiaryService = require('../services/beneficiaryService');
+const logger = require('../utils/logger');
+
+// Lets purchase endpoints take a saved beneficiaryId in place of the raw
+// phone, meter, smartcard or bank fields.
+const applyBeneficiary = (...types) => async (req, res, next) => {
+  const { beneficiaryId } = req.body || {};
+  if (!beneficiaryId) {
+    return next();
+  }
+
+  try {
+    const beneficiary = await BeneficiaryService.getForUser(req.user.id, beneficiaryId, types);
+    const fields = BeneficiaryService.toRequestFields(beneficiary);
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        req.body[field] = value;
+      }
+    });
+
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        BeneficiaryService.markUsed(beneficiary._id).catch((error) => {
+          logger.warn(`Failed to record beneficiary usage for ${beneficiary._id}:`, error.message);
+        });
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  applyBeneficiary,
+};
@@ -48,6 +48,14 @@ class RateLimitError extends AppError {
   }
 }
 
+class LimitExceededError extends AppError {
+  constructor(message, code, details) {
+    super(message, 403);
+    this.code = code;
+    this.details = details;
+  }
+}
+
 const errorHandler = (err, req, res, next) => {
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
@@ -74,6 +82,8 @@ const errorHandler = (err, req, res, next) => {
     return res.status(err.statusCode).json({
       status: err.status,
       message: err.message,
+      ...(err.code && { code: err.code }),
+      ...(err.details && { details: err.details }),
       ...(err.errors && { errors: err.errors }),
     });
   }
@@ -94,4 +104,5 @@ module.exports = {
   NotFoundError,
   ConflictError,
   RateLimitError,
+  LimitExceededError,
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+function getRetentionMs() {
+  return Number(process.env.IDEMPOTENCY_KEY_TTL_MS || 24 * 60 * 60 * 1000);
+}
+
+// A stale lock is re-claimed and the request run again, so this has to
+// outlast a purchase that fails over across every provider at their 45-60s
+// timeouts and then requeries.
+function getLockTimeoutMs() {
+  return Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+}
+
+function hashRequest(req) {
+  const { transactionPin, ...body } = req.body || {};
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      body,
+    }))
+    .digest('hex');
+}
+
+async function claimKey({ userId, key, requestHash, method, path }) {
+  const now = new Date();
+
+  try {
+    const record = await IdempotencyKey.create({
+      user: userId,
+      key,
+      method,
+      path,
+      requestHash,
+      status: 'processing',
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + getRetentionMs()),
+    });
+    return { claimed: true, record };
+  } catch (error) {
+    if (error?.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: userId, key });
+
+  if (
+    existing
+    && existing.status === 'processing'
+    && existing.requestHash === requestHash
+    && existing.lockedAt.getTime() < now.getTime() - getLockTimeoutMs()
+  ) {
+    const record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'processing', lockedAt: existing.lockedAt },
+      { $set: { lockedAt: now } },
+      { new: true }
+    );
+
+    if (record) {
+      return { claimed: true, record };
+    }
+  }
+
+  return { claimed: false, existing };
+}
+
+// Every handler behind this middleware moves the wallet or records a
+// transaction before it calls a provider, so either one since the key was
+// claimed means a retry could charge or deliver twice.
+async function hasSideEffects(record) {
+  const since = record.lockedAt;
+  const [transaction, wallet] = await Promise.all([
+    Transaction.exists({ user: record.user, createdAt: { $gte: since } }),
+    Wallet.exists({ user: record.user, updatedAt: { $gte: since } }),
+  ]);
+  return Boolean(transaction || wallet);
+}
+
+// A 5xx releases the key for a retry only when the handler failed before
+// touching anything; otherwise the failure is stored and replayed like any
+// other result.
+async function persistResponse(record, statusCode, body) {
+  try {
+    if (statusCode >= 500 && !(await hasSideEffects(record))) {
+      await IdempotencyKey.deleteOne({ _id: record._id });
+      return;
+    }
+
+    await IdempotencyKey.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: 'completed',
+          responseStatus: statusCode,
+          responseBody: body,
+          completedAt: new Date(),
+        },
+      }
+    );
+  } catch (error) {
+    logger.error(`Failed to store idempotent response for key ${record.key}:`, error);
+  }
+}
+
+function captureResponse(res, record) {
+  const originalJson = res.json.bind(res);
+  let settled = false;
+
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      persistResponse(record, res.statusCode, body);
+    }
+    return originalJson(body);
+  };
+
+  // Responses sent without res.json. A client that disconnects early is not
+  // handled here: the handler keeps running and its res.json still records
+  // the outcome.
+  res.on('finish', () => {
+    if (settled) return;
+    settled = true;
+    persistResponse(record, res.statusCode, null);
+  });
+}
+
+module.exports = {
+  idempotent: async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key || !req.user) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`,
+      });
+    }
+
+    try {
+      const requestHash = hashRequest(req);
+      const claim = await claimKey({
+        userId: req.user._id,
+        key,
+        requestHash,
+        method: req.method,
+        path: req.originalUrl,
+      });
+
+      if (!claim.claimed) {
+        const { existing } = claim;
+
+        if (existing && existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            status: 'error',
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'This Idempotency-Key has already been used for a different request.',
+          });
+        }
+
+        if (existing?.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus || 200).json(existing.responseBody);
+        }
+
+        return res.status(409).json({
+          status: 'error',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          message: 'A request with this Idempotency-Key is still being processed. Please wait and check the transaction status.',
+        });
+      }
+
+      captureResponse(res, claim.record);
+      return next();
+    } catch (error) {
+      logger.error('Idempotency middleware error:', error);
+      return res.status(503).json({
+        status: 'error',
+        message: 'Unable to process this request safely right now. Please try again.',
+      });
+    }
+  },
+};
@@ -0,0 +1,90 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+
+const DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+const STATEMENT_EXTENSIONS = /\.(csv|xlsx)$/i;
+
+function getMaxFileSize() {
+  return Number(process.env.KYC_MAX_FILE_SIZE_MB || 5) * 1024 * 1024;
+}
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getMaxFileSize(),
+    files: 4,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(`${file.fieldname} must be a JPEG, PNG, WEBP or PDF file`, 400));
+    }
+    cb(null, true);
+  },
+});
+
+function getMaxStatementSize() {
+  return Number(process.env.STATEMENT_MAX_FILE_SIZE_MB || 10) * 1024 * 1024;
+}
+
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getMaxStatementSize(),
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    // Browsers report CSV under several mime types, so go by extension.
+    if (!STATEMENT_EXTENSIONS.test(file.originalname || '')) {
+      return cb(new AppError(`${file.fieldname} must be a CSV or XLSX file`, 400));
+    }
+    cb(null, true);
+  },
+});
+
+const uploadDocuments = (fields) => {
+  const handler = documentUpload.fields(fields.map((name) => ({ name, maxCount: 1 })));
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `${error.field} exceeds the ${getMaxFileSize() / (1024 * 1024)}MB upload limit`
+          : `Invalid upload for ${error.field || 'documents'}: ${error.message}`;
+        return next(new AppError(message, 400));
+      }
+
+      next(error);
+    });
+  };
+};
+
+const uploadStatement = (field = 'file') => {
+  const handler = statementUpload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `${error.field} exceeds the ${getMaxStatementSize() / (1024 * 1024)}MB upload limit`
+          : `Invalid upload for ${error.field || field}: ${error.message}`;
+        return next(new AppError(message, 400));
+      }
+
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  DOCUMENT_MIME_TYPES,
+  uploadDocuments,
+  uploadStatement,
+};
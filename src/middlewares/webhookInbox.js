@@ -0,0 +1,43 @@
+const WebhookEventService = require('../services/webhookEventService');
+const WebhookVerificationService = require('../services/webhookVerificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Wraps a webhook handler so the delivery is verified, stored and
+ * acknowledged straight away, then processed from the webhook queue.
+ * Deliveries that fail verification are refused with a 401. `provider` may
+ * be a function of the request for routes shared by several providers.
+ */
+const webhookInbox = (handlerKey, handler, { provider = handlerKey } = {}) => {
+  WebhookEventService.register(handlerKey, provider, handler);
+
+  return async (req, res, next) => {
+    const providerName = WebhookEventService.resolveProvider(handlerKey, req);
+    const verification = WebhookVerificationService.verify(providerName, req);
+    if (verification.status === 'rejected') {
+      return res.status(401).json({ status: 'error', message: 'Webhook verification failed' });
+    }
+
+    let received;
+    try {
+      received = await WebhookEventService.receive(handlerKey, req, verification);
+    } catch (error) {
+      // Never drop a delivery because the inbox is down.
+      logger.error(`Webhook inbox could not store ${handlerKey} event, handling inline:`, error);
+      if (verification.status === 'unverified' && WebhookVerificationService.requiresConfirmation(providerName)) {
+        const result = await WebhookEventService.handleUnverified(providerName, handler, req);
+        return res.status(result.statusCode).send(result.body ?? { status: 'error', message: 'Confirmation failed' });
+      }
+      return handler(req, res, next);
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: received.duplicate ? 'Duplicate event ignored' : 'Event received',
+    });
+  };
+};
+
+module.exports = {
+  webhookInbox,
+};
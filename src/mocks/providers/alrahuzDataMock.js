@@ -0,0 +1,136 @@
+const express = require('express');
+const MockProviderState = require('./mockProviderState');
+
+const PROVIDER = 'alrahuzdata';
+
+const router = express.Router();
+
+const NETWORKS = {
+  1: { key: 'mtn', bucket: 'MTN_PLAN' },
+  2: { key: 'glo', bucket: 'GLO_PLAN' },
+  3: { key: '9mobile', bucket: '9MOBILE_PLAN' },
+  4: { key: 'airtel', bucket: 'AIRTEL_PLAN' },
+};
+
+const STATUS_LABELS = {
+  pending: 'processing',
+  successful: 'successful',
+  failed: 'failed',
+  rejected: 'failed',
+};
+
+function transactionPayload(order) {
+  return {
+    id: Number(order.id),
+    ident: order.reference,
+    network: order.details.networkId,
+    mobile_number: order.details.phone,
+    ...(order.details.type === 'data'
+      ? { plan: order.details.plan, plan_amount: String(order.amount) }
+      : { amount: String(order.amount), airtime_type: 'VTU' }),
+    status: STATUS_LABELS[order.status],
+    api_response: order.status === 'failed'
+      ? 'Transaction failed and has been refunded'
+      : `${order.details.description} to ${order.details.phone}`,
+    create_date: order.createdAt.toISOString(),
+  };
+}
+
+router.use((req, res, next) => {
+  if (!/^Token\s+\S+/.test(req.headers.authorization || '')) {
+    return res.status(401).json({ detail: 'Authentication credentials were not provided.' });
+  }
+  return next();
+});
+
+// Alrahuz has no delivery callback; the app reconciles by polling /api/data/:id/.
+async function placeOrder(req, res, { amount, details }) {
+  const order = MockProviderState.placeOrder(PROVIDER, {
+    reference: req.body.request_id || null,
+    amount,
+    details: { ...details, networkId: Number(req.body.network), phone: req.body.mobile_number },
+  });
+
+  await MockProviderState.hold(order);
+
+  if (order.reason === 'insufficient_balance') {
+    return res.status(400).json({ error: ['Insufficient balance'], message: 'Insufficient balance' });
+  }
+  if (order.status === 'rejected') {
+    const { id, ...payload } = transactionPayload(order);
+    return res.json({ ...payload, message: 'Transaction failed' });
+  }
+
+  return res.status(201).json(transactionPayload(order));
+}
+
+router.get('/api/user/', (req, res) => {
+  const Dataplans = {};
+  for (const [networkId, network] of Object.entries(NETWORKS)) {
+    Dataplans[network.bucket] = {
+      ALL: MockProviderState.PLANS[network.key].map((plan) => ({
+        id: plan.id,
+        dataplan_id: plan.id,
+        network: Number(networkId),
+        plan_type: plan.name.split(' ').slice(1).join(' ').toUpperCase(),
+        plan: plan.size,
+        month_validate: plan.validity,
+        plan_amount: String(plan.price),
+      })),
+    };
+  }
+
+  res.json({
+    user: {
+      username: 'mockmerchant',
+      email: 'merchant@example.com',
+      wallet_balance: String(MockProviderState.getBalance(PROVIDER)),
+    },
+    Dataplans,
+  });
+});
+
+router.post('/api/data/', async (req, res) => {
+  const network = NETWORKS[req.body.network];
+  if (!network || !req.body.mobile_number) {
+    return res.status(400).json({ error: ['network and mobile_number are required'] });
+  }
+
+  const plan = MockProviderState.findPlan(network.key, req.body.plan);
+  if (!plan) {
+    return res.status(400).json({ error: ['Invalid plan id'] });
+  }
+
+  return placeOrder(req, res, {
+    amount: plan.price,
+    details: { type: 'data', network: network.key, plan: plan.id, description: `${network.key.toUpperCase()} ${plan.size}` },
+  });
+});
+
+router.post('/api/topup/', async (req, res) => {
+  const network = NETWORKS[req.body.network];
+  const amount = Number(req.body.amount);
+  if (!network || !req.body.mobile_number) {
+    return res.status(400).json({ error: ['network and mobile_number are required'] });
+  }
+  if (!Number.isFinite(amount) || amount < 50) {
+    return res.status(400).json({ error: ['Minimum airtime amount is 50'] });
+  }
+
+  return placeOrder(req, res, {
+    amount,
+    details: { type: 'airtime', network: network.key, description: `NGN ${amount} ${network.key.toUpperCase()} airtime` },
+  });
+});
+
+router.get(['/api/data/:id/', '/api/topup/:id/'], (req, res) => {
+  const order = MockProviderState.getOrder(PROVIDER, req.params.id)
+    || MockProviderState.findOrder(PROVIDER, (item) => item.reference === req.params.id);
+  if (!order) {
+    return res.status(404).json({ detail: 'Not found.' });
+  }
+
+  return res.json(transactionPayload(order));
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const MockProviderState = require('./mockProviderState');
+const nelloBytesMock = require('./nelloBytesMock');
+const smePlugMock = require('./smePlugMock');
+const pluginngMock = require('./pluginngMock');
+const alrahuzDataMock = require('./alrahuzDataMock');
+const reloadlyMock = require('./reloadlyMock');
+const monnifyMock = require('./monnifyMock');
+
+// Path prefix for each mocked provider. Point the matching *_BASE_URL at
+// http://<host>:<port><prefix> to send that provider's traffic here.
+const MOUNTS = {
+  '/nellobytes': nelloBytesMock,
+  '/clubkonnect': nelloBytesMock,
+  '/smeplug': smePlugMock,
+  '/pluginng': pluginngMock,
+  '/alrahuzdata': alrahuzDataMock,
+  '/reloadly': reloadlyMock,
+  '/monnify': monnifyMock,
+};
+
+function createMockProviderApp() {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.get('/__mock/scenario', (req, res) => {
+    res.json(MockProviderState.describeScenarios());
+  });
+
+  app.post('/__mock/scenario', (req, res) => {
+    const { provider = null, scenario } = req.body || {};
+    try {
+      MockProviderState.setScenario(provider, scenario);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.json({ success: true, data: MockProviderState.describeScenarios() });
+  });
+
+  app.get('/__mock/orders', (req, res) => {
+    res.json({ success: true, data: MockProviderState.listOrders(req.query.provider || null) });
+  });
+
+  app.post('/__mock/orders/:provider/:orderId/settle', (req, res) => {
+    const order = MockProviderState.getOrder(req.params.provider, req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const status = req.body?.status === 'failed' ? 'failed' : 'successful';
+    const { notify, ...data } = MockProviderState.settle(order, status);
+    return res.json({ success: true, data });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    MockProviderState.reset();
+    res.json({ success: true });
+  });
+
+  for (const [prefix, router] of Object.entries(MOUNTS)) {
+    app.use(prefix, router);
+  }
+
+  app.use((req, res) => {
+    res.status(404).json({ success: false, message: `No mock route for ${req.method} ${req.originalUrl}` });
+  });
+
+  return app;
+}
+
+module.exports = {
+  MOUNTS,
+  createMockProviderApp,
+  MockProviderState,
+};
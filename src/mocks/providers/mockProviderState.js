@@ -0,0 +1,276 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+const SCENARIOS = [
+  'success',
+  'pending_then_success',
+  'pending_then_failure',
+  'failure',
+  'timeout',
+  'low_balance',
+];
+
+const ALL_PROVIDERS = '*';
+
+const PLANS = {
+  mtn: [
+    { id: 'MTN-500MB', name: '500MB SME', size: '500MB', price: 140, validity: '30 days' },
+    { id: 'MTN-1GB', name: '1GB SME', size: '1GB', price: 260, validity: '30 days' },
+    { id: 'MTN-2GB', name: '2GB SME', size: '2GB', price: 520, validity: '30 days' },
+    { id: 'MTN-5GB', name: '5GB SME', size: '5GB', price: 1300, validity: '30 days' },
+  ],
+  airtel: [
+    { id: 'AIRTEL-1GB', name: '1GB Corporate', size: '1GB', price: 280, validity: '30 days' },
+    { id: 'AIRTEL-2GB', name: '2GB Corporate', size: '2GB', price: 560, validity: '30 days' },
+    { id: 'AIRTEL-5GB', name: '5GB Corporate', size: '5GB', price: 1400, validity: '30 days' },
+  ],
+  glo: [
+    { id: 'GLO-1GB', name: '1GB Corporate', size: '1GB', price: 250, validity: '30 days' },
+    { id: 'GLO-2GB', name: '2GB Corporate', size: '2GB', price: 500, validity: '30 days' },
+    { id: 'GLO-5GB', name: '5GB Corporate', size: '5GB', price: 1250, validity: '30 days' },
+  ],
+  '9mobile': [
+    { id: '9MOBILE-1GB', name: '1GB Gifting', size: '1GB', price: 300, validity: '30 days' },
+    { id: '9MOBILE-2GB', name: '2GB Gifting', size: '2GB', price: 600, validity: '30 days' },
+  ],
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * In-memory provider ledger shared by the mock provider routers. Each
+ * provider plays one scenario at a time (MOCK_PROVIDER_SCENARIO, or set per
+ * provider through POST /__mock/scenario). Orders that are not settled at
+ * purchase time settle after MOCK_PROVIDER_SETTLE_MS and then call the
+ * provider's `notify` hook so the router can send its webhook.
+ */
+class MockProviderState {
+  static SCENARIOS = SCENARIOS;
+
+  static PLANS = PLANS;
+
+  static scenarios = new Map();
+
+  static orders = new Map();
+
+  static balances = new Map();
+
+  static counters = new Map();
+
+  static timers = new Set();
+
+  static getDefaultScenario() {
+    return process.env.MOCK_PROVIDER_SCENARIO || 'success';
+  }
+
+  static getSettleMs() {
+    return Number(process.env.MOCK_PROVIDER_SETTLE_MS || 5000);
+  }
+
+  static getTimeoutMs() {
+    return Number(process.env.MOCK_PROVIDER_TIMEOUT_MS || 60000);
+  }
+
+  static getStartingBalance() {
+    return Number(process.env.MOCK_PROVIDER_BALANCE || 500000);
+  }
+
+  static getLowBalance() {
+    return Number(process.env.MOCK_PROVIDER_LOW_BALANCE || 50);
+  }
+
+  static getWebhookBaseUrl() {
+    return String(process.env.MOCK_PROVIDER_WEBHOOK_BASE_URL || process.env.SERVER_URL || 'http://localhost:5000').replace(/\/+$/, '');
+  }
+
+  static getScenario(provider) {
+    return this.scenarios.get(provider) || this.scenarios.get(ALL_PROVIDERS) || this.getDefaultScenario();
+  }
+
+  static setScenario(provider, scenario) {
+    if (!SCENARIOS.includes(scenario)) {
+      throw new Error(`Unknown scenario "${scenario}". Use one of: ${SCENARIOS.join(', ')}`);
+    }
+
+    if (!provider || provider === ALL_PROVIDERS) {
+      this.scenarios.clear();
+      this.scenarios.set(ALL_PROVIDERS, scenario);
+    } else {
+      this.scenarios.set(provider, scenario);
+    }
+  }
+
+  static describeScenarios() {
+    return {
+      default: this.scenarios.get(ALL_PROVIDERS) || this.getDefaultScenario(),
+      overrides: Object.fromEntries([...this.scenarios].filter(([provider]) => provider !== ALL_PROVIDERS)),
+      available: SCENARIOS,
+    };
+  }
+
+  static getBalance(provider) {
+    if (this.getScenario(provider) === 'low_balance') {
+      return this.getLowBalance();
+    }
+    return this.balances.has(provider) ? this.balances.get(provider) : this.getStartingBalance();
+  }
+
+  static adjustBalance(provider, delta) {
+    const balance = this.balances.has(provider) ? this.balances.get(provider) : this.getStartingBalance();
+    this.balances.set(provider, Number((balance + delta).toFixed(2)));
+  }
+
+  static nextId(provider, start = 100000) {
+    const next = (this.counters.get(provider) || start) + 1;
+    this.counters.set(provider, next);
+    return next;
+  }
+
+  static findPlan(network, planId) {
+    const needle = String(planId || '').trim().toUpperCase();
+    const networks = network ? [network] : Object.keys(PLANS);
+    for (const key of networks) {
+      const plan = (PLANS[key] || []).find((item) => item.id === needle);
+      if (plan) return { ...plan, network: key };
+    }
+    return null;
+  }
+
+  /**
+   * Records an order and resolves it according to the provider's scenario.
+   * Returns the order; `order.status` is 'rejected' when the provider would
+   * refuse it outright (reason: 'failure' or 'insufficient_balance').
+   */
+  static placeOrder(provider, { id, reference = null, amount = 0, details = {}, notify = null }) {
+    const scenario = this.getScenario(provider);
+    const order = {
+      provider,
+      id: String(id || this.nextId(provider)),
+      reference: reference ? String(reference) : null,
+      amount: Number(amount) || 0,
+      details,
+      scenario,
+      status: 'pending',
+      reason: null,
+      createdAt: new Date(),
+      settledAt: null,
+      webhooks: [],
+      notify,
+    };
+    this.orders.set(`${provider}:${order.id}`, order);
+
+    if (scenario === 'failure') {
+      return this.reject(order, 'failure');
+    }
+    if (scenario === 'low_balance' || this.getBalance(provider) < order.amount) {
+      return this.reject(order, 'insufficient_balance');
+    }
+
+    this.adjustBalance(provider, -order.amount);
+
+    if (scenario === 'success') {
+      order.status = 'successful';
+      order.settledAt = new Date();
+      this.schedule(() => this.notify(order), this.getSettleMs());
+    } else {
+      const finalStatus = scenario === 'pending_then_failure' ? 'failed' : 'successful';
+      this.schedule(() => this.settle(order, finalStatus), this.getSettleMs());
+    }
+
+    return order;
+  }
+
+  static reject(order, reason) {
+    order.status = 'rejected';
+    order.reason = reason;
+    order.settledAt = new Date();
+    return order;
+  }
+
+  static settle(order, status) {
+    if (['successful', 'failed', 'rejected'].includes(order.status)) {
+      return order;
+    }
+
+    order.status = status;
+    order.settledAt = new Date();
+    if (status === 'failed') {
+      this.adjustBalance(order.provider, order.amount);
+    }
+    this.notify(order);
+    return order;
+  }
+
+  static notify(order) {
+    if (typeof order.notify !== 'function') return;
+    Promise.resolve()
+      .then(() => order.notify(order))
+      .catch((error) => {
+        logger.warn(`[mock:${order.provider}] webhook for ${order.id} failed: ${error.message}`);
+      });
+  }
+
+  // Provider took the order but answers after the client has given up.
+  static async hold(order) {
+    if (order.scenario === 'timeout') {
+      await sleep(this.getTimeoutMs());
+    }
+  }
+
+  static schedule(fn, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delayMs);
+    timer.unref();
+    this.timers.add(timer);
+  }
+
+  static getOrder(provider, id) {
+    return this.orders.get(`${provider}:${id}`) || null;
+  }
+
+  static findOrder(provider, predicate) {
+    for (const order of this.orders.values()) {
+      if (order.provider === provider && predicate(order)) return order;
+    }
+    return null;
+  }
+
+  static listOrders(provider = null) {
+    return [...this.orders.values()]
+      .filter((order) => !provider || order.provider === provider)
+      .map(({ notify, ...order }) => order);
+  }
+
+  static async sendWebhook(order, { method = 'POST', url, data = null, params = null, headers = {} }) {
+    if (!url) return null;
+
+    const entry = { url, method, at: new Date(), status: null, error: null };
+    order.webhooks.push(entry);
+    try {
+      const response = await axios({ method, url, data, params, headers, timeout: 10000 });
+      entry.status = response.status;
+    } catch (error) {
+      entry.status = error.response?.status || null;
+      entry.error = error.message;
+    }
+    logger.info(`[mock:${order.provider}] ${method} ${url} -> ${entry.status || entry.error}`);
+    return entry;
+  }
+
+  static reset() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.scenarios.clear();
+    this.orders.clear();
+    this.balances.clear();
+    this.counters.clear();
+  }
+}
+
+module.exports = MockProviderState;
@@ -0,0 +1,174 @@
+const express = require('express');
+const crypto = require('crypto');
+const MockProviderState = require('./mockProviderState');
+
+const PROVIDER = 'monnify';
+
+const router = express.Router();
+
+const BANKS = [
+  { name: 'Access Bank', code: '044' },
+  { name: 'First Bank of Nigeria', code: '011' },
+  { name: 'Guaranty Trust Bank', code: '058' },
+  { name: 'Moniepoint Microfinance Bank', code: '50515' },
+  { name: 'Opay', code: '999992' },
+  { name: 'United Bank for Africa', code: '033' },
+  { name: 'Zenith Bank', code: '057' },
+];
+
+const TRANSFER_STATUS = {
+  pending: 'PENDING',
+  successful: 'SUCCESS',
+  failed: 'FAILED',
+};
+
+const WEBHOOK_EVENTS = {
+  successful: 'SUCCESSFUL_DISBURSEMENT',
+  failed: 'FAILED_DISBURSEMENT',
+};
+
+const tokens = new Set();
+
+function envelope(responseBody, responseMessage = 'success') {
+  return {
+    requestSuccessful: true,
+    responseMessage,
+    responseCode: '0',
+    responseBody,
+  };
+}
+
+function failure(responseMessage, responseCode) {
+  return { requestSuccessful: false, responseMessage, responseCode };
+}
+
+function accountName(accountNumber) {
+  return `MOCK ACCOUNT ${String(accountNumber).slice(-4)}`;
+}
+
+function transferPayload(order) {
+  const bank = BANKS.find((item) => item.code === order.details.destinationBankCode);
+  return {
+    amount: order.amount,
+    reference: order.reference,
+    narration: order.details.narration,
+    currency: 'NGN',
+    fee: 10,
+    twoFaEnabled: false,
+    status: TRANSFER_STATUS[order.status] || 'PENDING',
+    transactionDescription: order.status === 'failed' ? 'Transfer failed, amount reversed' : 'Approved or completed successfully',
+    transactionReference: `MFDS${order.id}`,
+    createdOn: order.createdAt.toISOString(),
+    sourceAccountNumber: order.details.sourceAccountNumber,
+    destinationAccountNumber: order.details.destinationAccountNumber,
+    destinationAccountName: accountName(order.details.destinationAccountNumber),
+    destinationBankCode: order.details.destinationBankCode,
+    destinationBankName: bank?.name || 'Unknown Bank',
+  };
+}
+
+// Signed the way MonnifyService.verifyWebhookSignature checks it.
+function notify(order) {
+  const eventType = WEBHOOK_EVENTS[order.status];
+  if (!eventType) return null;
+
+  const transfer = transferPayload(order);
+  const payload = {
+    eventType,
+    eventData: {
+      ...transfer,
+      sessionId: `MOCK${order.id}`,
+      completedOn: (order.settledAt || new Date()).toISOString(),
+    },
+  };
+  const secret = process.env.MONNIFY_SECRET_KEY || process.env.MONNIFY_SECRET || '';
+  const signature = crypto.createHmac('sha512', secret).update(JSON.stringify(payload)).digest('hex');
+
+  return MockProviderState.sendWebhook(order, {
+    url: `${MockProviderState.getWebhookBaseUrl()}/api/v1/webhook/monnify`,
+    data: payload,
+    headers: { 'monnify-signature': signature },
+  });
+}
+
+router.post('/api/v1/auth/login', (req, res) => {
+  if (!/^Basic\s+\S+/.test(req.headers.authorization || '')) {
+    return res.status(401).json(failure('Full authentication is required to access this resource', '99'));
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  tokens.add(token);
+  return res.json(envelope({ accessToken: token, expiresIn: 3599 }));
+});
+
+router.use((req, res, next) => {
+  const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!tokens.has(token)) {
+    return res.status(401).json(failure('Invalid or expired access token', '99'));
+  }
+  return next();
+});
+
+router.get('/api/v1/banks', (req, res) => {
+  res.json(envelope(BANKS.map((bank) => ({ ...bank, ussdTemplate: null, baseUssdCode: null, transferUssdTemplate: null }))));
+});
+
+router.get('/api/v1/disbursements/account/validate', (req, res) => {
+  const { accountNumber, bankCode } = req.query;
+  if (!/^\d{10}$/.test(String(accountNumber || '')) || !BANKS.some((bank) => bank.code === bankCode)) {
+    return res.status(400).json(failure('Invalid account number or bank code', '99'));
+  }
+
+  return res.json(envelope({ accountNumber, accountName: accountName(accountNumber), bankCode }));
+});
+
+router.get('/api/v2/disbursements/wallet-balance', (req, res) => {
+  const balance = MockProviderState.getBalance(PROVIDER);
+  res.json(envelope({ availableBalance: balance, ledgerBalance: balance }));
+});
+
+router.post('/api/v2/disbursements/single', async (req, res) => {
+  const { amount, reference, destinationAccountNumber, destinationBankCode } = req.body || {};
+  if (!reference || !destinationAccountNumber || !destinationBankCode || !(Number(amount) > 0)) {
+    return res.status(400).json(failure('amount, reference, destinationAccountNumber and destinationBankCode are required', '99'));
+  }
+  if (MockProviderState.findOrder(PROVIDER, (item) => item.reference === String(reference))) {
+    return res.status(400).json(failure('Duplicate transaction reference', 'D01'));
+  }
+
+  const order = MockProviderState.placeOrder(PROVIDER, {
+    reference,
+    amount,
+    details: {
+      narration: req.body.narration || null,
+      sourceAccountNumber: req.body.sourceAccountNumber || null,
+      destinationAccountNumber,
+      destinationBankCode,
+    },
+    notify,
+  });
+
+  await MockProviderState.hold(order);
+
+  if (order.reason === 'insufficient_balance') {
+    return res.status(400).json(failure('Insufficient balance in source account', 'D02'));
+  }
+  if (order.status === 'rejected') {
+    return res.status(400).json(failure('Transfer could not be processed, please retry', 'D03'));
+  }
+
+  return res.json(envelope(transferPayload(order)));
+});
+
+router.get('/api/v2/disbursements/single/summary', (req, res) => {
+  const order = MockProviderState.findOrder(PROVIDER, (item) => (
+    item.reference === String(req.query.reference) && item.status !== 'rejected'
+  ));
+  if (!order) {
+    return res.status(404).json(failure(`Could not find transfer with reference ${req.query.reference}`, '99'));
+  }
+
+  return res.json(envelope(transferPayload(order)));
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const MockProviderState = require('./mockProviderState');
+
+const PROVIDER = 'clubkonnect';
+
+const router = express.Router();
+
+const NETWORKS = {
+  '01': { key: 'mtn', label: 'MTN' },
+  '02': { key: 'glo', label: 'Glo' },
+  '03': { key: '9mobile', label: 'm_9mobile' },
+  '04': { key: 'airtel', label: 'Airtel' },
+};
+
+const ORDER_STATES = {
+  pending: { statuscode: '100', orderstatus: 'ORDER_RECEIVED', orderremark: 'Order received and is being processed' },
+  successful: { statuscode: '200', orderstatus: 'ORDER_COMPLETED', orderremark: 'Order completed successfully' },
+  failed: { statuscode: '300', orderstatus: 'ORDER_CANCELLED', orderremark: 'Order could not be delivered and was cancelled' },
+};
+
+function orderPayload(order) {
+  const state = ORDER_STATES[order.status] || ORDER_STATES.pending;
+  return {
+    orderid: order.id,
+    requestid: order.reference,
+    statuscode: state.statuscode,
+    status: state.orderstatus,
+    orderstatus: state.orderstatus,
+    orderremark: state.orderremark,
+    orderdate: order.createdAt.toISOString(),
+  };
+}
+
+// NelloBytes calls back with a GET carrying the order fields as query params.
+function notify(order) {
+  const payload = orderPayload(order);
+  return MockProviderState.sendWebhook(order, {
+    method: 'GET',
+    url: order.details.callbackUrl,
+    params: {
+      orderid: payload.orderid,
+      requestid: payload.requestid,
+      statuscode: payload.statuscode,
+      orderstatus: payload.orderstatus,
+      orderremark: payload.orderremark,
+    },
+  });
+}
+
+function checkCredentials(req, res) {
+  if (!req.query.UserID) {
+    res.json({ status: 'MISSING_USERID' });
+    return false;
+  }
+  if (!req.query.APIKey) {
+    res.json({ status: 'MISSING_APIKEY' });
+    return false;
+  }
+  return true;
+}
+
+async function placeOrder(req, res, { amount, details }) {
+  const order = MockProviderState.placeOrder(PROVIDER, {
+    id: MockProviderState.nextId(PROVIDER, 7000000000),
+    reference: req.query.RequestID,
+    amount,
+    details: { ...details, callbackUrl: req.query.CallBackURL || null },
+    notify,
+  });
+
+  await MockProviderState.hold(order);
+
+  if (order.status === 'rejected') {
+    return res.json({
+      status: order.reason === 'insufficient_balance' ? 'INSUFFICIENT_BALANCE' : 'INVALID_RECIPIENT',
+      requestid: order.reference,
+    });
+  }
+
+  // Purchases are only ever acknowledged; completion arrives by callback or query.
+  return res.json({
+    orderid: order.id,
+    requestid: order.reference,
+    statuscode: '100',
+    status: 'ORDER_RECEIVED',
+  });
+}
+
+router.get('/APIWalletBalanceV1.asp', (req, res) => {
+  if (!checkCredentials(req, res)) return;
+  res.json({
+    date: new Date().toISOString(),
+    id: req.query.UserID,
+    phoneno: '08000000000',
+    balance: MockProviderState.getBalance(PROVIDER).toFixed(2),
+  });
+});
+
+router.get('/APIDatabundlePlansV2.asp', (req, res) => {
+  const mobileNetwork = {};
+  for (const [code, network] of Object.entries(NETWORKS)) {
+    mobileNetwork[network.label] = [{
+      ID: code,
+      PRODUCT: MockProviderState.PLANS[network.key].map((plan) => ({
+        PRODUCT_SNO: plan.id,
+        PRODUCT_CODE: plan.id,
+        PRODUCT_ID: plan.id,
+        PRODUCT_NAME: `${plan.name} - ${plan.validity}`,
+        PRODUCT_AMOUNT: String(plan.price),
+      })),
+    }];
+  }
+  res.json({ MOBILE_NETWORK: mobileNetwork });
+});
+
+router.get('/APIDatabundleV1.asp', async (req, res) => {
+  if (!checkCredentials(req, res)) return;
+
+  const network = NETWORKS[req.query.MobileNetwork];
+  if (!network) return res.json({ status: 'MISSING_MOBILENETWORK' });
+  if (!req.query.MobileNumber) return res.json({ status: 'INVALID_RECIPIENT' });
+
+  const plan = MockProviderState.findPlan(network.key, req.query.DataPlan);
+  if (!plan) return res.json({ status: 'INVALID_DATAPLAN' });
+
+  return placeOrder(req, res, {
+    amount: plan.price,
+    details: { type: 'data', network: network.key, plan: plan.id, phone: req.query.MobileNumber },
+  });
+});
+
+router.get('/APIAirtimeV1.asp', async (req, res) => {
+  if (!checkCredentials(req, res)) return;
+
+  const network = NETWORKS[req.query.MobileNetwork];
+  const amount = Number(req.query.Amount);
+  if (!network) return res.json({ status: 'MISSING_MOBILENETWORK' });
+  if (!req.query.MobileNumber) return res.json({ status: 'INVALID_RECIPIENT' });
+  if (!Number.isFinite(amount) || amount <= 0) return res.json({ status: 'INVALID_AMOUNT' });
+  if (amount < 50) return res.json({ status: 'MINIMUM_50' });
+
+  return placeOrder(req, res, {
+    amount,
+    details: { type: 'airtime', network: network.key, phone: req.query.MobileNumber },
+  });
+});
+
+router.get('/APIQueryV1.asp', (req, res) => {
+  if (!checkCredentials(req, res)) return;
+
+  const { OrderID, RequestID } = req.query;
+  const order = (OrderID && MockProviderState.getOrder(PROVIDER, OrderID))
+    || (RequestID && MockProviderState.findOrder(PROVIDER, (item) => item.reference === RequestID));
+
+  if (!order || order.status === 'rejected') {
+    return res.json({ status: 'INVALID_ORDERID' });
+  }
+
+  return res.json(orderPayload(order));
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const crypto = require('crypto');
+const MockProviderState = require('./mockProviderState');
+
+const PROVIDER = 'pluginng';
+
+const router = express.Router();
+
+const DATA_GROUPS = [
+  { subcategory_id: 1, network: 'mtn', title: 'MTN SME' },
+  { subcategory_id: 2, network: 'airtel', title: 'AIRTEL Corporate Gifting' },
+  { subcategory_id: 3, network: 'glo', title: 'GLO Corporate Gifting' },
+  { subcategory_id: 4, network: '9mobile', title: '9MOBILE Gifting' },
+];
+
+const AIRTIME_GROUPS = [
+  { subcategory_id: 11, network: 'mtn', title: 'MTN Airtime VTU' },
+  { subcategory_id: 12, network: 'airtel', title: 'AIRTEL Airtime VTU' },
+  { subcategory_id: 13, network: 'glo', title: 'GLO Airtime VTU' },
+  { subcategory_id: 14, network: '9mobile', title: '9MOBILE Airtime VTU' },
+];
+
+// Pluginng status codes: 1 success, 0 pending, 4 failed, 2 reversed.
+const STATUS_CODES = {
+  pending: 0,
+  successful: 1,
+  failed: 2,
+  rejected: 4,
+};
+
+const tokens = new Set();
+
+function transactionPayload(order) {
+  const messages = {
+    pending: 'Transaction is processing',
+    successful: `${order.details.description} delivered to ${order.details.phone}`,
+    failed: 'Transaction reversed, wallet refunded',
+    rejected: 'Transaction failed',
+  };
+  return {
+    status: STATUS_CODES[order.status],
+    ref: order.id,
+    custom_reference: order.reference,
+    amount: order.amount,
+    response: messages[order.status],
+  };
+}
+
+// Pluginng posts callbacks to the webhook URL set on the merchant dashboard.
+function notify(order) {
+  return MockProviderState.sendWebhook(order, {
+    url: `${MockProviderState.getWebhookBaseUrl()}/api/v1/telecom/webhook/pluginng`,
+    data: transactionPayload(order),
+  });
+}
+
+function authenticate(req, res, next) {
+  const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!tokens.has(token) && token !== process.env.PLUGINNG_TOKEN) {
+    return res.status(401).json({ status: false, message: 'Unauthenticated.' });
+  }
+  return next();
+}
+
+async function placeOrder(req, res, { amount, details }) {
+  const order = MockProviderState.placeOrder(PROVIDER, {
+    id: `PLG${MockProviderState.nextId(PROVIDER)}`,
+    reference: req.body.custom_reference || null,
+    amount,
+    details: { ...details, phone: req.body.phonenumber },
+    notify,
+  });
+
+  await MockProviderState.hold(order);
+
+  if (order.reason === 'insufficient_balance') {
+    return res.status(400).json({ status: false, message: 'Insufficient balance, please fund your wallet' });
+  }
+
+  return res.json({ status: true, data: transactionPayload(order) });
+}
+
+router.post('/api/login', (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) {
+    return res.status(422).json({ status: false, message: 'Email and password are required.' });
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  tokens.add(token);
+  return res.json({
+    status: true,
+    token,
+    data: {
+      name: 'Mock Merchant',
+      email,
+      balance: MockProviderState.getBalance(PROVIDER),
+    },
+  });
+});
+
+router.get('/api/get/plans', authenticate, (req, res) => {
+  const dataGroups = DATA_GROUPS.map(({ network, ...group }) => ({
+    ...group,
+    category: 'data',
+    status: 1,
+    plan: MockProviderState.PLANS[network].map((plan) => ({ plan: plan.id, amount: plan.price })),
+  }));
+  const airtimeGroups = AIRTIME_GROUPS.map(({ network, ...group }) => ({
+    ...group,
+    category: 'airtime',
+    status: 1,
+    plan: [],
+  }));
+
+  res.json({ status: true, data: [...dataGroups, ...airtimeGroups] });
+});
+
+router.post('/api/purchase/data', authenticate, async (req, res) => {
+  const group = DATA_GROUPS.find((item) => String(item.subcategory_id) === String(req.body.subcategory_id));
+  if (!group || !req.body.phonenumber) {
+    return res.status(422).json({ status: false, message: 'subcategory_id and phonenumber are required.' });
+  }
+
+  const plan = MockProviderState.findPlan(group.network, req.body.plan_id);
+  if (!plan) {
+    return res.status(422).json({ status: false, message: 'Selected plan is not available.' });
+  }
+
+  return placeOrder(req, res, {
+    amount: plan.price,
+    details: { type: 'data', network: group.network, plan: plan.id, description: plan.name },
+  });
+});
+
+router.post('/api/purchase/airtime', authenticate, async (req, res) => {
+  const group = AIRTIME_GROUPS.find((item) => String(item.subcategory_id) === String(req.body.subcategory_id));
+  const amount = Number(req.body.amount);
+  if (!group || !req.body.phonenumber) {
+    return res.status(422).json({ status: false, message: 'subcategory_id and phonenumber are required.' });
+  }
+  if (!Number.isFinite(amount) || amount < 50) {
+    return res.status(422).json({ status: false, message: 'Minimum airtime amount is 50.' });
+  }
+
+  return placeOrder(req, res, {
+    amount,
+    details: { type: 'airtime', network: group.network, description: `NGN ${amount} airtime` },
+  });
+});
+
+router.get('/api/requery/:reference', authenticate, (req, res) => {
+  const order = MockProviderState.findOrder(PROVIDER, (item) => (
+    item.reference === req.params.reference || item.id === req.params.reference
+  ));
+  if (!order) {
+    return res.status(404).json({ status: false, message: 'Transaction not found.' });
+  }
+
+  return res.json({ status: true, data: transactionPayload(order) });
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const crypto = require('crypto');
+const MockProviderState = require('./mockProviderState');
+
+const PROVIDER = 'reloadly';
+
+const router = express.Router();
+
+const COUNTRY = {
+  isoName: 'NG',
+  name: 'Nigeria',
+  currencyCode: 'NGN',
+  currencyName: 'Nigerian Naira',
+  callingCodes: ['+234'],
+};
+
+const OPERATORS = [
+  { id: 341, name: 'MTN Nigeria' },
+  { id: 342, name: 'Airtel Nigeria' },
+  { id: 344, name: 'Glo Nigeria' },
+  { id: 340, name: '9mobile (Etisalat) Nigeria' },
+].map((operator) => ({
+  ...operator,
+  operatorId: operator.id,
+  bundle: false,
+  data: false,
+  pin: false,
+  denominationType: 'RANGE',
+  senderCurrencyCode: 'NGN',
+  senderCurrencySymbol: '₦',
+  destinationCurrencyCode: 'NGN',
+  destinationCurrencySymbol: '₦',
+  minAmount: 50,
+  maxAmount: 50000,
+  localMinAmount: 50,
+  localMaxAmount: 50000,
+  fx: { rate: 1, currencyCode: 'NGN' },
+  country: { isoName: COUNTRY.isoName, name: COUNTRY.name },
+}));
+
+const STATUS_LABELS = {
+  pending: 'PROCESSING',
+  successful: 'SUCCESSFUL',
+  failed: 'REFUNDED',
+};
+
+const tokens = new Set();
+
+function errorPayload(path, message, errorCode) {
+  return {
+    timeStamp: new Date().toISOString(),
+    message,
+    path,
+    errorCode,
+    infoLink: null,
+    details: [],
+  };
+}
+
+function topupPayload(order) {
+  return {
+    transactionId: Number(order.id),
+    status: STATUS_LABELS[order.status] || 'PROCESSING',
+    operatorTransactionId: order.status === 'successful' ? `OP-${order.id}` : null,
+    customIdentifier: order.reference,
+    recipientPhone: order.details.recipientPhone,
+    recipientEmail: null,
+    countryCode: order.details.countryCode,
+    operatorId: order.details.operator.id,
+    operatorName: order.details.operator.name,
+    discount: 0,
+    discountCurrencyCode: 'NGN',
+    requestedAmount: order.amount,
+    requestedAmountCurrencyCode: 'NGN',
+    deliveredAmount: order.amount,
+    deliveredAmountCurrencyCode: 'NGN',
+    transactionDate: order.createdAt.toISOString(),
+    balanceInfo: {
+      currencyCode: 'NGN',
+      newBalance: MockProviderState.getBalance(PROVIDER),
+    },
+  };
+}
+
+router.post('/oauth/token', (req, res) => {
+  const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+  if (!clientId || !clientSecret) {
+    return res.status(401).json({ error: 'invalid_client', error_description: 'Client credentials are required' });
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  tokens.add(token);
+  return res.json({
+    access_token: token,
+    scope: 'developer',
+    expires_in: 86400,
+    token_type: 'Bearer',
+  });
+});
+
+router.use((req, res, next) => {
+  const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!tokens.has(token)) {
+    return res.status(401).json(errorPayload(req.path, 'Full authentication is required to access this resource', 'INVALID_TOKEN'));
+  }
+  return next();
+});
+
+router.get('/accounts/balance', (req, res) => {
+  res.json({
+    balance: MockProviderState.getBalance(PROVIDER),
+    currencyCode: 'NGN',
+    currencyName: 'Nigerian Naira',
+    updatedAt: new Date().toISOString(),
+  });
+});
+
+router.get('/countries', (req, res) => {
+  res.json([COUNTRY]);
+});
+
+router.get('/operators/countries/:countryCode', (req, res) => {
+  if (req.params.countryCode.toUpperCase() !== COUNTRY.isoName) {
+    return res.json([]);
+  }
+  return res.json(OPERATORS);
+});
+
+router.get('/operators/:operatorId', (req, res) => {
+  const operator = OPERATORS.find((item) => String(item.id) === String(req.params.operatorId));
+  if (!operator) {
+    return res.status(404).json(errorPayload(req.path, 'Operator not found', 'OPERATOR_NOT_FOUND'));
+  }
+  return res.json(operator);
+});
+
+router.post('/topups', async (req, res) => {
+  const operator = OPERATORS.find((item) => String(item.id) === String(req.body.operatorId));
+  const amount = Number(req.body.amount);
+  if (!operator) {
+    return res.status(400).json(errorPayload(req.path, 'Invalid operator id', 'INVALID_OPERATOR_ID'));
+  }
+  if (!Number.isFinite(amount) || amount < operator.minAmount || amount > operator.maxAmount) {
+    return res.status(400).json(errorPayload(req.path, 'Amount is outside the operator range', 'INVALID_AMOUNT_FOR_OPERATOR'));
+  }
+
+  const order = MockProviderState.placeOrder(PROVIDER, {
+    id: MockProviderState.nextId(PROVIDER, 40000),
+    reference: req.body.customIdentifier || null,
+    amount,
+    details: {
+      operator: { id: operator.id, name: operator.name },
+      recipientPhone: req.body.recipientPhone?.number || null,
+      countryCode: req.body.recipientPhone?.countryCode || COUNTRY.isoName,
+    },
+  });
+
+  await MockProviderState.hold(order);
+
+  if (order.reason === 'insufficient_balance') {
+    return res.status(400).json(errorPayload(req.path, 'Insufficient funds in your wallet to complete this transaction', 'INSUFFICIENT_BALANCE'));
+  }
+  if (order.status === 'rejected') {
+    return res.status(400).json(errorPayload(req.path, 'The transaction could not be processed at the moment', 'TRANSACTION_CANNOT_BE_PROCESSED_AT_THE_MOMENT'));
+  }
+
+  return res.json(topupPayload(order));
+});
+
+router.get('/reports/transactions', (req, res) => {
+  const page = Number(req.query.page || 0);
+  const size = Number(req.query.size || 20);
+  const orders = MockProviderState.listOrders(PROVIDER)
+    .filter((order) => order.status !== 'rejected')
+    .filter((order) => !req.query.customIdentifier || order.reference === req.query.customIdentifier)
+    .reverse();
+
+  res.json({
+    content: orders.slice(page * size, (page + 1) * size).map(topupPayload),
+    totalElements: orders.length,
+    totalPages: Math.ceil(orders.length / size),
+    number: page,
+    size,
+  });
+});
+
+module.exports = router;
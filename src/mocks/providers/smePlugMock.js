@@ -0,0 +1,148 @@
+const express = require('express');
+const MockProviderState = require('./mockProviderState');
+
+const PROVIDER = 'smeplug';
+
+const router = express.Router();
+
+const NETWORKS = {
+  1: 'mtn',
+  2: 'airtel',
+  3: '9mobile',
+  4: 'glo',
+};
+
+const DELIVERY_STATUS = {
+  pending: 'pending',
+  successful: 'success',
+  failed: 'failed',
+};
+
+function transactionPayload(order) {
+  return {
+    reference: order.id,
+    customer_reference: order.reference,
+    type: order.details.type,
+    beneficiary: order.details.phone,
+    price: order.amount,
+    status: DELIVERY_STATUS[order.status] || 'pending',
+    response: order.status === 'failed'
+      ? 'Transaction failed, wallet refunded'
+      : `${order.details.description} to ${order.details.phone}`,
+    created_at: order.createdAt.toISOString(),
+  };
+}
+
+function notify(order) {
+  return MockProviderState.sendWebhook(order, {
+    url: order.details.callbackUrl,
+    data: transactionPayload(order),
+  });
+}
+
+router.use((req, res, next) => {
+  if (!/^Bearer\s+\S+/.test(req.headers.authorization || '')) {
+    return res.status(401).json({ status: false, message: 'Unauthenticated.' });
+  }
+  return next();
+});
+
+async function placeOrder(req, res, { amount, details }) {
+  const order = MockProviderState.placeOrder(PROVIDER, {
+    id: `SMEP${MockProviderState.nextId(PROVIDER)}`,
+    reference: req.body.customer_reference || null,
+    amount,
+    details: { ...details, phone: req.body.phone, callbackUrl: req.body.callback_url || null },
+    notify,
+  });
+
+  await MockProviderState.hold(order);
+
+  if (order.status === 'rejected') {
+    return res.status(400).json({
+      status: false,
+      message: order.reason === 'insufficient_balance'
+        ? 'Insufficient wallet balance'
+        : 'Transaction failed, please try again later',
+    });
+  }
+
+  return res.json({
+    status: true,
+    data: {
+      reference: order.id,
+      msg: `${details.description} to ${req.body.phone} is being processed`,
+    },
+  });
+}
+
+router.get('/account/balance', (req, res) => {
+  res.json({ status: true, balance: MockProviderState.getBalance(PROVIDER) });
+});
+
+router.get('/networks', (req, res) => {
+  res.json({
+    status: true,
+    networks: Object.entries(NETWORKS).map(([id, name]) => ({ id: Number(id), name: name.toUpperCase() })),
+  });
+});
+
+router.get('/data/plans', (req, res) => {
+  const network = NETWORKS[req.query.network_id];
+  if (!network) {
+    return res.status(422).json({ status: false, message: 'The selected network id is invalid.' });
+  }
+
+  return res.json({
+    status: true,
+    data: MockProviderState.PLANS[network].map((plan) => ({
+      id: plan.id,
+      name: plan.name,
+      size: plan.size,
+      price: plan.price,
+      validity: plan.validity,
+    })),
+  });
+});
+
+router.post('/data/purchase', async (req, res) => {
+  const network = NETWORKS[req.body.network_id];
+  if (!network || !req.body.phone) {
+    return res.status(422).json({ status: false, message: 'network_id and phone are required.' });
+  }
+
+  const plan = MockProviderState.findPlan(network, req.body.plan_id);
+  if (!plan) {
+    return res.status(422).json({ status: false, message: 'The selected plan id is invalid.' });
+  }
+
+  return placeOrder(req, res, {
+    amount: plan.price,
+    details: { type: 'data', network, plan: plan.id, description: `${plan.name} ${network.toUpperCase()}` },
+  });
+});
+
+router.post('/airtime/purchase', async (req, res) => {
+  const network = NETWORKS[req.body.network_id];
+  const amount = Number(req.body.amount);
+  if (!network || !req.body.phone) {
+    return res.status(422).json({ status: false, message: 'network_id and phone are required.' });
+  }
+  if (!Number.isFinite(amount) || amount < 50) {
+    return res.status(422).json({ status: false, message: 'The amount must be at least 50.' });
+  }
+
+  return placeOrder(req, res, {
+    amount,
+    details: { type: 'airtime', network, description: `NGN ${amount} ${network.toUpperCase()} airtime` },
+  });
+});
+
+router.get('/transactions', (req, res) => {
+  const orders = MockProviderState.listOrders(PROVIDER)
+    .filter((order) => order.status !== 'rejected')
+    .reverse();
+  res.json({ status: true, data: orders.map(transactionPayload) });
+});
+
+module.exports = router;
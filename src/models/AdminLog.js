@@ -42,6 +42,7 @@ const adminLogSchema = new mongoose.Schema({
       'transaction',
       'kyc',
       'pricing',
+      'fee',
       'provider',
       'system',
       'notification',
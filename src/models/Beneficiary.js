@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const BENEFICIARY_TYPES = ['phone', 'meter', 'smartcard', 'bank_account'];
+
+const beneficiarySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: BENEFICIARY_TYPES,
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 60,
+    },
+    // Phone, meter, smartcard or account number, used to keep entries unique.
+    identifier: {
+      type: String,
+      required: true,
+    },
+
+    phoneNumber: String,
+    network: String,
+
+    meterNumber: String,
+    disco: String,
+    meterType: {
+      type: String,
+      enum: ['prepaid', 'postpaid'],
+    },
+
+    smartCardNumber: String,
+    cableProvider: String,
+
+    accountNumber: String,
+    bankCode: String,
+    bankName: String,
+    accountName: String,
+
+    customerName: String,
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedAt: Date,
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+beneficiarySchema.index({ user: 1, type: 1, identifier: 1 }, { unique: true });
+beneficiarySchema.index({ user: 1, lastUsedAt: -1 });
+
+beneficiarySchema.statics.TYPES = BENEFICIARY_TYPES;
+
+module.exports = mongoose.models.Beneficiary || mongoose.model('Beneficiary', beneficiarySchema);
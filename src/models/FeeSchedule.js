@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const FEE_TRANSACTION_TYPES = ['funding', 'withdrawal', 'transfer'];
+const FEE_METHODS = ['flat', 'percentage', 'tiered'];
+const KYC_TIERS = ['pending', 'basic', 'advanced', 'verified'];
+
+const feeTierSchema = new mongoose.Schema({
+  upTo: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  flatAmount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  rate: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0,
+  },
+}, { _id: false });
+
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+
+  transactionType: {
+    type: String,
+    enum: FEE_TRANSACTION_TYPES,
+    required: true,
+  },
+  // Null criteria match any channel, role or KYC tier.
+  channel: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+  },
+  role: {
+    type: String,
+    default: null,
+  },
+  kycTier: {
+    type: String,
+    enum: [...KYC_TIERS, null],
+    default: null,
+  },
+
+  method: {
+    type: String,
+    enum: FEE_METHODS,
+    required: true,
+  },
+  flatAmount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  rate: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0,
+  },
+  tiers: [feeTierSchema],
+  minFee: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  maxFee: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+feeScheduleSchema.index({ transactionType: 1, isActive: 1, priority: -1 });
+
+feeScheduleSchema.statics.TRANSACTION_TYPES = FEE_TRANSACTION_TYPES;
+feeScheduleSchema.statics.METHODS = FEE_METHODS;
+feeScheduleSchema.statics.KYC_TIERS = KYC_TIERS;
+
+module.exports = mongoose.models.FeeSchedule || mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -51,6 +51,7 @@ const kycSchema = new mongoose.Schema({
   
   bankAccounts: [{
     bankName: String,
+    bankCode: String,
     accountNumber: String,
     accountName: String,
     isVerified: {
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const LEDGER_ACCOUNTS = ['user_wallet', 'fee_income', 'provider_float', 'suspense'];
+
+const LEDGER_ENTRY_TYPES = [
+  'funding',
+  'purchase',
+  'refund',
+  'transfer',
+  'withdrawal',
+  'commission',
+  'referral_bonus',
+  'adjustment',
+];
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    journalId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Wallet',
+    },
+    direction: {
+      type: String,
+      enum: ['debit', 'credit'],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    balanceAfter: Number,
+    entryType: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      required: true,
+    },
+    reference: String,
+    description: String,
+    metadata: {
+      type: Object,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerEntrySchema.index({ user: 1, account: 1, createdAt: 1 });
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ reference: 1 });
+
+ledgerEntrySchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+ledgerEntrySchema.statics.ENTRY_TYPES = LEDGER_ENTRY_TYPES;
+
+module.exports = mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema);
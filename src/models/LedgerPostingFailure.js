@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const ledgerPostingFailureSchema = new mongoose.Schema(
+  {
+    reference: String,
+    journal: {
+      type: Object,
+      required: true,
+    },
+    error: String,
+    context: {
+      type: Object,
+      default: {},
+    },
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'posted'],
+      default: 'pending',
+    },
+    postedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerPostingFailureSchema.index({ status: 1, createdAt: 1 });
+ledgerPostingFailureSchema.index({ 'journal.legs.user': 1, status: 1 });
+ledgerPostingFailureSchema.index({ 'journal.legs.wallet': 1, status: 1 });
+
+module.exports = mongoose.models.LedgerPostingFailure || mongoose.model('LedgerPostingFailure', ledgerPostingFailureSchema);
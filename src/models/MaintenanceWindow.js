@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const maintenanceWindowSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    // Any combination narrows the window; a window without a provider takes
+    // the whole service offline instead of rerouting it.
+    provider: {
+      type: String,
+      default: null,
+    },
+    serviceType: {
+      type: String,
+      default: null,
+    },
+    network: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+maintenanceWindowSchema.index({ startsAt: 1, endsAt: 1 });
+maintenanceWindowSchema.index({ provider: 1, startsAt: 1 });
+
+maintenanceWindowSchema.methods.getState = function(now = new Date()) {
+  if (this.cancelledAt) return 'cancelled';
+  if (now < this.startsAt) return 'scheduled';
+  if (now > this.endsAt) return 'completed';
+  return 'in_progress';
+};
+
+module.exports = mongoose.models.MaintenanceWindow || mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
@@ -26,6 +26,7 @@ const notificationSchema = new mongoose.Schema(
         'airtime',
         'data',
         'bulk_sms',
+        'kyc',
         'login',
         'security',
         'system',
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const planSyncChangeSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    serviceType: {
+      type: String,
+      default: 'data_recharge',
+    },
+    network: {
+      type: String,
+      required: true,
+    },
+    providerPlanId: {
+      type: String,
+      required: true,
+    },
+    changeType: {
+      type: String,
+      enum: ['new', 'removed', 'price_changed'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'applied', 'rejected', 'superseded'],
+      default: 'pending',
+    },
+    pricing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServicePricing',
+      default: null,
+    },
+    plan: {
+      planName: String,
+      planCode: String,
+      size: String,
+      validity: String,
+      providerPlanType: String,
+      providerMeta: mongoose.Schema.Types.Mixed,
+    },
+    previousCostPrice: Number,
+    newCostPrice: Number,
+    sellingPrice: Number,
+    projectedMargin: Number,
+    unprofitable: {
+      type: Boolean,
+      default: false,
+    },
+    runId: String,
+    detectedAt: Date,
+    alertedAt: Date,
+    appliedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewNote: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+planSyncChangeSchema.index({ status: 1, provider: 1, createdAt: -1 });
+planSyncChangeSchema.index(
+  { provider: 1, network: 1, providerPlanId: 1, changeType: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.models.PlanSyncChange || mongoose.model('PlanSyncChange', planSyncChangeSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const providerApiLogSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      uppercase: true,
+    },
+    host: String,
+    endpoint: {
+      type: String,
+      required: true,
+    },
+    reference: {
+      type: String,
+      default: null,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    outcome: {
+      type: String,
+      enum: ['success', 'http_error', 'timeout', 'network_error'],
+      required: true,
+    },
+    latencyMs: Number,
+    errorMessage: String,
+    request: {
+      params: mongoose.Schema.Types.Mixed,
+      body: mongoose.Schema.Types.Mixed,
+    },
+    response: {
+      body: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+providerApiLogSchema.index({ provider: 1, createdAt: -1 });
+providerApiLogSchema.index({ reference: 1, createdAt: -1 });
+providerApiLogSchema.index({ outcome: 1, createdAt: -1 });
+providerApiLogSchema.index({ createdAt: -1 });
+providerApiLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.ProviderApiLog || mongoose.model('ProviderApiLog', providerApiLogSchema);
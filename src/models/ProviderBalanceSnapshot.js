@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const providerBalanceSnapshotSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerName: String,
+    balance: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'NGN',
+    },
+    source: {
+      type: String,
+      enum: ['worker', 'console', 'manual'],
+      default: 'worker',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+providerBalanceSnapshotSchema.index({ provider: 1, createdAt: -1 });
+providerBalanceSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.ProviderBalanceSnapshot || mongoose.model('ProviderBalanceSnapshot', providerBalanceSnapshotSchema);
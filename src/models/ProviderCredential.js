@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Envelope-encrypted provider credentials. The payload is sealed with a
+// per-record data key, and the data key is sealed with the master key
+// named by masterKeyId. Neither plaintext is ever stored.
+const providerCredentialSchema = new mongoose.Schema(
+  {
+    providerName: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    fields: [String],
+    hints: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    ciphertext: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    iv: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    authTag: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    encryptedDataKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    dataKeyIv: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    dataKeyAuthTag: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    masterKeyId: {
+      type: String,
+      required: true,
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    rotatedAt: Date,
+    rotatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+providerCredentialSchema.index({ masterKeyId: 1 });
+
+module.exports = mongoose.models.ProviderCredential || mongoose.model('ProviderCredential', providerCredentialSchema);
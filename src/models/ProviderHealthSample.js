@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const providerHealthSampleSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    result: {
+      type: String,
+      enum: ['up', 'degraded', 'down'],
+      required: true,
+    },
+    responseTime: {
+      type: Number,
+      required: true,
+    },
+    httpStatus: Number,
+    error: String,
+    checkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+providerHealthSampleSchema.index({ provider: 1, checkedAt: -1 });
+providerHealthSampleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.ProviderHealthSample || mongoose.model('ProviderHealthSample', providerHealthSampleSchema);
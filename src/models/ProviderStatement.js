@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const statementItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['charged_failed_locally', 'charged_pending_locally', 'missing_from_statement', 'amount_mismatch', 'unmatched'],
+    required: true,
+  },
+  line: Number,
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  transactionReference: String,
+  providerReference: String,
+  requestId: String,
+  localStatus: String,
+  statementStatus: String,
+  localAmount: Number,
+  statementAmount: Number,
+  difference: Number,
+  statementDate: Date,
+  resolution: {
+    action: {
+      type: String,
+      enum: ['repoll', 'refund', 'ignore'],
+    },
+    status: {
+      type: String,
+      enum: ['open', 'resolved', 'failed'],
+      default: 'open',
+    },
+    result: mongoose.Schema.Types.Mixed,
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: Date,
+  },
+});
+
+const providerStatementSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    fileName: String,
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+    },
+    mapping: mongoose.Schema.Types.Mixed,
+    periodStart: Date,
+    periodEnd: Date,
+    summary: {
+      lines: { type: Number, default: 0 },
+      charged: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      statementTotal: { type: Number, default: 0 },
+      localTotal: { type: Number, default: 0 },
+      discrepancies: { type: Number, default: 0 },
+      byType: mongoose.Schema.Types.Mixed,
+    },
+    items: [statementItemSchema],
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+providerStatementSchema.index({ provider: 1, createdAt: -1 });
+
+module.exports = mongoose.models.ProviderStatement || mongoose.model('ProviderStatement', providerStatementSchema);
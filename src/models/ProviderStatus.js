@@ -54,8 +54,16 @@ const providerStatusSchema = new mongoose.Schema({
     default: 0,
   },
   
-  apiKey: String,
-  apiSecret: String,
+  // Legacy plaintext credentials. CredentialVault moves them into
+  // ProviderCredential on boot; they are never selected by default.
+  apiKey: {
+    type: String,
+    select: false,
+  },
+  apiSecret: {
+    type: String,
+    select: false,
+  },
   baseUrl: String,
   callbackUrl: String,
   isDefault: {
@@ -79,6 +87,33 @@ const providerStatusSchema = new mongoose.Schema({
     type: Number,
     default: 300000,
   },
+  lastProbedAt: Date,
+  // Computed from ProviderHealthSample by the health worker.
+  healthStats: {
+    last24h: {
+      uptime: Number,
+      samples: Number,
+      p50: Number,
+      p95: Number,
+      p99: Number,
+    },
+    last7d: {
+      uptime: Number,
+      samples: Number,
+      p50: Number,
+      p95: Number,
+      p99: Number,
+    },
+    last30d: {
+      uptime: Number,
+      samples: Number,
+      p50: Number,
+      p95: Number,
+      p99: Number,
+    },
+    degradedReason: String,
+    computedAt: Date,
+  },
   
   fallbackTo: [String], 
   
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const SCHEDULE_SERVICES = ['airtime', 'data', 'electricity', 'cable_tv'];
+const SCHEDULE_FREQUENCIES = ['once', 'daily', 'weekly', 'monthly', 'interval'];
+
+const runSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['successful', 'pending', 'failed', 'skipped'],
+    },
+    reference: String,
+    amount: Number,
+    message: String,
+    ranAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const scheduledPurchaseSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+    },
+    service: {
+      type: String,
+      enum: SCHEDULE_SERVICES,
+      required: true,
+    },
+    // Purchase request body replayed on every run, without the PIN.
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    amount: Number,
+    beneficiary: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Beneficiary',
+    },
+
+    frequency: {
+      type: String,
+      enum: SCHEDULE_FREQUENCIES,
+      required: true,
+    },
+    intervalDays: Number,
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    endAt: Date,
+    maxRuns: Number,
+    nextRunAt: Date,
+
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'completed', 'cancelled'],
+      default: 'active',
+    },
+    pausedReason: String,
+    authorizedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    successCount: {
+      type: Number,
+      default: 0,
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    lastRunAt: Date,
+    lastRun: runSchema,
+    runs: [runSchema],
+    runningAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scheduledPurchaseSchema.index({ user: 1, status: 1 });
+scheduledPurchaseSchema.index({ status: 1, nextRunAt: 1 });
+
+scheduledPurchaseSchema.statics.SERVICES = SCHEDULE_SERVICES;
+scheduledPurchaseSchema.statics.FREQUENCIES = SCHEDULE_FREQUENCIES;
+
+module.exports = mongoose.models.ScheduledPurchase || mongoose.model('ScheduledPurchase', scheduledPurchaseSchema);
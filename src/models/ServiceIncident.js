@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const INCIDENT_STATUSES = ['investigating', 'identified', 'monitoring', 'resolved'];
+
+const serviceIncidentSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Status page service keys, e.g. data:mtn or electricity:ikedc.
+    services: [{
+      type: String,
+    }],
+    severity: {
+      type: String,
+      enum: ['degraded', 'outage'],
+      default: 'degraded',
+    },
+    status: {
+      type: String,
+      enum: INCIDENT_STATUSES,
+      default: 'investigating',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: Date,
+    updates: [{
+      status: {
+        type: String,
+        enum: INCIDENT_STATUSES,
+      },
+      message: String,
+      postedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      postedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+serviceIncidentSchema.index({ status: 1, startedAt: -1 });
+serviceIncidentSchema.index({ services: 1, startedAt: -1 });
+
+module.exports = mongoose.models.ServiceIncident || mongoose.model('ServiceIncident', serviceIncidentSchema);
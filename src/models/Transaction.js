@@ -87,8 +87,10 @@ const transactionSchema = new mongoose.Schema({
     phoneNumber: String,
     meterNumber: String,
     smartCardNumber: String,
+    cableProvider: String,
     customerName: String,
     disco: String,
+    meterType: String,
     package: String,
   },
   
@@ -209,6 +211,26 @@ transactionSchema.post('save', async function(doc) {
   }
 });
 
+transactionSchema.post('save', async function(doc) {
+  try {
+    if (doc.metadata?.walletHold?.status !== 'held') return;
+
+    let outcome = null;
+    if (doc.status === 'successful') {
+      outcome = 'capture';
+    } else if (['failed', 'cancelled', 'refunded'].includes(doc.status)) {
+      outcome = 'release';
+    }
+
+    if (!outcome) return;
+
+    const WalletService = require('../services/walletService');
+    await WalletService.settleTransactionHold(doc, outcome, { persist: true });
+  } catch (error) {
+    console.error('Wallet hold post-save hook failed:', error.message);
+  }
+});
+
 transactionSchema.statics.generateReference = function() {
   return `YAREEMA${uuidv4().replace(/-/g, '').substring(0, 16).toUpperCase()}`;
 };
@@ -98,6 +98,7 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false,
   },
+  transactionPinChangedAt: Date,
   lastLogin: Date,
   lastLoginIp: String,
   lastLoginDevice: String,
@@ -269,6 +270,10 @@ userSchema.pre('save', async function(next) {
 userSchema.pre('save', async function(next) {
   if (!this.isModified('transactionPin')) return next();
   
+  if (!this.isNew) {
+    this.transactionPinChangedAt = new Date();
+  }
+  
   if (this.transactionPin) {
     this.transactionPin = await bcrypt.hash(this.transactionPin, 8);
   }
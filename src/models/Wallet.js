@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const LedgerService = require("../services/ledgerService");
 
 const walletSchema = new mongoose.Schema(
 {
@@ -21,6 +22,29 @@ const walletSchema = new mongoose.Schema(
     enum: ["NGN"],
   },
 
+  heldBalance: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  holds: [{
+    reference: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    description: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+
   locked: {
     type: Boolean,
     default: false,
@@ -88,6 +112,11 @@ const walletSchema = new mongoose.Schema(
 );
 
 walletSchema.index({ user: 1 });
+walletSchema.index({ 'holds.reference': 1 });
+
+walletSchema.virtual('availableBalance').get(function() {
+  return Math.max(0, Number(this.balance || 0) - Number(this.heldBalance || 0));
+});
 
 walletSchema.virtual('accountNumbers').get(function() {
   if (!this.virtualAccount) {
@@ -116,47 +145,120 @@ walletSchema.virtual('primaryAccountNumber').get(function() {
 
 walletSchema.methods.canDebit = function (amount) {
   if (this.locked) return false;
-  if (this.balance < amount) return false;
+  if (this.availableBalance < amount) return false;
   return true;
 };
 
-walletSchema.methods.debit = async function (amount) {
+function resolveLedgerOptions(context) {
+  if (!context) return {};
+  if (typeof context === 'string') return { description: context };
+  return context;
+}
+
+function availableBalanceFilter(amount) {
+  return {
+    $expr: {
+      $gte: [
+        { $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] },
+        amount,
+      ],
+    },
+  };
+}
+
+function postWalletLedger(wallet, direction, amount, context) {
+  const options = resolveLedgerOptions(context);
+  const post = () => (direction === 'debit'
+    ? LedgerService.recordWalletDebit(wallet, amount, options)
+    : LedgerService.recordWalletCredit(wallet, amount, options));
+
+  if (options.session) {
+    return post();
+  }
+
+  return LedgerService.safeRecord(post, {
+    wallet: String(wallet._id),
+    direction,
+    amount,
+    reference: options.reference,
+  });
+}
+
+walletSchema.methods.debit = async function (amount, context) {
 
   if (!this.canDebit(amount)) {
     throw new Error("Insufficient balance or wallet locked");
   }
 
+  const { session } = resolveLedgerOptions(context);
+
   this.balance -= amount;
   this.totalSpent += amount;
   this.lastTransaction = Date.now();
 
-  await this.save();
+  await this.save(session ? { session } : undefined);
+  await postWalletLedger(this, 'debit', amount, context);
   return this;
 };
 
-walletSchema.methods.credit = async function (amount) {
+walletSchema.methods.credit = async function (amount, context) {
+
+  const { session } = resolveLedgerOptions(context);
 
   this.balance += amount;
   this.totalFunded += amount;
   this.lastTransaction = Date.now();
 
-  await this.save();
+  await this.save(session ? { session } : undefined);
+  await postWalletLedger(this, 'credit', amount, context);
   return this;
 };
 
-walletSchema.methods.safeDebit = async function(amount) {
+walletSchema.methods.safeDebit = async function(amount, context) {
+
+  const { session } = resolveLedgerOptions(context);
 
   const wallet = await this.constructor.findOneAndUpdate(
     {
       _id: this._id,
-      balance: { $gte: amount },
-      locked: false
+      locked: false,
+      ...availableBalanceFilter(amount),
     },
     {
       $inc: { balance: -amount, totalSpent: amount },
       $set: { lastTransaction: new Date() }
     },
-    { new: true }
+    { new: true, ...(session ? { session } : {}) }
+  );
+
+  if (!wallet) throw new Error("Insufficient balance");
+
+  await postWalletLedger(wallet, 'debit', amount, context);
+
+  return wallet;
+};
+
+walletSchema.methods.placeHold = async function(amount, context) {
+
+  const { session, reference, description } = resolveLedgerOptions(context);
+
+  if (!reference) {
+    throw new Error("Hold reference is required");
+  }
+
+  const wallet = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      locked: false,
+      'holds.reference': { $ne: reference },
+      ...availableBalanceFilter(amount),
+    },
+    {
+      $inc: { heldBalance: amount },
+      $push: { holds: { reference, amount, description, createdAt: new Date() } },
+      $set: { lastTransaction: new Date() }
+    },
+    { new: true, ...(session ? { session } : {}) }
   );
 
   if (!wallet) throw new Error("Insufficient balance");
@@ -164,6 +266,69 @@ walletSchema.methods.safeDebit = async function(amount) {
   return wallet;
 };
 
+walletSchema.statics.availableBalanceFilter = availableBalanceFilter;
+
+walletSchema.statics.findHold = async function(userId, reference, session = null) {
+  const wallet = await this.findOne(
+    { user: userId, 'holds.reference': reference },
+    { 'holds.$': 1 }
+  ).session(session);
+
+  return wallet?.holds?.[0] || null;
+};
+
+walletSchema.statics.captureHold = async function(userId, reference, context) {
+
+  const { amount, ...options } = resolveLedgerOptions(context);
+  const hold = await this.findHold(userId, reference, options.session || null);
+  if (!hold) return null;
+
+  // `amount` captures a final price that differs from the held estimate;
+  // the whole hold is released either way.
+  const charged = amount ?? hold.amount;
+
+  const wallet = await this.findOneAndUpdate(
+    { user: userId, 'holds.reference': reference },
+    {
+      $inc: { balance: -charged, heldBalance: -hold.amount, totalSpent: charged },
+      $pull: { holds: { reference } },
+      $set: { lastTransaction: new Date() }
+    },
+    { new: true, ...(options.session ? { session: options.session } : {}) }
+  );
+
+  if (!wallet) return null;
+
+  await postWalletLedger(wallet, 'debit', charged, {
+    description: hold.description,
+    ...options,
+    reference: options.reference || reference,
+  });
+
+  return { wallet, amount: charged };
+};
+
+walletSchema.statics.releaseHold = async function(userId, reference, context) {
+
+  const { session } = resolveLedgerOptions(context);
+  const hold = await this.findHold(userId, reference, session || null);
+  if (!hold) return null;
+
+  const wallet = await this.findOneAndUpdate(
+    { user: userId, 'holds.reference': reference },
+    {
+      $inc: { heldBalance: -hold.amount },
+      $pull: { holds: { reference } },
+      $set: { lastTransaction: new Date() }
+    },
+    { new: true, ...(session ? { session } : {}) }
+  );
+
+  if (!wallet) return null;
+
+  return { wallet, amount: hold.amount };
+};
+
 const Wallet =
   mongoose.models.Wallet || mongoose.model("Wallet", walletSchema);
 
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    handler: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    method: String,
+    path: String,
+    headers: mongoose.Schema.Types.Mixed,
+    query: mongoose.Schema.Types.Mixed,
+    params: mongoose.Schema.Types.Mixed,
+    body: mongoose.Schema.Types.Mixed,
+    rawBody: String,
+    ipAddress: String,
+    verification: {
+      status: {
+        type: String,
+        enum: ['verified', 'unverified'],
+      },
+      method: String,
+      reason: String,
+    },
+    status: {
+      type: String,
+      enum: ['received', 'queued', 'processing', 'processed', 'failed'],
+      default: 'received',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    deliveries: {
+      type: Number,
+      default: 1,
+    },
+    lastDeliveredAt: Date,
+    lastError: String,
+    response: {
+      statusCode: Number,
+      body: mongoose.Schema.Types.Mixed,
+    },
+    processedAt: Date,
+    replays: [{
+      replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      replayedAt: Date,
+      previousStatus: String,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index({ handler: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ provider: 1, createdAt: -1 });
+
+module.exports = mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,127 @@
+const { Queue } = require('bullmq');
+const { getRedisConnection } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const PAYOUT_QUEUE = 'bank-payouts';
+const PAYOUT_PROCESS_JOB = 'process-bank-payout';
+const PAYOUT_STATUS_JOB = 'check-bank-payout-status';
+const PAYOUT_RECOVERY_JOB = 'recover-bank-payouts';
+
+let queue;
+let queueEnabled = true;
+
+function setQueueEnabled(enabled) {
+  queueEnabled = enabled;
+}
+
+function isQueueEnabled() {
+  return queueEnabled;
+}
+
+function getQueue() {
+  if (!queueEnabled) {
+    return null;
+  }
+
+  if (!queue) {
+    const connection = getRedisConnection();
+    if (!connection) {
+      return null;
+    }
+
+    queue = new Queue(PAYOUT_QUEUE, {
+      connection,
+      defaultJobOptions: {
+        removeOnComplete: 500,
+        removeOnFail: 500,
+      },
+    });
+  }
+
+  return queue;
+}
+
+function getStatusCheckDelay(attempt = 1) {
+  const baseDelay = Number(process.env.PAYOUT_STATUS_BASE_DELAY_MS || 30000);
+  const maxDelay = Number(process.env.PAYOUT_STATUS_MAX_DELAY_MS || 600000);
+
+  return Math.min(baseDelay * Math.max(1, attempt), maxDelay);
+}
+
+async function enqueuePayout(transactionId) {
+  const currentQueue = getQueue();
+  if (!currentQueue) {
+    logger.warn(`Skipping payout enqueue for ${transactionId} because queue is disabled.`);
+    return null;
+  }
+
+  return currentQueue.add(
+    PAYOUT_PROCESS_JOB,
+    { transactionId: String(transactionId) },
+    {
+      jobId: `payout:${transactionId}`,
+      attempts: Number(process.env.PAYOUT_JOB_ATTEMPTS || 3),
+      backoff: { type: 'exponential', delay: 10000 },
+    }
+  );
+}
+
+async function enqueuePayoutStatusCheck(transactionId, options = {}) {
+  const currentQueue = getQueue();
+  if (!currentQueue) {
+    return null;
+  }
+
+  const {
+    attempt = 1,
+    delay = getStatusCheckDelay(attempt),
+  } = options;
+
+  return currentQueue.add(
+    PAYOUT_STATUS_JOB,
+    {
+      transactionId: String(transactionId),
+      attempt,
+    },
+    {
+      jobId: `payout-status:${transactionId}:${attempt}`,
+      delay,
+    }
+  );
+}
+
+async function schedulePayoutRecoveryJob() {
+  const currentQueue = getQueue();
+  if (!currentQueue) {
+    return null;
+  }
+
+  const every = Number(process.env.PAYOUT_RECOVERY_INTERVAL_MS || 600000);
+
+  return currentQueue.add(
+    PAYOUT_RECOVERY_JOB,
+    {
+      scheduledAt: new Date().toISOString(),
+    },
+    {
+      jobId: PAYOUT_RECOVERY_JOB,
+      repeat: { every },
+      removeOnComplete: 50,
+      removeOnFail: 50,
+    }
+  );
+}
+
+module.exports = {
+  PAYOUT_QUEUE,
+  PAYOUT_PROCESS_JOB,
+  PAYOUT_STATUS_JOB,
+  PAYOUT_RECOVERY_JOB,
+  getQueue,
+  setQueueEnabled,
+  isQueueEnabled,
+  getStatusCheckDelay,
+  enqueuePayout,
+  enqueuePayoutStatusCheck,
+  schedulePayoutRecoveryJob,
+};
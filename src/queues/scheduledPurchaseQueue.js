@@ -0,0 +1,141 @@
+const { Queue } = require('bullmq');
+const moment = require('moment');
+const { getRedisConnection } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const SCHEDULED_PURCHASE_QUEUE = 'scheduled-purchases';
+const SCHEDULED_PURCHASE_RUN_JOB = 'run-scheduled-purchase';
+const SCHEDULE_TIMEZONE = 'Africa/Lagos';
+const LAGOS_UTC_OFFSET_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let queue;
+let queueEnabled = true;
+
+function setQueueEnabled(enabled) {
+  queueEnabled = enabled;
+}
+
+function isQueueEnabled() {
+  return queueEnabled;
+}
+
+function getQueue() {
+  if (!queueEnabled) {
+    return null;
+  }
+
+  if (!queue) {
+    const connection = getRedisConnection();
+    if (!connection) {
+      return null;
+    }
+
+    queue = new Queue(SCHEDULED_PURCHASE_QUEUE, {
+      connection,
+      defaultJobOptions: {
+        removeOnComplete: 500,
+        removeOnFail: 500,
+      },
+    });
+  }
+
+  return queue;
+}
+
+function getSchedulerId(scheduleId) {
+  return `schedule:${scheduleId}`;
+}
+
+function getIntervalDays(schedule) {
+  if (schedule.frequency === 'daily') return 1;
+  if (schedule.frequency === 'weekly') return 7;
+  return Number(schedule.intervalDays || 0);
+}
+
+// Monthly runs keep the start date's day of month. Schedules starting after
+// the 28th are snapped to month end so every month gets exactly one run.
+function getRepeatOptions(schedule) {
+  const startDate = new Date(schedule.nextRunAt || schedule.startAt);
+  const endDate = schedule.endAt ? new Date(schedule.endAt) : undefined;
+
+  if (schedule.frequency === 'monthly') {
+    const local = moment.utc(schedule.startAt).utcOffset(LAGOS_UTC_OFFSET_MINUTES);
+    const dayOfMonth = local.date() > 28 ? 'L' : local.date();
+
+    return {
+      pattern: `${local.minute()} ${local.hour()} ${dayOfMonth} * *`,
+      tz: SCHEDULE_TIMEZONE,
+      startDate,
+      endDate,
+    };
+  }
+
+  return {
+    every: getIntervalDays(schedule) * DAY_MS,
+    startDate,
+    endDate,
+  };
+}
+
+async function upsertScheduledPurchase(schedule) {
+  const currentQueue = getQueue();
+  if (!currentQueue) {
+    logger.warn(`Skipping scheduler sync for schedule ${schedule._id} because queue is disabled.`);
+    return null;
+  }
+
+  const scheduleId = String(schedule._id);
+  const jobData = { scheduleId };
+
+  if (schedule.frequency === 'once') {
+    return currentQueue.add(SCHEDULED_PURCHASE_RUN_JOB, jobData, {
+      jobId: `${getSchedulerId(scheduleId)}:once`,
+      delay: Math.max(0, new Date(schedule.nextRunAt || schedule.startAt).getTime() - Date.now()),
+    });
+  }
+
+  return currentQueue.upsertJobScheduler(
+    getSchedulerId(scheduleId),
+    getRepeatOptions(schedule),
+    {
+      name: SCHEDULED_PURCHASE_RUN_JOB,
+      data: jobData,
+    }
+  );
+}
+
+async function removeScheduledPurchase(scheduleId) {
+  const currentQueue = getQueue();
+  if (!currentQueue) {
+    return null;
+  }
+
+  await currentQueue.removeJobScheduler(getSchedulerId(scheduleId));
+
+  const onceJob = await currentQueue.getJob(`${getSchedulerId(scheduleId)}:once`);
+  if (onceJob) {
+    try {
+      await onceJob.remove();
+    } catch (error) {
+      if (error.message !== 'Could not remove job') {
+        throw error;
+      }
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  LAGOS_UTC_OFFSET_MINUTES,
+  SCHEDULED_PURCHASE_QUEUE,
+  SCHEDULED_PURCHASE_RUN_JOB,
+  getQueue,
+  setQueueEnabled,
+  isQueueEnabled,
+  getIntervalDays,
+  getRepeatOptions,
+  upsertScheduledPurchase,
+  removeScheduledPurchase,
+};
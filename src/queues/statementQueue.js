@@ -0,0 +1,94 @@
+const { Queue } = require('bullmq');
+const { getRedisConnection } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const STATEMENT_QUEUE = 'account-statements';
+const STATEMENT_DISPATCH_JOB = 'dispatch-monthly-statements';
+const STATEMENT_SEND_JOB = 'send-monthly-statement';
+const STATEMENT_SCHEDULER_ID = 'monthly-statements';
+
+let queue;
+let queueEnabled = true;
+
+function setQueueEnabled(enabled) {
+  queueEnabled = enabled;
+}
+
+function isQueueEnabled() {
+  return queueEnabled;
+}
+
+function getQueue() {
+  if (!queueEnabled) {
+    return null;
+  }
+
+  if (!queue) {
+    const connection = getRedisConnection();
+    if (!connection) {
+      return null;
+    }
+
+    queue = new Queue(STATEMENT_QUEUE, {
+      connection,
+      defaultJobOptions: {
+        removeOnComplete: 500,
+        removeOnFail: 500,
+      },
+    });
+  }
+
+  return queue;
+}
+
+async function scheduleMonthlyStatements() {
+  const currentQueue = getQueue();
+  if (!currentQueue) {
+    return null;
+  }
+
+  return currentQueue.upsertJobScheduler(
+    STATEMENT_SCHEDULER_ID,
+    {
+      pattern: process.env.MONTHLY_STATEMENT_CRON || '0 6 1 * *',
+      tz: 'Africa/Lagos',
+    },
+    {
+      name: STATEMENT_DISPATCH_JOB,
+      data: {},
+      opts: {
+        removeOnComplete: 12,
+        removeOnFail: 12,
+      },
+    }
+  );
+}
+
+async function enqueueMonthlyStatements(userIds, month) {
+  const currentQueue = getQueue();
+  if (!currentQueue) {
+    logger.warn(`Skipping ${month} statement emails because queue is disabled.`);
+    return [];
+  }
+
+  return currentQueue.addBulk(userIds.map((userId) => ({
+    name: STATEMENT_SEND_JOB,
+    data: { userId: String(userId), month },
+    opts: {
+      jobId: `statement:${userId}:${month}`,
+      attempts: Number(process.env.STATEMENT_JOB_ATTEMPTS || 3),
+      backoff: { type: 'exponential', delay: 60000 },
+    },
+  })));
+}
+
+module.exports = {
+  STATEMENT_QUEUE,
+  STATEMENT_DISPATCH_JOB,
+  STATEMENT_SEND_JOB,
+  getQueue,
+  setQueueEnabled,
+  isQueueEnabled,
+  scheduleMonthlyStatements,
+  enqueueMonthlyStatements,
+};
@@ -0,0 +1,69 @@
+const { Queue } = require('bullmq');
+const { getRedisConnection } = require('../config/redis');
+
+const WEBHOOK_QUEUE = 'webhook-events';
+const WEBHOOK_PROCESS_JOB = 'process-webhook-event';
+
+let queue;
+let queueEnabled = true;
+
+function setQueueEnabled(enabled) {
+  queueEnabled = enabled;
+}
+
+function isQueueEnabled() {
+  return queueEnabled;
+}
+
+function getQueue() {
+  if (!queueEnabled) {
+    return null;
+  }
+
+  if (!queue) {
+    const connection = getRedisConnection();
+    if (!connection) {
+      return null;
+    }
+
+    queue = new Queue(WEBHOOK_QUEUE, {
+      connection,
+      defaultJobOptions: {
+        removeOnComplete: 1000,
+        removeOnFail: 1000,
+      },
+    });
+  }
+
+  return queue;
+}
+
+async function enqueueWebhookEvent(eventId, { delay = 0, attempt = 0 } = {}) {
+  const currentQueue = getQueue();
+  if (!currentQueue) {
+    return null;
+  }
+
+  return currentQueue.add(
+    WEBHOOK_PROCESS_JOB,
+    { eventId: String(eventId) },
+    {
+      // Keyed on the event's attempt count: recovering an event that is still
+      // queued reuses the job, while a retry or replay after a processing
+      // attempt gets a new one.
+      jobId: `webhook:${eventId}:${attempt}`,
+      delay,
+      attempts: Number(process.env.WEBHOOK_JOB_ATTEMPTS || 3),
+      backoff: { type: 'exponential', delay: 5000 },
+    }
+  );
+}
+
+module.exports = {
+  WEBHOOK_QUEUE,
+  WEBHOOK_PROCESS_JOB,
+  getQueue,
+  setQueueEnabled,
+  isQueueEnabled,
+  enqueueWebhookEvent,
+};
@@ -88,9 +88,16 @@ router.put('/users/:id/suspend', logAction('suspend', 'user'), adminController.s
 router.put('/users/:id/activate', logAction('activate', 'user'), adminController.activateUser);
 router.put('/users/:id/reset-pin', logAction('update', 'user'), adminController.resetTransactionPin);
 
+router.get('/kyc', adminController.getKycSubmissions);
+router.get('/kyc/:id', adminController.getKycSubmission);
+router.get('/kyc/:id/documents/:document', adminController.getKycDocument);
+router.put('/kyc/:id/approve', adminController.approveKyc);
+router.put('/kyc/:id/reject', adminController.rejectKyc);
+
 router.get('/wallets', adminController.getWallets);
 router.get('/wallets/export', adminController.exportWallets);
 router.get('/wallets/:userId', adminController.getUserWallet);
+router.get('/wallets/:userId/ledger', adminController.getWalletLedger);
 router.post('/wallets/:userId/credit', logAction('credit', 'wallet'), adminController.creditWallet);
 router.post('/wallets/:userId/debit', logAction('debit', 'wallet'), adminController.debitWallet);
 router.put('/wallets/:userId/lock', logAction('suspend', 'wallet'), adminController.lockWallet);
@@ -117,14 +124,34 @@ router.use(superAdminOnly);
 router.get('/pricing', adminController.getPricing);
 router.post('/pricing', logAction('create', 'pricing'), adminController.createPricing);
 router.post('/pricing/bulk-update', logAction('update', 'pricing'), adminController.bulkUpdatePricing);
+router.get('/pricing/sync/changes', adminController.getPlanSyncChanges);
+router.post('/pricing/sync', logAction('update', 'pricing'), adminController.runPlanSync);
+router.post('/pricing/sync/changes/:id/approve', adminController.approvePlanSyncChange);
+router.post('/pricing/sync/changes/:id/reject', logAction('reject', 'pricing'), adminController.rejectPlanSyncChange);
 router.put('/pricing/:id', logAction('update', 'pricing'), adminController.updatePricing);
 router.delete('/pricing/:id', logAction('delete', 'pricing'), adminController.deletePricing);
 
+router.get('/fees', adminController.getFeeSchedules);
+router.post('/fees', logAction('create', 'fee'), adminController.createFeeSchedule);
+router.post('/fees/preview', adminController.previewFees);
+router.put('/fees/:id', logAction('update', 'fee'), adminController.updateFeeSchedule);
+router.delete('/fees/:id', logAction('delete', 'fee'), adminController.deleteFeeSchedule);
+
 router.get('/providers', adminController.getProviders);
 router.put('/providers/:name/status', logAction('update', 'provider'), adminController.updateProviderStatus);
+router.get('/maintenance', adminController.getMaintenanceWindows);
+router.post('/maintenance', adminController.createMaintenanceWindow);
+router.patch('/maintenance/:id', adminController.updateMaintenanceWindow);
+router.post('/maintenance/:id/cancel', adminController.cancelMaintenanceWindow);
+router.get('/incidents', adminController.getServiceIncidents);
+router.post('/incidents', adminController.createServiceIncident);
+router.patch('/incidents/:id', adminController.updateServiceIncident);
 router.post('/providers/check-balance-alerts', logAction('update', 'provider'), adminController.checkApiBalanceAlerts);
 
 router.get('/logs', adminController.getAdminLogs);
+router.get('/webhooks/events', adminController.getWebhookEvents);
+router.get('/webhooks/events/:id', adminController.getWebhookEvent);
+router.post('/webhooks/events/:id/replay', adminController.replayWebhookEvent);
 
 router.get('/check-provider/:providerId', vtuConsoleController.getProvider);
 
@@ -3,6 +3,7 @@ const router = express.Router();
 const agentController = require('../controllers/agentController');
 const walletController = require('../controllers/walletController');
 const { protect, protectWalletAccess, restrictTo, requireTransactionPin } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
 const { hasWallet } = require('../middlewares/wallet');
 
 router.post('/register', agentController.register);
@@ -12,21 +13,21 @@ router.get('/verify-email/:token', agentController.verifyEmail);
 router.get('/dashboard', protect, restrictTo('agent'), agentController.getDashboardStats);
 router.get('/services', protect, restrictTo('agent'), agentController.getServices);
 router.get('/commission', protect, restrictTo('agent'), agentController.getAgentCommission);
-router.post('/commission/withdraw', protect, restrictTo('agent'), agentController.withdrawCommission);
+router.post('/commission/withdraw', protect, restrictTo('agent'), idempotent, agentController.withdrawCommission);
 
 router.post('/wallet/create', protectWalletAccess, restrictTo('agent'), walletController.createWallet);
 router.get('/wallet/status', protectWalletAccess, restrictTo('agent'), walletController.checkWalletStatus);
 router.get('/wallet/balance', protect, restrictTo('agent'), hasWallet, walletController.getWalletBalance);
 router.get('/wallet/accounts', protect, restrictTo('agent'), hasWallet, walletController.getWalletAccounts);
 router.post('/wallet/fund', protect, restrictTo('agent'), hasWallet, walletController.fundWallet);
-router.post('/wallet/withdraw', protect, restrictTo('agent'), hasWallet, requireTransactionPin, walletController.withdrawToBank);
+router.post('/wallet/withdraw', protect, restrictTo('agent'), hasWallet, requireTransactionPin, idempotent, walletController.withdrawToBank);
 router.get('/wallet/transactions', protect, restrictTo('agent'), hasWallet, walletController.getTransactionHistory);
 router.post('/wallet/set-pin', protectWalletAccess, restrictTo('agent'), walletController.setTransactionPin);
 
 router.post('/verify-customer', protect, restrictTo('agent'), agentController.verifyCustomer);
-router.post('/purchase/airtime', protect, restrictTo('agent'), requireTransactionPin, agentController.purchaseAirtime);
-router.post('/purchase/data', protect, restrictTo('agent'), requireTransactionPin, agentController.purchaseData);
-router.post('/pay-bill', protect, restrictTo('agent'), requireTransactionPin, agentController.payBill);
+router.post('/purchase/airtime', protect, restrictTo('agent'), requireTransactionPin, idempotent, agentController.purchaseAirtime);
+router.post('/purchase/data', protect, restrictTo('agent'), requireTransactionPin, idempotent, agentController.purchaseData);
+router.post('/pay-bill', protect, restrictTo('agent'), requireTransactionPin, idempotent, agentController.payBill);
 
 router.get('/profile', protect, restrictTo('agent'), (req, res) => {
   res.status(200).json({
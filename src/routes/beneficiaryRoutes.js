@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const beneficiaryController = require('../controllers/beneficiaryController');
+const { protect } = require('../middlewares/auth');
+
+router.use(protect);
+router.get('/', beneficiaryController.getBeneficiaries);
+router.post('/', beneficiaryController.createBeneficiary);
+router.get('/suggestions', beneficiaryController.getSuggestions);
+router.get('/:id', beneficiaryController.getBeneficiary);
+router.put('/:id', beneficiaryController.updateBeneficiary);
+router.delete('/:id', beneficiaryController.deleteBeneficiary);
+
+module.exports = router;
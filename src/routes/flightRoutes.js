@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const flightController = require('../controllers/flightController');
 const { protect, requireTransactionPin } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
 
 router.use(protect);
 
@@ -11,7 +12,7 @@ router.get('/wakanow/redirect', flightController.redirectWakanowAffiliate);
 router.post('/international/search', flightController.searchInternational);
 router.get('/international/offers/:searchId', flightController.getInternationalOffers);
 router.get('/international/offer/:offerId', flightController.getInternationalOffer);
-router.post('/international/book', requireTransactionPin, flightController.bookInternational);
+router.post('/international/book', requireTransactionPin, idempotent, flightController.bookInternational);
 router.get('/international/bookings', flightController.listInternationalBookings);
 router.get('/international/bookings/:orderId', flightController.getInternationalBooking);
 router.post('/international/bookings/:orderId/cancel', flightController.cancelInternationalBooking);
@@ -19,7 +20,7 @@ router.post('/international/cancellations/:cancellationId/confirm', flightContro
 
 router.get('/domestic/airlines', flightController.getAirlines);
 router.post('/domestic/search', flightController.searchDomestic);
-router.post('/domestic/book', requireTransactionPin, flightController.bookDomestic);
+router.post('/domestic/book', requireTransactionPin, idempotent, flightController.bookDomestic);
 router.get('/domestic/bookings/:bookingId', flightController.getDomesticBooking);
 router.post('/domestic/bookings/:bookingId/cancel', flightController.cancelDomesticBooking);
 
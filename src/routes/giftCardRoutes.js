@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const giftCardController = require('../controllers/giftCardController');
 const { protect, requireTransactionPin } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
 
 router.use(protect);
 
@@ -11,9 +12,9 @@ router.post('/quote', giftCardController.getGiftCardQuote);
 
 router.get('/orders', giftCardController.getOrders);
 router.post('/orders', giftCardController.createOrder);
-router.post('/buy', requireTransactionPin, giftCardController.buyGiftCard);
+router.post('/buy', requireTransactionPin, idempotent, giftCardController.buyGiftCard);
 router.get('/orders/:id', giftCardController.getOrder);
-router.post('/orders/:id/purchase', requireTransactionPin, giftCardController.purchaseOrder);
+router.post('/orders/:id/purchase', requireTransactionPin, idempotent, giftCardController.purchaseOrder);
 router.get('/orders/:id/code', giftCardController.getOrderCode);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const kycController = require('../controllers/kycController');
+const KycService = require('../services/kycService');
+const { protect } = require('../middlewares/auth');
+const { uploadDocuments } = require('../middlewares/upload');
+
+router.use(protect);
+router.get('/', kycController.getKycStatus);
+router.post('/', uploadDocuments(KycService.DOCUMENT_FIELDS), kycController.submitKyc);
+
+module.exports = router;
@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const { protect } = require('../middlewares/auth');
+const { webhookInbox } = require('../middlewares/webhookInbox');
 
 router.post('/initialize', protect, paymentController.initializePaystackPayment);
 router.get('/verify/:reference', protect, paymentController.verifyPaystackPayment);
 router.get('/status/:reference', protect, paymentController.getPaymentStatus);
-router.post('/webhook', paymentController.paystackWebhook);
+router.post('/webhook', webhookInbox('paystack_payments', paymentController.paystackWebhook, { provider: 'paystack' }));
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/scheduleController');
+const { protect, requireTransactionPin } = require('../middlewares/auth');
+
+router.use(protect);
+router.get('/', scheduleController.getSchedules);
+router.post('/', requireTransactionPin, scheduleController.createSchedule);
+router.get('/:id', scheduleController.getSchedule);
+router.put('/:id', requireTransactionPin, scheduleController.updateSchedule);
+router.post('/:id/pause', scheduleController.pauseSchedule);
+router.post('/:id/resume', requireTransactionPin, scheduleController.resumeSchedule);
+router.delete('/:id', scheduleController.cancelSchedule);
+
+module.exports = router;
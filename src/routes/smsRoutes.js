@@ -2,11 +2,15 @@ const express = require('express');
 const router = express.Router();
 const smsController = require('../controllers/smsController');
 const { protect, requireTransactionPin } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+const { webhookInbox } = require('../middlewares/webhookInbox');
 
 
 router.get('/balance', protect, smsController.getBulkSmsBalance);
-router.post('/send', protect, requireTransactionPin, smsController.sendBulkSms);
-router.post('/webhook/bulksmsnigeria', smsController.bulkSmsWebhook);
-router.get('/webhook/bulksmsnigeria', smsController.bulkSmsWebhook);
+router.post('/send', protect, requireTransactionPin, idempotent, smsController.sendBulkSms);
+const bulkSmsInbox = webhookInbox('bulksmsnigeria', smsController.bulkSmsWebhook);
+
+router.post('/webhook/bulksmsnigeria', bulkSmsInbox);
+router.get('/webhook/bulksmsnigeria', bulkSmsInbox);
 
 module.exports = router;
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const statusController = require('../controllers/statusController');
+
+router.get('/', statusController.getServiceStatus);
+
+module.exports = router;
@@ -2,47 +2,57 @@ const express = require('express');
 const router = express.Router();
 const telecomController = require('../controllers/telecomController');
 const webhookController = require('../controllers/webhookController');
+const { webhookInbox } = require('../middlewares/webhookInbox');
 
 const { protect, requireTransactionPin } = require('../middlewares/auth');
-router.post('/webhook/smedata', telecomController.smedataWebhook);
-router.post('/webhook/nellobytes', telecomController.nelloBytesWebhook);
-router.get('/webhook/nellobytes', telecomController.nelloBytesWebhook);
-router.post('/webhook/smeplug', webhookController.smePlugWebhook);
-router.get('/webhook/smeplug', webhookController.smePlugWebhook);
-router.post('/webhook/pluginng', telecomController.pluginngWebhook);
-router.get('/webhook/pluginng', telecomController.pluginngWebhook);
-router.post('/webhook/airtimenigeria', telecomController.airtimeNigeriaWebhook);
-router.get('/webhook/airtimenigeria', telecomController.airtimeNigeriaWebhook);
+const { idempotent } = require('../middlewares/idempotency');
+const { applyBeneficiary } = require('../middlewares/beneficiary');
+const nelloBytesInbox = webhookInbox('nellobytes', telecomController.nelloBytesWebhook);
+const smePlugInbox = webhookInbox('smeplug', webhookController.smePlugWebhook);
+const pluginngInbox = webhookInbox('pluginng', telecomController.pluginngWebhook);
+const airtimeNigeriaInbox = webhookInbox('airtimenigeria', telecomController.airtimeNigeriaWebhook);
+const airtimeCallbackInbox = webhookInbox('nellobytes_airtime_callback', telecomController.airtimeCallback, { provider: 'nellobytes' });
+const airtimeWebhookInbox = webhookInbox('nellobytes_airtime_webhook', telecomController.airtimeWebhook, { provider: 'nellobytes' });
+
+router.post('/webhook/smedata', webhookInbox('smedata', telecomController.smedataWebhook));
+router.post('/webhook/nellobytes', nelloBytesInbox);
+router.get('/webhook/nellobytes', nelloBytesInbox);
+router.post('/webhook/smeplug', smePlugInbox);
+router.get('/webhook/smeplug', smePlugInbox);
+router.post('/webhook/pluginng', pluginngInbox);
+router.get('/webhook/pluginng', pluginngInbox);
+router.post('/webhook/airtimenigeria', airtimeNigeriaInbox);
+router.get('/webhook/airtimenigeria', airtimeNigeriaInbox);
 router.get('/smeplug/networks', protect, telecomController.getSmePlugNetworks);
 router.get('/smeplug/balance', protect, telecomController.getSmePlugBalance);
-router.post('/smeplug/data/purchase', protect, requireTransactionPin, telecomController.purchaseSmePlugData);
-router.post('/smeplug/airtime/purchase', protect, requireTransactionPin, telecomController.purchaseSmePlugAirtime);
-router.get('/nellobyte/callback', telecomController.airtimeCallback);
+router.post('/smeplug/data/purchase', protect, requireTransactionPin, idempotent, applyBeneficiary('phone'), telecomController.purchaseSmePlugData);
+router.post('/smeplug/airtime/purchase', protect, requireTransactionPin, idempotent, applyBeneficiary('phone'), telecomController.purchaseSmePlugAirtime);
+router.get('/nellobyte/callback', airtimeCallbackInbox);
 
 router.use(protect);
 
 router.get('/data/plans', telecomController.getDataPlans);
 
 router.get('/data', telecomController.getDataPlans);
-router.post('/data', protect, requireTransactionPin, telecomController.purchaseData);
+router.post('/data', protect, requireTransactionPin, idempotent, applyBeneficiary('phone'), telecomController.purchaseData);
 
-router.post('/data/purchase', protect, requireTransactionPin, telecomController.purchaseData);
+router.post('/data/purchase', protect, requireTransactionPin, idempotent, applyBeneficiary('phone'), telecomController.purchaseData);
 
-router.post('/airtime/purchase', protect, requireTransactionPin, telecomController.purchaseAirtime);
+router.post('/airtime/purchase', protect, requireTransactionPin, idempotent, applyBeneficiary('phone'), telecomController.purchaseAirtime);
 router.post('/airtime/query', protect, telecomController.queryAirtimeTransaction);
 router.post('/alrahuz/data/query', protect, telecomController.queryAlrahuzDataTransaction);
 router.post('/airtime/cancel', protect, telecomController.cancelAirtimeTransaction);
 
-router.post('/airtime', protect, requireTransactionPin, telecomController.purchaseAirtime);
+router.post('/airtime', protect, requireTransactionPin, idempotent, applyBeneficiary('phone'), telecomController.purchaseAirtime);
 
-router.get('/airtime/webhook', telecomController.airtimeWebhook);
-router.post('/airtime/webhook', telecomController.airtimeWebhook);
+router.get('/airtime/webhook', airtimeWebhookInbox);
+router.post('/airtime/webhook', airtimeWebhookInbox);
 
 router.get('/epin/plans', telecomController.getEPINPlans);
 router.get('/recharge-pin/plans', telecomController.getEPINPlans);
 
-router.post('/epin/purchase', requireTransactionPin, telecomController.purchaseRechargePin);
-router.post('/recharge-pin/purchase', requireTransactionPin, telecomController.purchaseRechargePin);
+router.post('/epin/purchase', requireTransactionPin, idempotent, telecomController.purchaseRechargePin);
+router.post('/recharge-pin/purchase', requireTransactionPin, idempotent, telecomController.purchaseRechargePin);
 
 
 router.get('/provider', protect, telecomController.getCurrentProvider);
@@ -53,18 +63,18 @@ router.get('/spectranet/packages', protect, telecomController.getSpectranetPacka
 router.get('/smile/packages', protect, telecomController.getSmilePackages);
 
 
-router.post('/airtimenigeria/data/purchase', protect, requireTransactionPin, telecomController.purchaseAirtimeNigeriaData);
-router.post('/spectranet/purchase', protect, requireTransactionPin, telecomController.purchaseSpectranetData);
+router.post('/airtimenigeria/data/purchase', protect, requireTransactionPin, idempotent, applyBeneficiary('phone'), telecomController.purchaseAirtimeNigeriaData);
+router.post('/spectranet/purchase', protect, requireTransactionPin, idempotent, telecomController.purchaseSpectranetData);
 router.post('/spectranet/query', protect, telecomController.querySpectranetTransaction);
 router.post('/spectranet/cancel', protect, telecomController.cancelSpectranetTransaction);
 router.post('/smile/verify', protect, telecomController.verifySmileAccount);
-router.post('/smile/purchase', protect, requireTransactionPin, telecomController.purchaseSmileData);
+router.post('/smile/purchase', protect, requireTransactionPin, idempotent, telecomController.purchaseSmileData);
 router.post('/smile/query', protect, telecomController.querySmileTransaction);
 router.post('/smile/cancel', protect, telecomController.cancelSmileTransaction);
 router.get('/alpha/plans', protect, telecomController.getAlphaPlans);
 router.get('/kirani/plans', protect, telecomController.getKiraniPlans);
-router.post('/alpha/purchase', protect, requireTransactionPin, telecomController.purchaseAlpha);
-router.post('/kirani/purchase', protect, requireTransactionPin, telecomController.purchaseKirani);
+router.post('/alpha/purchase', protect, requireTransactionPin, idempotent, telecomController.purchaseAlpha);
+router.post('/kirani/purchase', protect, requireTransactionPin, idempotent, telecomController.purchaseKirani);
 router.get('/giftcards/balance', protect, telecomController.getGiftCardBalance);
 router.get('/giftcards/categories', protect, telecomController.getGiftCardCategories);
 router.get('/giftcards/countries', protect, telecomController.getGiftCardCountries);
@@ -80,16 +90,16 @@ router.get('/giftcards/products/:productId/discounts', protect, telecomControlle
 router.get('/giftcards/transactions', protect, telecomController.getGiftCardTransactions);
 router.get('/giftcards/transactions/:transactionId', protect, telecomController.getGiftCardTransactionById);
 router.get('/giftcards/orders/transactions/:transactionId/cards', protect, telecomController.getGiftCardRedeemCode);
-router.post('/giftcards/orders', protect, requireTransactionPin, telecomController.orderGiftCard);
+router.post('/giftcards/orders', protect, requireTransactionPin, idempotent, telecomController.orderGiftCard);
 
-router.post('/airtimenigeria/airtime/purchase', protect, requireTransactionPin, telecomController.purchaseAirtimeNigeriaAirtime);
+router.post('/airtimenigeria/airtime/purchase', protect, requireTransactionPin, idempotent, applyBeneficiary('phone'), telecomController.purchaseAirtimeNigeriaAirtime);
 
 router.get('/airtimenigeria/balance', protect, telecomController.getAirtimeNigeriaBalance);
 
 router.get('/international/countries', protect, telecomController.getInternationalCountries);
 router.get('/international/operators/:countryCode', protect, telecomController.getInternationalOperators);
 router.post('/international/quote', protect, telecomController.getInternationalAirtimeQuote);
-router.post('/international/topup', protect, requireTransactionPin, telecomController.purchaseInternationalAirtime);
+router.post('/international/topup', protect, requireTransactionPin, idempotent, telecomController.purchaseInternationalAirtime);
 router.get('/international/transactions', protect, telecomController.getInternationalAirtimeTransactions);
 router.get('/international/transactions/:reference', protect, telecomController.getInternationalAirtimeTransactionByRef);
 router.get('/international/balance', protect, telecomController.getReloadlyBalance);
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const vtuConsoleController = require('../controllers/vtuConsoleController');
 const { protect, requireTransactionPin } = require('../middlewares/auth');
-const { adminAuth } = require('../middlewares/admin');
+const { adminAuth, superAdminOnly } = require('../middlewares/admin');
+const { uploadStatement } = require('../middlewares/upload');
 
 router.get('/providers', adminAuth, vtuConsoleController.getAllProviders);
 router.post('/providers', adminAuth, vtuConsoleController.createProvider);
@@ -18,15 +19,34 @@ router.put('/providers/:providerId', adminAuth, vtuConsoleController.updateProvi
 router.delete('/providers/:providerId', adminAuth, vtuConsoleController.deleteProvider);
 router.get('/providers/:providerId/stats', adminAuth, vtuConsoleController.getProviderStats);
 router.get('/providers/:providerId/balance', adminAuth, vtuConsoleController.getProviderBalance);
+router.get('/providers/:providerId/balance/history', adminAuth, vtuConsoleController.getProviderBalanceHistory);
+router.get('/providers/:providerId/credentials', adminAuth, vtuConsoleController.getProviderCredentials);
+router.put('/providers/:providerId/credentials', adminAuth, vtuConsoleController.rotateProviderCredentials);
+router.delete('/providers/:providerId/credentials', adminAuth, vtuConsoleController.deleteProviderCredentials);
+router.post('/credentials/rewrap', adminAuth, superAdminOnly, vtuConsoleController.rewrapCredentials);
 router.post('/switch', adminAuth, vtuConsoleController.switchProvider);
 router.post('/health', adminAuth, vtuConsoleController.runHealthCheck);
 router.post('/providers/:providerId/health', adminAuth, vtuConsoleController.runProviderHealthCheck);
+router.get('/providers/:providerId/health/history', adminAuth, vtuConsoleController.getProviderHealthHistory);
 router.get('/balances', adminAuth, vtuConsoleController.getProviderBalances);
+router.post('/balances/forecast/check', adminAuth, vtuConsoleController.runBalanceForecastCheck);
 router.get('/logs', adminAuth, vtuConsoleController.getApiLogs);
+router.get('/logs/export', adminAuth, vtuConsoleController.exportApiLogs);
+router.get('/logs/:logId', adminAuth, vtuConsoleController.getApiLog);
 router.put('/providers/:providerId/status', adminAuth, vtuConsoleController.updateProviderStatus);
 router.post('/init', adminAuth, vtuConsoleController.initializeProviders);
 router.get('/bill-payment/providers', adminAuth, vtuConsoleController.getBillPaymentProviders);
 router.post('/bill-payment/switch', adminAuth, vtuConsoleController.switchBillPaymentProvider);
 router.post('/cache/clear', adminAuth, vtuConsoleController.clearPlansCache);
+router.get('/providers/:providerId/statement-mapping', adminAuth, vtuConsoleController.getStatementMapping);
+router.put('/providers/:providerId/statement-mapping', adminAuth, vtuConsoleController.updateStatementMapping);
+router.post('/providers/:providerId/statements', adminAuth, uploadStatement('file'), vtuConsoleController.importProviderStatement);
+router.get('/statements', adminAuth, vtuConsoleController.getProviderStatements);
+router.get('/statements/:statementId', adminAuth, vtuConsoleController.getProviderStatement);
+router.get('/statements/:statementId/report', adminAuth, vtuConsoleController.downloadStatementReport);
+router.post('/statements/:statementId/items/:itemId/:action(refund)', adminAuth, superAdminOnly, vtuConsoleController.resolveStatementItem);
+router.post('/statements/:statementId/items/:itemId/:action(repoll|ignore)', adminAuth, vtuConsoleController.resolveStatementItem);
+router.get('/circuits', adminAuth, vtuConsoleController.getCircuits);
+router.post('/providers/:providerId/circuit/reset', adminAuth, vtuConsoleController.resetCircuit);
 
 module.exports = router;
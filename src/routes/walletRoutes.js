@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const walletController = require('../controllers/walletController');
 const { protect, protectWalletAccess, requireTransactionPin } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+const { applyBeneficiary } = require('../middlewares/beneficiary');
 const { hasWallet } = require('../middlewares/wallet');
 
 router.post('/create', protectWalletAccess, walletController.createWallet);
@@ -10,11 +12,16 @@ router.post('/set-pin', protectWalletAccess, walletController.setTransactionPin)
 
 router.use(protect);
 router.get('/balance', hasWallet, walletController.getWalletBalance);
+router.get('/limits', walletController.getLimits);
 router.post('/fund', hasWallet, walletController.fundWallet);
-router.post('/transfer', hasWallet, requireTransactionPin, walletController.transferToUser);
-router.post('/withdraw', hasWallet, requireTransactionPin, walletController.withdrawToBank);
+router.post('/transfer', hasWallet, requireTransactionPin, idempotent, walletController.transferToUser);
+router.post('/withdraw', hasWallet, requireTransactionPin, idempotent, applyBeneficiary('bank_account'), walletController.withdrawToBank);
+router.get('/bank-accounts', hasWallet, walletController.getBankAccounts);
+router.post('/bank-accounts', hasWallet, walletController.addBankAccount);
+router.delete('/bank-accounts/:id', hasWallet, walletController.removeBankAccount);
 router.get('/transactions', hasWallet, walletController.getTransactionHistory);
 router.get('/transactions/:id/receipt', hasWallet, walletController.downloadTransactionReceipt);
+router.get('/statements', hasWallet, walletController.downloadStatement);
 router.get('/accounts', hasWallet, walletController.getWalletAccounts);
 router.post('/accounts/refresh', hasWallet, walletController.refreshWalletAccounts);
 router.post('/update-pin', walletController.updateTransactionPin);
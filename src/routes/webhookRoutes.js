@@ -2,15 +2,24 @@ const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
 const telecomController = require('../controllers/telecomController');
+const ProviderCallbackService = require('../services/providerCallbackService');
+const { webhookInbox } = require('../middlewares/webhookInbox');
 
-router.post('/smeplug', webhookController.smePlugWebhook);
-router.get('/smeplug', webhookController.smePlugWebhook);
-router.post('/pluginng', telecomController.pluginngWebhook);
-router.get('/pluginng', telecomController.pluginngWebhook);
-router.post('/budpay', webhookController.budpayWebhook);
-router.post('/paystack', express.raw({ type: 'application/json' }), webhookController.paystackWebhook);
-router.post('/monnify', express.raw({ type: 'application/json' }), webhookController.monnifyWebhook);
-router.post('/flutterwave', express.raw({ type: 'application/json' }), webhookController.flutterwaveWebhook);
-router.post('/provider/:providerName', express.json(), webhookController.providerCallback);
+const smePlugInbox = webhookInbox('smeplug', webhookController.smePlugWebhook);
+const pluginngInbox = webhookInbox('pluginng', telecomController.pluginngWebhook);
+const providerCallbackInbox = webhookInbox('provider_callback', webhookController.providerCallback, {
+  provider: (req) => ProviderCallbackService.resolveSource(req.params.providerName),
+});
+
+router.post('/smeplug', smePlugInbox);
+router.get('/smeplug', smePlugInbox);
+router.post('/pluginng', pluginngInbox);
+router.get('/pluginng', pluginngInbox);
+router.post('/budpay', webhookInbox('budpay', webhookController.budpayWebhook));
+router.post('/paystack', express.raw({ type: 'application/json' }), webhookInbox('paystack', webhookController.paystackWebhook));
+router.post('/monnify', express.raw({ type: 'application/json' }), webhookInbox('monnify', webhookController.monnifyWebhook));
+router.post('/flutterwave', express.raw({ type: 'application/json' }), webhookInbox('flutterwave', webhookController.flutterwaveWebhook));
+router.post('/provider/:providerName', express.json(), providerCallbackInbox);
+router.get('/provider/:providerName', providerCallbackInbox);
 
 module.exports = router;
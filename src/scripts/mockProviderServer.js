@@ -0,0 +1,32 @@
+// Local stand-in for the VTU and payout providers. Point the app at it with
+//   VTU_BASE_URL=http://localhost:4010/nellobytes
+//   CLUBKONNECT_BASE_URL=http://localhost:4010/clubkonnect
+//   SMEPLUG_BASE_URL=http://localhost:4010/smeplug
+//   PLUGINNG_BASE_URL=http://localhost:4010/pluginng
+//   ALRAHUZDATA_BASE_URL=http://localhost:4010/alrahuzdata
+//   RELOADLY_AUTH_BASE_URL=http://localhost:4010/reloadly
+//   RELOADLY_AIRTIME_BASE_URL=http://localhost:4010/reloadly
+//   MONNIFY_BASE_URL=http://localhost:4010/monnify
+// Any non-empty credentials are accepted.
+require('dotenv').config();
+const { MOUNTS, createMockProviderApp, MockProviderState } = require('../mocks/providers');
+const logger = require('../utils/logger');
+
+const port = Number(process.env.MOCK_PROVIDER_PORT || 4010);
+
+const server = createMockProviderApp().listen(port, () => {
+  const baseUrl = `http://localhost:${port}`;
+  logger.info(`Mock provider server listening on ${baseUrl}`);
+  logger.info(`Scenario: ${MockProviderState.getDefaultScenario()} (POST ${baseUrl}/__mock/scenario to change)`);
+  logger.info(`Webhooks go to ${MockProviderState.getWebhookBaseUrl()}`);
+  for (const prefix of Object.keys(MOUNTS)) {
+    logger.info(`  ${prefix.slice(1)}: ${baseUrl}${prefix}`);
+  }
+});
+
+function shutdown() {
+  server.close(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,59 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Wallet = require('../models/Wallet');
+const LedgerService = require('../services/ledgerService');
+const logger = require('../utils/logger');
+
+// One-off: run while wallets are quiet, since a movement landing between the
+// balance read and the posting would be folded into the opening figure.
+async function postOpeningLedgerBalances() {
+  await retryFailedLedgerPostings();
+
+  const summary = { processed: 0, posted: 0, skipped: 0, errors: 0 };
+  const cursor = Wallet.find({}).select('_id user balance').lean().cursor();
+
+  for await (const wallet of cursor) {
+    summary.processed += 1;
+    try {
+      const entries = await LedgerService.postOpeningBalance(wallet);
+      if (entries) {
+        summary.posted += 1;
+      } else {
+        summary.skipped += 1;
+      }
+    } catch (error) {
+      summary.errors += 1;
+      logger.error(`Opening balance failed for wallet ${wallet._id}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+async function retryFailedLedgerPostings() {
+  return LedgerService.retryFailedPostings({
+    limit: Number(process.env.LEDGER_RETRY_BATCH_SIZE || 500),
+  });
+}
+
+if (require.main === module) {
+  (async () => {
+    const retryOnly = process.argv.slice(2).includes('--retry-failed');
+    try {
+      await connectDB();
+      const summary = retryOnly
+        ? await retryFailedLedgerPostings()
+        : await postOpeningLedgerBalances();
+      console.log(retryOnly ? 'Ledger retry summary:' : 'Opening balance summary:', JSON.stringify(summary));
+      await mongoose.disconnect();
+      process.exit(0);
+    } catch (err) {
+      logger.error('Ledger script failed:', err);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { postOpeningLedgerBalances, retryFailedLedgerPostings };
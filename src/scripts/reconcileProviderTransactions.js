@@ -3,15 +3,22 @@ const mongoose = require('mongoose');
 const connectDB = require('../config/database');
 const Transaction = require('../models/Transaction');
 const Wallet = require('../models/Wallet');
+const WalletService = require('../services/walletService');
 const PluginngService = require('../services/pluginngService');
 const SmePlugService = require('../services/smePlugService');
 const AlrahuzDataService = require('../services/alrahuzDataService');
 const NotificationService = require('../services/NotificationService');
+const CredentialVault = require('../services/credentialVault');
 const logger = require('../utils/logger');
 
 async function refundTransactionToWallet(transaction, reason = 'Transaction refund') {
   if (!transaction) return null;
 
+  if (transaction.metadata?.walletHold && transaction.metadata.walletHold.status !== 'captured') {
+    await WalletService.settleTransactionHold(transaction, 'release');
+    return Wallet.findOne({ user: transaction.user });
+  }
+
   const alreadyRefunded = Boolean(transaction.metadata?.refundProcessed);
   if (alreadyRefunded) {
     return Wallet.findOne({ user: transaction.user });
@@ -22,7 +29,11 @@ async function refundTransactionToWallet(transaction, reason = 'Transaction refu
 
   const refundAmount = Number(transaction.amount || 0);
   if (refundAmount > 0) {
-    await wallet.credit(refundAmount, reason);
+    await wallet.credit(refundAmount, {
+      entryType: 'refund',
+      reference: transaction.reference,
+      description: reason,
+    });
   }
 
   transaction.metadata = {
@@ -174,6 +185,8 @@ async function reconcileTransactions({ limit = 200, onlyFailed = true }) {
     scanned: transactions.length,
     markedSuccessful: 0,
     markedFailed: 0,
+    holdsCaptured: 0,
+    holdsReleased: 0,
     stillPending: 0,
     skipped: 0,
     errors: 0,
@@ -206,6 +219,12 @@ async function reconcileTransactions({ limit = 200, onlyFailed = true }) {
       }
 
       const state = result.state || 'pending';
+      const holdStatus = tx.metadata?.walletHold?.status;
+      if (state === 'successful' && holdStatus === 'captured') {
+        summary.holdsCaptured += 1;
+      } else if (state === 'failed' && holdStatus === 'released') {
+        summary.holdsReleased += 1;
+      }
       if (state === 'successful') {
         summary.markedSuccessful += 1;
         summary.byProvider[providerKey].successful += 1;
@@ -236,6 +255,7 @@ async function main() {
   const limit = limitIdx !== -1 ? Number(args[limitIdx + 1]) || 200 : 200;
 
   await connectDB();
+  await CredentialVault.initialize();
 
   logger.info(`Reconciling provider transactions (onlyFailed=${onlyFailed}, limit=${limit})...`);
   const summary = await reconcileTransactions({ limit, onlyFailed });
@@ -1,5 +1,9 @@
-const axios = require('axios');
+const { createProviderClient } = require('./providerHttpClient');
 const logger = require('../utils/logger');
+const CredentialVault = require('./credentialVault');
+const { wrapProviderError, providerRejection } = require('../utils/providerErrors');
+
+const providerHttp = createProviderClient('airtimenigeria');
 
 class AirtimeNigeriaService {
   static normalizeNetwork(network = '') {
@@ -40,7 +44,7 @@ class AirtimeNigeriaService {
   static getConfig() {
     return {
       baseUrl: process.env.AIRTIME_NIGERIA_BASE_URL || 'https://www.airtimenigeria.com/api/v1',
-      apiKey: process.env.AIRTIME_NIGERIA_API_KEY || '',
+      apiKey: CredentialVault.get('airtimenigeria', 'apiKey') || process.env.AIRTIME_NIGERIA_API_KEY || '',
       timeout: 45000,
     };
   }
@@ -62,7 +66,7 @@ class AirtimeNigeriaService {
     const { network, phone, amount, maxAmount, callbackUrl, customerReference } = options;
     
     try {
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${this.getConfig().baseUrl}/airtime`,
         {
           network_operator: network,
@@ -94,10 +98,10 @@ class AirtimeNigeriaService {
         };
       }
 
-      throw new Error(response.data.message || 'Airtime purchase failed');
+      throw providerRejection(response.data.message || 'Airtime purchase failed');
     } catch (error) {
       logger.error('AirtimeNigeria purchaseAirtime error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Airtime purchase failed');
+      throw wrapProviderError(error, 'Airtime purchase failed');
     }
   }
 
@@ -127,7 +131,7 @@ class AirtimeNigeriaService {
         throw new Error('Either variationCode, packageCode, or planId is required');
       }
 
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${this.getConfig().baseUrl}/data`,
         requestBody,
         {
@@ -153,10 +157,10 @@ class AirtimeNigeriaService {
         };
       }
 
-      throw new Error(response.data.message || 'Data purchase failed');
+      throw providerRejection(response.data.message || 'Data purchase failed');
     } catch (error) {
       logger.error('AirtimeNigeria purchaseData error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Data purchase failed');
+      throw wrapProviderError(error, 'Data purchase failed');
     }
   }
 
@@ -183,7 +187,7 @@ class AirtimeNigeriaService {
         throw new Error('Either packageCode or planId is required');
       }
 
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${this.getConfig().baseUrl}/data/wallet`,
         requestBody,
         {
@@ -209,10 +213,10 @@ class AirtimeNigeriaService {
         };
       }
 
-      throw new Error(response.data.message || 'Data wallet purchase failed');
+      throw providerRejection(response.data.message || 'Data wallet purchase failed');
     } catch (error) {
       logger.error('AirtimeNigeria purchaseDataFromWallet error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Data wallet purchase failed');
+      throw wrapProviderError(error, 'Data wallet purchase failed');
     }
   }
 
@@ -222,7 +226,7 @@ class AirtimeNigeriaService {
 
   static async getDataPlans(network = null) {
     try {
-      const response = await axios.get(
+      const response = await providerHttp.get(
         `${this.getConfig().baseUrl}/variations/data`,
         {
           headers: this.getHeaders(),
@@ -290,12 +294,12 @@ class AirtimeNigeriaService {
         return this.getLegacyDataPlans(network);
       }
       logger.error('AirtimeNigeria getDataPlans error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Failed to get data plans');
+      throw wrapProviderError(error, 'Failed to get data plans');
     }
   }
 
   static async getLegacyDataPlans(network = null) {
-    const response = await axios.get(
+    const response = await providerHttp.get(
       `${this.getConfig().baseUrl}/data/plans`,
       {
         headers: this.getHeaders(),
@@ -346,7 +350,7 @@ class AirtimeNigeriaService {
 
   static async getWalletBalance() {
     try {
-      const response = await axios.get(
+      const response = await providerHttp.get(
         `${this.getConfig().baseUrl}/balance`,
         {
           headers: this.getHeaders(),
@@ -370,7 +374,7 @@ class AirtimeNigeriaService {
       throw new Error(response.data.message || 'Failed to get wallet balance');
     } catch (error) {
       logger.error('AirtimeNigeria getWalletBalance error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Failed to get wallet balance');
+      throw wrapProviderError(error, 'Failed to get wallet balance');
     }
   }
 
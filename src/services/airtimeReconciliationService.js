@@ -35,7 +35,11 @@ async function refundIfNeeded(transaction, reason = 'Airtime purchase refund') {
   const wallet = await Wallet.findOne({ user: transaction.user });
   if (!wallet) return false;
 
-  await wallet.credit(amount);
+  await wallet.credit(amount, {
+    entryType: 'refund',
+    reference: transaction.reference,
+    description: reason,
+  });
 
   transaction.metadata = {
     ...(transaction.metadata || {}),
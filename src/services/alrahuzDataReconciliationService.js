@@ -1,5 +1,6 @@
 const Transaction = require('../models/Transaction');
 const Wallet = require('../models/Wallet');
+const WalletService = require('./walletService');
 const NotificationService = require('./NotificationService');
 const AlrahuzDataService = require('./alrahuzDataService');
 const logger = require('../utils/logger');
@@ -8,6 +9,11 @@ class AlrahuzDataReconciliationService {
   static async refundTransactionToWallet(transaction, reason = 'Data purchase refund') {
     if (!transaction) return null;
 
+    if (transaction.metadata?.walletHold && transaction.metadata.walletHold.status !== 'captured') {
+      await WalletService.settleTransactionHold(transaction, 'release');
+      return Wallet.findOne({ user: transaction.user });
+    }
+
     const alreadyRefunded = Boolean(transaction.metadata?.refundProcessed);
     if (alreadyRefunded) {
       return await Wallet.findOne({ user: transaction.user });
@@ -18,7 +24,11 @@ class AlrahuzDataReconciliationService {
 
     const refundAmount = Number(transaction.amount || 0);
     if (refundAmount > 0) {
-      await wallet.credit(refundAmount, reason);
+      await wallet.credit(refundAmount, {
+        entryType: 'refund',
+        reference: transaction.reference,
+        description: reason,
+      });
     }
 
     transaction.metadata = {
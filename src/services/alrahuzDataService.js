@@ -1,5 +1,9 @@
-const axios = require('axios');
+const { createProviderClient } = require('./providerHttpClient');
 const logger = require('../utils/logger');
+const CredentialVault = require('./credentialVault');
+const { wrapProviderError } = require('../utils/providerErrors');
+
+const providerHttp = createProviderClient('alrahuzdata');
 
 class AlrahuzDataService {
   static networkMap = {
@@ -32,7 +36,7 @@ class AlrahuzDataService {
   static getConfig() {
     return {
       baseUrl: process.env.ALRAHUZDATA_BASE_URL || 'https://alrahuzdata.com.ng',
-      token: process.env.ALRAHUZDATA_TOKEN || process.env.ALRAHUZDATA_API_TOKEN || '',
+      token: CredentialVault.get('alrahuzdata', 'token') || process.env.ALRAHUZDATA_TOKEN || process.env.ALRAHUZDATA_API_TOKEN || '',
       timeout: Number(process.env.ALRAHUZDATA_TIMEOUT_MS || 45000),
     };
   }
@@ -55,7 +59,7 @@ class AlrahuzDataService {
     const config = this.getConfig();
 
     try {
-      const response = await axios({
+      const response = await providerHttp({
         method,
         url: `${config.baseUrl}${path}`,
         headers: this.getHeaders(),
@@ -70,7 +74,7 @@ class AlrahuzDataService {
         message: error.message,
         response: error.response?.data,
       });
-      throw new Error(error.response?.data?.message || error.message || 'AlrahuzData API request failed');
+      throw wrapProviderError(error, 'AlrahuzData API request failed');
     }
   }
 
@@ -1,6 +1,9 @@
-const axios = require('axios');
+const { createProviderClient } = require('./providerHttpClient');
 const logger = require('../utils/logger');
 const { AppError } = require('../middlewares/errorHandler');
+const CredentialVault = require('./credentialVault');
+
+const providerHttp = createProviderClient('arewa');
 
 const SMILE_BUNDLES = [
   { bundleTypeCode: '11', planName: 'SmileVoice ONLY 65', price: 900, validity: '30 days' },
@@ -41,11 +44,13 @@ const SMILE_BUNDLES = [
 ];
 
 class ArewaService {
-  static config = {
-    baseUrl: String(process.env.AREWA_BASE_URL || 'https://arewaglobal.co').trim(),
-    apiKey: String(process.env.AREWA_API_KEY || '').trim(),
-    timeout: 45000,
-  };
+  static get config() {
+    return {
+      baseUrl: String(process.env.AREWA_BASE_URL || 'https://arewaglobal.co').trim(),
+      apiKey: String(CredentialVault.get('arewa', 'apiKey') || process.env.AREWA_API_KEY || '').trim(),
+      timeout: 45000,
+    };
+  }
 
   static async request(path, payload = {}) {
     if (!this.config.apiKey) {
@@ -54,7 +59,7 @@ class ArewaService {
 
     try {
       const url = `${this.config.baseUrl}${path}`;
-      const response = await axios.post(url, payload, {
+      const response = await providerHttp.post(url, payload, {
         timeout: this.config.timeout,
         headers: {
           Authorization: `Token ${this.config.apiKey}`,
@@ -135,6 +140,32 @@ class ArewaService {
     };
   }
 
+  static classifyResponse(apiResponse = {}) {
+    const statusRaw = String(apiResponse?.status || apiResponse?.service || '').toLowerCase();
+    const msgRaw = String(
+      apiResponse?.msg
+      || apiResponse?.message
+      || apiResponse?.error
+      || apiResponse?.description
+      || ''
+    ).toLowerCase();
+
+    if (statusRaw === 'success' || statusRaw === 'completed' || statusRaw === 'delivered') {
+      return { state: 'successful', success: true };
+    }
+
+    const failureTokens = ['fail', 'error', 'invalid', 'insufficient', 'reject', 'denied', 'cannot', 'unable'];
+    const isExplicitFailure =
+      failureTokens.some((token) => statusRaw.includes(token))
+      || failureTokens.some((token) => msgRaw.includes(token));
+
+    if (isExplicitFailure) {
+      return { state: 'failed', success: false };
+    }
+
+    return { state: 'pending', success: false };
+  }
+
   static async purchaseAlpha({ phone, planid }) {
     return this.request('/api/alpha/', { phone, planid: String(planid) });
   }
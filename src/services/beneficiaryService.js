@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const Beneficiary = require('../models/Beneficiary');
+const Transaction = require('../models/Transaction');
+const BillsService = require('./billsService');
+const PayoutService = require('./payoutService');
+const { AppError } = require('../middlewares/errorHandler');
+const { normalizePhone } = require('../utils/normalizePhone');
+const logger = require('../utils/logger');
+
+const PHONE_TRANSACTION_TYPES = ['airtime_recharge', 'data_recharge', 'sme_data'];
+
+const IDENTITY_FIELDS = {
+  phone: ['phoneNumber', 'network'],
+  meter: ['meterNumber', 'disco', 'meterType'],
+  smartcard: ['smartCardNumber', 'cableProvider', 'provider'],
+  bank_account: ['accountNumber', 'bankCode', 'bankName'],
+};
+
+function clean(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+class BeneficiaryService {
+  static toLocalPhone(phoneNumber) {
+    const normalized = normalizePhone(String(phoneNumber || ''));
+    return normalized ? `0${normalized.slice(4)}` : phoneNumber;
+  }
+
+  // Biller lookups are best effort: a provider outage saves the entry as
+  // unverified, while a rejected meter or smartcard blocks it.
+  static async verifyBillCustomer(lookup) {
+    try {
+      const result = await lookup();
+      return {
+        customerName: result?.data?.customerName,
+        isVerified: Boolean(result?.success),
+      };
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        throw error;
+      }
+      logger.warn('Beneficiary customer verification unavailable:', error.message);
+      return { isVerified: false };
+    }
+  }
+
+  static async buildEntry(type, data = {}) {
+    if (type === 'phone') {
+      const phoneNumber = normalizePhone(clean(data.phoneNumber));
+      if (!phoneNumber) {
+        throw new AppError('Please provide a valid Nigerian phone number', 400);
+      }
+
+      return {
+        identifier: phoneNumber,
+        phoneNumber,
+        network: clean(data.network).toLowerCase() || undefined,
+        isVerified: true,
+      };
+    }
+
+    if (type === 'meter') {
+      const meterNumber = clean(data.meterNumber);
+      const disco = clean(data.disco);
+      const meterType = clean(data.meterType).toLowerCase() || 'prepaid';
+
+      if (!meterNumber || !disco) {
+        throw new AppError('Please provide meter number and DISCO', 400);
+      }
+
+      if (!['prepaid', 'postpaid'].includes(meterType)) {
+        throw new AppError('meterType must be prepaid or postpaid', 400);
+      }
+
+      const verification = await this.verifyBillCustomer(
+        () => BillsService.verifyElectricityCustomer(meterNumber, disco, meterType)
+      );
+
+      return {
+        identifier: meterNumber,
+        meterNumber,
+        disco,
+        meterType,
+        ...verification,
+      };
+    }
+
+    if (type === 'smartcard') {
+      const smartCardNumber = clean(data.smartCardNumber);
+      const cableProvider = clean(data.provider || data.cableProvider).toLowerCase();
+
+      if (!smartCardNumber || !cableProvider) {
+        throw new AppError('Please provide smartcard number and cable provider', 400);
+      }
+
+      const verification = await this.verifyBillCustomer(
+        () => BillsService.verifyCableCustomer(smartCardNumber, cableProvider)
+      );
+
+      return {
+        identifier: smartCardNumber,
+        smartCardNumber,
+        cableProvider,
+        ...verification,
+      };
+    }
+
+    if (type === 'bank_account') {
+      const bankCode = clean(data.bankCode);
+      if (!bankCode || !data.accountNumber) {
+        throw new AppError('Bank code and account number are required', 400);
+      }
+
+      const verification = await PayoutService.verifyAccount(data.accountNumber, bankCode);
+      const accountNumber = String(verification.accountNumber || data.accountNumber).replace(/\D/g, '');
+
+      return {
+        identifier: accountNumber,
+        accountNumber,
+        bankCode,
+        bankName: clean(data.bankName) || undefined,
+        accountName: verification.accountName,
+        customerName: verification.accountName,
+        isVerified: true,
+      };
+    }
+
+    throw new AppError(`type must be one of: ${Beneficiary.TYPES.join(', ')}`, 400);
+  }
+
+  static async list(userId, { type } = {}) {
+    const query = { user: userId };
+    if (type) query.type = type;
+
+    return Beneficiary.find(query)
+      .sort({ lastUsedAt: -1, updatedAt: -1 })
+      .lean();
+  }
+
+  static async getForUser(userId, beneficiaryId, types = []) {
+    if (!mongoose.Types.ObjectId.isValid(beneficiaryId)) {
+      throw new AppError('Beneficiary not found', 404);
+    }
+
+    const beneficiary = await Beneficiary.findOne({ _id: beneficiaryId, user: userId });
+    if (!beneficiary) {
+      throw new AppError('Beneficiary not found', 404);
+    }
+
+    if (types.length && !types.includes(beneficiary.type)) {
+      throw new AppError(`This beneficiary is a ${beneficiary.type} entry and cannot be used here`, 400);
+    }
+
+    return beneficiary;
+  }
+
+  static async create(userId, { type, label, ...data } = {}) {
+    const entry = await this.buildEntry(type, data);
+
+    try {
+      return await Beneficiary.create({
+        user: userId,
+        type,
+        label,
+        ...entry,
+        verifiedAt: entry.isVerified ? new Date() : undefined,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('This beneficiary is already saved', 409);
+      }
+      throw error;
+    }
+  }
+
+  static async update(userId, beneficiaryId, data = {}) {
+    const beneficiary = await this.getForUser(userId, beneficiaryId);
+
+    if (data.label !== undefined) {
+      beneficiary.label = data.label;
+    }
+
+    const identityChanged = IDENTITY_FIELDS[beneficiary.type].some((field) => data[field] !== undefined);
+    if (identityChanged) {
+      const entry = await this.buildEntry(beneficiary.type, {
+        ...beneficiary.toObject(),
+        ...data,
+      });
+
+      beneficiary.set({
+        ...entry,
+        verifiedAt: entry.isVerified ? new Date() : undefined,
+      });
+    }
+
+    try {
+      await beneficiary.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('This beneficiary is already saved', 409);
+      }
+      throw error;
+    }
+
+    return beneficiary;
+  }
+
+  static async remove(userId, beneficiaryId) {
+    const beneficiary = await this.getForUser(userId, beneficiaryId);
+    await beneficiary.deleteOne();
+  }
+
+  static toRequestFields(beneficiary) {
+    switch (beneficiary.type) {
+      case 'phone':
+        return {
+          phoneNumber: this.toLocalPhone(beneficiary.phoneNumber),
+          network: beneficiary.network,
+        };
+      case 'meter':
+        return {
+          meterNumber: beneficiary.meterNumber,
+          disco: beneficiary.disco,
+          meterType: beneficiary.meterType,
+        };
+      case 'smartcard':
+        return {
+          smartCardNumber: beneficiary.smartCardNumber,
+          provider: beneficiary.cableProvider,
+        };
+      case 'bank_account':
+        return {
+          accountNumber: beneficiary.accountNumber,
+          bankCode: beneficiary.bankCode,
+          bankName: beneficiary.bankName,
+        };
+      default:
+        return {};
+    }
+  }
+
+  static async markUsed(beneficiaryId) {
+    return Beneficiary.updateOne(
+      { _id: beneficiaryId },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  static async getSuggestions(userId, { limit = 10, days = 90 } = {}) {
+    const since = new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000);
+    const maxResults = Math.min(Number(limit) || 10, 50);
+
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          status: 'successful',
+          createdAt: { $gte: since },
+          type: { $in: [...PHONE_TRANSACTION_TYPES, 'electricity', 'cable_tv', 'withdrawal'] },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $project: {
+          createdAt: 1,
+          type: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$type', 'electricity'] }, then: 'meter' },
+                { case: { $eq: ['$type', 'cable_tv'] }, then: 'smartcard' },
+                { case: { $eq: ['$type', 'withdrawal'] }, then: 'bank_account' },
+              ],
+              default: 'phone',
+            },
+          },
+          identifier: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$type', 'electricity'] }, then: '$service.meterNumber' },
+                { case: { $eq: ['$type', 'cable_tv'] }, then: '$service.smartCardNumber' },
+                { case: { $eq: ['$type', 'withdrawal'] }, then: '$metadata.accountNumber' },
+              ],
+              default: '$service.phoneNumber',
+            },
+          },
+          network: '$service.network',
+          disco: '$service.disco',
+          meterType: '$service.meterType',
+          cableProvider: '$service.cableProvider',
+          customerName: '$service.customerName',
+          bankCode: '$metadata.bankCode',
+          bankName: '$metadata.bankName',
+          accountName: '$metadata.accountName',
+        },
+      },
+      { $match: { identifier: { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: { type: '$type', identifier: '$identifier' },
+          transactionCount: { $sum: 1 },
+          lastUsedAt: { $first: '$createdAt' },
+          network: { $first: '$network' },
+          disco: { $first: '$disco' },
+          meterType: { $first: '$meterType' },
+          cableProvider: { $first: '$cableProvider' },
+          customerName: { $first: '$customerName' },
+          bankCode: { $first: '$bankCode' },
+          bankName: { $first: '$bankName' },
+          accountName: { $first: '$accountName' },
+        },
+      },
+      { $sort: { transactionCount: -1, lastUsedAt: -1 } },
+      { $limit: maxResults * 3 },
+    ]);
+
+    const saved = await Beneficiary.find({ user: userId }).select('type identifier').lean();
+    const seen = new Set(saved.map((item) => `${item.type}:${item.identifier}`));
+    const suggestions = [];
+
+    for (const row of rows) {
+      const { type } = row._id;
+      const identifier = type === 'phone'
+        ? normalizePhone(String(row._id.identifier))
+        : String(row._id.identifier);
+      const key = `${type}:${identifier}`;
+
+      if (!identifier || seen.has(key)) continue;
+      seen.add(key);
+
+      const details = {
+        phone: { phoneNumber: identifier, network: row.network },
+        meter: { meterNumber: identifier, disco: row.disco, meterType: row.meterType, customerName: row.customerName },
+        smartcard: { smartCardNumber: identifier, cableProvider: row.cableProvider, customerName: row.customerName },
+        bank_account: { accountNumber: identifier, bankCode: row.bankCode, bankName: row.bankName, accountName: row.accountName },
+      }[type];
+
+      suggestions.push({
+        type,
+        ...details,
+        transactionCount: row.transactionCount,
+        lastUsedAt: row.lastUsedAt,
+      });
+
+      if (suggestions.length >= maxResults) break;
+    }
+
+    return suggestions;
+  }
+}
+
+module.exports = BeneficiaryService;
@@ -0,0 +1,204 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { getCached, setCached } = require('../utils/cache');
+
+const BUDPAY_BASE_URL = 'https://api.budpay.com/api/v2';
+const BANK_LIST_CACHE_KEY = 'budpay:bank-list:NGN';
+const BANK_LIST_TTL_MS = 6 * 60 * 60 * 1000;
+
+class BudpayPayoutService {
+  static getSecretKey() {
+    const secretKey = String(process.env.BUDPAY_SECRET_KEY || '').trim();
+    if (!secretKey) {
+      throw new AppError('BudPay API credentials not configured', 500);
+    }
+    return secretKey;
+  }
+
+  static getHeaders(secretKey = this.getSecretKey()) {
+    return {
+      Authorization: `Bearer ${secretKey}`,
+      'Content-Type': 'application/json',
+    };
+  }
+
+  static getTimeoutMs() {
+    return Number(process.env.BUDPAY_TIMEOUT_MS || 30000);
+  }
+
+  static async getBanks() {
+    const cached = await getCached(BANK_LIST_CACHE_KEY);
+    if (cached) return cached;
+
+    const response = await axios.get(`${BUDPAY_BASE_URL}/bank_list/NGN`, {
+      headers: this.getHeaders(),
+      timeout: this.getTimeoutMs(),
+    });
+
+    const banks = Array.isArray(response.data?.data) ? response.data.data : [];
+    if (banks.length) {
+      await setCached(BANK_LIST_CACHE_KEY, banks, BANK_LIST_TTL_MS);
+    }
+    return banks;
+  }
+
+  static async resolveBankName(bankCode) {
+    const banks = await this.getBanks();
+    const bank = banks.find((item) => String(item.bank_code) === String(bankCode));
+    return bank?.bank_name || null;
+  }
+
+  static async verifyBankAccount(accountNumber, bankCode) {
+    try {
+      const response = await axios.post(
+        `${BUDPAY_BASE_URL}/account_name_verify`,
+        { bank_code: bankCode, account_number: accountNumber },
+        { headers: this.getHeaders(), timeout: this.getTimeoutMs() }
+      );
+
+      if (!response.data?.success) {
+        return {
+          success: false,
+          message: response.data?.message || 'Account verification failed',
+        };
+      }
+
+      return {
+        success: true,
+        accountName: response.data.data,
+        accountNumber,
+        bankCode,
+      };
+    } catch (error) {
+      logger.error('BudPay account verification error:', error.response?.data || error.message);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Account verification failed',
+      };
+    }
+  }
+
+  static async initiateTransfer({ amount, accountNumber, bankCode, bankName, narration, reference }) {
+    try {
+      const secretKey = this.getSecretKey();
+      const resolvedBankName = bankName || await this.resolveBankName(bankCode);
+
+      if (!resolvedBankName) {
+        return {
+          success: false,
+          definitive: true,
+          message: `Unknown bank code ${bankCode}`,
+        };
+      }
+
+      const payload = {
+        currency: 'NGN',
+        amount: String(amount),
+        bank_code: bankCode,
+        bank_name: resolvedBankName,
+        account_number: accountNumber,
+        narration: narration || 'Wallet withdrawal',
+        reference,
+      };
+
+      // BudPay signs transfer requests with an HMAC of the exact raw body.
+      const rawPayload = JSON.stringify(payload);
+      const signature = crypto.createHmac('sha512', secretKey).update(rawPayload).digest('hex');
+
+      const response = await axios.post(`${BUDPAY_BASE_URL}/bank_transfer`, rawPayload, {
+        headers: {
+          ...this.getHeaders(secretKey),
+          Encryption: signature,
+        },
+        timeout: this.getTimeoutMs(),
+      });
+
+      if (response.data?.success) {
+        logger.info(`BudPay transfer initiated: ${reference}, Amount: ${amount}`);
+        return {
+          success: true,
+          reference: response.data.data?.reference || reference,
+          status: response.data.data?.status,
+          data: response.data,
+        };
+      }
+
+      return {
+        success: false,
+        definitive: true,
+        message: response.data?.message || 'Transfer initiation failed',
+        data: response.data,
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      logger.error('BudPay transfer error:', error.response?.data || error.message);
+      return {
+        success: false,
+        definitive: Boolean(status && status >= 400 && status < 500),
+        message: error.response?.data?.message || error.message || 'Transfer initiation failed',
+        data: error.response?.data,
+      };
+    }
+  }
+
+  static async getTransferStatus(reference) {
+    try {
+      const response = await axios.get(`${BUDPAY_BASE_URL}/payout/${encodeURIComponent(reference)}`, {
+        headers: this.getHeaders(),
+        timeout: this.getTimeoutMs(),
+      });
+
+      if (!response.data?.success) {
+        return {
+          success: false,
+          message: response.data?.message || 'Transfer status lookup failed',
+        };
+      }
+
+      return {
+        success: true,
+        status: response.data.data?.status,
+        data: response.data.data,
+      };
+    } catch (error) {
+      logger.error('BudPay transfer status error:', error.response?.data || error.message);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Transfer status lookup failed',
+      };
+    }
+  }
+
+  static async verifyTransaction(reference) {
+    try {
+      const response = await axios.get(`${BUDPAY_BASE_URL}/transaction/verify/${encodeURIComponent(reference)}`, {
+        headers: this.getHeaders(),
+        timeout: this.getTimeoutMs(),
+      });
+
+      if (!response.data?.status && !response.data?.success) {
+        return {
+          success: false,
+          message: response.data?.message || 'Transaction verification failed',
+        };
+      }
+
+      return {
+        success: true,
+        status: response.data.data?.status,
+        amount: response.data.data?.amount,
+        data: response.data.data,
+      };
+    } catch (error) {
+      logger.error('BudPay transaction verification error:', error.response?.data || error.message);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Transaction verification failed',
+      };
+    }
+  }
+}
+
+module.exports = BudpayPayoutService;
@@ -1,6 +1,11 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 
+// GSM 03.38: the basic set costs one septet per character, the extension
+// set two. Anything else forces UCS-2 encoding.
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
 class BulkSmsNigeriaService {
   static getConfig() {
     return {
@@ -13,6 +18,33 @@ class BulkSmsNigeriaService {
     };
   }
 
+  static getUnitPrice() {
+    return Number(process.env.BULKSMS_NIGERIA_UNIT_PRICE || 4);
+  }
+
+  static countPages(body) {
+    const text = String(body || '');
+    let septets = 0;
+    for (const char of text) {
+      if (GSM_BASIC.includes(char)) {
+        septets += 1;
+      } else if (GSM_EXTENDED.includes(char)) {
+        septets += 2;
+      } else {
+        const units = text.length;
+        return units <= 70 ? 1 : Math.ceil(units / 67);
+      }
+    }
+    return septets <= 160 ? 1 : Math.ceil(septets / 153);
+  }
+
+  // The provider only prices a message once it is sent; this is the amount
+  // held against the wallet beforehand.
+  static estimateCost(recipientCount, body) {
+    const cost = recipientCount * this.countPages(body) * this.getUnitPrice();
+    return Math.round(cost * 100) / 100;
+  }
+
   static getHeaders() {
     const config = this.getConfig();
     return {
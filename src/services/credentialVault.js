@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const os = require('os');
+const ProviderCredential = require('../models/ProviderCredential');
+const ProviderStatus = require('../models/ProviderStatus');
+const AdminLog = require('../models/AdminLog');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const SEALED_FIELDS = '+ciphertext +iv +authTag +encryptedDataKey +dataKeyIv +dataKeyAuthTag';
+
+// Credential fields each built-in provider service reads. Providers added
+// from the console store apiKey/apiSecret.
+const PROVIDER_FIELDS = {
+  clubkonnect: ['userId', 'apiKey'],
+  airtimenigeria: ['apiKey'],
+  smeplug: ['apiKey'],
+  pluginng: ['email', 'password', 'token'],
+  alrahuzdata: ['token'],
+  reloadly: ['clientId', 'clientSecret'],
+  arewa: ['apiKey'],
+};
+const DEFAULT_FIELDS = ['apiKey', 'apiSecret'];
+
+// Where the console's generic apiKey/apiSecret inputs land for providers
+// that name their credentials differently.
+const LEGACY_FIELD_MAP = {
+  pluginng: { apiKey: 'token', apiSecret: 'password' },
+  alrahuzdata: { apiKey: 'token' },
+  reloadly: { apiKey: 'clientId', apiSecret: 'clientSecret' },
+};
+
+const cache = new Map();
+const listeners = new Map();
+let refreshHandle = null;
+
+function parseMasterKey(raw, keyId) {
+  const value = String(raw || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new AppError(`Credential master key ${keyId} must be 32 bytes (base64 or hex)`, 500);
+  }
+  return key;
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    data: data.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+  };
+}
+
+function decrypt(key, { data, iv, tag }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+}
+
+function additionalData(providerId) {
+  return Buffer.from(`provider-credential:${providerId}`);
+}
+
+/**
+ * Envelope-encrypted storage for provider API credentials.
+ *
+ * Each provider's credentials are encrypted with their own random data key,
+ * which is in turn encrypted with CREDENTIAL_MASTER_KEY. Decrypted values are
+ * kept in memory so provider services can read them synchronously; the cache
+ * is refreshed every CREDENTIAL_VAULT_REFRESH_MS so a rotation made on one
+ * instance reaches the others without a restart. Services fall back to their
+ * env variables for any field the vault does not hold.
+ */
+class CredentialVault {
+  static PROVIDER_FIELDS = PROVIDER_FIELDS;
+
+  static isConfigured() {
+    return Boolean(process.env.CREDENTIAL_MASTER_KEY);
+  }
+
+  static getRefreshIntervalMs() {
+    return Number(process.env.CREDENTIAL_VAULT_REFRESH_MS || 60000);
+  }
+
+  /**
+   * Master keys by id. The active key seals new records; previous keys
+   * (CREDENTIAL_PREVIOUS_MASTER_KEYS="id:key,id:key") only open old ones
+   * until rewrap() has moved them onto the active key.
+   */
+  static getMasterKeys() {
+    const activeId = process.env.CREDENTIAL_MASTER_KEY_ID || 'v1';
+    const keys = new Map();
+
+    if (process.env.CREDENTIAL_MASTER_KEY) {
+      keys.set(activeId, parseMasterKey(process.env.CREDENTIAL_MASTER_KEY, activeId));
+    }
+
+    String(process.env.CREDENTIAL_PREVIOUS_MASTER_KEYS || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const [keyId, ...rest] = entry.split(':');
+        if (keyId && rest.length && !keys.has(keyId)) {
+          keys.set(keyId, parseMasterKey(rest.join(':'), keyId));
+        }
+      });
+
+    return { activeId, keys };
+  }
+
+  static getMasterKey(keyId) {
+    const { keys } = this.getMasterKeys();
+    const key = keys.get(keyId);
+    if (!key) {
+      throw new AppError(`Credential master key ${keyId} is not configured`, 500);
+    }
+    return key;
+  }
+
+  static getActiveMasterKey() {
+    if (!this.isConfigured()) {
+      throw new AppError('CREDENTIAL_MASTER_KEY is not configured', 503);
+    }
+    const { activeId } = this.getMasterKeys();
+    return { keyId: activeId, key: this.getMasterKey(activeId) };
+  }
+
+  static getFields(providerId) {
+    return PROVIDER_FIELDS[providerId] || DEFAULT_FIELDS;
+  }
+
+  static seal(providerId, values) {
+    const { keyId, key } = this.getActiveMasterKey();
+    const aad = additionalData(providerId);
+    const dataKey = crypto.randomBytes(32);
+    const payload = encrypt(dataKey, Buffer.from(JSON.stringify(values)), aad);
+    const wrappedKey = encrypt(key, dataKey, aad);
+
+    return {
+      ciphertext: payload.data,
+      iv: payload.iv,
+      authTag: payload.tag,
+      encryptedDataKey: wrappedKey.data,
+      dataKeyIv: wrappedKey.iv,
+      dataKeyAuthTag: wrappedKey.tag,
+      masterKeyId: keyId,
+    };
+  }
+
+  static unwrapDataKey(record) {
+    return decrypt(this.getMasterKey(record.masterKeyId), {
+      data: record.encryptedDataKey,
+      iv: record.dataKeyIv,
+      tag: record.dataKeyAuthTag,
+    }, additionalData(record.providerName));
+  }
+
+  static unseal(record) {
+    const dataKey = this.unwrapDataKey(record);
+    const plaintext = decrypt(dataKey, {
+      data: record.ciphertext,
+      iv: record.iv,
+      tag: record.authTag,
+    }, additionalData(record.providerName));
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  static mask(value) {
+    const text = String(value || '');
+    if (!text) return null;
+    return text.length >= 12 ? `****${text.slice(-4)}` : '****';
+  }
+
+  /**
+   * Maps console input onto the provider's credential fields. Unknown
+   * fields are rejected rather than silently stored.
+   */
+  static normalizeInput(providerId, input = {}) {
+    const allowed = this.getFields(providerId);
+    const aliases = LEGACY_FIELD_MAP[providerId] || {};
+    const values = {};
+
+    for (const [field, value] of Object.entries(input || {})) {
+      if (value === undefined || value === null || String(value).trim() === '') continue;
+      const target = aliases[field] || field;
+      if (!allowed.includes(target)) {
+        throw new AppError(`Unknown credential field "${field}" for ${providerId}. Allowed: ${allowed.join(', ')}`, 400);
+      }
+      values[target] = String(value).trim();
+    }
+
+    return values;
+  }
+
+  /**
+   * Synchronous read for provider services. Returns '' when the vault holds
+   * nothing for the field so callers can fall back to env.
+   */
+  static get(providerId, field) {
+    return cache.get(providerId)?.values?.[field] || '';
+  }
+
+  static onRotate(providerId, listener) {
+    if (!listeners.has(providerId)) listeners.set(providerId, new Set());
+    listeners.get(providerId).add(listener);
+  }
+
+  static notify(providerId) {
+    for (const listener of listeners.get(providerId) || []) {
+      try {
+        listener(providerId);
+      } catch (error) {
+        logger.warn(`Credential rotation listener failed for ${providerId}: ${error.message}`);
+      }
+    }
+  }
+
+  static describeRecord(record) {
+    if (!record) {
+      return { stored: false, source: 'env', fields: {} };
+    }
+
+    const hints = record.hints instanceof Map ? Object.fromEntries(record.hints) : (record.hints || {});
+    return {
+      stored: true,
+      source: 'vault',
+      fields: Object.fromEntries((record.fields || []).map((field) => [field, hints[field] || '****'])),
+      version: record.version,
+      masterKeyId: record.masterKeyId,
+      rotatedAt: record.rotatedAt || record.updatedAt,
+      rotatedBy: record.rotatedBy || null,
+    };
+  }
+
+  static async audit(action, providerId, actor = {}, details = {}) {
+    await AdminLog.log({
+      admin: actor.admin?._id,
+      adminEmail: actor.admin?.email || 'system',
+      adminRole: actor.admin?.role || 'system',
+      action,
+      entity: 'provider',
+      description: details.description || `Credentials for ${providerId} ${action} by ${actor.admin?.email || 'system'}`,
+      ipAddress: actor.ipAddress,
+      userAgent: actor.userAgent,
+      status: details.status || 'success',
+      errorMessage: details.errorMessage,
+      metadata: {
+        providerId,
+        host: os.hostname(),
+        ...details.metadata,
+      },
+    });
+  }
+
+  static async describe(providerId, actor = {}) {
+    const record = await ProviderCredential.findOne({ providerName: providerId }).lean();
+    await this.audit('read', providerId, actor, {
+      description: `Masked credentials for ${providerId} viewed by ${actor.admin?.email || 'system'}`,
+    });
+    return {
+      providerId,
+      allowedFields: this.getFields(providerId),
+      ...this.describeRecord(record),
+    };
+  }
+
+  static async describeAll() {
+    const records = await ProviderCredential.find({}).lean();
+    return Object.fromEntries(records.map((record) => [record.providerName, this.describeRecord(record)]));
+  }
+
+  /**
+   * Stores new credential values for a provider. Fields not supplied keep
+   * their current value, so a single key can be rotated on its own.
+   */
+  static async rotate(providerId, input, actor = {}) {
+    const updates = this.normalizeInput(providerId, input);
+    if (!Object.keys(updates).length) {
+      throw new AppError('No credential values supplied', 400);
+    }
+
+    const existing = await ProviderCredential.findOne({ providerName: providerId }).select(SEALED_FIELDS);
+    const values = { ...(existing ? this.unseal(existing) : {}), ...updates };
+    const sealed = this.seal(providerId, values);
+    const version = (existing?.version || 0) + 1;
+
+    // Only replaces the version that was unsealed above, so two rotations
+    // racing on the same provider cannot drop each other's fields.
+    let record;
+    try {
+      record = await ProviderCredential.findOneAndUpdate(
+        { providerName: providerId, version: existing ? existing.version : { $exists: false } },
+        {
+          $set: {
+            ...sealed,
+            fields: Object.keys(values),
+            hints: Object.fromEntries(Object.entries(values).map(([field, value]) => [field, this.mask(value)])),
+            version,
+            rotatedAt: new Date(),
+            rotatedBy: actor.admin?._id,
+          },
+        },
+        { new: true, upsert: !existing }
+      ).lean();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    if (!record) {
+      throw new AppError(`Credentials for ${providerId} were changed by another request. Reload and try again.`, 409);
+    }
+
+    cache.set(providerId, { version, values });
+    this.notify(providerId);
+
+    await this.audit(existing ? 'update' : 'create', providerId, actor, {
+      description: `Credentials for ${providerId} rotated to v${version} by ${actor.admin?.email || 'system'}`,
+      metadata: { version, rotatedFields: Object.keys(updates), masterKeyId: sealed.masterKeyId },
+    });
+
+    logger.info(`Credentials for ${providerId} rotated to v${version}`);
+    return this.describeRecord(record);
+  }
+
+  static async remove(providerId, actor = {}) {
+    const result = await ProviderCredential.deleteOne({ providerName: providerId });
+    if (!result.deletedCount) return false;
+
+    cache.delete(providerId);
+    this.notify(providerId);
+
+    await this.audit('delete', providerId, actor, {
+      description: `Stored credentials for ${providerId} removed by ${actor.admin?.email || 'system'}; env values apply`,
+    });
+    return true;
+  }
+
+  /**
+   * Re-encrypts every data key under the active master key. Payloads are
+   * untouched, so this is cheap and safe to re-run after a key change.
+   */
+  static async rewrap(actor = {}) {
+    const { keyId, key } = this.getActiveMasterKey();
+    const records = await ProviderCredential.find({ masterKeyId: { $ne: keyId } }).select(SEALED_FIELDS);
+    const rewrapped = [];
+    const failed = [];
+
+    for (const record of records) {
+      try {
+        const wrappedKey = encrypt(key, this.unwrapDataKey(record), additionalData(record.providerName));
+        const result = await ProviderCredential.updateOne(
+          { _id: record._id, version: record.version, masterKeyId: record.masterKeyId },
+          {
+            $set: {
+              encryptedDataKey: wrappedKey.data,
+              dataKeyIv: wrappedKey.iv,
+              dataKeyAuthTag: wrappedKey.tag,
+              masterKeyId: keyId,
+            },
+          }
+        );
+        if (!result.matchedCount) {
+          throw new Error('record was rotated during rewrap; run rewrap again');
+        }
+        rewrapped.push(record.providerName);
+      } catch (error) {
+        logger.error(`Failed to rewrap credentials for ${record.providerName}: ${error.message}`);
+        failed.push({ providerId: record.providerName, message: error.message });
+      }
+    }
+
+    await this.audit('update', 'all', actor, {
+      description: `Provider credential data keys rewrapped under ${keyId} by ${actor.admin?.email || 'system'}`,
+      status: failed.length ? 'failed' : 'success',
+      metadata: { masterKeyId: keyId, rewrapped, failed },
+    });
+
+    return { masterKeyId: keyId, rewrapped, failed };
+  }
+
+  /**
+   * Decrypts records whose version changed since the last load. Every
+   * decryption is audited as a system read.
+   */
+  static async load() {
+    const versions = await ProviderCredential.find({}).select('providerName version').lean();
+    const current = new Set(versions.map((record) => record.providerName));
+    const stale = versions
+      .filter((record) => cache.get(record.providerName)?.version !== record.version)
+      .map((record) => record.providerName);
+    const removed = [...cache.keys()].filter((providerId) => !current.has(providerId));
+
+    removed.forEach((providerId) => {
+      cache.delete(providerId);
+      this.notify(providerId);
+    });
+
+    if (!stale.length) return { loaded: [], removed };
+
+    const records = await ProviderCredential.find({ providerName: { $in: stale } }).select(SEALED_FIELDS);
+    const loaded = [];
+    for (const record of records) {
+      try {
+        cache.set(record.providerName, { version: record.version, values: this.unseal(record) });
+        loaded.push(record.providerName);
+        this.notify(record.providerName);
+      } catch (error) {
+        logger.error(`Failed to decrypt credentials for ${record.providerName}: ${error.message}`);
+      }
+    }
+
+    if (loaded.length) {
+      await this.audit('read', 'all', {}, {
+        description: `Provider credentials decrypted into memory on ${os.hostname()}`,
+        metadata: { providers: loaded, pid: process.pid },
+      });
+    }
+
+    return { loaded, removed };
+  }
+
+  // Moves plaintext apiKey/apiSecret left on ProviderStatus into the vault.
+  // A provider with a legacy field the vault cannot hold is left untouched
+  // and reported, so no credential is dropped without someone seeing it.
+  static async migrateLegacy() {
+    const legacy = await ProviderStatus.find({
+      $or: [{ apiKey: { $nin: [null, ''] } }, { apiSecret: { $nin: [null, ''] } }],
+    }).select('providerName +apiKey +apiSecret').lean();
+    const migrated = [];
+    const failed = [];
+
+    for (const status of legacy) {
+      const providerId = status.providerName;
+      const aliases = LEGACY_FIELD_MAP[providerId] || {};
+      const input = {};
+      const skipped = [];
+      ['apiKey', 'apiSecret'].forEach((field) => {
+        if (!status[field]) return;
+        if (this.getFields(providerId).includes(aliases[field] || field)) {
+          input[field] = status[field];
+        } else {
+          skipped.push(field);
+        }
+      });
+
+      try {
+        if (skipped.length) {
+          throw new Error(`${skipped.join(', ')} cannot be stored for ${providerId}. Allowed: ${this.getFields(providerId).join(', ')}`);
+        }
+
+        await this.rotate(providerId, input);
+        await ProviderStatus.updateOne({ _id: status._id }, { $unset: { apiKey: '', apiSecret: '' } });
+        migrated.push(providerId);
+        logger.info(`Migrated plaintext credentials for ${providerId} into the vault`);
+      } catch (error) {
+        logger.error(`Failed to migrate credentials for ${providerId}; plaintext fields left in place: ${error.message}`);
+        failed.push({ providerId, skippedFields: skipped, message: error.message });
+      }
+    }
+
+    if (failed.length) {
+      await this.audit('update', 'all', {}, {
+        description: 'Legacy provider credentials left on ProviderStatus because they could not be moved into the vault',
+        status: 'failed',
+        errorMessage: failed.map((entry) => `${entry.providerId}: ${entry.message}`).join('; '),
+        metadata: { migrated, failed },
+      });
+    }
+
+    return { migrated, failed };
+  }
+
+  static async initialize() {
+    if (!this.isConfigured()) {
+      logger.warn('CREDENTIAL_MASTER_KEY not set; provider credentials are read from env only');
+      return;
+    }
+
+    await this.migrateLegacy();
+    await this.load();
+
+    if (!refreshHandle) {
+      refreshHandle = setInterval(() => {
+        this.load().catch((error) => {
+          logger.error('Credential vault refresh error:', error.message);
+        });
+      }, this.getRefreshIntervalMs());
+      refreshHandle.unref();
+    }
+  }
+
+  static stop() {
+    if (refreshHandle) {
+      clearInterval(refreshHandle);
+      refreshHandle = null;
+    }
+  }
+}
+
+module.exports = CredentialVault;
@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+const FeeSchedule = require('../models/FeeSchedule');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { AppError } = require('../middlewares/errorHandler');
+
+// Used when no fee schedule matches. Admins can still tune these through the
+// existing `fees.*` system settings; `transfer_fee_rate` is the legacy key.
+const DEFAULT_SCHEDULES = {
+  funding: { method: 'flat', flatAmount: 50 },
+  withdrawal: { method: 'percentage', rate: 0.015, minFee: 50 },
+  transfer: { method: 'percentage', rate: 0.02, minFee: 10 },
+};
+
+const DEFAULT_SETTING_KEYS = {
+  funding: { flatAmount: ['fees.fundingFee'] },
+  withdrawal: { rate: ['fees.withdrawalFee'], minFee: ['fees.withdrawalMinFee'] },
+  transfer: { rate: ['fees.walletTransferFee', 'transfer_fee_rate'], minFee: ['fees.walletTransferMinFee'] },
+};
+
+const MATCH_FIELDS = ['channel', 'role', 'kycTier'];
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+function toOptionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+class FeeService {
+  static TRANSACTION_TYPES = FeeSchedule.TRANSACTION_TYPES;
+
+  static async getDefaultSchedule(transactionType) {
+    const settingKeys = DEFAULT_SETTING_KEYS[transactionType];
+    const keys = Object.values(settingKeys).flat();
+    const docs = await Settings.find({ key: { $in: keys } }).lean();
+    const values = new Map(docs.map((doc) => [doc.key, doc.value]));
+
+    const schedule = { ...DEFAULT_SCHEDULES[transactionType] };
+    for (const [field, candidates] of Object.entries(settingKeys)) {
+      const key = candidates.find((candidate) => typeof values.get(candidate) === 'number');
+      if (key) schedule[field] = values.get(key);
+    }
+
+    return {
+      name: `Default ${transactionType} fee`,
+      transactionType,
+      ...schedule,
+    };
+  }
+
+  static matches(schedule, context) {
+    return MATCH_FIELDS.every((field) => !schedule[field] || schedule[field] === context[field]);
+  }
+
+  static specificity(schedule) {
+    return MATCH_FIELDS.filter((field) => schedule[field]).length;
+  }
+
+  // The most specific active schedule wins; priority breaks ties, then the
+  // most recently updated schedule.
+  static async resolveSchedule(context) {
+    const schedules = await FeeSchedule.find({
+      transactionType: context.transactionType,
+      isActive: true,
+    }).lean();
+
+    const [match] = schedules
+      .filter((schedule) => this.matches(schedule, context))
+      .sort((a, b) => (
+        this.specificity(b) - this.specificity(a)
+        || (b.priority || 0) - (a.priority || 0)
+        || new Date(b.updatedAt) - new Date(a.updatedAt)
+      ));
+
+    return match || this.getDefaultSchedule(context.transactionType);
+  }
+
+  static selectTier(tiers, amount) {
+    const sorted = [...tiers].sort((a, b) => {
+      if (a.upTo === null || a.upTo === undefined) return 1;
+      if (b.upTo === null || b.upTo === undefined) return -1;
+      return a.upTo - b.upTo;
+    });
+
+    return sorted.find((tier) => tier.upTo === null || tier.upTo === undefined || amount <= tier.upTo)
+      || sorted[sorted.length - 1];
+  }
+
+  static calculate(schedule, amount) {
+    const baseAmount = Number(amount) || 0;
+    let flatAmount = 0;
+    let rate = 0;
+    let tier;
+
+    if (schedule.method === 'flat') {
+      flatAmount = Number(schedule.flatAmount || 0);
+    } else if (schedule.method === 'percentage') {
+      flatAmount = Number(schedule.flatAmount || 0);
+      rate = Number(schedule.rate || 0);
+    } else if (schedule.method === 'tiered') {
+      tier = this.selectTier(schedule.tiers || [], baseAmount);
+      flatAmount = Number(tier?.flatAmount || 0);
+      rate = Number(tier?.rate || 0);
+    }
+
+    const percentageAmount = round2(baseAmount * rate);
+    const uncappedFee = round2(flatAmount + percentageAmount);
+    const minFee = schedule.minFee ?? null;
+    const maxFee = schedule.maxFee ?? null;
+
+    let fee = uncappedFee;
+    let capped = null;
+    if (minFee !== null && fee < minFee) {
+      fee = minFee;
+      capped = 'min';
+    }
+    if (maxFee !== null && fee > maxFee) {
+      fee = maxFee;
+      capped = 'max';
+    }
+
+    return {
+      fee: round2(fee),
+      breakdown: {
+        scheduleId: schedule._id || null,
+        scheduleName: schedule.name,
+        source: schedule._id ? 'schedule' : 'default',
+        method: schedule.method,
+        baseAmount,
+        flatAmount,
+        rate,
+        percentageAmount,
+        ...(tier && { tier: { upTo: tier.upTo ?? null, flatAmount, rate } }),
+        uncappedFee,
+        minFee,
+        maxFee,
+        capped,
+        fee: round2(fee),
+      },
+    };
+  }
+
+  static async buildContext({ transactionType, channel, userId, role, kycTier }) {
+    if (!this.TRANSACTION_TYPES.includes(transactionType)) {
+      throw new AppError(`transactionType must be one of: ${this.TRANSACTION_TYPES.join(', ')}`, 400);
+    }
+
+    let user;
+    if (userId && (!role || !kycTier)) {
+      user = await User.findById(userId).select('role kycStatus').lean();
+    }
+
+    return {
+      transactionType,
+      channel: channel ? String(channel).toLowerCase() : null,
+      role: role || user?.role || null,
+      kycTier: kycTier || user?.kycStatus || null,
+    };
+  }
+
+  static async quote({ transactionType, amount, channel, userId, role, kycTier, schedule } = {}) {
+    const context = await this.buildContext({ transactionType, channel, userId, role, kycTier });
+    const resolved = schedule || await this.resolveSchedule(context);
+    const { fee, breakdown } = this.calculate(resolved, amount);
+
+    return {
+      fee,
+      breakdown: {
+        ...breakdown,
+        transactionType: context.transactionType,
+        channel: context.channel,
+        role: context.role,
+        kycTier: context.kycTier,
+      },
+    };
+  }
+
+  static validateSchedule(data) {
+    const numericFields = ['flatAmount', 'rate', 'minFee', 'maxFee', 'priority'];
+    for (const field of numericFields) {
+      if (Number.isNaN(toOptionalNumber(data[field]))) {
+        throw new AppError(`${field} must be a number`, 400);
+      }
+    }
+
+    if (data.rate !== undefined && (Number(data.rate) < 0 || Number(data.rate) > 1)) {
+      throw new AppError('rate must be a fraction between 0 and 1 (e.g. 0.015 for 1.5%)', 400);
+    }
+
+    const minFee = toOptionalNumber(data.minFee);
+    const maxFee = toOptionalNumber(data.maxFee);
+    if (minFee !== null && maxFee !== null && minFee > maxFee) {
+      throw new AppError('minFee cannot be greater than maxFee', 400);
+    }
+
+    if (data.method === 'tiered') {
+      if (!Array.isArray(data.tiers) || !data.tiers.length) {
+        throw new AppError('Tiered fee schedules need at least one tier', 400);
+      }
+
+      const unbounded = data.tiers.filter((tier) => toOptionalNumber(tier.upTo) === null);
+      if (unbounded.length > 1) {
+        throw new AppError('Only one tier can be open-ended (no upTo)', 400);
+      }
+    }
+
+    if (data.role) {
+      const roles = User.schema.path('role').enumValues;
+      if (!roles.includes(data.role)) {
+        throw new AppError(`role must be one of: ${roles.join(', ')}`, 400);
+      }
+    }
+  }
+
+  static async list({ transactionType, isActive } = {}) {
+    const query = {};
+    if (transactionType) query.transactionType = transactionType;
+    if (isActive !== undefined) query.isActive = String(isActive) === 'true';
+
+    const [schedules, defaults] = await Promise.all([
+      FeeSchedule.find(query).sort({ transactionType: 1, priority: -1, updatedAt: -1 }).lean(),
+      Promise.all(this.TRANSACTION_TYPES.map((type) => this.getDefaultSchedule(type))),
+    ]);
+
+    return { schedules, defaults };
+  }
+
+  static async create(data, adminId) {
+    this.validateSchedule(data);
+    return FeeSchedule.create({ ...data, createdBy: adminId });
+  }
+
+  static async update(scheduleId, data, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+      throw new AppError('Fee schedule not found', 404);
+    }
+
+    const schedule = await FeeSchedule.findById(scheduleId);
+    if (!schedule) {
+      throw new AppError('Fee schedule not found', 404);
+    }
+
+    const { _id, createdBy, createdAt, updatedAt, ...changes } = data;
+    this.validateSchedule({ ...schedule.toObject(), ...changes });
+
+    schedule.set({ ...changes, updatedBy: adminId });
+    await schedule.save();
+    return schedule;
+  }
+
+  static async remove(scheduleId) {
+    if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+      throw new AppError('Fee schedule not found', 404);
+    }
+
+    const schedule = await FeeSchedule.findByIdAndDelete(scheduleId);
+    if (!schedule) {
+      throw new AppError('Fee schedule not found', 404);
+    }
+
+    return schedule;
+  }
+
+  // Previews either the live resolution for the given context or, when a
+  // draft `schedule` is supplied, what that schedule would charge.
+  static async preview({ schedule, amounts, amount, ...context } = {}) {
+    if (schedule) {
+      this.validateSchedule(schedule);
+    }
+
+    const values = (Array.isArray(amounts) ? amounts : [amount])
+      .map(Number)
+      .filter((value) => Number.isFinite(value) && value >= 0);
+
+    if (!values.length) {
+      throw new AppError('Provide an amount (or amounts) to preview', 400);
+    }
+
+    const resolvedContext = await this.buildContext(context);
+    let resolved;
+    if (schedule) {
+      resolved = new FeeSchedule({ ...schedule, transactionType: resolvedContext.transactionType }).toObject();
+      delete resolved._id;
+    } else {
+      resolved = await this.resolveSchedule(resolvedContext);
+    }
+
+    return values.map((value) => {
+      const { fee, breakdown } = this.calculate(resolved, value);
+      const isFunding = resolvedContext.transactionType === 'funding';
+
+      return {
+        amount: value,
+        fee,
+        total: round2(isFunding ? value : value + fee),
+        netAmount: round2(isFunding ? Math.max(value - fee, 0) : value),
+        breakdown: {
+          ...breakdown,
+          ...(schedule && { source: 'draft' }),
+          ...resolvedContext,
+        },
+      };
+    });
+  }
+}
+
+module.exports = FeeService;
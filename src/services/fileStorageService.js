@@ -0,0 +1,231 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+};
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+class LocalStorageDriver {
+  constructor(rootDir) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(`${this.rootDir}${path.sep}`)) {
+      throw new AppError('Invalid storage key', 400);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new AppError('Stored file not found', 404);
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+// Minimal SigV4 client so any S3-compatible store (AWS, R2, MinIO, Spaces)
+// works with path-style requests and no extra SDK dependency.
+class S3StorageDriver {
+  constructor({ endpoint, bucket, region, accessKeyId, secretAccessKey }) {
+    this.name = 's3';
+    this.region = region || 'us-east-1';
+    this.endpoint = (endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/$/, '');
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new AppError('S3 storage is not fully configured', 500);
+    }
+  }
+
+  signedHeaders(method, url, payload, extraHeaders = {}) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(payload || '');
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...extraHeaders,
+    };
+
+    const headerNames = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const canonicalHeaders = headerNames
+      .map((name) => `${name}:${String(headers[name]).trim()}\n`)
+      .join('');
+    const signedHeaderList = headerNames.join(';');
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      canonicalHeaders,
+      signedHeaderList,
+      payloadHash,
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(
+      hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'),
+      'aws4_request'
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...requestHeaders } = headers;
+    return {
+      ...requestHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`,
+    };
+  }
+
+  async request(method, key, { body, contentType, responseType } = {}) {
+    const url = new URL(`${this.endpoint}/${this.bucket}/${key}`);
+    const headers = this.signedHeaders(
+      method,
+      url,
+      body,
+      contentType ? { 'content-type': contentType } : {}
+    );
+
+    return axios({
+      method,
+      url: url.toString(),
+      data: body,
+      headers,
+      responseType,
+      maxBodyLength: Infinity,
+      timeout: Number(process.env.FILE_STORAGE_TIMEOUT_MS || 30000),
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.request('PUT', key, { body: buffer, contentType });
+  }
+
+  async get(key) {
+    try {
+      const response = await this.request('GET', key, { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new AppError('Stored file not found', 404);
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+const drivers = {};
+
+class FileStorageService {
+  static getDriverName() {
+    return (process.env.FILE_STORAGE_DRIVER || 'local').toLowerCase();
+  }
+
+  static getDriver(name = this.getDriverName()) {
+    if (drivers[name]) {
+      return drivers[name];
+    }
+
+    if (name === 'local') {
+      drivers[name] = new LocalStorageDriver(process.env.FILE_STORAGE_LOCAL_DIR || 'uploads');
+    } else if (name === 's3') {
+      drivers[name] = new S3StorageDriver({
+        endpoint: process.env.S3_ENDPOINT,
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      });
+    } else {
+      throw new AppError(`Unsupported file storage driver: ${name}`, 500);
+    }
+
+    return drivers[name];
+  }
+
+  // Stored references carry their driver ("s3:kyc/..."), so files written
+  // before a driver switch can still be read back.
+  static parseReference(reference) {
+    const separator = String(reference || '').indexOf(':');
+    if (separator === -1) {
+      return { driver: 'local', key: reference };
+    }
+    return {
+      driver: reference.slice(0, separator),
+      key: reference.slice(separator + 1),
+    };
+  }
+
+  static getContentType(reference) {
+    return CONTENT_TYPES[path.extname(String(reference)).toLowerCase()] || 'application/octet-stream';
+  }
+
+  static async save({ folder, name, buffer, originalName, contentType }) {
+    const driver = this.getDriver();
+    const extension = path.extname(originalName || '').toLowerCase()
+      || Object.keys(CONTENT_TYPES).find((ext) => CONTENT_TYPES[ext] === contentType)
+      || '';
+    const key = `${folder}/${name}-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+
+    await driver.put(key, buffer, contentType);
+    return `${driver.name}:${key}`;
+  }
+
+  static async read(reference) {
+    const { driver, key } = this.parseReference(reference);
+    return this.getDriver(driver).get(key);
+  }
+
+  static async remove(reference) {
+    if (!reference) return;
+
+    try {
+      const { driver, key } = this.parseReference(reference);
+      await this.getDriver(driver).remove(key);
+    } catch (error) {
+      logger.warn(`Failed to remove stored file ${reference}:`, error.message);
+    }
+  }
+}
+
+module.exports = FileStorageService;
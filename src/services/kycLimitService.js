@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Settings = require('../models/Settings');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { LimitExceededError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const SETTINGS_KEY = 'kyc.tierLimits';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+
+const TIERS = ['pending', 'basic', 'advanced', 'verified'];
+
+const LIMIT_KEYS = {
+  funding: { daily: 'dailyFunding', monthly: 'monthlyFunding' },
+  withdrawal: { daily: 'dailyWithdrawal', monthly: 'monthlyWithdrawal' },
+  transaction: { daily: 'dailyTransaction', monthly: 'monthlyTransaction' },
+};
+
+// A null limit means the tier is not capped for that window.
+const DEFAULT_TIER_LIMITS = {
+  pending: {
+    dailyFunding: 50000,
+    monthlyFunding: 300000,
+    dailyWithdrawal: 50000,
+    monthlyWithdrawal: 300000,
+    dailyTransaction: 100000,
+    monthlyTransaction: 500000,
+  },
+  basic: {
+    dailyFunding: 100000,
+    monthlyFunding: 500000,
+    dailyWithdrawal: 100000,
+    monthlyWithdrawal: 500000,
+    dailyTransaction: 200000,
+    monthlyTransaction: 1000000,
+  },
+  advanced: {
+    dailyFunding: 500000,
+    monthlyFunding: 5000000,
+    dailyWithdrawal: 500000,
+    monthlyWithdrawal: 5000000,
+    dailyTransaction: 1000000,
+    monthlyTransaction: 10000000,
+  },
+  verified: {
+    dailyFunding: 5000000,
+    monthlyFunding: 50000000,
+    dailyWithdrawal: 5000000,
+    monthlyWithdrawal: 50000000,
+    dailyTransaction: 10000000,
+    monthlyTransaction: 100000000,
+  },
+};
+
+const PURCHASE_TYPES = [
+  'data_recharge',
+  'airtime_recharge',
+  'airtime_swap',
+  'sme_data',
+  'recharge_pin',
+  'electricity',
+  'cable_tv',
+  'education_pin',
+  'rrr_payment',
+  'bulk_sms',
+  'gift_card',
+  'flight_booking',
+];
+
+const COMMITTED_STATUSES = ['pending', 'processing', 'successful'];
+
+function toLimit(value, fallback) {
+  if (value === null) return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+class KycLimitService {
+  static SETTINGS_KEY = SETTINGS_KEY;
+  static DEFAULT_TIER_LIMITS = DEFAULT_TIER_LIMITS;
+
+  static normalizeTier(tier) {
+    return TIERS.includes(tier) ? tier : 'pending';
+  }
+
+  static async getTierLimitsConfig() {
+    const doc = await Settings.findOne({ key: SETTINGS_KEY }).lean();
+    const stored = doc?.value && typeof doc.value === 'object' ? doc.value : {};
+
+    return TIERS.reduce((config, tier) => {
+      const defaults = DEFAULT_TIER_LIMITS[tier];
+      const overrides = stored[tier] || {};
+
+      config[tier] = Object.keys(defaults).reduce((limits, key) => {
+        limits[key] = key in overrides ? toLimit(overrides[key], defaults[key]) : defaults[key];
+        return limits;
+      }, {});
+      return config;
+    }, {});
+  }
+
+  static async getLimitsForTier(tier) {
+    const config = await this.getTierLimitsConfig();
+    return config[this.normalizeTier(tier)];
+  }
+
+  static async getUserTier(userId) {
+    const user = await User.findById(userId).select('kycStatus').lean();
+    return this.normalizeTier(user?.kycStatus);
+  }
+
+  static async getUsage(userId, now = new Date()) {
+    const dayStart = new Date(now.getTime() - DAY_MS);
+    const monthStart = new Date(now.getTime() - MONTH_MS);
+
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          createdAt: { $gte: monthStart },
+          $or: [
+            {
+              type: 'fund_wallet',
+              status: 'successful',
+              'metadata.source': { $ne: 'referral_bonus' },
+              'metadata.fundingType': { $ne: 'monnify_credit' },
+            },
+            { type: 'withdrawal', status: { $in: COMMITTED_STATUSES } },
+            { type: { $in: PURCHASE_TYPES }, status: { $in: COMMITTED_STATUSES } },
+            {
+              type: 'wallet_transfer',
+              status: { $in: COMMITTED_STATUSES },
+              'metadata.transferType': 'wallet_to_wallet',
+              'metadata.sender': { $exists: false },
+            },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$type', 'fund_wallet'] }, then: 'funding' },
+                { case: { $eq: ['$type', 'withdrawal'] }, then: 'withdrawal' },
+              ],
+              default: 'transaction',
+            },
+          },
+          monthly: { $sum: '$amount' },
+          daily: {
+            $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$amount', 0] },
+          },
+        },
+      },
+    ]);
+
+    const usage = {
+      funding: { daily: 0, monthly: 0 },
+      withdrawal: { daily: 0, monthly: 0 },
+      transaction: { daily: 0, monthly: 0 },
+    };
+
+    rows.forEach((row) => {
+      usage[row._id] = {
+        daily: round2(row.daily),
+        monthly: round2(row.monthly),
+      };
+    });
+
+    return usage;
+  }
+
+  static async evaluate(userId, category, amount) {
+    if (!LIMIT_KEYS[category]) {
+      throw new Error(`Unknown KYC limit category: ${category}`);
+    }
+
+    const requested = Number(amount || 0);
+    const tier = await this.getUserTier(userId);
+    const [limits, usage] = await Promise.all([
+      this.getLimitsForTier(tier),
+      this.getUsage(userId),
+    ]);
+
+    for (const period of ['daily', 'monthly']) {
+      const limit = limits[LIMIT_KEYS[category][period]];
+      if (limit === null) continue;
+
+      const used = usage[category][period];
+      const remaining = Math.max(0, round2(limit - used));
+      const exceeded = requested > 0 ? used + requested > limit : used >= limit;
+
+      if (exceeded) {
+        return {
+          allowed: false,
+          code: `KYC_${period.toUpperCase()}_${category.toUpperCase()}_LIMIT_EXCEEDED`,
+          message: requested > 0
+            ? `This ${category} of ₦${requested} exceeds your ${period} ${category} limit. You have ₦${remaining} of ₦${limit} remaining on your ${tier} KYC tier.`
+            : `You have reached your ${period} ${category} limit of ₦${limit} on your ${tier} KYC tier.`,
+          details: {
+            tier,
+            category,
+            period,
+            limit,
+            used,
+            remaining,
+            requested,
+          },
+        };
+      }
+    }
+
+    return { allowed: true, tier };
+  }
+
+  static async assertWithinLimit(userId, category, amount) {
+    const result = await this.evaluate(userId, category, amount);
+
+    if (!result.allowed) {
+      throw new LimitExceededError(result.message, result.code, result.details);
+    }
+
+    return result;
+  }
+
+  // Money already received at the bank cannot be turned away, so inbound
+  // credits are accepted and the breach is returned for the caller to record.
+  static async reviewInboundFunding(userId, amount, reference) {
+    try {
+      const result = await this.evaluate(userId, 'funding', amount);
+      if (result.allowed) return null;
+
+      logger.warn(`KYC funding limit exceeded by inbound credit ${reference}: ${result.code}`, result.details);
+      return {
+        code: result.code,
+        ...result.details,
+        flaggedAt: new Date(),
+      };
+    } catch (error) {
+      logger.error(`KYC funding limit review failed for ${reference}:`, error);
+      return null;
+    }
+  }
+
+  static async getRemainingLimits(userId) {
+    const tier = await this.getUserTier(userId);
+    const [limits, usage] = await Promise.all([
+      this.getLimitsForTier(tier),
+      this.getUsage(userId),
+    ]);
+
+    const summary = Object.entries(LIMIT_KEYS).reduce((result, [category, keys]) => {
+      result[category] = ['daily', 'monthly'].reduce((periods, period) => {
+        const limit = limits[keys[period]];
+        const used = usage[category][period];
+        periods[period] = {
+          limit,
+          used,
+          remaining: limit === null ? null : Math.max(0, round2(limit - used)),
+        };
+        return periods;
+      }, {});
+      return result;
+    }, {});
+
+    return {
+      tier,
+      limits: summary,
+    };
+  }
+}
+
+module.exports = KycLimitService;
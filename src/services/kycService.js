@@ -0,0 +1,343 @@
+const KYC = require('../models/KYC');
+const User = require('../models/User');
+const FileStorageService = require('./fileStorageService');
+const NotificationService = require('./NotificationService');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const DOCUMENT_FIELDS = {
+  identificationFront: 'identificationVerified',
+  identificationBack: 'identificationVerified',
+  selfiePhoto: 'selfieVerified',
+  proofOfAddress: 'proofOfAddressVerified',
+};
+
+const IDENTIFICATION_TYPES = ['nin', 'drivers_license', 'voters_card', 'international_passport'];
+const LEVELS = ['basic', 'advanced', 'verified'];
+const TIER_RANK = { pending: 0, basic: 1, advanced: 2, verified: 3 };
+
+function isElevenDigits(value) {
+  return /^\d{11}$/.test(String(value || ''));
+}
+
+class KycService {
+  static DOCUMENT_FIELDS = Object.keys(DOCUMENT_FIELDS);
+
+  static determineLevel(kyc) {
+    if (!kyc.bvn && !kyc.nin) {
+      return null;
+    }
+
+    if (!kyc.identificationFront || !kyc.selfiePhoto) {
+      return 'basic';
+    }
+
+    return kyc.proofOfAddress ? 'verified' : 'advanced';
+  }
+
+  static toSummary(kyc, user) {
+    if (!kyc) {
+      return {
+        status: 'not_submitted',
+        kycStatus: user?.kycStatus || 'pending',
+      };
+    }
+
+    return {
+      id: kyc._id,
+      status: kyc.submittedAt ? kyc.status : 'not_submitted',
+      kycStatus: user?.kycStatus || 'pending',
+      level: kyc.level,
+      bvnProvided: Boolean(kyc.bvn),
+      ninProvided: Boolean(kyc.nin),
+      identificationType: kyc.identificationType,
+      documents: this.DOCUMENT_FIELDS.reduce((documents, field) => {
+        documents[field] = Boolean(kyc[field]);
+        return documents;
+      }, {}),
+      submittedAt: kyc.submittedAt,
+      reviewedAt: kyc.reviewedAt,
+      rejectionReason: kyc.status === 'rejected' ? kyc.rejectionReason : undefined,
+    };
+  }
+
+  static async getUserSubmission(userId) {
+    const [kyc, user] = await Promise.all([
+      KYC.findOne({ user: userId }).lean(),
+      User.findById(userId).select('kycStatus').lean(),
+    ]);
+
+    return this.toSummary(kyc, user);
+  }
+
+  static validateSubmission({ bvn, nin, identificationType, identificationNumber }) {
+    if (bvn && !isElevenDigits(bvn)) {
+      throw new AppError('BVN must be 11 digits', 400);
+    }
+
+    if (nin && !isElevenDigits(nin)) {
+      throw new AppError('NIN must be 11 digits', 400);
+    }
+
+    if (identificationType && !IDENTIFICATION_TYPES.includes(identificationType)) {
+      throw new AppError(`identificationType must be one of: ${IDENTIFICATION_TYPES.join(', ')}`, 400);
+    }
+
+    if (identificationType && !identificationNumber) {
+      throw new AppError('identificationNumber is required when identificationType is provided', 400);
+    }
+  }
+
+  static async submit(userId, body = {}, files = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const bvn = body.bvn ? String(body.bvn).trim() : undefined;
+    const nin = body.nin ? String(body.nin).trim() : undefined;
+    const identificationType = body.identificationType ? String(body.identificationType).trim() : undefined;
+    const identificationNumber = body.identificationNumber ? String(body.identificationNumber).trim() : undefined;
+
+    this.validateSubmission({ bvn, nin, identificationType, identificationNumber });
+
+    const kyc = await KYC.findOne({ user: userId }) || new KYC({ user: userId });
+
+    if (kyc.status === 'under_review') {
+      throw new AppError('Your KYC submission is already under review', 409);
+    }
+
+    const uploads = this.DOCUMENT_FIELDS.filter((field) => files[field]?.[0]);
+    if (!bvn && !nin && !identificationType && !uploads.length) {
+      throw new AppError('Provide a BVN, NIN or at least one document to submit', 400);
+    }
+
+    const previousTier = user.kycStatus || 'pending';
+    const replacedFiles = [];
+    const storedFiles = [];
+
+    try {
+      for (const field of uploads) {
+        const file = files[field][0];
+        const reference = await FileStorageService.save({
+          folder: `kyc/${userId}`,
+          name: field,
+          buffer: file.buffer,
+          originalName: file.originalname,
+          contentType: file.mimetype,
+        });
+
+        storedFiles.push(reference);
+        if (kyc[field]) replacedFiles.push(kyc[field]);
+        kyc[field] = reference;
+        kyc[DOCUMENT_FIELDS[field]] = false;
+      }
+
+      if (bvn) kyc.bvn = bvn;
+      if (nin) kyc.nin = nin;
+      if (identificationType) {
+        kyc.identificationType = identificationType;
+        kyc.identificationNumber = identificationNumber;
+        kyc.identificationVerified = false;
+      }
+
+      const level = this.determineLevel(kyc);
+      if (!level) {
+        throw new AppError('A BVN or NIN is required for KYC verification', 400);
+      }
+
+      if (kyc.status === 'approved' && TIER_RANK[level] <= TIER_RANK[previousTier]) {
+        throw new AppError(`Your account is already at the ${previousTier} KYC level. Add the remaining documents to upgrade.`, 400);
+      }
+
+      kyc.level = level;
+      kyc.status = 'under_review';
+      kyc.submittedAt = new Date();
+      kyc.reviewedBy = undefined;
+      kyc.reviewedAt = undefined;
+      kyc.reviewNotes = undefined;
+      kyc.rejectionReason = undefined;
+
+      await kyc.save();
+    } catch (error) {
+      await Promise.all(storedFiles.map((reference) => FileStorageService.remove(reference)));
+
+      if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern || {})[0] || 'identity number';
+        throw new AppError(`This ${field.toUpperCase()} is already linked to another account`, 409);
+      }
+      throw error;
+    }
+
+    await Promise.all(replacedFiles.map((reference) => FileStorageService.remove(reference)));
+
+    user.kycSubmittedAt = kyc.submittedAt;
+    if (bvn) user.bvn = bvn;
+    if (nin) user.nin = nin;
+    await user.save({ validateBeforeSave: false });
+
+    await NotificationService.create({
+      user: userId,
+      title: 'KYC Submitted',
+      message: `Your ${kyc.level} KYC documents have been received and are under review.`,
+      type: 'kyc',
+    });
+
+    logger.info(`KYC submitted for user ${userId} at ${kyc.level} level`);
+
+    return this.toSummary(kyc, user);
+  }
+
+  static async listSubmissions({ status = 'under_review', level, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (level) query.level = level;
+
+    // Records created only to hold bank accounts have never been submitted.
+    query.submittedAt = { $exists: true };
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const [submissions, total] = await Promise.all([
+      KYC.find(query)
+        .select('-bankAccounts')
+        .populate('user', 'firstName lastName email phoneNumber kycStatus')
+        .sort({ submittedAt: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      KYC.countDocuments(query),
+    ]);
+
+    return {
+      submissions,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize,
+      },
+    };
+  }
+
+  static async getSubmission(kycId) {
+    const kyc = await KYC.findById(kycId)
+      .populate('user', 'firstName lastName email phoneNumber kycStatus kycSubmittedAt kycVerifiedAt')
+      .lean();
+
+    if (!kyc) {
+      throw new AppError('KYC submission not found', 404);
+    }
+
+    return kyc;
+  }
+
+  static async getDocument(kycId, field) {
+    if (!this.DOCUMENT_FIELDS.includes(field)) {
+      throw new AppError(`Document must be one of: ${this.DOCUMENT_FIELDS.join(', ')}`, 400);
+    }
+
+    const kyc = await KYC.findById(kycId).select(field).lean();
+    if (!kyc) {
+      throw new AppError('KYC submission not found', 404);
+    }
+
+    if (!kyc[field]) {
+      throw new AppError('Document not uploaded', 404);
+    }
+
+    return {
+      buffer: await FileStorageService.read(kyc[field]),
+      contentType: FileStorageService.getContentType(kyc[field]),
+    };
+  }
+
+  static async approve(kycId, reviewer, { level, notes } = {}) {
+    const current = await KYC.findById(kycId);
+    if (!current) {
+      throw new AppError('KYC submission not found', 404);
+    }
+
+    const approvedLevel = level || current.level;
+    if (!LEVELS.includes(approvedLevel)) {
+      throw new AppError(`level must be one of: ${LEVELS.join(', ')}`, 400);
+    }
+
+    const now = new Date();
+    const kyc = await KYC.findOneAndUpdate(
+      { _id: kycId, status: 'under_review' },
+      {
+        $set: {
+          status: 'approved',
+          level: approvedLevel,
+          reviewedBy: reviewer._id,
+          reviewedAt: now,
+          reviewNotes: notes,
+          identificationVerified: Boolean(current.identificationFront),
+          selfieVerified: Boolean(current.selfiePhoto),
+          proofOfAddressVerified: Boolean(current.proofOfAddress),
+        },
+        $unset: { rejectionReason: 1 },
+      },
+      { new: true }
+    );
+
+    if (!kyc) {
+      throw new AppError(`KYC submission is ${current.status}, not under review`, 409);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      kyc.user,
+      { kycStatus: approvedLevel, kycVerifiedAt: now },
+      { new: true }
+    ).select('email kycStatus');
+
+    await NotificationService.create({
+      user: kyc.user,
+      title: 'KYC Approved',
+      message: `Your KYC has been approved. Your account is now on the ${approvedLevel} tier with higher transaction limits.`,
+      type: 'kyc',
+    });
+
+    return { kyc, user };
+  }
+
+  static async reject(kycId, reviewer, { reason, notes } = {}) {
+    if (!reason || !String(reason).trim()) {
+      throw new AppError('A rejection reason is required', 400);
+    }
+
+    const kyc = await KYC.findOneAndUpdate(
+      { _id: kycId, status: 'under_review' },
+      {
+        status: 'rejected',
+        rejectionReason: String(reason).trim(),
+        reviewedBy: reviewer._id,
+        reviewedAt: new Date(),
+        reviewNotes: notes,
+      },
+      { new: true }
+    );
+
+    if (!kyc) {
+      const existing = await KYC.findById(kycId).select('status').lean();
+      if (!existing) {
+        throw new AppError('KYC submission not found', 404);
+      }
+      throw new AppError(`KYC submission is ${existing.status}, not under review`, 409);
+    }
+
+    const user = await User.findById(kyc.user).select('email kycStatus');
+
+    await NotificationService.create({
+      user: kyc.user,
+      title: 'KYC Rejected',
+      message: `Your KYC submission was not approved: ${kyc.rejectionReason}. Please update your details and resubmit.`,
+      type: 'kyc',
+    });
+
+    return { kyc, user };
+  }
+}
+
+module.exports = KycService;
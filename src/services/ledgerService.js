@@ -0,0 +1,490 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerPostingFailure = require('../models/LedgerPostingFailure');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const ACCOUNTS = {
+  USER_WALLET: 'user_wallet',
+  FEE_INCOME: 'fee_income',
+  PROVIDER_FLOAT: 'provider_float',
+  SUSPENSE: 'suspense',
+};
+
+const OPPOSITE_DIRECTION = {
+  debit: 'credit',
+  credit: 'debit',
+};
+
+function toKobo(value) {
+  return Math.round((Number(value) || 0) * 100);
+}
+
+class LedgerService {
+  static ACCOUNTS = ACCOUNTS;
+
+  static generateJournalId() {
+    return `JRN${uuidv4().replace(/-/g, '').substring(0, 20).toUpperCase()}`;
+  }
+
+  static async postJournal({
+    entryType,
+    reference,
+    description,
+    legs = [],
+    metadata = {},
+    postedAt = null,
+    session = null,
+  }) {
+    try {
+      return await this.insertJournal({
+        entryType, reference, description, legs, metadata, postedAt, session,
+      });
+    } catch (error) {
+      // Kept on the error so safeRecord can store the journal for replay.
+      error.journal = {
+        entryType,
+        reference,
+        description,
+        legs,
+        metadata,
+        postedAt: postedAt || new Date(),
+      };
+      throw error;
+    }
+  }
+
+  static async insertJournal({
+    entryType,
+    reference,
+    description,
+    legs,
+    metadata,
+    postedAt,
+    session,
+  }) {
+    const postedLegs = legs.filter((leg) => toKobo(leg.amount) > 0);
+
+    if (!postedLegs.length) {
+      return [];
+    }
+
+    let debitTotal = 0;
+    let creditTotal = 0;
+
+    for (const leg of postedLegs) {
+      if (!LedgerEntry.ACCOUNTS.includes(leg.account)) {
+        throw new AppError(`Unknown ledger account: ${leg.account}`, 500);
+      }
+
+      if (leg.direction === 'debit') {
+        debitTotal += toKobo(leg.amount);
+      } else if (leg.direction === 'credit') {
+        creditTotal += toKobo(leg.amount);
+      } else {
+        throw new AppError(`Invalid ledger direction: ${leg.direction}`, 500);
+      }
+    }
+
+    if (debitTotal !== creditTotal) {
+      throw new AppError(
+        `Unbalanced ledger journal for ${reference || entryType}: debits ${debitTotal / 100}, credits ${creditTotal / 100}`,
+        500
+      );
+    }
+
+    const journalId = this.generateJournalId();
+    const entries = postedLegs.map((leg) => ({
+      journalId,
+      account: leg.account,
+      user: leg.user,
+      wallet: leg.wallet,
+      direction: leg.direction,
+      amount: toKobo(leg.amount) / 100,
+      balanceAfter: leg.balanceAfter,
+      entryType,
+      reference,
+      description: leg.description || description,
+      metadata,
+      ...(postedAt && { createdAt: postedAt }),
+    }));
+
+    return LedgerEntry.insertMany(entries, session ? { session } : {});
+  }
+
+  static async recordWalletMovement({
+    wallet,
+    direction,
+    amount,
+    fee = 0,
+    counterAccount,
+    entryType,
+    reference,
+    description,
+    metadata = {},
+    session = null,
+  }) {
+    const netAmount = Number(amount) || 0;
+    const feeAmount = Number(fee) || 0;
+    const grossAmount = netAmount + feeAmount;
+
+    const userLeg = {
+      account: ACCOUNTS.USER_WALLET,
+      user: wallet.user,
+      wallet: wallet._id,
+      direction,
+      amount: direction === 'debit' ? grossAmount : netAmount,
+      balanceAfter: wallet.balance,
+    };
+
+    const counterLeg = {
+      account: counterAccount || (direction === 'debit' ? ACCOUNTS.PROVIDER_FLOAT : ACCOUNTS.SUSPENSE),
+      direction: OPPOSITE_DIRECTION[direction],
+      amount: direction === 'debit' ? netAmount : grossAmount,
+    };
+
+    const feeLeg = {
+      account: ACCOUNTS.FEE_INCOME,
+      direction: 'credit',
+      amount: feeAmount,
+    };
+
+    return this.postJournal({
+      entryType,
+      reference,
+      description,
+      legs: [userLeg, counterLeg, feeLeg],
+      metadata,
+      session,
+    });
+  }
+
+  static async recordWalletDebit(wallet, amount, options = {}) {
+    return this.recordWalletMovement({
+      entryType: 'purchase',
+      ...options,
+      wallet,
+      direction: 'debit',
+      amount,
+    });
+  }
+
+  static async recordWalletCredit(wallet, amount, options = {}) {
+    return this.recordWalletMovement({
+      entryType: 'refund',
+      counterAccount: ACCOUNTS.PROVIDER_FLOAT,
+      ...options,
+      wallet,
+      direction: 'credit',
+      amount,
+    });
+  }
+
+  // Mirror of recordWalletDebit: returns amount + fee to the user and unwinds
+  // both the counter account and the fee income the original debit credited.
+  static async recordWalletReversal(wallet, amount, {
+    fee = 0,
+    counterAccount = ACCOUNTS.PROVIDER_FLOAT,
+    entryType = 'refund',
+    reference,
+    description,
+    metadata = {},
+    session = null,
+  } = {}) {
+    return this.postJournal({
+      entryType,
+      reference,
+      description,
+      metadata,
+      session,
+      legs: [
+        {
+          account: ACCOUNTS.USER_WALLET,
+          user: wallet.user,
+          wallet: wallet._id,
+          direction: 'credit',
+          amount: Number(amount) + Number(fee || 0),
+          balanceAfter: wallet.balance,
+        },
+        {
+          account: counterAccount,
+          direction: 'debit',
+          amount,
+        },
+        {
+          account: ACCOUNTS.FEE_INCOME,
+          direction: 'debit',
+          amount: fee,
+        },
+      ],
+    });
+  }
+
+  // Fee income the purchase journal for `reference` booked, so a refund can
+  // reverse exactly what the debit posted.
+  static async getPurchaseFee(reference, session = null) {
+    const legs = await LedgerEntry.find({
+      reference,
+      entryType: 'purchase',
+      account: ACCOUNTS.FEE_INCOME,
+    })
+      .select('direction amount')
+      .session(session)
+      .lean();
+
+    const fee = legs.reduce((total, leg) => total + (leg.direction === 'credit' ? toKobo(leg.amount) : -toKobo(leg.amount)), 0);
+    return Math.max(fee, 0) / 100;
+  }
+
+  static async recordTransfer({
+    senderWallet,
+    recipientWallet,
+    amount,
+    fee = 0,
+    reference,
+    description,
+    metadata = {},
+    session = null,
+  }) {
+    return this.postJournal({
+      entryType: 'transfer',
+      reference,
+      description,
+      metadata,
+      session,
+      legs: [
+        {
+          account: ACCOUNTS.USER_WALLET,
+          user: senderWallet.user,
+          wallet: senderWallet._id,
+          direction: 'debit',
+          amount: Number(amount) + Number(fee || 0),
+          balanceAfter: senderWallet.balance,
+        },
+        {
+          account: ACCOUNTS.USER_WALLET,
+          user: recipientWallet.user,
+          wallet: recipientWallet._id,
+          direction: 'credit',
+          amount,
+          balanceAfter: recipientWallet.balance,
+        },
+        {
+          account: ACCOUNTS.FEE_INCOME,
+          direction: 'credit',
+          amount: fee,
+        },
+      ],
+    });
+  }
+
+  // Wallet writes made outside a session cannot be rolled back, so a failed
+  // posting is stored as a LedgerPostingFailure for retryFailedPostings
+  // instead of failing the caller.
+  static async safeRecord(postingFn, context = {}) {
+    try {
+      return await postingFn();
+    } catch (error) {
+      logger.error('Ledger posting failed; wallet balance changed without journal:', {
+        error: error.message,
+        ...context,
+      });
+
+      if (error.journal) {
+        await LedgerPostingFailure.create({
+          reference: error.journal.reference,
+          journal: error.journal,
+          error: error.message,
+          context,
+        }).catch((storeError) => {
+          logger.error('Failed to store ledger posting for retry:', {
+            error: storeError.message,
+            ...context,
+          });
+        });
+      }
+      return [];
+    }
+  }
+
+  static async retryFailedPostings({ limit = 100 } = {}) {
+    const failures = await LedgerPostingFailure.find({ status: 'pending' })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+    const summary = { attempted: failures.length, posted: 0, failed: 0 };
+
+    for (const failure of failures) {
+      try {
+        await this.insertJournal({
+          ...failure.journal,
+          postedAt: failure.journal.postedAt || failure.createdAt,
+          session: null,
+        });
+        failure.status = 'posted';
+        failure.postedAt = new Date();
+        summary.posted += 1;
+      } catch (error) {
+        failure.error = error.message;
+        summary.failed += 1;
+      }
+      failure.attempts += 1;
+      await failure.save();
+    }
+
+    return summary;
+  }
+
+  // Wallets funded before the ledger existed carry balances no journal
+  // explains. This posts the difference once, against suspense, dated just
+  // before the wallet's first journal so statements open on the right figure.
+  // Wallets with postings still waiting for retry are left alone, or the
+  // retry would count the same movement twice.
+  static async postOpeningBalance(wallet) {
+    const reference = `OPENING-${wallet._id}`;
+    const [existing, pending] = await Promise.all([
+      LedgerEntry.exists({ reference }),
+      LedgerPostingFailure.exists({ status: 'pending', 'journal.legs.wallet': wallet._id }),
+    ]);
+    if (existing || pending) return null;
+
+    const ledger = await this.getWalletLedgerBalance(wallet.user);
+    const amount = toKobo(Number(wallet.balance || 0) - ledger.balance) / 100;
+    if (!amount) return null;
+
+    const firstEntry = await LedgerEntry.findOne({ account: ACCOUNTS.USER_WALLET, wallet: wallet._id })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+      .lean();
+    const postedAt = firstEntry ? new Date(firstEntry.createdAt.getTime() - 1000) : new Date();
+    const direction = amount > 0 ? 'credit' : 'debit';
+
+    return this.insertJournal({
+      entryType: 'adjustment',
+      reference,
+      description: 'Opening balance carried into the ledger',
+      metadata: { opening: true },
+      postedAt,
+      session: null,
+      legs: [
+        {
+          account: ACCOUNTS.USER_WALLET,
+          user: wallet.user,
+          wallet: wallet._id,
+          direction,
+          amount: Math.abs(amount),
+          balanceAfter: amount,
+        },
+        {
+          account: ACCOUNTS.SUSPENSE,
+          direction: OPPOSITE_DIRECTION[direction],
+          amount: Math.abs(amount),
+        },
+      ],
+    });
+  }
+
+  static async getWalletLedgerBalance(userId) {
+    const [result] = await LedgerEntry.aggregate([
+      {
+        $match: {
+          account: ACCOUNTS.USER_WALLET,
+          user: new mongoose.Types.ObjectId(String(userId)),
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          credits: {
+            $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] },
+          },
+          debits: {
+            $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] },
+          },
+          entries: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const credits = result?.credits || 0;
+    const debits = result?.debits || 0;
+
+    return {
+      credits,
+      debits,
+      entries: result?.entries || 0,
+      balance: toKobo(credits - debits) / 100,
+    };
+  }
+
+  static async verifyWalletBalance(userId) {
+    const Wallet = mongoose.model('Wallet');
+    const wallet = await Wallet.findOne({ user: userId }).lean();
+
+    if (!wallet) {
+      throw new AppError('Wallet not found', 404);
+    }
+
+    const [ledger, pendingPostings] = await Promise.all([
+      this.getWalletLedgerBalance(userId),
+      LedgerPostingFailure.countDocuments({
+        status: 'pending',
+        'journal.legs.user': new mongoose.Types.ObjectId(String(userId)),
+      }),
+    ]);
+    const difference = toKobo(Number(wallet.balance || 0) - ledger.balance) / 100;
+
+    return {
+      walletBalance: wallet.balance,
+      ledgerBalance: ledger.balance,
+      difference,
+      balanced: difference === 0,
+      credits: ledger.credits,
+      debits: ledger.debits,
+      entries: ledger.entries,
+      pendingPostings,
+    };
+  }
+
+  static async getWalletJournal(userId, { page = 1, limit = 50, startDate, endDate } = {}) {
+    const query = {
+      account: ACCOUNTS.USER_WALLET,
+      user: userId,
+    };
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [userEntries, total] = await Promise.all([
+      LedgerEntry.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      LedgerEntry.countDocuments(query),
+    ]);
+
+    const journalIds = userEntries.map((entry) => entry.journalId);
+    const legs = await LedgerEntry.find({ journalId: { $in: journalIds } }).lean();
+    const legsByJournal = legs.reduce((map, leg) => {
+      if (!map.has(leg.journalId)) map.set(leg.journalId, []);
+      map.get(leg.journalId).push(leg);
+      return map;
+    }, new Map());
+
+    return {
+      entries: userEntries.map((entry) => ({
+        ...entry,
+        legs: legsByJournal.get(entry.journalId) || [],
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = LedgerService;
@@ -0,0 +1,318 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const ProviderStatus = require('../models/ProviderStatus');
+const AdminLog = require('../models/AdminLog');
+const vtuConfig = require('../config/vtuProviders');
+const { clearCached } = require('../utils/cache');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_MESSAGE = 'This service is undergoing scheduled maintenance. Please try again later.';
+
+const SERVICE_TYPE_ALIASES = {
+  data: 'data_recharge',
+  airtime: 'airtime_recharge',
+  cable: 'cable_tv',
+  education: 'education_pin',
+};
+
+let activeCache = { windows: [], expiresAt: 0 };
+
+function sameValue(left, right) {
+  return String(left || '').toLowerCase() === String(right || '').toLowerCase();
+}
+
+/**
+ * Scheduled maintenance per provider, service type and network. A window
+ * naming a provider takes that provider out of routing so traffic moves to
+ * an alternate; a window without one takes the service itself offline.
+ */
+class MaintenanceService {
+  static DEFAULT_MESSAGE = DEFAULT_MESSAGE;
+
+  static getCacheTtlMs() {
+    return Number(process.env.MAINTENANCE_CACHE_TTL_MS || 15000);
+  }
+
+  static normalizeServiceType(serviceType) {
+    if (!serviceType) return null;
+    const value = String(serviceType).trim().toLowerCase();
+    return SERVICE_TYPE_ALIASES[value] || value;
+  }
+
+  static invalidate() {
+    activeCache = { windows: [], expiresAt: 0 };
+  }
+
+  static async getActiveWindows(now = new Date()) {
+    if (activeCache.expiresAt > Date.now()) {
+      return activeCache.windows.filter((window) => window.startsAt <= now && window.endsAt >= now);
+    }
+
+    // Windows starting before the cache expires are fetched too, so they apply on time.
+    const horizon = new Date(now.getTime() + this.getCacheTtlMs());
+    const windows = await MaintenanceWindow.find({
+      cancelledAt: null,
+      startsAt: { $lte: horizon },
+      endsAt: { $gte: now },
+    }).lean();
+
+    activeCache = { windows, expiresAt: Date.now() + this.getCacheTtlMs() };
+    return windows.filter((window) => window.startsAt <= now && window.endsAt >= now);
+  }
+
+  // Fields set on the window must all match; a field the caller does not
+  // know (e.g. no disco yet) never matches a window narrowed by it.
+  static matchesScope(window, { serviceType = null, network = null } = {}) {
+    if (window.serviceType && !sameValue(window.serviceType, this.normalizeServiceType(serviceType))) return false;
+    if (window.network && !sameValue(window.network, network)) return false;
+    return true;
+  }
+
+  static findServiceWindow(windows, scope = {}) {
+    return windows.find((window) => !window.provider && this.matchesScope(window, scope)) || null;
+  }
+
+  static findProviderWindow(windows, providerId, scope = {}) {
+    const resolvedProviderId = vtuConfig.normalizeProviderId(providerId);
+    return windows.find((window) => window.provider
+      && vtuConfig.normalizeProviderId(window.provider) === resolvedProviderId
+      && this.matchesScope(window, scope)) || null;
+  }
+
+  static async assertServiceAvailable(scope = {}) {
+    const window = this.findServiceWindow(await this.getActiveWindows(), scope);
+    if (window) {
+      throw new AppError(window.message || DEFAULT_MESSAGE, 503);
+    }
+  }
+
+  /**
+   * Returns providerId, or the first alternate (its fallbackTo list, then
+   * other providers of the service by priority) when it is in maintenance.
+   * `dispatchable` limits alternates to the providers the caller can
+   * actually place the order with.
+   */
+  static async resolveProvider(serviceType, providerId, { network = null, dispatchable = null } = {}) {
+    const canonicalType = this.normalizeServiceType(serviceType);
+    const scope = { serviceType: canonicalType, network };
+    const windows = await this.getActiveWindows();
+
+    const serviceWindow = this.findServiceWindow(windows, scope);
+    if (serviceWindow) {
+      throw new AppError(serviceWindow.message || DEFAULT_MESSAGE, 503);
+    }
+
+    const providerWindow = this.findProviderWindow(windows, providerId, scope);
+    if (!providerWindow) return providerId;
+
+    const resolvedProviderId = vtuConfig.normalizeProviderId(providerId);
+    const statuses = await ProviderStatus.find({});
+    const statusMap = new Map(statuses.map((status) => [status.providerName, status]));
+    const candidates = [
+      ...(statusMap.get(resolvedProviderId)?.fallbackTo || []).map((id) => vtuConfig.normalizeProviderId(id)),
+      ...Object.values(vtuConfig.providers)
+        .filter((provider) => provider.supportedServices?.includes(canonicalType))
+        .sort((a, b) => (a.priority ?? 99) - (b.priority ?? 99))
+        .map((provider) => provider.id),
+    ];
+
+    for (const candidateId of [...new Set(candidates)]) {
+      if (candidateId === resolvedProviderId || !vtuConfig.providers[candidateId]) continue;
+      if (!vtuConfig.providers[candidateId].supportedServices?.includes(canonicalType)) continue;
+      if (dispatchable && !dispatchable.includes(candidateId)) continue;
+
+      const status = statusMap.get(candidateId);
+      if (status && !status.isAvailable()) continue;
+      if (this.findProviderWindow(windows, candidateId, scope)) continue;
+
+      logger.info(`Routing ${canonicalType} from ${resolvedProviderId} to ${candidateId} during maintenance "${providerWindow.title}"`);
+      return candidateId;
+    }
+
+    throw new AppError(providerWindow.message || DEFAULT_MESSAGE, 503);
+  }
+
+  // Mirrors the current or next provider-wide window onto ProviderStatus,
+  // whose isAvailable() already honours maintenanceStart/maintenanceEnd.
+  static async syncProviderStatus(providerId) {
+    if (!providerId) return;
+
+    const next = await MaintenanceWindow.findOne({
+      provider: providerId,
+      serviceType: null,
+      network: null,
+      cancelledAt: null,
+      endsAt: { $gte: new Date() },
+    }).sort({ startsAt: 1 }).lean();
+
+    const update = next
+      ? { $set: { maintenanceStart: next.startsAt, maintenanceEnd: next.endsAt, maintenanceMessage: next.message || next.title } }
+      : { $unset: { maintenanceStart: 1, maintenanceEnd: 1, maintenanceMessage: 1 } };
+
+    await ProviderStatus.updateOne({ providerName: providerId }, update);
+  }
+
+  static normalizeInput(data = {}, existing = null) {
+    const input = {};
+    for (const field of ['title', 'message']) {
+      if (data[field] !== undefined) input[field] = data[field];
+    }
+    if (data.provider !== undefined) {
+      input.provider = data.provider ? vtuConfig.normalizeProviderId(data.provider) : null;
+    }
+    if (data.serviceType !== undefined) input.serviceType = this.normalizeServiceType(data.serviceType);
+    if (data.network !== undefined) input.network = data.network ? String(data.network).toLowerCase() : null;
+    if (data.startsAt !== undefined) input.startsAt = new Date(data.startsAt);
+    if (data.endsAt !== undefined) input.endsAt = new Date(data.endsAt);
+
+    const merged = { ...(existing || {}), ...input };
+    if (!merged.title) {
+      throw new AppError('title is required', 400);
+    }
+    if (!merged.provider && !merged.serviceType && !merged.network) {
+      throw new AppError('Specify at least one of provider, serviceType or network', 400);
+    }
+    if (merged.provider && !vtuConfig.providers[merged.provider]) {
+      throw new AppError(`Unknown provider ${merged.provider}`, 400);
+    }
+    if (Number.isNaN(new Date(merged.startsAt).getTime()) || Number.isNaN(new Date(merged.endsAt).getTime())) {
+      throw new AppError('startsAt and endsAt must be valid dates', 400);
+    }
+    if (new Date(merged.endsAt) <= new Date(merged.startsAt)) {
+      throw new AppError('endsAt must be after startsAt', 400);
+    }
+
+    return input;
+  }
+
+  static async audit(actor, action, window, description, changes = undefined) {
+    if (!actor?.admin) return;
+    await AdminLog.log({
+      admin: actor.admin._id,
+      adminEmail: actor.admin.email,
+      adminRole: actor.admin.role,
+      action,
+      entity: 'provider',
+      entityId: window._id,
+      changes,
+      description,
+      ipAddress: actor.ipAddress,
+      userAgent: actor.userAgent,
+      status: 'success',
+      metadata: {
+        provider: window.provider,
+        serviceType: window.serviceType,
+        network: window.network,
+      },
+    });
+  }
+
+  static async afterChange(...providerIds) {
+    this.invalidate();
+    await clearCached('service-status');
+    for (const providerId of new Set(providerIds.filter(Boolean))) {
+      try {
+        await this.syncProviderStatus(providerId);
+      } catch (error) {
+        logger.warn(`Failed to sync maintenance window onto ${providerId}: ${error.message}`);
+      }
+    }
+  }
+
+  static async create(data, actor = {}) {
+    const input = this.normalizeInput(data);
+    const window = await MaintenanceWindow.create({ ...input, createdBy: actor.admin?._id });
+
+    await this.afterChange(window.provider);
+    await this.audit(actor, 'create', window, `Maintenance "${window.title}" scheduled from ${window.startsAt.toISOString()} to ${window.endsAt.toISOString()}`);
+    return window;
+  }
+
+  static async update(windowId, data, actor = {}) {
+    const window = await MaintenanceWindow.findById(windowId);
+    if (!window) {
+      throw new AppError('Maintenance window not found', 404);
+    }
+    if (['cancelled', 'completed'].includes(window.getState())) {
+      throw new AppError(`Maintenance window is already ${window.getState()}`, 409);
+    }
+
+    const previous = window.toObject();
+    const input = this.normalizeInput(data, previous);
+    Object.assign(window, input, { updatedBy: actor.admin?._id });
+    await window.save();
+
+    await this.afterChange(previous.provider, window.provider);
+    await this.audit(actor, 'update', window, `Maintenance "${window.title}" updated`, {
+      old: Object.fromEntries(Object.keys(input).map((key) => [key, previous[key]])),
+      new: input,
+    });
+    return window;
+  }
+
+  static async cancel(windowId, actor = {}) {
+    const window = await MaintenanceWindow.findById(windowId);
+    if (!window) {
+      throw new AppError('Maintenance window not found', 404);
+    }
+    if (['cancelled', 'completed'].includes(window.getState())) {
+      throw new AppError(`Maintenance window is already ${window.getState()}`, 409);
+    }
+
+    window.cancelledAt = new Date();
+    window.cancelledBy = actor.admin?._id;
+    await window.save();
+
+    await this.afterChange(window.provider);
+    await this.audit(actor, 'delete', window, `Maintenance "${window.title}" cancelled`);
+    return window;
+  }
+
+  static async list(filters = {}, { page = 1, limit = 20 } = {}) {
+    const resolvedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const resolvedPage = Math.max(parseInt(page, 10) || 1, 1);
+    const now = new Date();
+    const query = {};
+
+    if (filters.provider) query.provider = vtuConfig.normalizeProviderId(filters.provider);
+    if (filters.serviceType) query.serviceType = this.normalizeServiceType(filters.serviceType);
+    if (filters.network) query.network = String(filters.network).toLowerCase();
+
+    switch (filters.state) {
+      case 'scheduled':
+        Object.assign(query, { cancelledAt: null, startsAt: { $gt: now } });
+        break;
+      case 'in_progress':
+        Object.assign(query, { cancelledAt: null, startsAt: { $lte: now }, endsAt: { $gte: now } });
+        break;
+      case 'completed':
+        Object.assign(query, { cancelledAt: null, endsAt: { $lt: now } });
+        break;
+      case 'cancelled':
+        query.cancelledAt = { $ne: null };
+        break;
+      default:
+        break;
+    }
+
+    const [windows, total] = await Promise.all([
+      MaintenanceWindow.find(query)
+        .sort({ startsAt: -1 })
+        .skip((resolvedPage - 1) * resolvedLimit)
+        .limit(resolvedLimit),
+      MaintenanceWindow.countDocuments(query),
+    ]);
+
+    return {
+      windows: windows.map((window) => ({ ...window.toObject(), state: window.getState(now) })),
+      pagination: {
+        page: resolvedPage,
+        limit: resolvedLimit,
+        total,
+        pages: Math.ceil(total / resolvedLimit),
+      },
+    };
+  }
+}
+
+module.exports = MaintenanceService;
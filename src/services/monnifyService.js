@@ -14,8 +14,20 @@ class MonnifyService {
         if (!config.MONNIFY_APIKEY || !config.MONNIFY_SECRET) {
           throw new AppError('Monnify API credentials not configured', 500);
         }
-    
-        return new MonnifyAPI(config);
+
+        const client = new MonnifyAPI(config);
+
+        // The SDK pins its host to the environment; MONNIFY_BASE_URL lets
+        // local runs point every sub-client at the mock provider server.
+        if (process.env.MONNIFY_BASE_URL) {
+          const baseUrl = process.env.MONNIFY_BASE_URL.replace(/\/+$/, '');
+          [client, client.disbursement, client.subAccount, client.verification, client.refund, client.reservedAccount, client.transaction]
+            .forEach((api) => {
+              api.baseUrl = baseUrl;
+            });
+        }
+
+        return client;
       }
     
       static async getAccessToken() {
@@ -201,7 +213,7 @@ class MonnifyService {
     }
   }
 
-  static async initiateTransfer(amount, destinationAccountNumber, destinationBankCode, narration) {
+  static async initiateTransfer(amount, destinationAccountNumber, destinationBankCode, narration, reference) {
     try {
       const authToken = await this.getAccessToken();
       if (!authToken) {
@@ -210,42 +222,78 @@ class MonnifyService {
 
       const monnify = this.getMonnifyClient();
       
-      const reference = `TRF-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+      const transferReference = reference || `TRF-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
       
       const payload = {
         amount,
-        reference,
+        reference: transferReference,
         narration: narration || 'Wallet withdrawal',
         destinationAccountNumber,
         destinationBankCode,
-        currency: process.env.MONNIFY_CURRENCY || 'NGN',
+        currencyCode: process.env.MONNIFY_CURRENCY || 'NGN',
         sourceAccountNumber: process.env.MONNIFY_WALLET_ACCOUNT_NUMBER,
       };
 
-      const [status, response] = await monnify.transfers.initiateTransfer(authToken, payload);
+      const [status, response] = await monnify.disbursement.initiateSingleTransfer(authToken, payload);
 
-      if (status === 200) {
-        logger.info(`Transfer initiated: ${reference}, Amount: ${amount}`);
+      if (status === 200 && response?.requestSuccessful) {
+        logger.info(`Transfer initiated: ${transferReference}, Amount: ${amount}`);
         return {
           success: true,
-          reference,
+          reference: transferReference,
+          status: response.responseBody?.status,
           data: response,
         };
       }
 
       return {
         success: false,
-        message: 'Transfer initiation failed',
+        definitive: status >= 400 && status < 500,
+        message: response?.responseMessage || 'Transfer initiation failed',
+        data: response,
       };
     } catch (error) {
       logger.error('Error initiating transfer:', error);
       return {
         success: false,
+        definitive: false,
         message: error.message || 'Transfer initiation failed',
       };
     }
   }
 
+  static async getTransferStatus(reference) {
+    try {
+      const authToken = await this.getAccessToken();
+      if (!authToken) {
+        throw new AppError('Failed to get Monnify access token', 500);
+      }
+
+      const monnify = this.getMonnifyClient();
+
+      const [status, response] = await monnify.disbursement.getSingleTransferStatus(authToken, { reference });
+
+      if (status === 200 && response?.requestSuccessful) {
+        return {
+          success: true,
+          status: response.responseBody?.status,
+          data: response.responseBody,
+        };
+      }
+
+      return {
+        success: false,
+        message: response?.responseMessage || 'Transfer status lookup failed',
+      };
+    } catch (error) {
+      logger.error('Error getting transfer status:', error);
+      return {
+        success: false,
+        message: error.message || 'Transfer status lookup failed',
+      };
+    }
+  }
+
   static async verifyBankAccount(accountNumber, bankCode) {
     try {
       const authToken = await this.getAccessToken();
@@ -255,24 +303,26 @@ class MonnifyService {
 
       const monnify = this.getMonnifyClient();
       
-      const [status, response] = await monnify.transfers.validateBankAccount(
-        authToken,
-        accountNumber,
-        bankCode
+      // The SDK's validateBankAccount validates against a schema it never imports,
+      // so the endpoint is called through the shared request helper instead.
+      const query = new URLSearchParams({ accountNumber, bankCode }).toString();
+      const [status, response] = await monnify.verification.get(
+        `/api/v1/disbursements/account/validate?${query}`,
+        authToken
       );
 
-      if (status === 200) {
+      if (status === 200 && response?.requestSuccessful) {
         return {
           success: true,
-          accountName: response.accountName,
-          accountNumber: response.accountNumber,
+          accountName: response.responseBody?.accountName,
+          accountNumber: response.responseBody?.accountNumber || accountNumber,
           bankCode,
         };
       }
 
       return {
         success: false,
-        message: 'Account verification failed',
+        message: response?.responseMessage || 'Account verification failed',
       };
     } catch (error) {
       logger.error('Error verifying bank account:', error);
@@ -1,22 +1,53 @@
-const axios = require('axios');
+const { createProviderClient } = require('./providerHttpClient');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const { AppError } = require('../middlewares/errorHandler');
+const CredentialVault = require('./credentialVault');
+
+const providerHttp = createProviderClient('clubkonnect');
+
+const EXPLICIT_FAILURE_STATUSES = new Set([
+  'INVALID_CREDENTIALS',
+  'MISSING_CREDENTIALS',
+  'MISSING_USERID',
+  'MISSING_APIKEY',
+  'MISSING_MOBILENETWORK',
+  'MISSING_AMOUNT',
+  'INVALID_AMOUNT',
+  'MINIMUM_50',
+  'MINIMUM_200000',
+  'INVALID_RECIPIENT',
+  'FAILED',
+  'FAIL',
+  'ERROR',
+  'REJECTED',
+  'CANCELLED',
+  'ORDER_CANCELLED',
+  'ORDER_FAILED',
+  'INVALID_MOBILE_NUMBER',
+  'INVALID_ACCOUNTNO',
+  'INVALID_METERNO',
+  'INSUFFICIENT_BALANCE',
+]);
 
 class NelloBytesService {
-  static config = {
-    baseUrl: 'https://www.nellobytesystems.com',
-    userId: process.env.NELLO_USER_ID || 'CK101269269',
-    apiKey: process.env.NELLO_API_KEY || '1N6P675ASG2341TWAMI0979GVVTMCCGI83AZ54I6H5JBN2WE1E467642F15HG661',
-    timeout: 45000,
-  };
+  static get config() {
+    return {
+      baseUrl: process.env.VTU_BASE_URL || 'https://www.nellobytesystems.com',
+      userId: CredentialVault.get('clubkonnect', 'userId') || process.env.NELLO_USER_ID || 'CK101269269',
+      apiKey: CredentialVault.get('clubkonnect', 'apiKey') || process.env.NELLO_API_KEY || '1N6P675ASG2341TWAMI0979GVVTMCCGI83AZ54I6H5JBN2WE1E467642F15HG661',
+      timeout: 45000,
+    };
+  }
 
-  static clubkonnectConfig = {
-    baseUrl: 'https://www.clubkonnect.com',
-    userId: process.env.CLUBKONNECT_USER_ID || process.env.NELLO_USER_ID || 'CK101269269',
-    apiKey: process.env.CLUBKONNECT_API_KEY || process.env.NELLO_API_KEY || '',
-    timeout: 45000,
-  };
+  static get clubkonnectConfig() {
+    return {
+      baseUrl: process.env.CLUBKONNECT_BASE_URL || 'https://www.clubkonnect.com',
+      userId: CredentialVault.get('clubkonnect', 'userId') || process.env.CLUBKONNECT_USER_ID || process.env.NELLO_USER_ID || 'CK101269269',
+      apiKey: CredentialVault.get('clubkonnect', 'apiKey') || process.env.CLUBKONNECT_API_KEY || process.env.NELLO_API_KEY || '',
+      timeout: 45000,
+    };
+  }
 
   static networkCodes = {
     mtn: '01',
@@ -260,7 +291,7 @@ class NelloBytesService {
       const url = `${this.config.baseUrl}${endpoint}`;
       logger.info(`NelloBytes API Request: ${endpoint}`, { params: defaultParams });
 
-      const response = await axios.get(url, {
+      const response = await providerHttp.get(url, {
         params: defaultParams,
         timeout: this.config.timeout,
       });
@@ -328,7 +359,7 @@ class NelloBytesService {
     try {
       const url = `${this.clubkonnectConfig.baseUrl}${endpoint}`;
       logger.info(`ClubKonnect API Request: ${endpoint}`, { params: fullParams });
-      const response = await axios.get(url, {
+      const response = await providerHttp.get(url, {
         params: fullParams,
         timeout: this.clubkonnectConfig.timeout,
       });
@@ -1053,7 +1084,7 @@ class NelloBytesService {
   static async requestUserOnly(endpoint, params = {}) {
     try {
       const url = `${this.config.baseUrl}${endpoint}`;
-      const response = await axios.get(url, {
+      const response = await providerHttp.get(url, {
         params: {
           UserID: this.config.userId,
           ...params,
@@ -1490,6 +1521,44 @@ class NelloBytesService {
   
 
 
+  static normalizeCallbackStatus(input = '') {
+    return String(input || '').trim().toUpperCase();
+  }
+
+  static extractCallbackFields(data = {}) {
+    return {
+      orderId: String(data.orderid || data.orderId || '').trim(),
+      requestId: String(data.requestid || data.requestId || '').trim(),
+      statusCode: String(data.statuscode || data.statusCode || '').trim(),
+      orderStatus: this.normalizeCallbackStatus(data.orderstatus || data.orderStatus),
+      rawStatus: this.normalizeCallbackStatus(data.status),
+      remark: data.orderremark || data.orderRemark || data.remark || data.message || '',
+    };
+  }
+
+  static classifyStatus({ statusCode = '', orderStatus = '', rawStatus = '' } = {}) {
+    const code = String(statusCode ?? '').trim();
+    const statusSignals = [this.normalizeCallbackStatus(orderStatus), this.normalizeCallbackStatus(rawStatus)].filter(Boolean);
+
+    if (code === '200' || statusSignals.includes('ORDER_COMPLETED')) {
+      return 'successful';
+    }
+
+    if (code === '100' || statusSignals.includes('ORDER_RECEIVED') || statusSignals.includes('ORDER_ONHOLD')) {
+      return 'pending';
+    }
+
+    if (code && !['100', '200'].includes(code)) {
+      return 'failed';
+    }
+
+    if (statusSignals.some((signal) => EXPLICIT_FAILURE_STATUSES.has(signal))) {
+      return 'failed';
+    }
+
+    return 'unknown';
+  }
+
   static isSuccess(statusCode) {
     return statusCode === '100' || statusCode === '200';
   }
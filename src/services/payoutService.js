@@ -0,0 +1,641 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const KYC = require('../models/KYC');
+const MonnifyService = require('./monnifyService');
+const BudpayPayoutService = require('./budpayPayoutService');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./NotificationService');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const {
+  enqueuePayout,
+  enqueuePayoutStatusCheck,
+} = require('../queues/payoutQueue');
+
+const PAYOUT_PROVIDERS = ['monnify', 'budpay'];
+const SUCCESS_STATES = new Set(['success', 'successful', 'completed']);
+const FAILURE_STATES = new Set(['failed', 'failure', 'reversed', 'expired', 'cancelled', 'declined', 'rejected']);
+const OPEN_STATUSES = ['pending', 'processing'];
+
+function normalizeAccountNumber(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+class PayoutService {
+  static getProvider() {
+    const provider = String(process.env.PAYOUT_PROVIDER || 'monnify').toLowerCase();
+    return PAYOUT_PROVIDERS.includes(provider) ? provider : 'monnify';
+  }
+
+  static getMaxStatusChecks() {
+    return Number(process.env.PAYOUT_STATUS_MAX_ATTEMPTS || 12);
+  }
+
+  static normalizeState(status) {
+    const value = String(status || '').toLowerCase();
+    if (SUCCESS_STATES.has(value)) return 'successful';
+    if (FAILURE_STATES.has(value)) return 'failed';
+    return 'pending';
+  }
+
+  static async getSavedBankAccounts(userId) {
+    const kyc = await KYC.findOne({ user: userId }).select('bankAccounts').lean();
+    return kyc?.bankAccounts || [];
+  }
+
+  static async resolveDestination(userId, { bankAccountId, bankCode, accountNumber, bankName } = {}) {
+    if (bankAccountId || (!bankCode && !accountNumber)) {
+      const accounts = await this.getSavedBankAccounts(userId);
+      const account = bankAccountId
+        ? accounts.find((item) => String(item._id) === String(bankAccountId))
+        : accounts.find((item) => item.isPrimary);
+
+      if (!account) {
+        throw bankAccountId
+          ? new AppError('Saved bank account not found', 404)
+          : new AppError('Bank details are required', 400);
+      }
+
+      if (!account.bankCode) {
+        throw new AppError('Saved bank account has no bank code. Please add it again.', 400);
+      }
+
+      return {
+        bankCode: account.bankCode,
+        bankName: account.bankName,
+        accountNumber: account.accountNumber,
+        savedBankAccountId: account._id,
+      };
+    }
+
+    if (!bankCode || !accountNumber) {
+      throw new AppError('Bank details are required', 400);
+    }
+
+    return {
+      bankCode: String(bankCode),
+      bankName,
+      accountNumber: normalizeAccountNumber(accountNumber),
+    };
+  }
+
+  static async verifyAccount(accountNumber, bankCode, provider = this.getProvider()) {
+    const normalized = normalizeAccountNumber(accountNumber);
+
+    if (!/^\d{10}$/.test(normalized)) {
+      throw new AppError('Account number must be a valid 10-digit number', 400);
+    }
+
+    const result = provider === 'budpay'
+      ? await BudpayPayoutService.verifyBankAccount(normalized, bankCode)
+      : await MonnifyService.verifyBankAccount(normalized, bankCode);
+
+    if (!result.success || !result.accountName) {
+      throw new AppError(result.message || 'Unable to verify bank account', 400);
+    }
+
+    return result;
+  }
+
+  static async saveBankAccount(userId, { bankCode, accountNumber, bankName, isPrimary = false }) {
+    if (!bankCode || !accountNumber) {
+      throw new AppError('Bank code and account number are required', 400);
+    }
+
+    const verification = await this.verifyAccount(accountNumber, bankCode);
+    const normalized = normalizeAccountNumber(accountNumber);
+
+    const kyc = await KYC.findOne({ user: userId }) || new KYC({ user: userId });
+    const makePrimary = Boolean(isPrimary) || !kyc.bankAccounts.length;
+
+    if (makePrimary) {
+      kyc.bankAccounts.forEach((account) => {
+        account.isPrimary = false;
+      });
+    }
+
+    let account = kyc.bankAccounts.find(
+      (item) => item.accountNumber === normalized && item.bankCode === String(bankCode)
+    );
+
+    if (account) {
+      account.accountName = verification.accountName;
+      account.bankName = bankName || account.bankName;
+      account.isVerified = true;
+      account.isPrimary = makePrimary || account.isPrimary;
+    } else {
+      kyc.bankAccounts.push({
+        bankName,
+        bankCode: String(bankCode),
+        accountNumber: normalized,
+        accountName: verification.accountName,
+        isVerified: true,
+        isPrimary: makePrimary,
+      });
+      account = kyc.bankAccounts[kyc.bankAccounts.length - 1];
+    }
+
+    await kyc.save();
+    return account;
+  }
+
+  static async removeBankAccount(userId, bankAccountId) {
+    const kyc = await KYC.findOne({ user: userId });
+    const account = kyc?.bankAccounts.id(bankAccountId);
+
+    if (!account) {
+      throw new AppError('Saved bank account not found', 404);
+    }
+
+    const wasPrimary = account.isPrimary;
+    account.deleteOne();
+
+    if (wasPrimary && kyc.bankAccounts.length) {
+      kyc.bankAccounts[0].isPrimary = true;
+    }
+
+    await kyc.save();
+  }
+
+  static async createWithdrawal({ userId, amount, fee, feeBreakdown = {}, destination, accountName }) {
+    const totalAmount = amount + fee;
+    const provider = this.getProvider();
+    const reference = `WDL-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    const description = `Bank withdrawal to ${destination.accountNumber}`;
+    const session = await mongoose.startSession();
+
+    let transaction;
+
+    try {
+      session.startTransaction();
+
+      const wallet = await Wallet.findOneAndUpdate(
+        {
+          user: userId,
+          locked: false,
+          ...Wallet.availableBalanceFilter(totalAmount),
+        },
+        {
+          $inc: { balance: -totalAmount, totalWithdrawn: totalAmount },
+          $set: { lastTransaction: new Date() },
+        },
+        { new: true, session }
+      );
+
+      if (!wallet) {
+        throw new AppError('Insufficient balance to cover amount and fee', 400);
+      }
+
+      [transaction] = await Transaction.create([{
+        reference,
+        userReference: `USER${userId}`,
+        user: userId,
+        type: 'withdrawal',
+        category: 'transfer',
+        amount,
+        fee,
+        totalAmount,
+        previousBalance: wallet.balance + totalAmount,
+        newBalance: wallet.balance,
+        status: 'pending',
+        description,
+        recipient: {
+          name: accountName,
+        },
+        provider: {
+          name: provider,
+        },
+        metadata: {
+          bankCode: destination.bankCode,
+          bankName: destination.bankName,
+          accountNumber: destination.accountNumber,
+          accountName,
+          savedBankAccountId: destination.savedBankAccountId,
+          feeBreakdown: {
+            ...feeBreakdown,
+            withdrawalFee: fee,
+          },
+          payout: {
+            provider,
+            status: 'queued',
+            accountVerified: Boolean(accountName),
+            queuedAt: new Date(),
+          },
+        },
+      }], { session });
+
+      await LedgerService.recordWalletDebit(wallet, amount, {
+        entryType: 'withdrawal',
+        counterAccount: LedgerService.ACCOUNTS.SUSPENSE,
+        fee,
+        reference,
+        description,
+        session,
+      });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await this.dispatchPayout(transaction._id);
+    return transaction;
+  }
+
+  static async dispatchPayout(transactionId) {
+    try {
+      const job = await enqueuePayout(transactionId);
+      if (job) return job;
+    } catch (error) {
+      logger.error(`Failed to enqueue payout ${transactionId}:`, error);
+    }
+
+    // Without Redis the payout still has to leave; run it in-process and let
+    // webhooks or the next recovery pass confirm the outcome.
+    setImmediate(() => {
+      this.processPayout(transactionId).catch((error) => {
+        logger.error(`Inline payout processing failed for ${transactionId}:`, error);
+      });
+    });
+    return null;
+  }
+
+  static async scheduleStatusCheck(transactionId, attempt = 1) {
+    try {
+      return await enqueuePayoutStatusCheck(transactionId, { attempt });
+    } catch (error) {
+      logger.error(`Failed to schedule payout status check for ${transactionId}:`, error);
+      return null;
+    }
+  }
+
+  static async initiateProviderTransfer(transaction) {
+    const { bankCode, bankName, accountNumber } = transaction.metadata || {};
+    const narration = `Withdrawal ${transaction.reference}`;
+
+    if (transaction.metadata?.payout?.provider === 'budpay') {
+      return BudpayPayoutService.initiateTransfer({
+        amount: transaction.amount,
+        accountNumber,
+        bankCode,
+        bankName,
+        narration,
+        reference: transaction.reference,
+      });
+    }
+
+    return MonnifyService.initiateTransfer(
+      transaction.amount,
+      accountNumber,
+      bankCode,
+      narration,
+      transaction.reference
+    );
+  }
+
+  static async fetchProviderStatus(transaction) {
+    const result = transaction.metadata?.payout?.provider === 'budpay'
+      ? await BudpayPayoutService.getTransferStatus(transaction.reference)
+      : await MonnifyService.getTransferStatus(transaction.reference);
+
+    return {
+      state: result.success ? this.normalizeState(result.status) : 'pending',
+      status: result.status,
+      message: result.message,
+      raw: result.data,
+    };
+  }
+
+  static async processPayout(transactionId) {
+    const transaction = await Transaction.findOneAndUpdate(
+      {
+        _id: transactionId,
+        type: 'withdrawal',
+        status: 'pending',
+        'metadata.payout.status': 'queued',
+      },
+      {
+        $set: {
+          'metadata.payout.status': 'initiating',
+          'metadata.payout.initiatingAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!transaction) {
+      return { completed: true, reason: 'not_queued' };
+    }
+
+    const { accountNumber, bankCode } = transaction.metadata;
+
+    if (!transaction.metadata.payout.accountVerified) {
+      try {
+        const verification = await this.verifyAccount(accountNumber, bankCode, transaction.metadata.payout.provider);
+        await Transaction.updateOne(
+          { _id: transaction._id },
+          {
+            $set: {
+              'metadata.accountName': verification.accountName,
+              'metadata.payout.accountVerified': true,
+              'recipient.name': verification.accountName,
+            },
+          }
+        );
+      } catch (error) {
+        await this.reversePayout(transaction.reference, {
+          source: 'account-verification',
+          reason: error.message,
+        });
+        return { completed: true, reason: 'verification_failed' };
+      }
+    }
+
+    const result = await this.initiateProviderTransfer(transaction);
+
+    if (result.success) {
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        {
+          $set: {
+            status: 'processing',
+            'metadata.payout.status': 'initiated',
+            'metadata.payout.initiatedAt': new Date(),
+            'provider.providerReference': result.reference,
+            'provider.providerResponse': result.data,
+          },
+          $push: {
+            statusHistory: {
+              status: 'processing',
+              note: `Bank transfer initiated via ${transaction.metadata.payout.provider}`,
+              timestamp: new Date(),
+            },
+          },
+        }
+      );
+
+      const state = this.normalizeState(result.status);
+
+      if (state === 'successful') {
+        await this.markPayoutSuccessful(transaction.reference, {
+          source: 'initiation',
+          providerResponse: result.data,
+        });
+        return { completed: true, reason: 'successful' };
+      }
+
+      if (state === 'failed') {
+        await this.reversePayout(transaction.reference, {
+          source: 'initiation',
+          reason: result.status,
+          providerResponse: result.data,
+        });
+        return { completed: true, reason: 'failed' };
+      }
+
+      await this.scheduleStatusCheck(transaction._id, 1);
+      return { completed: false, reason: 'initiated' };
+    }
+
+    if (result.definitive) {
+      await this.reversePayout(transaction.reference, {
+        source: 'initiation',
+        reason: result.message,
+        providerResponse: result.data,
+      });
+      return { completed: true, reason: 'rejected' };
+    }
+
+    // A timeout or 5xx may still have created the transfer, so the outcome is
+    // confirmed by status query rather than reversing straight away.
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      {
+        $set: {
+          'metadata.payout.status': 'initiated',
+          'metadata.payout.initiationError': result.message,
+        },
+      }
+    );
+
+    await this.scheduleStatusCheck(transaction._id, 1);
+    return { completed: false, reason: 'unconfirmed' };
+  }
+
+  static async checkPayoutStatus(transactionId, attempt = 1) {
+    const transaction = await Transaction.findById(transactionId);
+
+    if (!transaction || transaction.type !== 'withdrawal') {
+      return { completed: true, reason: 'missing_transaction' };
+    }
+
+    if (!OPEN_STATUSES.includes(transaction.status)) {
+      return { completed: true, reason: 'already_terminal' };
+    }
+
+    const providerStatus = await this.fetchProviderStatus(transaction);
+
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      {
+        $set: {
+          'metadata.payout.lastCheckedAt': new Date(),
+          'metadata.payout.statusChecks': attempt,
+          'metadata.payout.lastProviderStatus': providerStatus.status || providerStatus.message || null,
+        },
+      }
+    );
+
+    if (providerStatus.state === 'successful') {
+      await this.markPayoutSuccessful(transaction.reference, {
+        source: 'polling',
+        providerResponse: providerStatus.raw,
+      });
+      return { completed: true, reason: 'successful' };
+    }
+
+    if (providerStatus.state === 'failed') {
+      await this.reversePayout(transaction.reference, {
+        source: 'polling',
+        reason: providerStatus.status,
+        providerResponse: providerStatus.raw,
+      });
+      return { completed: true, reason: 'failed' };
+    }
+
+    if (attempt >= this.getMaxStatusChecks()) {
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { $set: { 'metadata.payout.status': 'needs_review' } }
+      );
+      logger.warn(`Payout ${transaction.reference} still unconfirmed after ${attempt} status checks; flagged for review`);
+      return { completed: true, reason: 'needs_review' };
+    }
+
+    await this.scheduleStatusCheck(transaction._id, attempt + 1);
+    return { completed: false, reason: 'rescheduled' };
+  }
+
+  static async recoverPendingPayouts() {
+    const staleBefore = new Date(Date.now() - Number(process.env.PAYOUT_RECOVERY_STALE_MS || 5 * 60 * 1000));
+    const payouts = await Transaction.find({
+      type: 'withdrawal',
+      status: { $in: OPEN_STATUSES },
+      'metadata.payout.status': { $in: ['queued', 'initiating', 'initiated'] },
+      updatedAt: { $lte: staleBefore },
+    })
+      .select('_id metadata.payout')
+      .sort({ createdAt: 1 })
+      .limit(Number(process.env.PAYOUT_RECOVERY_BATCH_SIZE || 50))
+      .lean();
+
+    let requeued = 0;
+    let rechecked = 0;
+
+    for (const payout of payouts) {
+      if (payout.metadata.payout.status === 'queued') {
+        await this.dispatchPayout(payout._id);
+        requeued += 1;
+      } else {
+        await this.scheduleStatusCheck(payout._id, Number(payout.metadata.payout.statusChecks || 0) + 1);
+        rechecked += 1;
+      }
+    }
+
+    return {
+      scanned: payouts.length,
+      requeued,
+      rechecked,
+    };
+  }
+
+  static async markPayoutSuccessful(reference, details = {}) {
+    const now = new Date();
+    const transaction = await Transaction.findOneAndUpdate(
+      { reference, type: 'withdrawal', status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status: 'successful',
+          completedAt: now,
+          'metadata.payout.status': 'successful',
+          'metadata.payout.completedAt': now,
+          'metadata.payout.resolutionSource': details.source || 'system',
+          ...(details.providerResponse ? { 'provider.providerResponse': details.providerResponse } : {}),
+        },
+        $push: {
+          statusHistory: {
+            status: 'successful',
+            note: details.note || 'Bank transfer completed',
+            timestamp: now,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!transaction) {
+      return null;
+    }
+
+    await NotificationService.create({
+      user: transaction.user,
+      title: 'Withdrawal Successful',
+      message: `₦${transaction.amount} has been sent to ${transaction.metadata?.accountName || transaction.metadata?.accountNumber}`,
+      type: 'wallet_debit',
+      reference: transaction.reference,
+    });
+
+    logger.info(`Withdrawal successful: ${reference} (${details.source || 'system'})`);
+    return transaction;
+  }
+
+  static async reversePayout(reference, details = {}) {
+    const session = await mongoose.startSession();
+    const reason = details.reason || 'Bank transfer failed';
+    let transaction;
+
+    try {
+      session.startTransaction();
+
+      transaction = await Transaction.findOne({ reference, type: 'withdrawal' }).session(session);
+
+      if (!transaction || !OPEN_STATUSES.includes(transaction.status)) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      const wallet = await Wallet.findOneAndUpdate(
+        { user: transaction.user },
+        {
+          $inc: { balance: transaction.totalAmount, totalWithdrawn: -transaction.totalAmount },
+          $set: { lastTransaction: new Date() },
+        },
+        { new: true, session }
+      );
+
+      if (!wallet) {
+        throw new AppError('Wallet not found for withdrawal reversal', 404);
+      }
+
+      await LedgerService.recordWalletReversal(wallet, transaction.amount, {
+        fee: transaction.fee,
+        counterAccount: LedgerService.ACCOUNTS.SUSPENSE,
+        entryType: 'refund',
+        reference: `REFUND-${reference}`,
+        description: 'Refund for failed withdrawal',
+        session,
+      });
+
+      const now = new Date();
+      transaction.status = 'refunded';
+      transaction.completedAt = now;
+      transaction.newBalance = wallet.balance;
+      transaction.metadata = {
+        ...transaction.metadata,
+        payout: {
+          ...(transaction.metadata?.payout || {}),
+          status: 'reversed',
+          failureReason: reason,
+          reversedAt: now,
+          resolutionSource: details.source || 'system',
+        },
+      };
+      if (details.providerResponse) {
+        transaction.provider = {
+          ...(transaction.provider || {}),
+          providerResponse: details.providerResponse,
+        };
+      }
+      transaction.statusHistory.push({
+        status: 'refunded',
+        note: `Bank transfer failed (${reason}); ₦${transaction.totalAmount} returned to wallet`,
+        timestamp: now,
+      });
+
+      await transaction.save({ session });
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await NotificationService.create({
+      user: transaction.user,
+      title: 'Withdrawal Failed',
+      message: `Your withdrawal of ₦${transaction.amount} could not be completed. ₦${transaction.totalAmount} has been returned to your wallet.`,
+      type: 'wallet_credit',
+      reference: transaction.reference,
+    });
+
+    logger.info(`Withdrawal reversed: ${reference} (${details.source || 'system'}): ${reason}`);
+    return transaction;
+  }
+}
+
+module.exports = PayoutService;
@@ -0,0 +1,520 @@
+const ServicePricing = require('../models/ServicePricing');
+const PlanSyncChange = require('../models/PlanSyncChange');
+const Settings = require('../models/Settings');
+const ProviderRegistry = require('./providerRegistry');
+const ApiBalanceAlertService = require('./apiBalanceAlertService');
+const vtuConfig = require('../config/vtuProviders');
+const cache = require('../utils/cache');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { sendPlanMarginAlertEmail, sendWhatsAppAlert } = require('../utils/emailService');
+
+// ServicePricing.network only accepts these; other catalogs (e.g. Smile) are not synced.
+const SYNCED_NETWORKS = ['mtn', 'airtel', 'glo', '9mobile'];
+const SYNCED_SERVICES = ['data_recharge', 'sme_data'];
+const LAST_RUN_KEY = 'pricing.planSync.lastRun';
+const REMOVED_MESSAGE = 'Plan no longer offered by provider';
+const PRICE_EPSILON = 0.01;
+
+let running = false;
+
+function round2(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function planKey(network, providerPlanId) {
+  return `${network}:${providerPlanId}`;
+}
+
+/**
+ * Keeps ServicePricing in step with each provider's data plan catalog.
+ *
+ * A run pulls listPlans() from every data provider adapter and diffs it
+ * against ServicePricing by providerPlanId. New, removed and price-changed
+ * plans become PlanSyncChange records which are either applied straight
+ * away (PLAN_SYNC_MODE=auto) or left pending for an admin. A cost increase
+ * that pushes a plan's margin below PLAN_SYNC_MIN_MARGIN is never applied
+ * automatically and raises an alert to the API balance alert recipients.
+ */
+class PlanCatalogSyncService {
+  static isEnabled() {
+    return process.env.PLAN_SYNC_ENABLED !== 'false';
+  }
+
+  static getMode() {
+    return process.env.PLAN_SYNC_MODE === 'auto' ? 'auto' : 'stage';
+  }
+
+  static getIntervalMs() {
+    return Number(process.env.PLAN_SYNC_INTERVAL_MS || 6 * 60 * 60 * 1000);
+  }
+
+  static getDefaultMarkupPercent() {
+    return Number(process.env.PLAN_SYNC_DEFAULT_MARKUP_PERCENT || 5);
+  }
+
+  static getMinMargin() {
+    return Number(process.env.PLAN_SYNC_MIN_MARGIN || 0);
+  }
+
+  static getSyncProviders() {
+    return Object.values(vtuConfig.providers)
+      .filter((provider) => (provider.supportedServices || []).some((service) => SYNCED_SERVICES.includes(service)))
+      .filter((provider) => ProviderRegistry.getAdapter(provider.id)?.supports('listPlans'))
+      .map((provider) => provider.id);
+  }
+
+  static computeSellingPrice(costPrice) {
+    return Math.ceil(costPrice * (1 + this.getDefaultMarkupPercent() / 100));
+  }
+
+  static async fetchCatalog(providerId) {
+    const adapter = ProviderRegistry.requireAdapter(providerId, 'listPlans');
+    const grouped = await adapter.listPlans();
+    const catalog = new Map();
+
+    for (const [networkKey, plans] of Object.entries(grouped || {})) {
+      for (const plan of plans || []) {
+        const network = String(plan.network || networkKey || '').trim().toLowerCase();
+        const providerPlanId = String(plan.providerPlanId || plan.planCode || plan.id || '').trim();
+        const costPrice = round2(plan.price ?? plan.costPrice);
+        if (!SYNCED_NETWORKS.includes(network) || !providerPlanId || costPrice <= 0) continue;
+
+        catalog.set(planKey(network, providerPlanId), {
+          network,
+          providerPlanId,
+          costPrice,
+          plan: {
+            planName: plan.planName || plan.size || providerPlanId,
+            planCode: plan.planCode || providerPlanId,
+            size: plan.size || null,
+            validity: plan.validity || plan.month_validate || null,
+            providerPlanType: plan.providerPlanType || null,
+            providerMeta: plan.providerMeta || null,
+          },
+        });
+      }
+    }
+
+    return catalog;
+  }
+
+  static async loadPricing(providerId) {
+    const records = await ServicePricing.find({
+      serviceType: 'data_recharge',
+      provider: { $in: [...new Set([providerId, ProviderRegistry.getSource(providerId)])] },
+      providerPlanId: { $nin: [null, ''] },
+    }).lean();
+
+    const pricing = new Map();
+    for (const record of records) {
+      const key = planKey(record.network, record.providerPlanId);
+      // Prefer the live record when a plan has been duplicated by hand.
+      if (!pricing.has(key) || (record.isActive && !pricing.get(key).isActive)) {
+        pricing.set(key, record);
+      }
+    }
+    return pricing;
+  }
+
+  /**
+   * Compares a fetched catalog with ServicePricing. Records an admin has
+   * deactivated are left alone, only plans the sync itself marked removed
+   * are reinstated, and a network the provider returned no plans for is
+   * never treated as removed wholesale.
+   */
+  static diff(providerId, catalog, pricing) {
+    const minMargin = this.getMinMargin();
+    const changes = [];
+    const networksSeen = new Set([...catalog.values()].map((entry) => entry.network));
+
+    for (const [key, entry] of catalog.entries()) {
+      const record = pricing.get(key);
+      if (record && record.isActive === false) continue;
+
+      const reinstated = record?.isAvailable === false && record.availabilityMessage === REMOVED_MESSAGE;
+      if (!record || reinstated) {
+        const sellingPrice = record ? record.sellingPrice : this.computeSellingPrice(entry.costPrice);
+        const projectedMargin = round2(sellingPrice - entry.costPrice);
+        changes.push({
+          ...entry,
+          provider: providerId,
+          changeType: 'new',
+          pricing: record?._id || null,
+          previousCostPrice: record?.costPrice ?? null,
+          newCostPrice: entry.costPrice,
+          sellingPrice,
+          projectedMargin,
+          unprofitable: projectedMargin < minMargin,
+        });
+        continue;
+      }
+
+      if (Math.abs(entry.costPrice - Number(record.costPrice || 0)) >= PRICE_EPSILON) {
+        const projectedMargin = round2(record.sellingPrice - entry.costPrice);
+        changes.push({
+          ...entry,
+          provider: providerId,
+          changeType: 'price_changed',
+          pricing: record._id,
+          previousCostPrice: record.costPrice,
+          newCostPrice: entry.costPrice,
+          sellingPrice: record.sellingPrice,
+          projectedMargin,
+          unprofitable: entry.costPrice > record.costPrice && projectedMargin < minMargin,
+        });
+      }
+    }
+
+    for (const [key, record] of pricing.entries()) {
+      if (catalog.has(key) || !record.isActive || record.isAvailable === false) continue;
+      if (!networksSeen.has(record.network)) continue;
+
+      changes.push({
+        provider: providerId,
+        network: record.network,
+        providerPlanId: record.providerPlanId,
+        changeType: 'removed',
+        pricing: record._id,
+        previousCostPrice: record.costPrice,
+        newCostPrice: null,
+        sellingPrice: record.sellingPrice,
+        projectedMargin: null,
+        unprofitable: false,
+        plan: {
+          planName: record.planName,
+          planCode: record.planCode,
+          size: record.size || record.dataAmount || null,
+          validity: record.validity || null,
+          providerPlanType: record.providerPlanType || null,
+        },
+      });
+    }
+
+    return changes;
+  }
+
+  static async stageChanges(providerId, changes, runId) {
+    const pending = await PlanSyncChange.find({ provider: providerId, status: 'pending' }).lean();
+    const pendingByKey = new Map(pending.map((change) => [`${change.changeType}:${planKey(change.network, change.providerPlanId)}`, change]));
+    const staged = [];
+    const now = new Date();
+
+    for (const change of changes) {
+      const key = `${change.changeType}:${planKey(change.network, change.providerPlanId)}`;
+      const previous = pendingByKey.get(key);
+      pendingByKey.delete(key);
+
+      const update = {
+        pricing: change.pricing,
+        plan: change.plan,
+        previousCostPrice: change.previousCostPrice,
+        newCostPrice: change.newCostPrice,
+        sellingPrice: change.sellingPrice,
+        projectedMargin: change.projectedMargin,
+        unprofitable: change.unprofitable,
+        runId,
+      };
+      // A further price move on a pending change deserves a fresh alert.
+      if (previous && previous.newCostPrice !== change.newCostPrice) {
+        update.alertedAt = null;
+      }
+
+      try {
+        staged.push(await PlanSyncChange.findOneAndUpdate(
+          {
+            provider: providerId,
+            network: change.network,
+            providerPlanId: change.providerPlanId,
+            changeType: change.changeType,
+            status: 'pending',
+          },
+          {
+            $set: update,
+            $setOnInsert: { serviceType: 'data_recharge', detectedAt: now },
+          },
+          { new: true, upsert: true }
+        ));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        logger.warn(`Plan sync change for ${providerId} ${key} was staged concurrently`);
+      }
+    }
+
+    const superseded = [...pendingByKey.values()].map((change) => change._id);
+    if (superseded.length) {
+      await PlanSyncChange.updateMany(
+        { _id: { $in: superseded } },
+        { $set: { status: 'superseded', reviewNote: `No longer detected in ${runId}` } }
+      );
+    }
+
+    return { staged, superseded: superseded.length };
+  }
+
+  static async applyChange(change, { reviewer = null, sellingPrice = null, note = null } = {}) {
+    if (change.status !== 'pending') {
+      throw new AppError(`Change is already ${change.status}`, 409);
+    }
+
+    const overridePrice = sellingPrice !== null && sellingPrice !== undefined ? round2(sellingPrice) : null;
+    if (overridePrice !== null && (!Number.isFinite(overridePrice) || overridePrice <= 0)) {
+      throw new AppError('sellingPrice must be a positive number', 400);
+    }
+
+    let record = change.pricing ? await ServicePricing.findById(change.pricing) : null;
+    if (change.pricing && !record) {
+      throw new AppError('The pricing record for this change no longer exists', 409);
+    }
+
+    if (change.changeType === 'removed') {
+      record.isAvailable = false;
+      record.availabilityMessage = REMOVED_MESSAGE;
+    } else if (!record) {
+      const price = overridePrice ?? change.sellingPrice;
+      record = new ServicePricing({
+        serviceType: change.serviceType || 'data_recharge',
+        provider: change.provider,
+        network: change.network,
+        planName: change.plan?.planName || change.providerPlanId,
+        planCode: change.plan?.planCode || change.providerPlanId,
+        providerPlanId: change.providerPlanId,
+        providerPlanType: change.plan?.providerPlanType || undefined,
+        providerMeta: change.plan?.providerMeta || null,
+        validity: change.plan?.validity || undefined,
+        dataAmount: change.plan?.size || undefined,
+        size: change.plan?.size || undefined,
+        costPrice: change.newCostPrice,
+        sellingPrice: price,
+        profitMargin: round2(price - change.newCostPrice),
+        createdBy: reviewer || undefined,
+      });
+    } else {
+      record.costPrice = change.newCostPrice;
+      if (overridePrice !== null) record.sellingPrice = overridePrice;
+      record.profitMargin = round2(record.sellingPrice - record.costPrice);
+      if (change.changeType === 'new') {
+        record.isAvailable = true;
+        record.availabilityMessage = undefined;
+      }
+    }
+
+    if (reviewer) record.updatedBy = reviewer;
+    await record.save();
+
+    change.pricing = record._id;
+    change.status = 'applied';
+    change.appliedAt = new Date();
+    if (overridePrice !== null) change.sellingPrice = overridePrice;
+    if (reviewer) {
+      change.reviewedBy = reviewer;
+      change.reviewedAt = new Date();
+    }
+    if (note) change.reviewNote = note;
+    await change.save();
+
+    return change;
+  }
+
+  static async approve(changeId, { reviewer, sellingPrice = null, note = null } = {}) {
+    const change = await PlanSyncChange.findById(changeId);
+    if (!change) {
+      throw new AppError('Plan sync change not found', 404);
+    }
+
+    await this.applyChange(change, { reviewer, sellingPrice, note });
+    await cache.clearCached('dataplans');
+    return change;
+  }
+
+  static async reject(changeId, { reviewer, note = null } = {}) {
+    const change = await PlanSyncChange.findById(changeId);
+    if (!change) {
+      throw new AppError('Plan sync change not found', 404);
+    }
+    if (change.status !== 'pending') {
+      throw new AppError(`Change is already ${change.status}`, 409);
+    }
+
+    change.status = 'rejected';
+    change.reviewedBy = reviewer;
+    change.reviewedAt = new Date();
+    change.reviewNote = note || undefined;
+    await change.save();
+    return change;
+  }
+
+  static async syncProvider(providerId, { mode = this.getMode(), runId } = {}) {
+    const result = {
+      providerId,
+      fetched: 0,
+      detected: { new: 0, removed: 0, price_changed: 0 },
+      applied: 0,
+      pending: 0,
+      superseded: 0,
+      unprofitable: [],
+      error: null,
+    };
+
+    let catalog;
+    try {
+      catalog = await this.fetchCatalog(providerId);
+    } catch (error) {
+      logger.warn(`Plan sync skipped ${providerId}: ${error.message}`);
+      return { ...result, error: error.message };
+    }
+
+    result.fetched = catalog.size;
+    if (!catalog.size) {
+      return { ...result, error: 'Provider returned no plans' };
+    }
+
+    const changes = this.diff(providerId, catalog, await this.loadPricing(providerId));
+    const { staged, superseded } = await this.stageChanges(providerId, changes, runId);
+    result.superseded = superseded;
+
+    for (const change of staged) {
+      result.detected[change.changeType] += 1;
+
+      if (change.unprofitable) {
+        result.unprofitable.push(change);
+      } else if (mode === 'auto') {
+        try {
+          await this.applyChange(change, { note: `Applied automatically by ${runId}` });
+          result.applied += 1;
+          continue;
+        } catch (error) {
+          logger.error(`Plan sync failed to apply ${change.changeType} ${providerId}/${change.providerPlanId}: ${error.message}`);
+        }
+      }
+      result.pending += 1;
+    }
+
+    return result;
+  }
+
+  static async alertUnprofitable(changes) {
+    const fresh = changes.filter((change) => !change.alertedAt);
+    if (!fresh.length) return 0;
+
+    const settings = await ApiBalanceAlertService.getAlertSettings();
+    const lines = fresh.map((change) => (
+      `${change.provider} ${change.network.toUpperCase()} ${change.plan?.planName || change.providerPlanId}: `
+      + `cost ${change.previousCostPrice ?? '-'} -> ${change.newCostPrice}, selling ${change.sellingPrice}`
+    ));
+
+    await Promise.all([
+      ...settings.emails.map((email) => sendPlanMarginAlertEmail({ email, changes: fresh })),
+      ...settings.whatsapp.map((phone) => sendWhatsAppAlert({
+        phone,
+        message: `Provider cost increases need repricing:\n${lines.join('\n')}`,
+        metadata: { type: 'plan_sync_margin', count: fresh.length },
+      })),
+    ]);
+
+    await PlanSyncChange.updateMany(
+      { _id: { $in: fresh.map((change) => change._id) } },
+      { $set: { alertedAt: new Date() } }
+    );
+
+    logger.warn(`Plan sync: ${fresh.length} plan(s) would sell below margin`, { plans: lines });
+    return fresh.length;
+  }
+
+  static async run({ providerId = null, mode = this.getMode(), triggeredBy = 'system' } = {}) {
+    if (running) {
+      throw new AppError('A plan sync is already running', 409);
+    }
+
+    const providerIds = providerId ? [vtuConfig.normalizeProviderId(providerId)] : this.getSyncProviders();
+    if (providerId && !this.getSyncProviders().includes(providerIds[0])) {
+      throw new AppError(`Provider ${providerId} has no data plan catalog to sync`, 400);
+    }
+
+    running = true;
+    const runId = `PSYNC-${Date.now()}`;
+    const startedAt = new Date();
+
+    try {
+      const providers = [];
+      for (const id of providerIds) {
+        providers.push(await this.syncProvider(id, { mode, runId }));
+      }
+
+      const unprofitable = providers.flatMap((provider) => provider.unprofitable);
+      const alertsSent = await this.alertUnprofitable(unprofitable);
+
+      if (providers.some((provider) => provider.applied > 0)) {
+        await cache.clearCached('dataplans');
+      }
+
+      const summary = {
+        runId,
+        mode,
+        triggeredBy,
+        startedAt,
+        finishedAt: new Date(),
+        alertsSent,
+        providers: providers.map(({ unprofitable: flagged, ...provider }) => ({
+          ...provider,
+          unprofitable: flagged.length,
+        })),
+      };
+
+      await Settings.findOneAndUpdate(
+        { key: LAST_RUN_KEY },
+        {
+          key: LAST_RUN_KEY,
+          category: 'other',
+          value: summary,
+          description: 'Summary of the last provider plan catalog sync',
+        },
+        { upsert: true, new: true }
+      );
+
+      logger.info(`Plan sync ${runId} (${mode}) finished for ${providerIds.length} provider(s)`);
+      return summary;
+    } finally {
+      running = false;
+    }
+  }
+
+  static async getLastRun() {
+    const doc = await Settings.findOne({ key: LAST_RUN_KEY }).lean();
+    return doc?.value || null;
+  }
+
+  static async listChanges(filters = {}, { page = 1, limit = 50 } = {}) {
+    const resolvedLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const resolvedPage = Math.max(parseInt(page, 10) || 1, 1);
+    const query = {};
+
+    query.status = filters.status || 'pending';
+    if (filters.status === 'all') delete query.status;
+    if (filters.provider) query.provider = vtuConfig.normalizeProviderId(filters.provider);
+    if (filters.network) query.network = String(filters.network).toLowerCase();
+    if (filters.changeType) query.changeType = filters.changeType;
+    if (filters.unprofitable !== undefined) query.unprofitable = String(filters.unprofitable) === 'true';
+
+    const [changes, total] = await Promise.all([
+      PlanSyncChange.find(query)
+        .sort({ unprofitable: -1, createdAt: -1 })
+        .skip((resolvedPage - 1) * resolvedLimit)
+        .limit(resolvedLimit)
+        .lean(),
+      PlanSyncChange.countDocuments(query),
+    ]);
+
+    return {
+      changes,
+      pagination: {
+        page: resolvedPage,
+        limit: resolvedLimit,
+        total,
+        pages: Math.ceil(total / resolvedLimit),
+      },
+    };
+  }
+}
+
+module.exports = PlanCatalogSyncService;
@@ -1,5 +1,9 @@
-const axios = require('axios');
+const { createProviderClient } = require('./providerHttpClient');
 const logger = require('../utils/logger');
+const CredentialVault = require('./credentialVault');
+const { wrapProviderError } = require('../utils/providerErrors');
+
+const providerHttp = createProviderClient('pluginng');
 
 class PluginngService {
   static tokenCache = {
@@ -33,9 +37,9 @@ class PluginngService {
     return {
       baseUrl: process.env.PLUGINNG_BASE_URL || 'https://pluginng.com',
       timeout: Number(process.env.PLUGINNG_TIMEOUT_MS || 45000),
-      email: process.env.PLUGINNG_EMAIL || '',
-      password: process.env.PLUGINNG_PASSWORD || '',
-      token: process.env.PLUGINNG_TOKEN || '',
+      email: CredentialVault.get('pluginng', 'email') || process.env.PLUGINNG_EMAIL || '',
+      password: CredentialVault.get('pluginng', 'password') || process.env.PLUGINNG_PASSWORD || '',
+      token: CredentialVault.get('pluginng', 'token') || process.env.PLUGINNG_TOKEN || '',
     };
   }
 
@@ -154,7 +158,7 @@ class PluginngService {
     }
 
     const loginUrl = `${config.baseUrl}/api/login`;
-    const response = await axios.post(
+    const response = await providerHttp.post(
       loginUrl,
       {
         email: config.email,
@@ -215,7 +219,7 @@ class PluginngService {
       : data;
 
     try {
-      const response = await axios({
+      const response = await providerHttp({
         method,
         url: `${config.baseUrl}${path}`,
         params,
@@ -235,7 +239,7 @@ class PluginngService {
         message: error.message,
         response: error.response?.data,
       });
-      throw new Error(error.response?.data?.message || error.message || 'Pluginng API request failed');
+      throw wrapProviderError(error, 'Pluginng API request failed');
     }
   }
 
@@ -297,6 +301,42 @@ class PluginngService {
     return null;
   }
 
+  static async resolvePricingSubcategoryId(pricing = {}, network, planIdentifier) {
+    const fromPricing = (
+      pricing?.providerMeta?.subcategoryId ||
+      pricing?.variationCode ||
+      pricing?.providerMeta?.subcategory_id ||
+      null
+    );
+
+    if (fromPricing) {
+      return String(fromPricing);
+    }
+
+    return this.resolveDataSubcategoryId(network, pricing?.providerPlanId || pricing?.planCode || pricing?.planName || planIdentifier);
+  }
+
+  static normalizeTitle(value = '') {
+    return String(value || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '');
+  }
+
+  static matchProviderItem(items = [], needle = '') {
+    const normalizedNeedle = this.normalizeTitle(needle);
+    if (!normalizedNeedle) return null;
+
+    return items.find((item) => {
+      const title = this.normalizeTitle(item?.title);
+      const serviceId = this.normalizeTitle(item?.serviceID);
+      return title.includes(normalizedNeedle)
+        || serviceId.includes(normalizedNeedle)
+        || normalizedNeedle.includes(title)
+        || normalizedNeedle.includes(serviceId);
+    }) || null;
+  }
+
   static async getAirtimeSubcategoryId(network) {
     const normalizedNetwork = this.normalizeNetwork(network);
     const plans = await this.getPlans();
@@ -618,4 +658,12 @@ class PluginngService {
   }
 }
 
+// Tokens issued for the old credentials must not outlive a rotation.
+CredentialVault.onRotate('pluginng', () => {
+  PluginngService.tokenCache = {
+    value: null,
+    expiresAt: 0,
+  };
+});
+
 module.exports = PluginngService;
@@ -0,0 +1,267 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const ProviderApiLog = require('../models/ProviderApiLog');
+const logger = require('../utils/logger');
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY_FRAGMENTS = ['password', 'secret', 'token', 'apikey', 'authorization', 'signature'];
+const SENSITIVE_KEYS = ['pin', 'transactionpin', 'bvn', 'cvv', 'cardnumber', 'pan'];
+
+// Request fields in which providers echo our Transaction.reference.
+const REFERENCE_FIELDS = ['customer_reference', 'custom_reference', 'request_id', 'RequestID', 'customIdentifier', 'reference'];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const EXPORT_FIELDS = 'createdAt provider method host endpoint reference statusCode outcome latencyMs errorMessage';
+
+const context = new AsyncLocalStorage();
+
+function isSensitiveKey(key) {
+  const normalized = String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return SENSITIVE_KEYS.includes(normalized)
+    || SENSITIVE_KEY_FRAGMENTS.some((fragment) => normalized.includes(fragment));
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Persists every outbound provider call made through providerHttpClient as
+ * a ProviderApiLog document. Credentials are redacted before anything is
+ * stored, and records expire after PROVIDER_API_LOG_RETENTION_DAYS.
+ */
+class ProviderApiLogService {
+  static isEnabled() {
+    return process.env.PROVIDER_API_LOG_ENABLED !== 'false';
+  }
+
+  static getRetentionDays() {
+    return Number(process.env.PROVIDER_API_LOG_RETENTION_DAYS || 30);
+  }
+
+  static getMaxBodyChars() {
+    return Number(process.env.PROVIDER_API_LOG_MAX_BODY_CHARS || 10000);
+  }
+
+  static getExportLimit() {
+    return Number(process.env.PROVIDER_API_LOG_EXPORT_LIMIT || 5000);
+  }
+
+  /**
+   * Tags provider calls made inside `fn` with a Transaction.reference, for
+   * providers whose requests do not carry our reference themselves.
+   */
+  static withReference(reference, fn) {
+    return context.run({ reference: reference ? String(reference) : null }, fn);
+  }
+
+  static redact(value, depth = 0) {
+    if (value === null || value === undefined || depth > 8) return value;
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redact(item, depth + 1));
+    }
+    if (typeof value !== 'object') return value;
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const safeKey = key.replace(/^\$/, '_$').replace(/\./g, '_');
+      result[safeKey] = isSensitiveKey(key) ? REDACTED : this.redact(item, depth + 1);
+    }
+    return result;
+  }
+
+  static normalizeBody(data) {
+    if (data === null || data === undefined || data === '') return null;
+    if (data instanceof URLSearchParams) {
+      return Object.fromEntries(data.entries());
+    }
+    if (Buffer.isBuffer(data)) {
+      return `<${data.length} bytes>`;
+    }
+    if (typeof data === 'string') {
+      const trimmed = data.trim();
+      if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+          return JSON.parse(trimmed);
+        } catch (error) {
+          return data;
+        }
+      }
+      return data;
+    }
+    return data;
+  }
+
+  static prepareBody(data) {
+    const body = this.redact(this.normalizeBody(data));
+    if (body === null || body === undefined) return null;
+
+    const serialized = typeof body === 'string' ? body : JSON.stringify(body);
+    const maxChars = this.getMaxBodyChars();
+    if (serialized.length > maxChars) {
+      return { truncated: true, length: serialized.length, preview: serialized.slice(0, maxChars) };
+    }
+    return body;
+  }
+
+  static resolveReference(params, body) {
+    const stored = context.getStore();
+    if (stored?.reference) return stored.reference;
+
+    for (const source of [params, body]) {
+      if (!source || typeof source !== 'object') continue;
+      for (const field of REFERENCE_FIELDS) {
+        if (source[field]) return String(source[field]);
+      }
+    }
+    return null;
+  }
+
+  static resolveUrl(config = {}) {
+    try {
+      const url = new URL(config.url, config.baseURL || undefined);
+      return { host: url.host, endpoint: url.pathname };
+    } catch (error) {
+      return { host: null, endpoint: String(config.url || '').split('?')[0] || '/' };
+    }
+  }
+
+  static classify(error, response) {
+    if (response) {
+      return response.status >= 200 && response.status < 300 ? 'success' : 'http_error';
+    }
+    const code = error?.code || error?.cause?.code;
+    if (TIMEOUT_CODES.includes(code) || /timeout/i.test(String(error?.message || ''))) {
+      return 'timeout';
+    }
+    return 'network_error';
+  }
+
+  /**
+   * Adds the logging interceptors to a provider axios instance. Register it
+   * before the rate limiter so latency excludes time spent queueing.
+   */
+  static attach(client, providerId) {
+    client.interceptors.request.use((config) => {
+      const params = this.normalizeBody(config.params);
+      const body = this.normalizeBody(config.data);
+      config.apiLog = {
+        startedAt: Date.now(),
+        reference: this.resolveReference(params, body),
+        params: this.prepareBody(params),
+        body: this.prepareBody(body),
+      };
+      return config;
+    });
+
+    client.interceptors.response.use(
+      (response) => {
+        this.record(providerId, response.config, { response });
+        return response;
+      },
+      (error) => {
+        if (error?.config?.apiLog) {
+          this.record(providerId, error.config, { error, response: error.response });
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return client;
+  }
+
+  static record(providerId, config = {}, { response = null, error = null } = {}) {
+    if (!this.isEnabled() || !config.apiLog) return;
+
+    const { host, endpoint } = this.resolveUrl(config);
+    const doc = {
+      provider: providerId,
+      method: config.method || 'get',
+      host,
+      endpoint,
+      reference: config.apiLog.reference,
+      statusCode: response?.status || null,
+      outcome: this.classify(error, response),
+      latencyMs: Date.now() - config.apiLog.startedAt,
+      errorMessage: error ? String(error.message || error).slice(0, 500) : null,
+      request: {
+        params: config.apiLog.params,
+        body: config.apiLog.body,
+      },
+      response: {
+        body: response ? this.prepareBody(response.data) : null,
+      },
+      expiresAt: new Date(Date.now() + this.getRetentionDays() * 24 * 60 * 60 * 1000),
+    };
+
+    ProviderApiLog.create(doc).catch((saveError) => {
+      logger.warn(`Failed to store provider API log for ${providerId} ${endpoint}: ${saveError.message}`);
+    });
+  }
+
+  static buildQuery(filters = {}) {
+    const query = {};
+
+    if (filters.provider) query.provider = String(filters.provider).toLowerCase();
+    if (filters.reference) query.reference = String(filters.reference);
+    if (filters.outcome) query.outcome = filters.outcome;
+    if (filters.method) query.method = String(filters.method).toUpperCase();
+    if (filters.statusCode) query.statusCode = Number(filters.statusCode);
+    if (filters.endpoint) query.endpoint = { $regex: escapeRegex(filters.endpoint), $options: 'i' };
+    if (filters.minLatencyMs) query.latencyMs = { $gte: Number(filters.minLatencyMs) };
+
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+    }
+
+    if (filters.search) {
+      const pattern = { $regex: escapeRegex(filters.search), $options: 'i' };
+      query.$or = [{ reference: pattern }, { endpoint: pattern }, { errorMessage: pattern }];
+    }
+
+    return query;
+  }
+
+  static async search(filters = {}, { page = 1, limit = 20 } = {}) {
+    const resolvedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200);
+    const resolvedPage = Math.max(parseInt(page, 10) || 1, 1);
+    const query = this.buildQuery(filters);
+
+    const [logs, total] = await Promise.all([
+      ProviderApiLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((resolvedPage - 1) * resolvedLimit)
+        .limit(resolvedLimit)
+        .select('-request -response')
+        .lean(),
+      ProviderApiLog.countDocuments(query),
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page: resolvedPage,
+        limit: resolvedLimit,
+        total,
+        pages: Math.ceil(total / resolvedLimit),
+      },
+    };
+  }
+
+  static async getById(logId) {
+    return ProviderApiLog.findById(logId).lean();
+  }
+
+  // Export rows carry the call summary; bodies stay in the detail view.
+  static async exportLogs(filters = {}, { includeBodies = false } = {}) {
+    const select = includeBodies ? `${EXPORT_FIELDS} request response` : EXPORT_FIELDS;
+    return ProviderApiLog.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .limit(this.getExportLimit())
+      .select(`${select} -_id`)
+      .lean();
+  }
+}
+
+module.exports = ProviderApiLogService;
@@ -0,0 +1,316 @@
+const ProviderBalanceSnapshot = require('../models/ProviderBalanceSnapshot');
+const Transaction = require('../models/Transaction');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const VtuProviderService = require('./vtuProviderService');
+const ProviderPurchaseGuardService = require('./providerPurchaseGuardService');
+const ApiBalanceAlertService = require('./apiBalanceAlertService');
+const NotificationService = require('./NotificationService');
+const vtuConfig = require('../config/vtuProviders');
+const logger = require('../utils/logger');
+const { sendBalanceForecastAlertEmail } = require('../utils/emailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ADMIN_ROLES = ['superadmin', 'super_admin', 'admin'];
+
+const lastSnapshotAt = new Map();
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(Number(value || 0) * factor) / factor;
+}
+
+/**
+ * Forecasts when each provider wallet will run dry.
+ *
+ * Balances are snapshotted on every check. Spend velocity is the faster of
+ * two rates over the forecast window: the provider cost of successful
+ * transactions routed to the provider, and the drawdown observed between
+ * snapshots (which also catches spend made outside this platform). Admins
+ * are alerted by email and in-app notification once the projected time to
+ * empty falls within BALANCE_FORECAST_ALERT_HOURS.
+ */
+class ProviderBalanceForecastService {
+  static isEnabled() {
+    return process.env.BALANCE_FORECAST_ENABLED !== 'false';
+  }
+
+  static getIntervalMs() {
+    return Number(process.env.BALANCE_FORECAST_INTERVAL_MS || 15 * 60 * 1000);
+  }
+
+  static getWindowHours() {
+    return Number(process.env.BALANCE_FORECAST_WINDOW_HOURS || 24);
+  }
+
+  static getAlertHours() {
+    return Number(process.env.BALANCE_FORECAST_ALERT_HOURS || 6);
+  }
+
+  static getAlertCooldownMinutes() {
+    return Number(process.env.BALANCE_FORECAST_ALERT_COOLDOWN_MINUTES || 180);
+  }
+
+  static getSnapshotRetentionDays() {
+    return Number(process.env.BALANCE_SNAPSHOT_RETENTION_DAYS || 30);
+  }
+
+  static getSnapshotMinIntervalMs() {
+    return Number(process.env.BALANCE_SNAPSHOT_MIN_INTERVAL_MS || 5 * 60 * 1000);
+  }
+
+  // Console views refresh often, so snapshots per provider are throttled.
+  static async recordSnapshots(balances = [], source = 'worker') {
+    const now = Date.now();
+    const expiresAt = new Date(now + this.getSnapshotRetentionDays() * 24 * HOUR_MS);
+
+    const docs = balances
+      .filter((item) => item?.available && item.providerId && Number.isFinite(Number(item.balance)))
+      .filter((item) => now - (lastSnapshotAt.get(item.providerId) || 0) >= this.getSnapshotMinIntervalMs())
+      .map((item) => ({
+        provider: item.providerId,
+        providerName: item.providerName,
+        balance: Number(item.balance),
+        currency: item.currency || 'NGN',
+        source,
+        expiresAt,
+      }));
+
+    if (!docs.length) return 0;
+
+    try {
+      await ProviderBalanceSnapshot.insertMany(docs, { ordered: false });
+      docs.forEach((doc) => lastSnapshotAt.set(doc.provider, now));
+      return docs.length;
+    } catch (error) {
+      logger.warn(`Failed to store provider balance snapshots: ${error.message}`);
+      return 0;
+    }
+  }
+
+  static async getTransactionSpend(since) {
+    const groups = await Transaction.aggregate([
+      {
+        $match: {
+          status: 'successful',
+          createdAt: { $gte: since },
+        },
+      },
+      {
+        $project: {
+          providerId: {
+            $toLower: {
+              $trim: {
+                input: { $ifNull: ['$service.provider', { $ifNull: ['$provider.name', ''] }] },
+              },
+            },
+          },
+          cost: { $ifNull: ['$metadata.providerAmount', { $ifNull: ['$amount', 0] }] },
+        },
+      },
+      {
+        $match: {
+          providerId: { $ne: '' },
+        },
+      },
+      {
+        $group: {
+          _id: '$providerId',
+          amount: { $sum: { $convert: { input: '$cost', to: 'double', onError: 0, onNull: 0 } } },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const spend = new Map();
+    for (const group of groups) {
+      const providerId = vtuConfig.normalizeProviderId(group._id);
+      const current = spend.get(providerId) || { amount: 0, count: 0 };
+      spend.set(providerId, {
+        amount: current.amount + group.amount,
+        count: current.count + group.count,
+      });
+    }
+    return spend;
+  }
+
+  static async getObservedBurn(providerIds, since) {
+    const snapshots = await ProviderBalanceSnapshot.find({
+      provider: { $in: providerIds },
+      createdAt: { $gte: since },
+    })
+      .sort({ createdAt: 1 })
+      .select('provider balance createdAt')
+      .lean();
+
+    const byProvider = new Map();
+    for (const snapshot of snapshots) {
+      if (!byProvider.has(snapshot.provider)) byProvider.set(snapshot.provider, []);
+      byProvider.get(snapshot.provider).push(snapshot);
+    }
+
+    const burn = new Map();
+    for (const [providerId, series] of byProvider.entries()) {
+      const spanHours = (series[series.length - 1].createdAt - series[0].createdAt) / HOUR_MS;
+      if (spanHours < 1) continue;
+
+      // Top-ups raise the balance; only the drops count as spend.
+      let drawdown = 0;
+      for (let i = 1; i < series.length; i += 1) {
+        drawdown += Math.max(series[i - 1].balance - series[i].balance, 0);
+      }
+      burn.set(providerId, { drawdown, spanHours, perHour: drawdown / spanHours });
+    }
+    return burn;
+  }
+
+  static buildForecast(record, { spend, observed, windowHours, alertHours }) {
+    const balance = Number(record.balance);
+    const transactionRate = spend ? spend.amount / windowHours : 0;
+    const observedRate = observed?.perHour || 0;
+    const spendPerHour = Math.max(transactionRate, observedRate);
+
+    const forecast = {
+      providerId: record.providerId,
+      providerName: record.providerName,
+      balance: record.available && Number.isFinite(balance) ? balance : null,
+      currency: record.currency || 'NGN',
+      windowHours,
+      transactionCount: spend?.count || 0,
+      transactionSpendPerHour: round(transactionRate),
+      observedSpendPerHour: observed ? round(observedRate) : null,
+      spendPerHour: round(spendPerHour),
+      hoursToEmpty: null,
+      projectedEmptyAt: null,
+      status: 'ok',
+    };
+
+    if (forecast.balance === null) {
+      forecast.status = 'unknown';
+    } else if (spendPerHour <= 0) {
+      forecast.status = 'idle';
+    } else {
+      const hoursToEmpty = Math.max(forecast.balance, 0) / spendPerHour;
+      forecast.hoursToEmpty = round(hoursToEmpty, 1);
+      forecast.projectedEmptyAt = new Date(Date.now() + hoursToEmpty * HOUR_MS);
+      forecast.status = hoursToEmpty <= alertHours ? 'at_risk' : 'ok';
+    }
+
+    return forecast;
+  }
+
+  static async getForecasts(balances = []) {
+    const windowHours = this.getWindowHours();
+    const alertHours = this.getAlertHours();
+    const since = new Date(Date.now() - windowHours * HOUR_MS);
+    const providerIds = balances.map((item) => item.providerId).filter(Boolean);
+
+    const [spend, observed] = await Promise.all([
+      this.getTransactionSpend(since),
+      this.getObservedBurn(providerIds, since),
+    ]);
+
+    return balances.map((record) => this.buildForecast(record, {
+      spend: spend.get(record.providerId),
+      observed: observed.get(record.providerId),
+      windowHours,
+      alertHours,
+    }));
+  }
+
+  static async shouldSendAlert(providerId) {
+    const last = await Settings.findOne({ key: `notification.lastBalanceForecastAlert.${providerId}` }).lean();
+    if (!last?.value) return true;
+
+    const lastSent = new Date(last.value).getTime();
+    if (Number.isNaN(lastSent)) return true;
+
+    return Date.now() - lastSent >= this.getAlertCooldownMinutes() * 60 * 1000;
+  }
+
+  static async markAlertSent(providerId) {
+    const key = `notification.lastBalanceForecastAlert.${providerId}`;
+    await Settings.findOneAndUpdate(
+      { key },
+      {
+        key,
+        category: 'notification',
+        value: new Date().toISOString(),
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  static async sendAlert(forecast, triggeredBy = null) {
+    const [emails, admins] = await Promise.all([
+      ProviderPurchaseGuardService.getAdminAlertEmails(),
+      User.find({ role: { $in: ADMIN_ROLES }, isActive: true }).select('_id').lean(),
+    ]);
+
+    const message = `${forecast.providerName} balance of ${forecast.balance} ${forecast.currency} will run out in about `
+      + `${forecast.hoursToEmpty} hours at ${forecast.spendPerHour} ${forecast.currency}/hour.`;
+
+    await Promise.all([
+      ...emails.map((email) => sendBalanceForecastAlertEmail({ email, ...forecast })),
+      ...admins.map((admin) => NotificationService.create({
+        user: admin._id,
+        title: 'Provider balance running out',
+        message,
+        type: 'system',
+        metadata: {
+          kind: 'balance_forecast',
+          providerId: forecast.providerId,
+          balance: forecast.balance,
+          hoursToEmpty: forecast.hoursToEmpty,
+          projectedEmptyAt: forecast.projectedEmptyAt,
+          triggeredBy,
+        },
+      })),
+    ]);
+
+    await this.markAlertSent(forecast.providerId);
+  }
+
+  static async checkAndAlert(triggeredBy = null) {
+    const balances = await VtuProviderService.getAllProviderBalances();
+    await this.recordSnapshots(balances, 'worker');
+
+    const forecasts = await this.getForecasts(balances);
+    const atRisk = forecasts.filter((forecast) => forecast.status === 'at_risk');
+    const { enabled } = await ApiBalanceAlertService.getAlertSettings();
+
+    let alertsSent = 0;
+    for (const forecast of atRisk) {
+      if (!enabled || !(await this.shouldSendAlert(forecast.providerId))) continue;
+
+      try {
+        await this.sendAlert(forecast, triggeredBy);
+        alertsSent += 1;
+      } catch (error) {
+        logger.error(`Balance forecast alert failed for ${forecast.providerId}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Balance forecast check completed: ${atRisk.length} at risk, ${alertsSent} alerted`);
+
+    return {
+      checked: forecasts.length,
+      alertsSent,
+      alertHours: this.getAlertHours(),
+      atRisk,
+      forecasts,
+    };
+  }
+
+  static async getHistory(providerId, hours = this.getWindowHours()) {
+    const resolvedHours = Math.min(Math.max(Number(hours) || this.getWindowHours(), 1), this.getSnapshotRetentionDays() * 24);
+    const since = new Date(Date.now() - resolvedHours * HOUR_MS);
+
+    return ProviderBalanceSnapshot.find({ provider: providerId, createdAt: { $gte: since } })
+      .sort({ createdAt: 1 })
+      .select('balance currency source createdAt -_id')
+      .lean();
+  }
+}
+
+module.exports = ProviderBalanceForecastService;
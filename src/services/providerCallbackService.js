@@ -0,0 +1,166 @@
+const Transaction = require('../models/Transaction');
+const vtuConfig = require('../config/vtuProviders');
+const ProviderRegistry = require('./providerRegistry');
+const VtuTransactionLifecycleService = require('./vtuTransactionLifecycleService');
+const logger = require('../utils/logger');
+
+/**
+ * Used when a provider has neither a `webhook` mapping in vtuProviders nor
+ * an adapter that can parse its callbacks. Each field lists dotted paths
+ * tried in order; `items` points at an array of events in batched payloads.
+ */
+const DEFAULT_MAPPING = {
+  items: ['events', 'data'],
+  reference: ['customer_reference', 'customerReference', 'custom_reference', 'reference'],
+  requestId: ['request_id', 'requestId', 'requestid'],
+  providerReference: ['order_id', 'orderId', 'orderid', 'transaction_id', 'transactionId', 'ref', 'id'],
+  status: ['status', 'Status', 'orderstatus', 'orderStatus', 'delivery_status'],
+  note: ['message', 'remark', 'note', 'description'],
+  successStatuses: ['success', 'successful', 'delivered', 'completed', 'order_completed'],
+  failedStatuses: ['failed', 'fail', 'error', 'reversed', 'refunded', 'cancelled', 'canceled', 'order_cancelled', 'rejected'],
+};
+
+function getPath(source, path) {
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+function pick(source, paths = []) {
+  for (const path of [].concat(paths)) {
+    const value = getPath(source, path);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+class ProviderCallbackService {
+  static resolveProvider(providerName) {
+    const providerId = vtuConfig.normalizeProviderId(providerName);
+    const provider = vtuConfig.providers[providerId]
+      || Object.values(vtuConfig.providers).find((item) => item.source === providerId);
+    return provider || null;
+  }
+
+  // Callback verification (tokens, policies, confirm-by-query) is keyed on
+  // the provider's source, whichever alias the callback URL used.
+  static resolveSource(providerName) {
+    const provider = this.resolveProvider(providerName);
+    return provider?.source || provider?.id || vtuConfig.normalizeProviderId(providerName);
+  }
+
+  static classifyStatus(status, mapping) {
+    if (status === null || status === undefined) return 'unknown';
+    const normalized = String(status).trim().toLowerCase();
+    if (mapping.successStatuses.map((item) => String(item).toLowerCase()).includes(normalized)) return 'successful';
+    if (mapping.failedStatuses.map((item) => String(item).toLowerCase()).includes(normalized)) return 'failed';
+    return 'pending';
+  }
+
+  static parseWithMapping(payload, mapping) {
+    const resolved = { ...DEFAULT_MAPPING, ...mapping };
+    const batch = Array.isArray(payload) ? payload : pick(payload, resolved.items);
+    const items = Array.isArray(batch) ? batch : [payload];
+
+    return items.map((item) => ({
+      reference: pick(item, resolved.reference),
+      requestId: pick(item, resolved.requestId),
+      providerReference: pick(item, resolved.providerReference),
+      state: this.classifyStatus(pick(item, resolved.status), resolved),
+      note: pick(item, resolved.note),
+      raw: item,
+    }));
+  }
+
+  static parse(provider, payload) {
+    if (provider.webhook) {
+      return this.parseWithMapping(payload, provider.webhook);
+    }
+
+    const adapter = ProviderRegistry.getAdapterBySource(provider.source);
+    if (adapter?.supports('parseWebhook')) {
+      return adapter.parseWebhook(payload).map((item) => ({
+        reference: item.reference || null,
+        requestId: null,
+        providerReference: item.orderId || null,
+        state: item.state,
+        note: item.note || null,
+        raw: item.raw,
+      }));
+    }
+
+    return this.parseWithMapping(payload, {});
+  }
+
+  static async findTransaction(event) {
+    const values = [event.reference, event.requestId, event.providerReference]
+      .filter((value) => value !== null && value !== undefined && value !== '')
+      .map(String);
+    if (!values.length) return null;
+
+    return Transaction.findOne({
+      $or: [
+        { reference: { $in: values } },
+        { 'service.requestId': { $in: values } },
+        { 'service.orderId': { $in: values } },
+        { 'provider.providerReference': { $in: values } },
+      ],
+    });
+  }
+
+  static async applyEvent(provider, event) {
+    const transaction = await this.findTransaction(event);
+    if (!transaction) {
+      return { reference: event.reference || event.requestId || event.providerReference, outcome: 'not_found' };
+    }
+
+    // A provider may only settle orders that were routed to it.
+    const routedTo = transaction.service?.provider || transaction.provider?.name;
+    if (routedTo && vtuConfig.normalizeProviderId(routedTo) !== provider.id && routedTo !== provider.source) {
+      logger.warn(`Ignoring ${provider.id} callback for ${transaction.reference} routed to ${routedTo}`);
+      return { reference: transaction.reference, outcome: 'provider_mismatch' };
+    }
+
+    if (VtuTransactionLifecycleService.isTerminalStatus(transaction.status)) {
+      return { reference: transaction.reference, outcome: 'already_final' };
+    }
+
+    const details = {
+      source: `callback:${provider.id}`,
+      note: event.note || undefined,
+      providerName: transaction.service?.provider || provider.id,
+      providerReference: event.providerReference ? String(event.providerReference) : undefined,
+      providerResponse: event.raw,
+    };
+
+    if (event.state === 'successful') {
+      const result = await VtuTransactionLifecycleService.markSuccessful(transaction._id, details);
+      return { reference: transaction.reference, outcome: result.alreadyFinal ? 'already_final' : 'successful' };
+    }
+    if (event.state === 'failed') {
+      const result = await VtuTransactionLifecycleService.markFailed(transaction._id, details);
+      return { reference: transaction.reference, outcome: result.alreadyFinal ? 'already_final' : 'failed' };
+    }
+
+    await VtuTransactionLifecycleService.markPending(transaction._id, details);
+    return { reference: transaction.reference, outcome: 'pending' };
+  }
+
+  /**
+   * Returns null for an unknown provider, otherwise the outcome for every
+   * event in the payload.
+   */
+  static async handle(providerName, payload) {
+    const provider = this.resolveProvider(providerName);
+    if (!provider) return null;
+
+    const events = this.parse(provider, payload || {});
+    const results = [];
+    for (const event of events) {
+      results.push(await this.applyEvent(provider, event));
+    }
+
+    logger.info(`Provider callback from ${provider.id} handled`, { results });
+    return { provider: provider.id, results };
+  }
+}
+
+module.exports = ProviderCallbackService;
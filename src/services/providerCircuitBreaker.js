@@ -0,0 +1,410 @@
+const ProviderStatus = require('../models/ProviderStatus');
+const ProviderPurchaseGuardService = require('./providerPurchaseGuardService');
+const vtuConfig = require('../config/vtuProviders');
+const { AppError } = require('../middlewares/errorHandler');
+const { getReadyRedisConnection } = require('../config/redis');
+const { getProviderHttpStatus, getProviderErrorCode } = require('../utils/providerErrors');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'vtu:circuit';
+const EVENTS_KEY = `${KEY_PREFIX}:events`;
+const EVENT_LIMIT = 100;
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const TRACKED_SERVICES = ['data_recharge', 'airtime_recharge'];
+const NUMERIC_FIELDS = ['openedAt', 'halfOpenedAt', 'windowStart', 'calls', 'failures', 'slow', 'probes', 'probeSuccesses'];
+const FAULT_PATTERN = /timeout|timed out|socket hang up|ECONNABORTED|ETIMEDOUT|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|EHOSTUNREACH/i;
+
+// Writes the remaining fields only while every expected field still holds
+// its value, so a transition is claimed by exactly one caller. Missing
+// fields read as parseCircuit reads them: closed state, zero counters.
+const COMPARE_AND_SET_SCRIPT = `
+local expectedCount = tonumber(ARGV[1])
+local ttl = tonumber(ARGV[2])
+for i = 0, expectedCount - 1 do
+  local field = ARGV[3 + i * 2]
+  local current = redis.call('HGET', KEYS[1], field)
+  if not current then current = field == 'state' and 'closed' or '0' end
+  if current ~= ARGV[4 + i * 2] then return 0 end
+end
+local fields = {}
+for i = 3 + expectedCount * 2, #ARGV do table.insert(fields, ARGV[i]) end
+redis.call('HSET', KEYS[1], unpack(fields))
+redis.call('PEXPIRE', KEYS[1], ttl)
+return 1
+`;
+
+const memoryCircuits = new Map();
+const memoryEvents = [];
+
+class CircuitOpenError extends AppError {
+  constructor(providerId, serviceType) {
+    super(ProviderPurchaseGuardService.CLIENT_UNAVAILABLE_MESSAGE, 503);
+    this.providerId = providerId;
+    this.serviceType = serviceType;
+    this.circuitOpen = true;
+    this.definitive = true;
+  }
+}
+
+function circuitKey(providerId, serviceType) {
+  return `${KEY_PREFIX}:${providerId}:${serviceType}`;
+}
+
+function parseCircuit(raw = {}) {
+  const circuit = { state: raw.state || 'closed', reason: raw.reason || null };
+  for (const field of NUMERIC_FIELDS) {
+    circuit[field] = Number(raw[field] || 0);
+  }
+  return circuit;
+}
+
+/**
+ * Per provider and service circuit breaker. Provider faults (timeouts,
+ * network errors, 5xx) and slow calls are counted over a rolling window;
+ * past the configured rates the circuit opens and purchases fail fast.
+ * After PROVIDER_CIRCUIT_OPEN_MS a few probe calls are let through
+ * (half-open) and either close the circuit or open it again.
+ *
+ * State lives in Redis so every API instance sees the same circuit, with
+ * an in-process fallback when Redis is not configured.
+ */
+class ProviderCircuitBreaker {
+  static CircuitOpenError = CircuitOpenError;
+
+  static isEnabled() {
+    return process.env.PROVIDER_CIRCUIT_ENABLED !== 'false';
+  }
+
+  static getSettings() {
+    return {
+      windowMs: Number(process.env.PROVIDER_CIRCUIT_WINDOW_MS || 60000),
+      minCalls: Number(process.env.PROVIDER_CIRCUIT_MIN_CALLS || 5),
+      errorRate: Number(process.env.PROVIDER_CIRCUIT_ERROR_RATE || 0.5),
+      slowCallMs: Number(process.env.PROVIDER_CIRCUIT_SLOW_CALL_MS || 15000),
+      slowRate: Number(process.env.PROVIDER_CIRCUIT_SLOW_RATE || 0.5),
+      openMs: Number(process.env.PROVIDER_CIRCUIT_OPEN_MS || 30000),
+      halfOpenProbes: Number(process.env.PROVIDER_CIRCUIT_HALF_OPEN_PROBES || 2),
+    };
+  }
+
+  static async readCircuit(providerId, serviceType) {
+    const key = circuitKey(providerId, serviceType);
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        return parseCircuit(await redis.hgetall(key));
+      } catch (error) {
+        logger.warn(`Circuit read failed for ${key}: ${error.message}`);
+      }
+    }
+    return parseCircuit(memoryCircuits.get(key));
+  }
+
+  static async compareAndSetCircuit(providerId, serviceType, expected, fields) {
+    const key = circuitKey(providerId, serviceType);
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        const expectedArgs = Object.entries(expected).flatMap(([field, value]) => [field, String(value)]);
+        const fieldArgs = Object.entries(fields).flatMap(([field, value]) => [field, String(value)]);
+        const claimed = await redis.eval(
+          COMPARE_AND_SET_SCRIPT,
+          1,
+          key,
+          Object.keys(expected).length,
+          KEY_TTL_MS,
+          ...expectedArgs,
+          ...fieldArgs
+        );
+        return claimed === 1;
+      } catch (error) {
+        logger.warn(`Circuit claim failed for ${key}: ${error.message}`);
+      }
+    }
+
+    const circuit = memoryCircuits.get(key) || {};
+    const matches = Object.entries(expected).every(([field, value]) => {
+      const current = circuit[field] ?? (field === 'state' ? 'closed' : 0);
+      return String(current) === String(value);
+    });
+    if (!matches) return false;
+
+    memoryCircuits.set(key, { ...circuit, ...fields });
+    return true;
+  }
+
+  static async incrementCircuit(providerId, serviceType, increments) {
+    const key = circuitKey(providerId, serviceType);
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        const pipeline = redis.multi();
+        for (const [field, by] of Object.entries(increments)) {
+          pipeline.hincrby(key, field, by);
+        }
+        pipeline.pexpire(key, KEY_TTL_MS);
+        const results = await pipeline.exec();
+        return Object.keys(increments).reduce((acc, field, index) => {
+          acc[field] = Number(results[index][1]);
+          return acc;
+        }, {});
+      } catch (error) {
+        logger.warn(`Circuit increment failed for ${key}: ${error.message}`);
+      }
+    }
+
+    const circuit = memoryCircuits.get(key) || {};
+    const updated = {};
+    for (const [field, by] of Object.entries(increments)) {
+      circuit[field] = Number(circuit[field] || 0) + by;
+      updated[field] = circuit[field];
+    }
+    memoryCircuits.set(key, circuit);
+    return updated;
+  }
+
+  static async recordEvent(event) {
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        await redis.multi().lpush(EVENTS_KEY, JSON.stringify(event)).ltrim(EVENTS_KEY, 0, EVENT_LIMIT - 1).exec();
+        return;
+      } catch (error) {
+        logger.warn(`Circuit event write failed: ${error.message}`);
+      }
+    }
+    memoryEvents.unshift(event);
+    memoryEvents.length = Math.min(memoryEvents.length, EVENT_LIMIT);
+  }
+
+  static async getRecentEvents(limit = 20) {
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        const rows = await redis.lrange(EVENTS_KEY, 0, limit - 1);
+        return rows.map((row) => JSON.parse(row));
+      } catch (error) {
+        logger.warn(`Circuit event read failed: ${error.message}`);
+      }
+    }
+    return memoryEvents.slice(0, limit);
+  }
+
+  // Returns false when another caller already moved the circuit out of
+  // `from` (or changed an `expected` field), in which case nothing is written.
+  static async transition(providerId, serviceType, from, to, reason, expected = {}) {
+    const now = Date.now();
+    const fields = { state: to, reason, probes: 0, probeSuccesses: 0 };
+    if (to === 'open') fields.openedAt = now;
+    if (to === 'half_open') fields.halfOpenedAt = now;
+    if (to === 'closed') Object.assign(fields, { windowStart: now, calls: 0, failures: 0, slow: 0 });
+
+    const claimed = await this.compareAndSetCircuit(providerId, serviceType, { ...expected, state: from }, fields);
+    if (!claimed) return false;
+
+    await this.recordEvent({ providerId, serviceType, from, to, reason, at: new Date(now).toISOString() });
+
+    const message = `Circuit for ${providerId}/${serviceType} ${from} -> ${to}: ${reason}`;
+    if (to === 'closed') {
+      logger.info(message);
+    } else {
+      logger.warn(message);
+    }
+
+    try {
+      await this.syncProviderStatus(providerId, to);
+    } catch (error) {
+      logger.warn(`Failed to sync provider status for ${providerId}: ${error.message}`);
+    }
+    return true;
+  }
+
+  // Only moves providers between active and degraded; statuses an admin
+  // set (inactive, maintenance) are left alone, as is a provider the health
+  // checks hold degraded.
+  static async syncProviderStatus(providerId, state) {
+    if (state === 'open') {
+      await ProviderStatus.updateOne(
+        { providerName: providerId, status: 'active' },
+        { $set: { status: 'degraded', lastChecked: new Date() } }
+      );
+      return;
+    }
+
+    if (state === 'closed') {
+      const circuits = await Promise.all(TRACKED_SERVICES.map((serviceType) => this.readCircuit(providerId, serviceType)));
+      if (circuits.some((circuit) => circuit.state !== 'closed')) return;
+
+      await ProviderStatus.updateOne(
+        { providerName: providerId, status: 'degraded', 'healthStats.degradedReason': null },
+        { $set: { status: 'active', lastChecked: new Date() } }
+      );
+    }
+  }
+
+  /**
+   * Resolves when a call to the provider may go ahead and throws
+   * CircuitOpenError when it should fail fast. In half-open state only
+   * PROVIDER_CIRCUIT_HALF_OPEN_PROBES calls are let through.
+   */
+  static async acquire(providerId, serviceType) {
+    if (!this.isEnabled()) return { state: 'closed', probe: false };
+
+    const settings = this.getSettings();
+    const circuit = await this.readCircuit(providerId, serviceType);
+    const now = Date.now();
+
+    if (circuit.state === 'open') {
+      if (now - circuit.openedAt < settings.openMs) {
+        throw new CircuitOpenError(providerId, serviceType);
+      }
+      // Every caller past the open period races here; only one resets the
+      // probe counters and the rest count as probes against its half-open.
+      await this.transition(providerId, serviceType, 'open', 'half_open', 'Open period elapsed, probing', {
+        openedAt: circuit.openedAt,
+      });
+      circuit.state = 'half_open';
+      circuit.halfOpenedAt = now;
+    }
+
+    if (circuit.state === 'half_open') {
+      // A probe that never reported back would otherwise hold its slot forever.
+      if (circuit.halfOpenedAt && now - circuit.halfOpenedAt > settings.openMs) {
+        await this.compareAndSetCircuit(
+          providerId,
+          serviceType,
+          { state: 'half_open', halfOpenedAt: circuit.halfOpenedAt },
+          { halfOpenedAt: now, probes: 0, probeSuccesses: 0 }
+        );
+      }
+
+      const { probes } = await this.incrementCircuit(providerId, serviceType, { probes: 1 });
+      if (probes > settings.halfOpenProbes) {
+        throw new CircuitOpenError(providerId, serviceType);
+      }
+      return { state: 'half_open', probe: true };
+    }
+
+    return { state: 'closed', probe: false };
+  }
+
+  static isProviderFault(error) {
+    if (!error || error.circuitOpen) return false;
+
+    // Provider services rewrap errors, so status and code come from the
+    // cause chain rather than the outermost error.
+    const httpStatus = getProviderHttpStatus(error);
+    if (httpStatus >= 500 && httpStatus !== 501) return true;
+
+    const code = getProviderErrorCode(error) || '';
+    return FAULT_PATTERN.test(`${code} ${error.message || ''}`);
+  }
+
+  static async recordOutcome(providerId, serviceType, { latencyMs = 0, error = null } = {}) {
+    if (!this.isEnabled()) return;
+
+    const settings = this.getSettings();
+    const failed = this.isProviderFault(error);
+    const slow = latencyMs >= settings.slowCallMs;
+    const circuit = await this.readCircuit(providerId, serviceType);
+
+    if (circuit.state === 'half_open') {
+      if (failed || slow) {
+        await this.transition(providerId, serviceType, 'half_open', 'open', failed ? `Probe failed: ${error.message}` : `Probe took ${latencyMs}ms`);
+        return;
+      }
+
+      const { probeSuccesses } = await this.incrementCircuit(providerId, serviceType, { probeSuccesses: 1 });
+      if (probeSuccesses >= settings.halfOpenProbes) {
+        await this.transition(providerId, serviceType, 'half_open', 'closed', `${probeSuccesses} probe calls succeeded`);
+      }
+      return;
+    }
+
+    if (circuit.state !== 'closed') return;
+
+    if (Date.now() - circuit.windowStart > settings.windowMs) {
+      await this.compareAndSetCircuit(
+        providerId,
+        serviceType,
+        { state: 'closed', windowStart: circuit.windowStart },
+        { windowStart: Date.now(), calls: 0, failures: 0, slow: 0 }
+      );
+    }
+
+    const counts = await this.incrementCircuit(providerId, serviceType, {
+      calls: 1,
+      failures: failed ? 1 : 0,
+      slow: slow ? 1 : 0,
+    });
+
+    if (counts.calls < settings.minCalls) return;
+
+    const errorRate = counts.failures / counts.calls;
+    const slowRate = counts.slow / counts.calls;
+    if (errorRate >= settings.errorRate) {
+      await this.transition(providerId, serviceType, 'closed', 'open', `Error rate ${Math.round(errorRate * 100)}% over ${counts.calls} calls`);
+    } else if (slowRate >= settings.slowRate) {
+      await this.transition(providerId, serviceType, 'closed', 'open', `Slow call rate ${Math.round(slowRate * 100)}% over ${counts.calls} calls`);
+    }
+  }
+
+  // Times a provider call and feeds the result into the circuit. Bookkeeping
+  // errors are logged and never mask the provider's own result.
+  static async track(providerId, serviceType, call) {
+    const startedAt = Date.now();
+    try {
+      const result = await call();
+      await this.recordOutcome(providerId, serviceType, { latencyMs: Date.now() - startedAt })
+        .catch((error) => logger.warn(`Circuit bookkeeping failed for ${providerId}: ${error.message}`));
+      return result;
+    } catch (error) {
+      await this.recordOutcome(providerId, serviceType, { latencyMs: Date.now() - startedAt, error })
+        .catch((trackError) => logger.warn(`Circuit bookkeeping failed for ${providerId}: ${trackError.message}`));
+      throw error;
+    }
+  }
+
+  static async getStates(providerId = null) {
+    const providerIds = providerId
+      ? [vtuConfig.normalizeProviderId(providerId)]
+      : Object.keys(vtuConfig.providers);
+    const settings = this.getSettings();
+
+    const states = [];
+    for (const id of providerIds) {
+      for (const serviceType of TRACKED_SERVICES) {
+        const circuit = await this.readCircuit(id, serviceType);
+        states.push({
+          providerId: id,
+          serviceType,
+          state: circuit.state,
+          reason: circuit.reason,
+          calls: circuit.calls,
+          failures: circuit.failures,
+          slowCalls: circuit.slow,
+          openedAt: circuit.openedAt ? new Date(circuit.openedAt) : null,
+          retryAt: circuit.state === 'open' ? new Date(circuit.openedAt + settings.openMs) : null,
+        });
+      }
+    }
+    return states;
+  }
+
+  static async reset(providerId, serviceType = null) {
+    const resolvedProviderId = vtuConfig.normalizeProviderId(providerId);
+    const serviceTypes = serviceType ? [serviceType] : TRACKED_SERVICES;
+
+    for (const type of serviceTypes) {
+      const circuit = await this.readCircuit(resolvedProviderId, type);
+      if (circuit.state !== 'closed') {
+        await this.transition(resolvedProviderId, type, circuit.state, 'closed', 'Reset from VTU console');
+      }
+    }
+
+    return this.getStates(resolvedProviderId);
+  }
+}
+
+module.exports = ProviderCircuitBreaker;
@@ -0,0 +1,384 @@
+const axios = require('axios');
+const ProviderHealthSample = require('../models/ProviderHealthSample');
+const ProviderStatus = require('../models/ProviderStatus');
+const ProviderCircuitBreaker = require('./providerCircuitBreaker');
+const vtuConfig = require('../config/vtuProviders');
+const { getReadyRedisConnection } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_INTERVAL_MS = 300000;
+
+const WINDOWS = {
+  last24h: DAY_MS,
+  last7d: 7 * DAY_MS,
+  last30d: 30 * DAY_MS,
+};
+
+const RUN_LOCK_KEY = 'vtu:provider-health:lock';
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(Number(value || 0) * factor) / factor;
+}
+
+// Nearest-rank position of the p-th percentile in an ascending list of `count`.
+function percentileRank(count, p) {
+  return Math.max(Math.ceil((p / 100) * count) - 1, 0);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[percentileRank(sorted.length, p)];
+}
+
+/**
+ * Probes every provider on its ProviderStatus.healthCheckInterval and keeps
+ * the results as time-series samples. The short evaluation window is
+ * checked after each probe, and a provider whose recent uptime or p95
+ * latency breaches the thresholds is moved between active and degraded.
+ * Uptime and latency percentiles over 24h, 7d and 30d are aggregated in
+ * Mongo every PROVIDER_HEALTH_STATS_REFRESH_MS. Providers an admin set
+ * inactive or in maintenance are not probed, so planned downtime does not
+ * count against uptime. Only one instance probes at a time (Redis lock).
+ */
+class ProviderHealthService {
+  static WINDOWS = WINDOWS;
+
+  static isEnabled() {
+    return process.env.PROVIDER_HEALTH_ENABLED !== 'false';
+  }
+
+  static getTickMs() {
+    return Number(process.env.PROVIDER_HEALTH_TICK_MS || 60000);
+  }
+
+  static getStatsRefreshMs() {
+    return Number(process.env.PROVIDER_HEALTH_STATS_REFRESH_MS || 900000);
+  }
+
+  static getRunLockMs() {
+    return Number(process.env.PROVIDER_HEALTH_LOCK_MS || 600000);
+  }
+
+  static getRetentionDays() {
+    return Number(process.env.PROVIDER_HEALTH_RETENTION_DAYS || 30);
+  }
+
+  static getThresholds() {
+    return {
+      windowMs: Number(process.env.PROVIDER_HEALTH_EVALUATION_MINUTES || 60) * 60 * 1000,
+      minSamples: Number(process.env.PROVIDER_HEALTH_MIN_SAMPLES || 3),
+      minUptime: Number(process.env.PROVIDER_HEALTH_MIN_UPTIME || 95),
+      maxP95Ms: Number(process.env.PROVIDER_HEALTH_MAX_P95_MS || 10000),
+    };
+  }
+
+  static getProbeUrl(provider, status) {
+    const endpoint = status?.healthCheckEndpoint;
+    if (endpoint && /^https?:\/\//i.test(endpoint)) return endpoint;
+
+    const baseUrl = status?.baseUrl || provider.baseUrl;
+    if (!baseUrl) return null;
+    return `${baseUrl.replace(/\/+$/, '')}/${String(endpoint || 'health').replace(/^\/+/, '')}`;
+  }
+
+  static async probe(provider, status) {
+    const url = this.getProbeUrl(provider, status);
+    if (!url) {
+      return { result: 'down', responseTime: 0, error: 'No health check URL configured' };
+    }
+
+    const startedAt = Date.now();
+    try {
+      const response = await axios.get(url, {
+        timeout: provider.timeout || 30000,
+        validateStatus: () => true,
+      });
+      const responseTime = Date.now() - startedAt;
+
+      let result = 'up';
+      if (response.status >= 500) {
+        result = 'down';
+      } else if (response.status >= 400 || responseTime >= ProviderCircuitBreaker.getSettings().slowCallMs) {
+        result = 'degraded';
+      }
+
+      return { result, responseTime, httpStatus: response.status };
+    } catch (error) {
+      return {
+        result: 'down',
+        responseTime: Date.now() - startedAt,
+        httpStatus: error.response?.status,
+        error: error.message,
+      };
+    }
+  }
+
+  // A degraded sample still answered, so only down samples cost uptime;
+  // down samples are mostly timeouts and are left out of the latency figures.
+  static summarize(samples) {
+    if (!samples.length) {
+      return { uptime: null, samples: 0, p50: null, p95: null, p99: null };
+    }
+
+    const available = samples.filter((sample) => sample.result !== 'down');
+    const latencies = available.map((sample) => sample.responseTime).sort((a, b) => a - b);
+
+    return {
+      uptime: round((available.length / samples.length) * 100, 3),
+      samples: samples.length,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99),
+    };
+  }
+
+  static getBreachReason(recent, thresholds = this.getThresholds()) {
+    if (recent.samples < thresholds.minSamples) return null;
+
+    const minutes = Math.round(thresholds.windowMs / 60000);
+    if (recent.uptime < thresholds.minUptime) {
+      return `Uptime ${recent.uptime}% over the last ${minutes} minutes is below ${thresholds.minUptime}%`;
+    }
+    if (recent.p95 !== null && recent.p95 > thresholds.maxP95Ms) {
+      return `p95 latency ${recent.p95}ms over the last ${minutes} minutes is above ${thresholds.maxP95Ms}ms`;
+    }
+    return null;
+  }
+
+  // Like the circuit breaker, only moves providers between active and
+  // degraded, and leaves a provider degraded while any circuit is open.
+  static async applyStatus(providerId, reason) {
+    if (reason) {
+      const result = await ProviderStatus.updateOne(
+        { providerName: providerId, status: 'active' },
+        { $set: { status: 'degraded' } }
+      );
+      if (result.modifiedCount) {
+        logger.warn(`Provider ${providerId} marked degraded by health checks: ${reason}`);
+      }
+      return;
+    }
+
+    const circuits = await ProviderCircuitBreaker.getStates(providerId);
+    if (circuits.some((circuit) => circuit.state !== 'closed')) return;
+
+    const result = await ProviderStatus.updateOne(
+      { providerName: providerId, status: 'degraded' },
+      { $set: { status: 'active' } }
+    );
+    if (result.modifiedCount) {
+      logger.info(`Provider ${providerId} restored to active by health checks`);
+    }
+  }
+
+  // Long windows hold tens of thousands of samples, so only counts and the
+  // three percentile samples ever leave Mongo.
+  static async aggregateWindow(providerId, since) {
+    const match = { provider: providerId, checkedAt: { $gte: since } };
+    const [counts] = await ProviderHealthSample.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          samples: { $sum: 1 },
+          available: { $sum: { $cond: [{ $ne: ['$result', 'down'] }, 1, 0] } },
+        },
+      },
+    ]);
+    if (!counts) return this.summarize([]);
+
+    const latencyAt = async (p) => {
+      if (!counts.available) return null;
+      const [sample] = await ProviderHealthSample.find({ ...match, result: { $ne: 'down' } })
+        .sort({ responseTime: 1 })
+        .skip(percentileRank(counts.available, p))
+        .limit(1)
+        .select('responseTime -_id')
+        .lean();
+      return sample?.responseTime ?? null;
+    };
+
+    return {
+      uptime: round((counts.available / counts.samples) * 100, 3),
+      samples: counts.samples,
+      p50: await latencyAt(50),
+      p95: await latencyAt(95),
+      p99: await latencyAt(99),
+    };
+  }
+
+  static async refreshStats(providerId, now = new Date(), status = null) {
+    const thresholds = this.getThresholds();
+    const recent = await ProviderHealthSample.find({
+      provider: providerId,
+      checkedAt: { $gte: new Date(now.getTime() - thresholds.windowMs) },
+    })
+      .select('result responseTime -_id')
+      .lean();
+    const reason = this.getBreachReason(this.summarize(recent), thresholds);
+
+    const update = {
+      'healthStats.degradedReason': reason,
+      lastProbedAt: now,
+      lastChecked: now,
+    };
+
+    let healthStats = status?.healthStats || {};
+    const computedAt = healthStats.computedAt ? new Date(healthStats.computedAt).getTime() : 0;
+    if (now.getTime() - computedAt >= this.getStatsRefreshMs()) {
+      healthStats = {};
+      for (const [key, ms] of Object.entries(WINDOWS)) {
+        healthStats[key] = await this.aggregateWindow(providerId, new Date(now.getTime() - ms));
+        update[`healthStats.${key}`] = healthStats[key];
+      }
+      update['healthStats.computedAt'] = now;
+      update.uptime = healthStats.last30d.uptime ?? 100;
+    }
+
+    await ProviderStatus.updateOne({ providerName: providerId }, { $set: update }, { upsert: true });
+    await this.applyStatus(providerId, reason);
+
+    return {
+      last24h: healthStats.last24h,
+      last7d: healthStats.last7d,
+      last30d: healthStats.last30d,
+      degradedReason: reason,
+    };
+  }
+
+  static async check(providerId) {
+    const resolvedProviderId = vtuConfig.normalizeProviderId(providerId);
+    const provider = vtuConfig.providers[resolvedProviderId];
+    if (!provider) {
+      return {
+        providerId: resolvedProviderId || providerId,
+        status: 'unknown',
+        message: 'Provider not configured',
+        responseTime: 0,
+      };
+    }
+
+    const status = await ProviderStatus.findOne({ providerName: resolvedProviderId });
+    const sample = await this.probe(provider, status);
+    const checkedAt = new Date();
+
+    await ProviderHealthSample.create({
+      provider: resolvedProviderId,
+      ...sample,
+      checkedAt,
+      expiresAt: new Date(checkedAt.getTime() + this.getRetentionDays() * DAY_MS),
+    });
+    const health = await this.refreshStats(resolvedProviderId, checkedAt, status);
+
+    const messages = {
+      up: 'Service is operational',
+      degraded: 'Service experiencing issues',
+      down: sample.error || 'Service is down',
+    };
+
+    return {
+      providerId: resolvedProviderId,
+      providerName: provider.name,
+      status: { up: 'active', degraded: 'degraded', down: 'down' }[sample.result],
+      message: messages[sample.result],
+      responseTime: sample.responseTime,
+      httpStatus: sample.httpStatus,
+      lastChecked: checkedAt,
+      color: provider.color,
+      health,
+    };
+  }
+
+  // Read from ProviderStatus so every instance agrees on when a provider
+  // was last probed.
+  static isDue(status, now = Date.now()) {
+    const intervalMs = Number(status?.healthCheckInterval) || DEFAULT_INTERVAL_MS;
+    const lastProbedAt = status?.lastProbedAt ? new Date(status.lastProbedAt).getTime() : 0;
+    return now - lastProbedAt >= intervalMs;
+  }
+
+  // Returns a release function, or null when another instance holds the
+  // lock. Without Redis every instance runs its own checks.
+  static async acquireRunLock() {
+    const redis = await getReadyRedisConnection();
+    if (!redis) return async () => {};
+
+    const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+    try {
+      const acquired = await redis.set(RUN_LOCK_KEY, token, 'PX', this.getRunLockMs(), 'NX');
+      if (!acquired) return null;
+    } catch (error) {
+      logger.warn(`Provider health lock unavailable, checking anyway: ${error.message}`);
+      return async () => {};
+    }
+
+    return async () => {
+      try {
+        await redis.eval(RELEASE_LOCK_SCRIPT, 1, RUN_LOCK_KEY, token);
+      } catch (error) {
+        logger.warn(`Provider health lock release failed: ${error.message}`);
+      }
+    };
+  }
+
+  static async runDueChecks() {
+    const release = await this.acquireRunLock();
+    if (!release) return { checked: 0, skipped: 0, failed: 0, locked: true };
+
+    try {
+      return await this.checkDueProviders();
+    } finally {
+      await release();
+    }
+  }
+
+  static async checkDueProviders() {
+    const statuses = await ProviderStatus.find({});
+    const statusMap = new Map(statuses.map((status) => [status.providerName, status]));
+    const summary = { checked: 0, skipped: 0, failed: 0 };
+
+    for (const provider of Object.values(vtuConfig.providers)) {
+      const status = statusMap.get(provider.id);
+      if (provider.status === 'inactive' || (status && !status.isAvailable())) {
+        summary.skipped += 1;
+        continue;
+      }
+      if (!this.isDue(status)) continue;
+
+      try {
+        await this.check(provider.id);
+        summary.checked += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error(`Health check failed for ${provider.id}: ${error.message}`);
+      }
+    }
+
+    return summary;
+  }
+
+  static async runAll() {
+    return Promise.all(Object.keys(vtuConfig.providers).map((providerId) => this.check(providerId)));
+  }
+
+  static async getHistory(providerId, hours = 24) {
+    const resolvedHours = Math.min(Math.max(Number(hours) || 24, 1), this.getRetentionDays() * 24);
+    const since = new Date(Date.now() - resolvedHours * HOUR_MS);
+
+    return ProviderHealthSample.find({ provider: providerId, checkedAt: { $gte: since } })
+      .sort({ checkedAt: 1 })
+      .select('result responseTime httpStatus error checkedAt -_id')
+      .lean();
+  }
+}
+
+module.exports = ProviderHealthService;
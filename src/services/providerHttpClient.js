@@ -0,0 +1,46 @@
+const axios = require('axios');
+const ProviderRateLimiter = require('./providerRateLimiter');
+const ProviderApiLogService = require('./providerApiLogService');
+
+function parseRetryAfter(headers = {}) {
+  const value = headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Axios instance for one VTU provider. Provider services use it in place of
+// the global axios so every outbound call goes through the shared request
+// budget for that provider and is recorded in ProviderApiLog.
+function createProviderClient(providerId) {
+  const client = axios.create();
+
+  // Axios runs request interceptors last-registered first, so the log's
+  // timer starts only once the rate limiter has let the call through.
+  ProviderApiLogService.attach(client, providerId);
+
+  client.interceptors.request.use(async (config) => {
+    await ProviderRateLimiter.acquire(providerId);
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      if (error.response?.status === 429) {
+        await ProviderRateLimiter.pause(providerId, parseRetryAfter(error.response.headers));
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return client;
+}
+
+module.exports = {
+  createProviderClient,
+};
@@ -0,0 +1,303 @@
+const ProviderStatus = require('../models/ProviderStatus');
+const vtuConfig = require('../config/vtuProviders');
+const { AppError } = require('../middlewares/errorHandler');
+const { getReadyRedisConnection } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'vtu:ratelimit';
+const KEY_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+const LIMITS_CACHE_MS = 60 * 1000;
+
+const WINDOWS = [
+  { name: 'minute', field: 'requestsPerMinute', windowMs: 60 * 1000 },
+  { name: 'hour', field: 'requestsPerHour', windowMs: 60 * 60 * 1000 },
+  { name: 'day', field: 'requestsPerDay', windowMs: 24 * 60 * 60 * 1000 },
+];
+
+// Refills every bucket for the elapsed time, then takes `cost` tokens from
+// all of them or from none. Returns the wait in ms followed by the tokens
+// left in each bucket (as strings, Lua numbers would be truncated).
+const TOKEN_BUCKET_SCRIPT = `
+local now = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local count = (#ARGV - 2) / 3
+local tokens = {}
+local wait = 0
+
+for i = 1, count do
+  local name = ARGV[i * 3]
+  local capacity = tonumber(ARGV[i * 3 + 1])
+  local rate = tonumber(ARGV[i * 3 + 2])
+  local state = redis.call('HMGET', KEYS[1], name .. ':tokens', name .. ':at')
+  local available = tonumber(state[1]) or capacity
+  local updatedAt = tonumber(state[2]) or now
+  available = math.min(capacity, available + math.max(0, now - updatedAt) * rate)
+  tokens[i] = available
+  if available < cost then
+    wait = math.max(wait, math.ceil((cost - available) / rate))
+  end
+end
+
+local pausedUntil = tonumber(redis.call('HGET', KEYS[1], 'pausedUntil') or '0')
+if pausedUntil > now then
+  wait = math.max(wait, pausedUntil - now)
+end
+
+local result = { wait }
+for i = 1, count do
+  if wait == 0 then
+    tokens[i] = tokens[i] - cost
+  end
+  redis.call('HSET', KEYS[1], ARGV[i * 3] .. ':tokens', tostring(tokens[i]), ARGV[i * 3] .. ':at', now)
+  table.insert(result, tostring(tokens[i]))
+end
+
+redis.call('PEXPIRE', KEYS[1], ${KEY_TTL_MS})
+return result
+`;
+
+const memoryBuckets = new Map();
+const limitsCache = new Map();
+
+class ProviderRateLimitError extends AppError {
+  constructor(providerId, waitMs) {
+    super(`Request budget for ${providerId} is exhausted. Retry in ${Math.ceil(waitMs / 1000)}s`, 429);
+    this.providerId = providerId;
+    this.retryAfterMs = waitMs;
+    this.rateLimited = true;
+    this.definitive = true;
+  }
+}
+
+function bucketKey(providerId) {
+  return `${KEY_PREFIX}:${providerId}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Distributed token bucket per provider, sized from the provider's
+ * `rateLimit` in config/vtuProviders.js (an admin-set ProviderStatus.rateLimit
+ * takes precedence). Every outbound call made through providerHttpClient
+ * takes a token; callers over budget wait up to
+ * PROVIDER_RATE_LIMIT_MAX_WAIT_MS and are then rejected with a 429 so the
+ * purchase can be routed to another provider.
+ */
+class ProviderRateLimiter {
+  static ProviderRateLimitError = ProviderRateLimitError;
+
+  static isEnabled() {
+    return process.env.PROVIDER_RATE_LIMIT_ENABLED !== 'false';
+  }
+
+  static getMaxWaitMs() {
+    return Number(process.env.PROVIDER_RATE_LIMIT_MAX_WAIT_MS || 10000);
+  }
+
+  static async getLimits(providerId) {
+    const cached = limitsCache.get(providerId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.limits;
+    }
+
+    const configured = vtuConfig.providers[providerId]?.rateLimit || {};
+    let override = {};
+    try {
+      const status = await ProviderStatus.findOne({ providerName: providerId }).select('rateLimit').lean();
+      override = status?.rateLimit || {};
+    } catch (error) {
+      logger.warn(`Unable to load rate limit override for ${providerId}: ${error.message}`);
+    }
+
+    const limits = {};
+    for (const window of WINDOWS) {
+      const value = Number(override[window.field] || configured[window.field] || 0);
+      if (value > 0) limits[window.field] = value;
+    }
+
+    limitsCache.set(providerId, { limits, expiresAt: Date.now() + LIMITS_CACHE_MS });
+    return limits;
+  }
+
+  static async getBuckets(providerId) {
+    const limits = await this.getLimits(providerId);
+    return WINDOWS
+      .filter((window) => limits[window.field])
+      .map((window) => ({
+        name: window.name,
+        capacity: limits[window.field],
+        rate: limits[window.field] / window.windowMs,
+      }));
+  }
+
+  static takeFromMemory(providerId, buckets, cost, now) {
+    const state = memoryBuckets.get(providerId) || {};
+    let wait = 0;
+
+    const tokens = buckets.map((bucket) => {
+      const previous = state[bucket.name] || { tokens: bucket.capacity, at: now };
+      const available = Math.min(bucket.capacity, previous.tokens + Math.max(0, now - previous.at) * bucket.rate);
+      if (available < cost) {
+        wait = Math.max(wait, Math.ceil((cost - available) / bucket.rate));
+      }
+      return available;
+    });
+
+    if (state.pausedUntil > now) {
+      wait = Math.max(wait, state.pausedUntil - now);
+    }
+
+    buckets.forEach((bucket, index) => {
+      const remaining = wait === 0 ? tokens[index] - cost : tokens[index];
+      state[bucket.name] = { tokens: remaining, at: now };
+      tokens[index] = remaining;
+    });
+    memoryBuckets.set(providerId, state);
+
+    return { wait, tokens };
+  }
+
+  // cost 0 reports the current budget without consuming it.
+  static async take(providerId, cost = 1) {
+    const buckets = await this.getBuckets(providerId);
+    if (!buckets.length) {
+      return { allowed: true, waitMs: 0, buckets: [] };
+    }
+
+    const now = Date.now();
+    let result = null;
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        const args = buckets.flatMap((bucket) => [bucket.name, bucket.capacity, bucket.rate]);
+        const [wait, ...tokens] = await redis.eval(TOKEN_BUCKET_SCRIPT, 1, bucketKey(providerId), now, cost, ...args);
+        result = { wait: Number(wait), tokens: tokens.map(Number) };
+      } catch (error) {
+        logger.warn(`Rate limiter fell back to memory for ${providerId}: ${error.message}`);
+      }
+    }
+    if (!result) {
+      result = this.takeFromMemory(providerId, buckets, cost, now);
+    }
+
+    return {
+      allowed: result.wait === 0,
+      waitMs: result.wait,
+      buckets: buckets.map((bucket, index) => ({
+        window: bucket.name,
+        capacity: bucket.capacity,
+        remaining: Math.max(0, Math.floor(result.tokens[index])),
+      })),
+    };
+  }
+
+  /**
+   * Waits for a token, queueing the caller for up to maxWaitMs. Throws
+   * ProviderRateLimitError when the budget does not free up in time.
+   */
+  static async acquire(providerId, { maxWaitMs = this.getMaxWaitMs() } = {}) {
+    if (!this.isEnabled()) return;
+
+    const deadline = Date.now() + maxWaitMs;
+    for (;;) {
+      const { allowed, waitMs } = await this.take(providerId);
+      if (allowed) return;
+
+      if (Date.now() + waitMs > deadline) {
+        await this.recordThrottle(providerId, waitMs);
+        throw new ProviderRateLimitError(providerId, waitMs);
+      }
+      await sleep(waitMs);
+    }
+  }
+
+  static async hasCapacity(providerId) {
+    if (!this.isEnabled()) return true;
+    try {
+      const { waitMs, buckets } = await this.take(providerId, 0);
+      return waitMs === 0 && buckets.every((bucket) => bucket.remaining >= 1);
+    } catch (error) {
+      logger.warn(`Rate limit check failed for ${providerId}: ${error.message}`);
+      return true;
+    }
+  }
+
+  // Upstream returned 429: hold every instance back until it says we may retry.
+  static async pause(providerId, retryAfterMs) {
+    const pausedUntil = Date.now() + Math.max(1000, Number(retryAfterMs) || 60000);
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        await redis.multi().hset(bucketKey(providerId), 'pausedUntil', pausedUntil).pexpire(bucketKey(providerId), KEY_TTL_MS).exec();
+      } catch (error) {
+        logger.warn(`Failed to pause rate limiter for ${providerId}: ${error.message}`);
+      }
+    }
+    const state = memoryBuckets.get(providerId) || {};
+    state.pausedUntil = pausedUntil;
+    memoryBuckets.set(providerId, state);
+
+    logger.warn(`Provider ${providerId} throttled us; pausing outbound calls until ${new Date(pausedUntil).toISOString()}`);
+    await this.recordThrottle(providerId, pausedUntil - Date.now());
+  }
+
+  static async recordThrottle(providerId, waitMs) {
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        await redis.hincrby(bucketKey(providerId), 'throttled', 1);
+      } catch (error) {
+        logger.warn(`Failed to count throttled request for ${providerId}: ${error.message}`);
+      }
+    } else {
+      const state = memoryBuckets.get(providerId) || {};
+      state.throttled = Number(state.throttled || 0) + 1;
+      memoryBuckets.set(providerId, state);
+    }
+
+    try {
+      await ProviderStatus.updateOne(
+        { providerName: providerId },
+        { $set: { rateLimitReset: new Date(Date.now() + waitMs) } }
+      );
+    } catch (error) {
+      logger.warn(`Failed to record rate limit reset for ${providerId}: ${error.message}`);
+    }
+  }
+
+  static async getUsage(providerId) {
+    const resolvedProviderId = vtuConfig.normalizeProviderId(providerId);
+    const [limits, budget] = await Promise.all([
+      this.getLimits(resolvedProviderId),
+      this.take(resolvedProviderId, 0),
+    ]);
+
+    let counters = memoryBuckets.get(resolvedProviderId) || {};
+    const redis = await getReadyRedisConnection();
+    if (redis) {
+      try {
+        const [throttled, pausedUntil] = await redis.hmget(bucketKey(resolvedProviderId), 'throttled', 'pausedUntil');
+        counters = { throttled, pausedUntil };
+      } catch (error) {
+        logger.warn(`Failed to read rate limit counters for ${resolvedProviderId}: ${error.message}`);
+      }
+    }
+
+    const pausedUntil = Number(counters.pausedUntil || 0);
+    return {
+      enabled: this.isEnabled(),
+      limits,
+      buckets: budget.buckets.map((bucket) => ({
+        ...bucket,
+        used: bucket.capacity - bucket.remaining,
+      })),
+      throttledRequests: Number(counters.throttled || 0),
+      pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil) : null,
+      nextTokenInMs: budget.waitMs,
+    };
+  }
+}
+
+module.exports = ProviderRateLimiter;
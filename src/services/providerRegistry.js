@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const vtuConfig = require('../config/vtuProviders');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const ADAPTER_DIR = path.join(__dirname, 'providers');
+const BASE_ADAPTER_FILE = 'baseProviderAdapter.js';
+
+// Adapters are discovered from services/providers and keyed by their
+// `source`, which is what each entry in config/vtuProviders.js points at.
+// Onboarding a provider means adding its config entry and one adapter file.
+class ProviderRegistry {
+  static adapters = null;
+
+  static loadAdapters() {
+    const adapters = new Map();
+
+    for (const file of fs.readdirSync(ADAPTER_DIR)) {
+      if (!file.endsWith('Adapter.js') || file === BASE_ADAPTER_FILE) continue;
+
+      const Adapter = require(path.join(ADAPTER_DIR, file));
+      if (!Adapter?.source) {
+        logger.warn(`Skipping provider adapter ${file}: no source declared`);
+        continue;
+      }
+      adapters.set(Adapter.source, Adapter);
+    }
+
+    for (const provider of Object.values(vtuConfig.providers)) {
+      if (!adapters.has(provider.source)) {
+        logger.warn(`No provider adapter registered for ${provider.id} (source: ${provider.source})`);
+      }
+    }
+
+    return adapters;
+  }
+
+  static getAdapters() {
+    if (!this.adapters) {
+      this.adapters = this.loadAdapters();
+    }
+    return this.adapters;
+  }
+
+  static register(Adapter) {
+    if (!Adapter?.source) {
+      throw new Error('Provider adapters must declare a source');
+    }
+    this.getAdapters().set(Adapter.source, Adapter);
+    return Adapter;
+  }
+
+  static getSource(providerId) {
+    const resolvedProviderId = vtuConfig.normalizeProviderId(providerId);
+    return vtuConfig.providers[resolvedProviderId]?.source || resolvedProviderId;
+  }
+
+  static getAdapterBySource(source) {
+    return this.getAdapters().get(source) || null;
+  }
+
+  // Accepts a provider id, alias or source name.
+  static getAdapter(providerId) {
+    return this.getAdapterBySource(providerId) || this.getAdapterBySource(this.getSource(providerId));
+  }
+
+  static requireAdapter(providerId, capability = null) {
+    const adapter = this.getAdapter(providerId);
+    if (!adapter) {
+      throw new AppError(`Provider ${providerId} is not supported`, 501);
+    }
+    if (capability && !adapter.supports(capability)) {
+      throw adapter.unsupported(capability);
+    }
+    return adapter;
+  }
+
+  static listProviders() {
+    return Object.values(vtuConfig.providers).map((provider) => {
+      const adapter = this.getAdapterBySource(provider.source);
+      return {
+        providerId: provider.id,
+        source: provider.source,
+        adapter: adapter?.name || null,
+        capabilities: adapter ? adapter.getCapabilities() : [],
+      };
+    });
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,296 @@
+const ProviderStatus = require('../models/ProviderStatus');
+const ServicePricing = require('../models/ServicePricing');
+const VtuProviderService = require('./vtuProviderService');
+const ProviderRegistry = require('./providerRegistry');
+const ProviderRateLimiter = require('./providerRateLimiter');
+const MaintenanceService = require('./maintenanceService');
+const vtuConfig = require('../config/vtuProviders');
+const logger = require('../utils/logger');
+const { getProviderHttpStatus, getProviderErrorCode } = require('../utils/providerErrors');
+
+const SERVICE_CAPABILITIES = {
+  data_recharge: 'purchaseData',
+  airtime_recharge: 'purchaseAirtime',
+};
+
+// Network-level failures where the request never reached the provider, so
+// moving on to the next provider cannot deliver the order twice.
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+// 4xx answers that do not prove the order was refused: a request timeout,
+// and a conflict, which providers return for a reference they already hold.
+const AMBIGUOUS_HTTP_STATUSES = [408, 409];
+
+const ATTEMPT_HISTORY_LIMIT = 10;
+
+/**
+ * Ranks the providers that can fulfil a purchase and records how each
+ * attempt went. Scores are a weighted sum of success rate, latency, cost
+ * (ServicePricing.costPrice for the plan) and whether the provider's float
+ * can cover the order. The configured provider gets a small bonus, the
+ * providers in its fallbackTo list half of it, and priority breaks ties.
+ */
+class ProviderRoutingService {
+  static balanceCache = new Map();
+
+  static getWeights() {
+    return {
+      successRate: Number(process.env.ROUTING_WEIGHT_SUCCESS_RATE || 0.45),
+      latency: Number(process.env.ROUTING_WEIGHT_LATENCY || 0.15),
+      cost: Number(process.env.ROUTING_WEIGHT_COST || 0.25),
+      balance: Number(process.env.ROUTING_WEIGHT_BALANCE || 0.15),
+      preferred: Number(process.env.ROUTING_WEIGHT_PREFERRED || 0.1),
+    };
+  }
+
+  static getMaxLatencyMs() {
+    return Number(process.env.ROUTING_MAX_LATENCY_MS || 30000);
+  }
+
+  static getBalanceCacheTtlMs() {
+    return Number(process.env.ROUTING_BALANCE_CACHE_TTL_MS || 60000);
+  }
+
+  static getBalanceTimeoutMs() {
+    return Number(process.env.ROUTING_BALANCE_TIMEOUT_MS || 3000);
+  }
+
+  static getMaxAttempts() {
+    return Number(process.env.ROUTING_MAX_ATTEMPTS || 3);
+  }
+
+  static getCandidateIds(serviceType, network, preferredProvider = null) {
+    const capability = SERVICE_CAPABILITIES[serviceType];
+    const ids = [];
+
+    if (preferredProvider) {
+      ids.push(vtuConfig.normalizeProviderId(preferredProvider));
+    }
+
+    for (const provider of VtuProviderService.getProvidersForNetwork(network)) {
+      if (provider.supportedServices.includes(serviceType) && !ids.includes(provider.id)) {
+        ids.push(provider.id);
+      }
+    }
+
+    return ids.filter((providerId) => {
+      const adapter = ProviderRegistry.getAdapter(providerId);
+      return vtuConfig.providers[providerId] && adapter && (!capability || adapter.supports(capability));
+    });
+  }
+
+  static async getCachedBalance(providerId) {
+    const cached = this.balanceCache.get(providerId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.balance;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), this.getBalanceTimeoutMs());
+    });
+
+    let balance = null;
+    try {
+      const result = await Promise.race([VtuProviderService.getProviderBalance(providerId), timeout]);
+      if (result?.available && result.balance !== null && result.balance !== undefined) {
+        balance = Number(result.balance);
+      }
+    } catch (error) {
+      logger.warn(`Routing balance lookup failed for ${providerId}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.balanceCache.set(providerId, { balance, expiresAt: Date.now() + this.getBalanceCacheTtlMs() });
+    return balance;
+  }
+
+  static invalidateBalance(providerId) {
+    this.balanceCache.delete(providerId);
+  }
+
+  static async getCostPrices(serviceType, network, planIdentifier, providerIds) {
+    const costs = new Map();
+    if (!planIdentifier) return costs;
+
+    const sources = providerIds.map((providerId) => ProviderRegistry.getSource(providerId));
+    const plan = String(planIdentifier).trim();
+    const pricing = await ServicePricing.find({
+      serviceType,
+      network,
+      provider: { $in: [...providerIds, ...sources] },
+      isActive: true,
+      $or: [
+        { planCode: plan },
+        { providerPlanId: plan },
+        { variationCode: plan },
+        { planName: plan },
+      ],
+    }).select('provider costPrice').lean();
+
+    for (const providerId of providerIds) {
+      const source = ProviderRegistry.getSource(providerId);
+      const match = pricing.find((item) => item.provider === providerId || item.provider === source);
+      if (match && Number(match.costPrice) > 0) {
+        costs.set(providerId, Number(match.costPrice));
+      }
+    }
+
+    return costs;
+  }
+
+  /**
+   * Returns candidate providers best-first as
+   * [{ providerId, score, successRate, latencyMs, costPrice, balance, throttled, demoted }].
+   * Providers that are inactive or inside a maintenance window (ProviderStatus
+   * or a MaintenanceWindow for the service and network) are dropped;
+   * ones below AUTO_FAILOVER_THRESHOLD, short on float or out of request
+   * budget are kept but tried last.
+   */
+  static async rankProviders({ serviceType, network, planIdentifier = null, amount = 0, preferredProvider = null }) {
+    const candidateIds = this.getCandidateIds(serviceType, network, preferredProvider);
+    if (!candidateIds.length) return [];
+
+    const [statuses, windows, costs, balances, capacity] = await Promise.all([
+      ProviderStatus.find({ providerName: { $in: candidateIds } }),
+      MaintenanceService.getActiveWindows(),
+      this.getCostPrices(serviceType, network, planIdentifier, candidateIds).catch((error) => {
+        logger.warn(`Routing cost lookup failed for ${serviceType}/${network}: ${error.message}`);
+        return new Map();
+      }),
+      Promise.all(candidateIds.map((providerId) => this.getCachedBalance(providerId))),
+      Promise.all(candidateIds.map((providerId) => ProviderRateLimiter.hasCapacity(providerId))),
+    ]);
+
+    const statusMap = new Map(statuses.map((status) => [status.providerName, status]));
+    const preferredId = preferredProvider ? vtuConfig.normalizeProviderId(preferredProvider) : null;
+    const fallbackIds = statusMap.get(preferredId)?.fallbackTo || [];
+    const weights = this.getWeights();
+    const maxLatency = this.getMaxLatencyMs();
+    const lowestCost = costs.size ? Math.min(...costs.values()) : null;
+    const requiredAmount = Number(amount) || 0;
+
+    const ranked = [];
+    candidateIds.forEach((providerId, index) => {
+      const status = statusMap.get(providerId);
+      if (status && !status.isAvailable()) return;
+      if (MaintenanceService.findProviderWindow(windows, providerId, { serviceType, network })) return;
+
+      const successRate = typeof status?.successRate === 'number' ? status.successRate : 100;
+      const latencyMs = Number(status?.averageResponseTime) || 0;
+      const costPrice = costs.get(providerId) ?? null;
+      const balance = balances[index];
+
+      const latencyFactor = 1 - Math.min(latencyMs, maxLatency) / maxLatency;
+      const costFactor = costPrice && lowestCost ? lowestCost / costPrice : 0.5;
+      let balanceFactor = 0.5;
+      if (balance !== null) {
+        balanceFactor = balance >= requiredAmount ? 1 : 0;
+      }
+
+      let score = weights.successRate * (successRate / 100)
+        + weights.latency * latencyFactor
+        + weights.cost * costFactor
+        + weights.balance * balanceFactor;
+
+      if (providerId === preferredId) {
+        score += weights.preferred;
+      } else if (fallbackIds.includes(providerId)) {
+        score += weights.preferred / 2;
+      }
+
+      ranked.push({
+        providerId,
+        score: Number(score.toFixed(4)),
+        successRate,
+        latencyMs,
+        costPrice,
+        balance,
+        priority: status?.priority ?? vtuConfig.providers[providerId]?.priority ?? 99,
+        throttled: !capacity[index],
+        demoted: successRate < VtuProviderService.AUTO_FAILOVER_THRESHOLD
+          || (balance !== null && balance < requiredAmount)
+          || !capacity[index],
+      });
+    });
+
+    return ranked
+      .sort((a, b) => (a.demoted - b.demoted) || (b.score - a.score) || (a.priority - b.priority))
+      .slice(0, this.getMaxAttempts());
+  }
+
+  // True only when the provider clearly did not take the order, so the next
+  // provider can be tried against the same wallet hold: an explicit
+  // rejection, a connection that never opened, or a 4xx answer. Anything
+  // else (timeouts, duplicate-reference conflicts, resets, 5xx, unknown
+  // errors) may have placed the order and is left to polling, which
+  // requeries the provider by reference.
+  static isDefinitiveFailure(error) {
+    if (!error) return false;
+    if (typeof error.definitive === 'boolean') return error.definitive;
+
+    if (UNSENT_ERROR_CODES.includes(getProviderErrorCode(error))) return true;
+
+    const httpStatus = getProviderHttpStatus(error);
+    return httpStatus >= 400 && httpStatus < 500 && !AMBIGUOUS_HTTP_STATUSES.includes(httpStatus);
+  }
+
+  // Purchase result used when a provider may have taken the order but did
+  // not confirm it; the transaction stays pending and polling settles it.
+  static unconfirmedOrder(reference, error) {
+    return {
+      status: 'unknown',
+      orderId: null,
+      requestId: reference,
+      message: `Provider did not confirm the order: ${error?.message || 'no response'}`,
+      callbackUrl: null,
+      response: null,
+      raw: { error: error?.message || null },
+    };
+  }
+
+  static startAttempt(providerId, score = null) {
+    return { provider: providerId, score, startedAt: new Date() };
+  }
+
+  /**
+   * Appends an attempt to transaction.metadata.providerAttempts and feeds
+   * the outcome back into ProviderStatus. Outcomes: accepted, failed,
+   * skipped (never sent), ambiguous (sent, result unknown).
+   */
+  static recordAttempt(transaction, attempt, { outcome, error = null, orderId = null } = {}) {
+    const latencyMs = Date.now() - new Date(attempt.startedAt).getTime();
+    const entry = {
+      ...attempt,
+      latencyMs,
+      outcome,
+      orderId,
+      error: error ? String(error.message || error).slice(0, 300) : null,
+    };
+
+    const metadata = transaction.metadata || {};
+    metadata.providerAttempts = [...(metadata.providerAttempts || []), entry].slice(-ATTEMPT_HISTORY_LIMIT);
+    transaction.metadata = metadata;
+    if (typeof transaction.markModified === 'function') {
+      transaction.markModified('metadata');
+    }
+
+    if (outcome !== 'skipped') {
+      const track = outcome === 'accepted'
+        ? VtuProviderService.markProviderSuccess(attempt.provider, latencyMs)
+        : VtuProviderService.markProviderFailure(attempt.provider, latencyMs);
+      track.catch((trackError) => {
+        logger.warn(`Failed to record routing outcome for ${attempt.provider}: ${trackError.message}`);
+      });
+    }
+
+    if (outcome === 'accepted') {
+      this.invalidateBalance(attempt.provider);
+    }
+
+    return entry;
+  }
+}
+
+module.exports = ProviderRoutingService;
@@ -0,0 +1,574 @@
+const ProviderStatement = require('../models/ProviderStatement');
+const Transaction = require('../models/Transaction');
+const Settings = require('../models/Settings');
+const AdminLog = require('../models/AdminLog');
+const TransactionService = require('./transactionService');
+const VtuPollingService = require('./vtuPollingService');
+const vtuConfig = require('../config/vtuProviders');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { parseSpreadsheet } = require('../utils/importUtils');
+
+const MAPPING_KEY_PREFIX = 'reconciliation.statementMapping.';
+const LOOKUP_CHUNK_SIZE = 1000;
+const TRANSACTION_FIELDS = 'reference status amount totalAmount metadata.providerAmount provider.name provider.providerReference service.provider service.requestId createdAt';
+
+const DEFAULT_MAPPING = {
+  columns: {
+    providerReference: 'reference',
+    requestId: 'request_id',
+    amount: 'amount',
+    status: 'status',
+    date: 'date',
+  },
+  chargedStatuses: ['successful', 'success', 'completed', 'delivered', 'charged'],
+  amountTolerance: 0,
+  dayFirst: true,
+};
+
+const ITEM_ACTIONS = {
+  charged_failed_locally: ['repoll', 'ignore'],
+  charged_pending_locally: ['repoll', 'ignore'],
+  missing_from_statement: ['repoll', 'refund', 'ignore'],
+  amount_mismatch: ['repoll', 'ignore'],
+  unmatched: ['ignore'],
+};
+
+const FAILED_STATUSES = ['failed', 'refunded', 'cancelled'];
+const PENDING_STATUSES = ['pending', 'processing'];
+
+function round2(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function parseAmount(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const amount = Number(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(amount) ? Math.abs(amount) : null;
+}
+
+function parseDate(value, dayFirst = true) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const serial = Number(text);
+  if (Number.isFinite(serial) && serial > 20000 && serial < 80000) {
+    return new Date(Math.round((serial - 25569) * 86400000));
+  }
+
+  const parts = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (parts) {
+    const [first, second] = [Number(parts[1]), Number(parts[2])];
+    const year = Number(parts[3]) < 100 ? 2000 + Number(parts[3]) : Number(parts[3]);
+    const [day, month] = dayFirst ? [first, second] : [second, first];
+    const date = new Date(year, month - 1, day, Number(parts[4] || 0), Number(parts[5] || 0), Number(parts[6] || 0));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function localCost(transaction) {
+  return round2(transaction.metadata?.providerAmount ?? transaction.amount);
+}
+
+/**
+ * Reconciles provider statements against our transactions.
+ *
+ * Each uploaded CSV/XLSX line is matched to a Transaction by the provider's
+ * reference (provider.providerReference) or our request id
+ * (service.requestId, falling back to reference). Discrepancies are stored
+ * on the ProviderStatement so they can be exported and resolved one by one.
+ */
+class ProviderStatementService {
+  static getMappingKey(providerId) {
+    return `${MAPPING_KEY_PREFIX}${providerId}`;
+  }
+
+  static async getMapping(providerId) {
+    const doc = await Settings.findOne({ key: this.getMappingKey(providerId) }).lean();
+    const stored = doc?.value || {};
+    return {
+      ...DEFAULT_MAPPING,
+      ...stored,
+      columns: { ...DEFAULT_MAPPING.columns, ...(stored.columns || {}) },
+    };
+  }
+
+  static normalizeMapping(input = {}) {
+    const mapping = {};
+
+    if (input.columns !== undefined) {
+      if (!input.columns || typeof input.columns !== 'object' || Array.isArray(input.columns)) {
+        throw new AppError('columns must be an object of field to header name', 400);
+      }
+      mapping.columns = {};
+      for (const [field, header] of Object.entries(input.columns)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_MAPPING.columns, field)) {
+          throw new AppError(`Unknown column field ${field}. Expected one of: ${Object.keys(DEFAULT_MAPPING.columns).join(', ')}`, 400);
+        }
+        mapping.columns[field] = header === null ? null : String(header).trim();
+      }
+    }
+
+    if (input.chargedStatuses !== undefined) {
+      if (!Array.isArray(input.chargedStatuses)) {
+        throw new AppError('chargedStatuses must be an array', 400);
+      }
+      mapping.chargedStatuses = input.chargedStatuses.map((status) => String(status).trim().toLowerCase()).filter(Boolean);
+    }
+
+    if (input.amountTolerance !== undefined) {
+      const tolerance = Number(input.amountTolerance);
+      if (!Number.isFinite(tolerance) || tolerance < 0) {
+        throw new AppError('amountTolerance must be a non-negative number', 400);
+      }
+      mapping.amountTolerance = tolerance;
+    }
+
+    if (input.dayFirst !== undefined) {
+      mapping.dayFirst = input.dayFirst === true || input.dayFirst === 'true';
+    }
+
+    return mapping;
+  }
+
+  static async setMapping(providerId, input, actor = {}) {
+    const current = await this.getMapping(providerId);
+    const patch = this.normalizeMapping(input);
+    const mapping = {
+      ...current,
+      ...patch,
+      columns: { ...current.columns, ...(patch.columns || {}) },
+    };
+
+    if (!mapping.columns.amount || (!mapping.columns.providerReference && !mapping.columns.requestId)) {
+      throw new AppError('Mapping needs an amount column and a providerReference or requestId column', 400);
+    }
+
+    await Settings.findOneAndUpdate(
+      { key: this.getMappingKey(providerId) },
+      {
+        key: this.getMappingKey(providerId),
+        category: 'other',
+        value: mapping,
+        description: `Statement column mapping for ${providerId}`,
+        updatedBy: actor.admin?._id,
+      },
+      { upsert: true, new: true }
+    );
+
+    await AdminLog.log({
+      admin: actor.admin?._id,
+      adminEmail: actor.admin?.email,
+      adminRole: actor.admin?.role,
+      action: 'update',
+      entity: 'provider',
+      changes: { old: current, new: mapping },
+      description: `Statement mapping for ${providerId} updated by ${actor.admin?.email || 'system'}`,
+      ipAddress: actor.ipAddress,
+      userAgent: actor.userAgent,
+      status: 'success',
+      metadata: { providerId },
+    });
+
+    return mapping;
+  }
+
+  static resolveColumns(headers, mapping) {
+    const lookup = new Map(headers.map((header) => [header.toLowerCase(), header]));
+    const resolved = {};
+    const missing = [];
+
+    for (const [field, header] of Object.entries(mapping.columns)) {
+      if (!header) continue;
+      const match = lookup.get(String(header).toLowerCase());
+      if (match) {
+        resolved[field] = match;
+      } else if (['amount', 'providerReference', 'requestId'].includes(field)) {
+        missing.push(`${field} (${header})`);
+      }
+    }
+
+    if (!resolved.amount || (!resolved.providerReference && !resolved.requestId)) {
+      throw new AppError(
+        `Statement is missing mapped columns: ${missing.join(', ')}. Found: ${headers.filter(Boolean).join(', ')}`,
+        400
+      );
+    }
+
+    return resolved;
+  }
+
+  static readLines(rows, columns, mapping) {
+    const chargedStatuses = new Set(mapping.chargedStatuses);
+    const lines = [];
+    let skipped = 0;
+
+    for (const { line, data } of rows) {
+      const providerReference = columns.providerReference ? data[columns.providerReference] : '';
+      const requestId = columns.requestId ? data[columns.requestId] : '';
+      const amount = parseAmount(data[columns.amount]);
+      if ((!providerReference && !requestId) || amount === null) {
+        skipped += 1;
+        continue;
+      }
+
+      const status = columns.status ? String(data[columns.status] || '').trim() : '';
+      lines.push({
+        line,
+        providerReference: providerReference || null,
+        requestId: requestId || null,
+        amount,
+        status: status || null,
+        // A statement without a status column lists charges only.
+        charged: !status || chargedStatuses.has(status.toLowerCase()),
+        date: columns.date ? parseDate(data[columns.date], mapping.dayFirst) : null,
+      });
+    }
+
+    return { lines, skipped };
+  }
+
+  static getProviderNames(providerId) {
+    const names = new Set([providerId]);
+    const source = vtuConfig.providers[providerId]?.source;
+    if (source) names.add(source);
+    for (const [alias, target] of Object.entries(vtuConfig.providerAliases || {})) {
+      if (target === providerId) names.add(alias);
+    }
+    return [...names];
+  }
+
+  static async findMatchedTransactions(lines) {
+    const providerReferences = [...new Set(lines.map((line) => line.providerReference).filter(Boolean))];
+    const requestIds = [...new Set(lines.map((line) => line.requestId).filter(Boolean))];
+    const transactions = [];
+
+    for (const references of chunk(providerReferences, LOOKUP_CHUNK_SIZE)) {
+      transactions.push(...await Transaction.find({ 'provider.providerReference': { $in: references } }).select(TRANSACTION_FIELDS).lean());
+    }
+    for (const ids of chunk(requestIds, LOOKUP_CHUNK_SIZE)) {
+      transactions.push(...await Transaction.find({
+        $or: [{ 'service.requestId': { $in: ids } }, { reference: { $in: ids } }],
+      }).select(TRANSACTION_FIELDS).lean());
+    }
+
+    const byProviderReference = new Map();
+    const byRequestId = new Map();
+    for (const transaction of transactions) {
+      if (transaction.provider?.providerReference) byProviderReference.set(transaction.provider.providerReference, transaction);
+      if (transaction.service?.requestId) byRequestId.set(transaction.service.requestId, transaction);
+      byRequestId.set(transaction.reference, transaction);
+    }
+
+    return { byProviderReference, byRequestId };
+  }
+
+  static buildItem(type, line, transaction, extra = {}) {
+    return {
+      type,
+      line: line?.line,
+      transaction: transaction?._id || null,
+      transactionReference: transaction?.reference,
+      providerReference: line?.providerReference || transaction?.provider?.providerReference,
+      requestId: line?.requestId || transaction?.service?.requestId,
+      localStatus: transaction?.status,
+      statementStatus: line?.status || undefined,
+      localAmount: transaction ? localCost(transaction) : undefined,
+      statementAmount: line?.amount,
+      statementDate: line?.date || undefined,
+      resolution: { status: 'open' },
+      ...extra,
+    };
+  }
+
+  static async reconcile(providerId, file, { periodStart = null, periodEnd = null, actor = {} } = {}) {
+    if (!file?.buffer?.length) {
+      throw new AppError('Upload the provider statement as a CSV or XLSX file', 400);
+    }
+
+    let parsed;
+    try {
+      parsed = parseSpreadsheet(file.buffer, file.originalname);
+    } catch (error) {
+      throw new AppError(`Could not read statement: ${error.message}`, 400);
+    }
+    if (!parsed.rows.length) {
+      throw new AppError('Statement file has no data rows', 400);
+    }
+
+    const mapping = await this.getMapping(providerId);
+    const columns = this.resolveColumns(parsed.headers, mapping);
+    const { lines, skipped } = this.readLines(parsed.rows, columns, mapping);
+
+    const dates = lines.map((line) => line.date).filter(Boolean).sort((a, b) => a - b);
+    const start = periodStart ? parseDate(periodStart, mapping.dayFirst) : dates[0];
+    const end = periodEnd ? parseDate(periodEnd, mapping.dayFirst) : dates[dates.length - 1];
+    if (!start || !end || start > end) {
+      throw new AppError('Provide periodStart and periodEnd, or map a date column so the statement period can be derived', 400);
+    }
+    // Date-only statements cover the whole of their last day.
+    if (end.getHours() === 0 && end.getMinutes() === 0 && end.getSeconds() === 0) {
+      end.setHours(23, 59, 59, 999);
+    }
+
+    const { byProviderReference, byRequestId } = await this.findMatchedTransactions(lines);
+    const periodTransactions = await Transaction.find({
+      status: 'successful',
+      createdAt: { $gte: start, $lte: end },
+      $or: [
+        { 'service.provider': { $in: this.getProviderNames(providerId) } },
+        { 'provider.name': { $in: this.getProviderNames(providerId) } },
+      ],
+    }).select(TRANSACTION_FIELDS).lean();
+
+    const items = [];
+    const chargedTransactions = new Set();
+    const notChargedLines = new Map();
+    const candidates = new Map(periodTransactions.map((transaction) => [String(transaction._id), transaction]));
+    let matched = 0;
+    let statementTotal = 0;
+    let localTotal = 0;
+
+    for (const line of lines) {
+      const transaction = byProviderReference.get(line.providerReference) || byRequestId.get(line.requestId);
+
+      if (!line.charged) {
+        if (transaction?.status === 'successful') {
+          notChargedLines.set(String(transaction._id), line);
+          candidates.set(String(transaction._id), transaction);
+        }
+        continue;
+      }
+
+      statementTotal += line.amount;
+      if (!transaction) {
+        items.push(this.buildItem('unmatched', line, null));
+        continue;
+      }
+
+      matched += 1;
+      chargedTransactions.add(String(transaction._id));
+
+      if (FAILED_STATUSES.includes(transaction.status)) {
+        items.push(this.buildItem('charged_failed_locally', line, transaction));
+      } else if (PENDING_STATUSES.includes(transaction.status)) {
+        items.push(this.buildItem('charged_pending_locally', line, transaction));
+      } else {
+        const difference = round2(line.amount - localCost(transaction));
+        localTotal += localCost(transaction);
+        if (Math.abs(difference) > mapping.amountTolerance) {
+          items.push(this.buildItem('amount_mismatch', line, transaction, { difference }));
+        }
+      }
+    }
+
+    for (const [id, transaction] of candidates.entries()) {
+      if (chargedTransactions.has(id)) continue;
+      items.push(this.buildItem('missing_from_statement', notChargedLines.get(id), transaction));
+    }
+
+    const byType = items.reduce((acc, item) => ({ ...acc, [item.type]: (acc[item.type] || 0) + 1 }), {});
+    const statement = await ProviderStatement.create({
+      provider: providerId,
+      fileName: file.originalname,
+      format: parsed.format,
+      mapping,
+      periodStart: start,
+      periodEnd: end,
+      summary: {
+        lines: parsed.rows.length,
+        charged: lines.filter((line) => line.charged).length,
+        matched,
+        skipped,
+        statementTotal: round2(statementTotal),
+        localTotal: round2(localTotal),
+        discrepancies: items.length,
+        byType,
+      },
+      items,
+      uploadedBy: actor.admin?._id,
+    });
+
+    await AdminLog.log({
+      admin: actor.admin?._id,
+      adminEmail: actor.admin?.email,
+      adminRole: actor.admin?.role,
+      action: 'import',
+      entity: 'provider',
+      entityId: statement._id,
+      description: `Statement ${file.originalname} for ${providerId} reconciled by ${actor.admin?.email || 'system'}: ${items.length} discrepancies`,
+      ipAddress: actor.ipAddress,
+      userAgent: actor.userAgent,
+      status: 'success',
+      metadata: { providerId, summary: statement.summary },
+    });
+
+    logger.info(`Provider statement ${statement._id} for ${providerId}: ${matched}/${lines.length} matched, ${items.length} discrepancies`);
+    return statement;
+  }
+
+  static async list(filters = {}, { page = 1, limit = 20 } = {}) {
+    const resolvedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const resolvedPage = Math.max(parseInt(page, 10) || 1, 1);
+    const query = {};
+    if (filters.provider) query.provider = vtuConfig.normalizeProviderId(filters.provider);
+
+    const [statements, total] = await Promise.all([
+      ProviderStatement.find(query)
+        .sort({ createdAt: -1 })
+        .skip((resolvedPage - 1) * resolvedLimit)
+        .limit(resolvedLimit)
+        .select('-items -mapping')
+        .lean(),
+      ProviderStatement.countDocuments(query),
+    ]);
+
+    return {
+      statements,
+      pagination: {
+        page: resolvedPage,
+        limit: resolvedLimit,
+        total,
+        pages: Math.ceil(total / resolvedLimit),
+      },
+    };
+  }
+
+  static async getById(statementId) {
+    return ProviderStatement.findById(statementId).lean();
+  }
+
+  static async getReportRows(statementId) {
+    const statement = await this.getById(statementId);
+    if (!statement) return null;
+
+    return {
+      statement,
+      rows: statement.items.map((item) => ({
+        itemId: item._id,
+        type: item.type,
+        line: item.line,
+        transactionReference: item.transactionReference,
+        providerReference: item.providerReference,
+        requestId: item.requestId,
+        localStatus: item.localStatus,
+        statementStatus: item.statementStatus,
+        localAmount: item.localAmount,
+        statementAmount: item.statementAmount,
+        difference: item.difference,
+        statementDate: item.statementDate,
+        resolution: item.resolution?.status,
+        action: item.resolution?.action,
+        note: item.resolution?.note,
+      })),
+    };
+  }
+
+  static async runAction(item, action, { actor = {}, note = null } = {}) {
+    if (action === 'ignore') {
+      return { status: 'resolved', result: null };
+    }
+
+    const transaction = await Transaction.findById(item.transaction);
+    if (!transaction) {
+      throw new AppError('The transaction for this line no longer exists', 409);
+    }
+
+    if (action === 'repoll') {
+      if (PENDING_STATUSES.includes(transaction.status)) {
+        const result = await VtuPollingService.pollTransaction(transaction._id);
+        return { status: result.completed ? 'resolved' : 'open', result };
+      }
+
+      // Terminal transactions are not moved; the provider's answer is kept for the admin.
+      const providerStatus = await VtuPollingService.fetchProviderStatus(transaction);
+      return {
+        status: 'open',
+        result: {
+          localStatus: transaction.status,
+          providerState: providerStatus.state,
+          providerReference: providerStatus.providerReference,
+          note: providerStatus.note,
+        },
+      };
+    }
+
+    const refund = await TransactionService.refundFailedTransaction(transaction._id, {
+      allowedStatuses: ['successful'],
+      note: note || `Refunded after statement reconciliation: not charged by ${transaction.service?.provider || 'provider'}`,
+    });
+
+    await AdminLog.log({
+      admin: actor.admin?._id,
+      adminEmail: actor.admin?.email,
+      adminRole: actor.admin?.role,
+      action: 'refund',
+      entity: 'transaction',
+      entityId: transaction._id,
+      description: `Transaction ${transaction.reference} refunded from statement reconciliation by ${actor.admin?.email || 'system'}`,
+      ipAddress: actor.ipAddress,
+      userAgent: actor.userAgent,
+      status: 'success',
+      metadata: {
+        originalTransaction: transaction.reference,
+        refundTransaction: refund.reference,
+        reason: note,
+      },
+    });
+
+    return { status: 'resolved', result: { refundReference: refund.reference } };
+  }
+
+  static async resolveItem(statementId, itemId, action, { actor = {}, note = null } = {}) {
+    const statement = await ProviderStatement.findById(statementId);
+    if (!statement) {
+      throw new AppError('Statement not found', 404);
+    }
+
+    const item = statement.items.id(itemId);
+    if (!item) {
+      throw new AppError('Statement item not found', 404);
+    }
+    if (item.resolution?.status === 'resolved') {
+      throw new AppError('Statement item is already resolved', 409);
+    }
+    if (!ITEM_ACTIONS[item.type].includes(action)) {
+      throw new AppError(`${action} is not available for ${item.type} items. Use one of: ${ITEM_ACTIONS[item.type].join(', ')}`, 400);
+    }
+
+    let outcome;
+    let failure = null;
+    try {
+      outcome = await this.runAction(item, action, { actor, note });
+    } catch (error) {
+      failure = error;
+      outcome = { status: 'failed', result: { message: error.message } };
+    }
+
+    item.resolution = {
+      action,
+      status: outcome.status,
+      result: outcome.result,
+      note: note || undefined,
+      resolvedBy: actor.admin?._id,
+      resolvedAt: new Date(),
+    };
+    await statement.save();
+
+    if (failure) throw failure;
+    return item;
+  }
+}
+
+module.exports = ProviderStatementService;
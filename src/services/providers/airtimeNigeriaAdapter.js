@@ -0,0 +1,86 @@
+const BaseProviderAdapter = require('./baseProviderAdapter');
+const AirtimeNigeriaService = require('../airtimeNigeriaService');
+const vtuConfig = require('../../config/vtuProviders');
+
+class AirtimeNigeriaAdapter extends BaseProviderAdapter {
+  static source = 'airtimenigeria';
+
+  static displayName = 'AirtimeNigeria';
+
+  static getWebhookUrl() {
+    return this.getCallbackUrl('/api/v1/telecom/webhook/airtimenigeria');
+  }
+
+  static getDeliveryState(status) {
+    if (AirtimeNigeriaService.isSuccessfulDeliveryStatus(status)) return 'successful';
+    if (AirtimeNigeriaService.isFailedDeliveryStatus(status)) return 'failed';
+    if (AirtimeNigeriaService.isPendingDeliveryStatus(status)) return 'pending';
+    return 'unknown';
+  }
+
+  static async purchaseData({ phoneNumber, plan = {}, planIdentifier, reference }) {
+    const callbackUrl = this.getWebhookUrl();
+    const response = await AirtimeNigeriaService.purchaseData({
+      phone: phoneNumber,
+      variationCode: plan?.variationCode,
+      packageCode: plan?.planCode || plan?.providerPlanId || planIdentifier,
+      planId: plan?.providerPlanId,
+      callbackUrl,
+      customerReference: reference,
+    });
+
+    return this.normalizeOrder(response, { requestId: reference, callbackUrl });
+  }
+
+  static async purchaseAirtime({ network, phoneNumber, amount, reference }) {
+    const callbackUrl = this.getWebhookUrl();
+    const response = await AirtimeNigeriaService.purchaseAirtime({
+      network,
+      phone: phoneNumber,
+      amount,
+      maxAmount: amount,
+      callbackUrl,
+      customerReference: reference,
+    });
+
+    return this.normalizeOrder(response, { requestId: reference, callbackUrl, accepted: response.success });
+  }
+
+  // AirtimeNigeria has no status lookup; orders settle through its callback.
+  static async queryStatus(transaction) {
+    return this.pendingStatus(transaction, 'Awaiting AirtimeNigeria callback confirmation');
+  }
+
+  static async getBalance() {
+    const result = await AirtimeNigeriaService.getWalletBalance();
+    const wallets = result?.data || {};
+
+    return {
+      ...this.normalizeBalance(result),
+      balance:
+        Number(wallets.universalWallet) ||
+        Number(wallets.mtnDataWallet) ||
+        Number(wallets.airtelEdsWallet) ||
+        Number(wallets.gloCgWallet) ||
+        Number(wallets.smsWallet) ||
+        0,
+    };
+  }
+
+  static async listPlans(network = null) {
+    const rawPlans = await AirtimeNigeriaService.getDataPlans(network);
+    return vtuConfig.transformDataPlans(this.source, rawPlans) || {};
+  }
+
+  static parseWebhook(payload) {
+    return AirtimeNigeriaService.verifyCallbackBatch(payload).map((item) => ({
+      reference: item.customerReference,
+      orderId: item.reference,
+      state: this.getDeliveryState(item.status),
+      note: item.message,
+      raw: item,
+    }));
+  }
+}
+
+module.exports = AirtimeNigeriaAdapter;
@@ -0,0 +1,100 @@
+const BaseProviderAdapter = require('./baseProviderAdapter');
+const AlrahuzDataService = require('../alrahuzDataService');
+const AlrahuzDataReconciliationService = require('../alrahuzDataReconciliationService');
+const vtuConfig = require('../../config/vtuProviders');
+
+function hasGroupedPlans(groupedPlans = {}) {
+  if (!groupedPlans || typeof groupedPlans !== 'object') return false;
+  return Object.values(groupedPlans).some((plans) => Array.isArray(plans) && plans.length > 0);
+}
+
+class AlrahuzDataAdapter extends BaseProviderAdapter {
+  static source = 'alrahuzdata';
+
+  static displayName = 'AlrahuzData';
+
+  static reconcilesOnPurchase = true;
+
+  static async purchaseData({ network, phoneNumber, plan = {}, planIdentifier, reference }) {
+    const response = await AlrahuzDataService.purchaseData({
+      network,
+      planId: plan?.providerPlanId || plan?.planCode || plan?.planName || planIdentifier,
+      phoneNumber,
+      customReference: reference,
+    });
+
+    return this.normalizeOrder(response, { requestId: reference });
+  }
+
+  static async purchaseAirtime({ network, phoneNumber, amount, reference }) {
+    const response = await AlrahuzDataService.purchaseAirtime({
+      network,
+      amount,
+      phoneNumber,
+      customReference: reference,
+    });
+
+    const accepted = ['success', 'pending'].includes(String(response.status || '').toLowerCase());
+    return this.normalizeOrder(response, { requestId: reference, accepted });
+  }
+
+  // Alrahuz settles most data orders within seconds, so the order is queried
+  // straight away instead of waiting for the first poll.
+  static async reconcilePurchase(transaction, orderId) {
+    return AlrahuzDataReconciliationService.reconcileTransaction(transaction, orderId);
+  }
+
+  // Only data orders can be looked up by id; airtime top-ups stay pending
+  // until the polling timeout settles them.
+  static async queryStatus(transaction) {
+    const orderId = transaction.service?.orderId;
+    if (transaction.type !== 'data_recharge' || !orderId) {
+      return this.pendingStatus(transaction);
+    }
+
+    let result;
+    try {
+      result = await AlrahuzDataService.getDataTransactionById(orderId);
+    } catch (error) {
+      return this.pendingStatus(transaction, error.message || 'AlrahuzData transaction is not yet queryable');
+    }
+
+    const notes = {
+      successful: 'Provider confirmed successful delivery',
+      pending: 'Provider is still processing the order',
+      failed: 'Provider reported a failed transaction',
+    };
+
+    return {
+      state: result.status,
+      provider: this.source,
+      providerReference: result.reference || orderId,
+      note: result.message || notes[result.status],
+      raw: result.raw,
+    };
+  }
+
+  static async getBalance() {
+    return this.normalizeBalance(await AlrahuzDataService.getWalletBalance());
+  }
+
+  static async listPlans(network = null) {
+    const rawPlans = await AlrahuzDataService.getDataPlans(network);
+    if (!rawPlans) return {};
+
+    if (rawPlans.data && typeof rawPlans.data === 'object' && !Array.isArray(rawPlans.data) && hasGroupedPlans(rawPlans.data)) {
+      return rawPlans.data;
+    }
+
+    if (rawPlans.raw) {
+      const fromRaw = vtuConfig.transformDataPlans(this.source, rawPlans.raw) || {};
+      if (hasGroupedPlans(fromRaw)) {
+        return fromRaw;
+      }
+    }
+
+    return vtuConfig.transformDataPlans(this.source, rawPlans) || {};
+  }
+}
+
+module.exports = AlrahuzDataAdapter;
@@ -0,0 +1,50 @@
+const BaseProviderAdapter = require('./baseProviderAdapter');
+const ArewaService = require('../arewaService');
+
+class ArewaAdapter extends BaseProviderAdapter {
+  static source = 'arewa';
+
+  static displayName = 'Arewa';
+
+  static async purchaseData({ phoneNumber, plan = {}, planIdentifier, reference }) {
+    const response = await ArewaService.purchaseSmileData({
+      phoneNumber,
+      bundleTypeCode: String(plan?.bundleTypeCode || plan?.providerPlanId || planIdentifier),
+    });
+
+    const { state } = ArewaService.classifyResponse({
+      status: response?.response?.status || (response?.success ? 'success' : ''),
+      msg: response?.msg || response?.response?.msg,
+    });
+
+    return {
+      status: state,
+      orderId: null,
+      requestId: reference,
+      message: response.msg || null,
+      callbackUrl: null,
+      response: response.response,
+      raw: response,
+    };
+  }
+
+  static async getBalance() {
+    return this.normalizeBalance(await ArewaService.getBalance());
+  }
+
+  static async listPlans() {
+    const { packages } = await ArewaService.getSmilePackages();
+    return { smile: packages };
+  }
+
+  static async verifyCustomer({ serviceType, customerId }) {
+    if (serviceType !== 'smile_data') {
+      throw this.unsupported(`verifyCustomer for ${serviceType}`);
+    }
+
+    const result = await ArewaService.verifySmileAccount({ phoneNumber: customerId });
+    return { valid: result.valid, customerName: result.customerName, raw: result };
+  }
+}
+
+module.exports = ArewaAdapter;
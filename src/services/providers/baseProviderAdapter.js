@@ -0,0 +1,153 @@
+const { AppError } = require('../../middlewares/errorHandler');
+const WebhookVerificationService = require('../webhookVerificationService');
+
+const SERVER_URL = process.env.SERVER_URL || 'https://api.yareemadata.com';
+
+/**
+ * Contract every VTU provider adapter implements. Adapters translate our
+ * normalized calls into the provider service's own method names and map the
+ * provider's responses back into the shapes documented below.
+ *
+ * Purchase results:
+ *   { status: 'successful'|'pending'|'failed'|'unknown', orderId, requestId,
+ *     message, callbackUrl, response, raw }
+ * Status results (queryStatus):
+ *   { state: 'successful'|'pending'|'failed', provider, providerReference, note, raw }
+ * Webhook events (parseWebhook):
+ *   [{ reference, orderId, state: 'successful'|'pending'|'failed'|'unknown', note, raw }]
+ */
+class BaseProviderAdapter {
+  static source = null;
+
+  static displayName = 'Provider';
+
+  // Adapters that can settle an order right after purchase set this and
+  // implement reconcilePurchase; everyone else is left to polling.
+  static reconcilesOnPurchase = false;
+
+  static CAPABILITIES = [
+    'purchaseData',
+    'purchaseAirtime',
+    'queryStatus',
+    'getBalance',
+    'listPlans',
+    'verifyCustomer',
+    'parseWebhook',
+  ];
+
+  static supports(capability) {
+    return this.CAPABILITIES.includes(capability)
+      && this[capability] !== BaseProviderAdapter[capability];
+  }
+
+  static getCapabilities() {
+    return this.CAPABILITIES.filter((capability) => this.supports(capability));
+  }
+
+  static unsupported(capability) {
+    return new AppError(`${this.displayName} does not support ${capability}`, 501);
+  }
+
+  static getCallbackUrl(path) {
+    return WebhookVerificationService.withCallbackToken(this.source, `${SERVER_URL}${path}`);
+  }
+
+  static isExplicitFailure(response = {}) {
+    return response?.failed === true
+      || response?.reversed === true
+      || response?.status === 'failed'
+      || response?.status === 'error'
+      || response?.status === 'reversed';
+  }
+
+  // Most providers only acknowledge an order at purchase time; delivery is
+  // confirmed later through polling or a callback.
+  static normalizeOrder(response = {}, { requestId = null, callbackUrl = null, accepted } = {}) {
+    const isAccepted = accepted ?? (
+      response.success
+      || response.status === 'success'
+      || response.status === 'pending'
+      || response.statusCode === '100'
+      || response.statusCode === '0'
+    );
+
+    let status = 'unknown';
+    if (isAccepted) {
+      status = 'pending';
+    } else if (this.isExplicitFailure(response)) {
+      status = 'failed';
+    }
+
+    return {
+      status,
+      orderId: response.reference
+        || response.orderId
+        || response.raw?.id
+        || response.raw?.data?.id
+        || null,
+      requestId: response.requestId || requestId,
+      message: response.message || response.note || null,
+      callbackUrl: WebhookVerificationService.stripCallbackToken(callbackUrl),
+      response: {
+        status: isAccepted ? 'ORDER_RECEIVED' : 'FAILED',
+        orderid: response.orderId || response.reference || requestId,
+        raw: response,
+      },
+      raw: response,
+    };
+  }
+
+  static pendingStatus(transaction, note = 'Awaiting provider confirmation') {
+    return {
+      state: 'pending',
+      provider: this.source,
+      providerReference: transaction.service?.orderId,
+      note,
+      raw: null,
+    };
+  }
+
+  static normalizeBalance(result = {}, currency = 'NGN') {
+    return {
+      balance: Number(result?.balance || 0),
+      currency: result?.currency || currency,
+      accountId: result?.accountId || result?.id || null,
+      phoneNumber: result?.phoneNumber || result?.phoneno || null,
+      raw: result?.raw || result,
+    };
+  }
+
+  static async purchaseData() {
+    throw this.unsupported('purchaseData');
+  }
+
+  static async purchaseAirtime() {
+    throw this.unsupported('purchaseAirtime');
+  }
+
+  static async reconcilePurchase() {
+    return null;
+  }
+
+  static async queryStatus(transaction) {
+    return this.pendingStatus(transaction);
+  }
+
+  static async getBalance() {
+    throw this.unsupported('getBalance');
+  }
+
+  static async listPlans() {
+    throw this.unsupported('listPlans');
+  }
+
+  static async verifyCustomer() {
+    throw this.unsupported('verifyCustomer');
+  }
+
+  static parseWebhook() {
+    throw this.unsupported('parseWebhook');
+  }
+}
+
+module.exports = BaseProviderAdapter;
@@ -0,0 +1,134 @@
+const BaseProviderAdapter = require('./baseProviderAdapter');
+const NelloBytesService = require('../nelloBytesService');
+const WebhookVerificationService = require('../webhookVerificationService');
+const vtuConfig = require('../../config/vtuProviders');
+
+class NelloBytesAdapter extends BaseProviderAdapter {
+  static source = 'nellobytes';
+
+  static displayName = 'NelloBytes';
+
+  static getDataCallbackUrl() {
+    return this.getCallbackUrl('/api/v1/telecom/webhook/nellobytes');
+  }
+
+  static getAirtimeCallbackUrl() {
+    return process.env.AIRTIME_CALLBACK_URL
+      ? WebhookVerificationService.withCallbackToken(this.source, process.env.AIRTIME_CALLBACK_URL)
+      : this.getCallbackUrl('/api/v1/telecom/airtime/webhook');
+  }
+
+  static async purchaseData({ network, phoneNumber, plan = {}, planIdentifier }) {
+    const callbackUrl = this.getDataCallbackUrl();
+    const response = await NelloBytesService.purchaseData({
+      network,
+      dataPlan: plan?.providerPlanId || plan?.planCode || planIdentifier,
+      mobileNumber: phoneNumber,
+      callBackURL: callbackUrl,
+    });
+
+    return this.normalizeOrder(response, { callbackUrl });
+  }
+
+  static async purchaseAirtime({ network, phoneNumber, amount, reference, bonusType = null }) {
+    const callbackUrl = this.getAirtimeCallbackUrl();
+    const response = await NelloBytesService.purchaseAirtime({
+      network,
+      amount,
+      mobileNumber: phoneNumber,
+      requestId: reference,
+      callBackURL: callbackUrl,
+      bonusType,
+    });
+
+    const providerResponse = response.response || {};
+    const state = NelloBytesService.classifyStatus({
+      statusCode: providerResponse.statuscode,
+      orderStatus: providerResponse.orderstatus,
+      rawStatus: providerResponse.status,
+    });
+
+    let status = 'unknown';
+    if (state === 'successful' || state === 'pending') {
+      status = state;
+    } else if (this.isExplicitFailure(response)) {
+      status = 'failed';
+    }
+
+    return {
+      status,
+      orderId: response.orderId || providerResponse.orderid || null,
+      requestId: response.requestId || providerResponse.requestid || reference,
+      message: providerResponse.orderremark || providerResponse.status || providerResponse.orderstatus || null,
+      callbackUrl,
+      response: providerResponse,
+      raw: response,
+    };
+  }
+
+  static async queryStatus(transaction) {
+    const raw = await NelloBytesService.queryDataTransaction({
+      orderId: transaction.service?.orderId,
+      requestId: transaction.reference,
+    });
+
+    const state = NelloBytesService.classifyStatus({ statusCode: raw.statusCode, orderStatus: raw.status });
+    const notes = {
+      successful: 'Provider confirmed successful delivery',
+      pending: 'Provider is still processing the order',
+      failed: 'Provider reported a failed transaction',
+    };
+    const resolvedState = state === 'unknown' ? 'failed' : state;
+
+    return {
+      state: resolvedState,
+      provider: this.source,
+      providerReference: raw.orderId,
+      note: raw.remark || notes[resolvedState],
+      raw,
+    };
+  }
+
+  static async getBalance() {
+    return this.normalizeBalance(await NelloBytesService.getWalletBalance());
+  }
+
+  static async listPlans(network = null) {
+    const rawPlans = await NelloBytesService.getDataPlans(network);
+    return vtuConfig.transformDataPlans(this.source, rawPlans) || {};
+  }
+
+  static async verifyCustomer({ serviceType, customerId, serviceProvider, meterType = 'prepaid' }) {
+    if (serviceType === 'electricity') {
+      const result = await NelloBytesService.verifyElectricityMeter({
+        electricCompany: serviceProvider,
+        meterNo: customerId,
+        meterType,
+      });
+      return { valid: Boolean(result.valid), customerName: result.customerName || null, raw: result };
+    }
+
+    if (serviceType === 'cable_tv') {
+      const result = await NelloBytesService.verifyCableSmartCard({
+        cableTV: serviceProvider,
+        smartCardNo: customerId,
+      });
+      return { valid: Boolean(result.valid), customerName: result.customerName || null, raw: result };
+    }
+
+    throw this.unsupported(`verifyCustomer for ${serviceType}`);
+  }
+
+  static parseWebhook(payload = {}) {
+    const fields = NelloBytesService.extractCallbackFields(payload);
+    return [{
+      reference: fields.requestId || null,
+      orderId: fields.orderId || null,
+      state: NelloBytesService.classifyStatus(fields),
+      note: fields.remark || fields.orderStatus || fields.rawStatus || null,
+      raw: payload,
+    }];
+  }
+}
+
+module.exports = NelloBytesAdapter;
@@ -0,0 +1,136 @@
+const BaseProviderAdapter = require('./baseProviderAdapter');
+const PluginngService = require('../pluginngService');
+const vtuConfig = require('../../config/vtuProviders');
+const { AppError } = require('../../middlewares/errorHandler');
+
+class PluginngAdapter extends BaseProviderAdapter {
+  static source = 'pluginng';
+
+  static displayName = 'Pluginng';
+
+  static isAccepted(response = {}) {
+    return ['success', 'pending'].includes(String(response.status || '').toLowerCase());
+  }
+
+  static getState(statusCode) {
+    if (PluginngService.isSuccessfulStatus(statusCode)) return 'successful';
+    if (PluginngService.isPendingStatus(statusCode)) return 'pending';
+    if (PluginngService.isFailedStatus(statusCode)) return 'failed';
+    return 'unknown';
+  }
+
+  static async purchaseData({ network, phoneNumber, plan = {}, planIdentifier, reference }) {
+    const subcategoryId = await PluginngService.resolvePricingSubcategoryId(plan, network, planIdentifier);
+    if (!subcategoryId) {
+      throw new AppError('Pluginng data plan is missing subcategory configuration', 400);
+    }
+
+    const response = await PluginngService.purchaseData({
+      planId: plan?.providerPlanId || plan?.planCode || plan?.planName || planIdentifier,
+      phoneNumber,
+      subcategoryId,
+      customReference: reference,
+    });
+
+    return this.normalizeOrder(response, { requestId: reference });
+  }
+
+  static async purchaseAirtime({ network, phoneNumber, amount, reference }) {
+    const subcategoryId = await PluginngService.getAirtimeSubcategoryId(network);
+    if (!subcategoryId) {
+      throw new AppError(`Pluginng airtime subcategory was not found for ${network}`, 400);
+    }
+
+    const response = await PluginngService.purchaseAirtime({
+      amount,
+      phoneNumber,
+      subcategoryId,
+      customReference: reference,
+    });
+
+    return this.normalizeOrder(response, { requestId: reference, accepted: this.isAccepted(response) });
+  }
+
+  static async queryStatus(transaction) {
+    const reference = transaction.reference || transaction.service?.orderId;
+    const result = await PluginngService.queryTransaction(reference);
+
+    let state = 'failed';
+    let note = 'Provider reported a failed transaction';
+    if (result.success) {
+      state = 'successful';
+      note = 'Provider confirmed successful delivery';
+    } else if (result.pending) {
+      state = 'pending';
+      note = 'Provider is still processing the order';
+    }
+
+    return {
+      state,
+      provider: this.source,
+      providerReference: result.orderId || reference,
+      note: result.note || note,
+      raw: result.raw,
+    };
+  }
+
+  static async getBalance() {
+    return this.normalizeBalance(await PluginngService.getWalletBalance());
+  }
+
+  static async listPlans(network = null) {
+    const rawPlans = await PluginngService.getDataPlans(network);
+    return vtuConfig.transformDataPlans(this.source, rawPlans) || {};
+  }
+
+  static async verifyCustomer({ serviceType, customerId, serviceProvider, meterType = null }) {
+    if (serviceType === 'electricity') {
+      const providers = await PluginngService.getElectricityProviders();
+      const matched = PluginngService.matchProviderItem(providers, serviceProvider);
+      if (!matched) {
+        throw new AppError('Electricity provider not found on Pluginng', 404);
+      }
+
+      const result = await PluginngService.verifyCard({
+        plan: matched.serviceID || matched.title,
+        cardno: customerId,
+        type: meterType,
+      });
+      return this.normalizeVerification(result, matched.title);
+    }
+
+    if (serviceType === 'cable_tv') {
+      const result = await PluginngService.verifyCard({
+        plan: String(serviceProvider || '').toLowerCase(),
+        cardno: customerId,
+      });
+      return this.normalizeVerification(result);
+    }
+
+    throw this.unsupported(`verifyCustomer for ${serviceType}`);
+  }
+
+  // Pluginng's verify endpoint only acknowledges the request, so a response
+  // without an explicit failure is treated as verified.
+  static normalizeVerification(result, serviceProviderName = null) {
+    const data = result?.data || result || {};
+    return {
+      valid: true,
+      customerName: data.customer_name || data.name || data.customerName || null,
+      serviceProviderName,
+      raw: result,
+    };
+  }
+
+  static parseWebhook(payload) {
+    return PluginngService.verifyCallbackBatch(payload).map((item) => ({
+      reference: item.reference,
+      orderId: item.orderId,
+      state: this.getState(item.statusCode),
+      note: item.message,
+      raw: item.raw,
+    }));
+  }
+}
+
+module.exports = PluginngAdapter;
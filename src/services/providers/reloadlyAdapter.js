@@ -0,0 +1,61 @@
+const BaseProviderAdapter = require('./baseProviderAdapter');
+const ReloadlyGiftCardService = require('../reloadlyGiftCardService');
+
+class ReloadlyAdapter extends BaseProviderAdapter {
+  static source = 'reloadly';
+
+  static displayName = 'Reloadly';
+
+  static async queryStatus(transaction) {
+    const providerReference = transaction.service?.orderId || transaction.reference;
+    let rawResponse;
+    try {
+      rawResponse = await ReloadlyGiftCardService.getTransactionById(providerReference);
+    } catch (error) {
+      return {
+        state: 'pending',
+        provider: this.source,
+        providerReference: String(providerReference),
+        note: error.message || 'Reloadly transaction is not yet queryable',
+        raw: null,
+      };
+    }
+    const raw = Array.isArray(rawResponse) ? rawResponse[0] || {} : rawResponse || {};
+    const status = String(raw.status || '').toUpperCase();
+    const reference = String(raw.transactionId || providerReference);
+
+    if (status === 'SUCCESSFUL') {
+      return {
+        state: 'successful',
+        provider: this.source,
+        providerReference: reference,
+        note: 'Reloadly confirmed successful gift card delivery',
+        raw,
+      };
+    }
+
+    if (status === 'FAILED' || status === 'REFUNDED') {
+      return {
+        state: 'failed',
+        provider: this.source,
+        providerReference: reference,
+        note: `Reloadly reported transaction as ${status || 'FAILED'}`,
+        raw,
+      };
+    }
+
+    return {
+      state: 'pending',
+      provider: this.source,
+      providerReference: reference,
+      note: `Reloadly status is ${status || 'PENDING'}`,
+      raw,
+    };
+  }
+
+  static async getBalance() {
+    return this.normalizeBalance(await ReloadlyGiftCardService.getBalance(), 'USD');
+  }
+}
+
+module.exports = ReloadlyAdapter;
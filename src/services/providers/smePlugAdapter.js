@@ -0,0 +1,106 @@
+const BaseProviderAdapter = require('./baseProviderAdapter');
+const SmePlugService = require('../smePlugService');
+const vtuConfig = require('../../config/vtuProviders');
+
+// Ledger statuses SMEPlug reports that its callback helpers do not cover.
+const SUCCESS_STATES = new Set(['order_completed']);
+const FAILURE_STATES = new Set(['reversed', 'order_cancelled']);
+
+class SmePlugAdapter extends BaseProviderAdapter {
+  static source = 'smeplug';
+
+  static displayName = 'SMEPlug';
+
+  static getDeliveryState(status) {
+    const normalized = SmePlugService.normalizeDeliveryStatus(status);
+    if (SUCCESS_STATES.has(normalized) || SmePlugService.isSuccessfulDeliveryStatus(status)) return 'successful';
+    if (FAILURE_STATES.has(normalized) || SmePlugService.isFailedDeliveryStatus(status)) return 'failed';
+    if (SmePlugService.isPendingDeliveryStatus(status)) return 'pending';
+    return 'unknown';
+  }
+
+  static async purchaseData({ network, phoneNumber, plan = {}, planIdentifier, reference }) {
+    const callbackUrl = this.getCallbackUrl('/api/v1/telecom/webhook/smeplug');
+    const response = await SmePlugService.purchaseData({
+      phone: SmePlugService.normalizePhone(phoneNumber),
+      network,
+      planId: plan?.providerPlanId || plan?.planCode || planIdentifier,
+      customerReference: reference,
+      callbackUrl,
+    });
+
+    return this.normalizeOrder(response, { requestId: reference, callbackUrl });
+  }
+
+  static async purchaseAirtime({ network, phoneNumber, amount, reference }) {
+    const callbackUrl = this.getCallbackUrl('/api/v1/telecom/webhook/smeplug');
+    const response = await SmePlugService.purchaseAirtime({
+      phone: SmePlugService.normalizePhone(phoneNumber),
+      network,
+      amount,
+      customerReference: reference,
+      callbackUrl,
+    });
+
+    return this.normalizeOrder(response, { requestId: reference, callbackUrl, accepted: response.success });
+  }
+
+  static async queryStatus(transaction) {
+    const response = await SmePlugService.getTransactions();
+    const records = response.transactions || [];
+    const orderId = transaction.service?.orderId;
+
+    const providerTransaction =
+      records.find((item) => item?.reference === orderId) ||
+      records.find((item) => item?.reference === transaction.reference) ||
+      records.find((item) => item?.customer_reference === transaction.reference);
+
+    if (!providerTransaction) {
+      return {
+        state: 'pending',
+        provider: this.source,
+        providerReference: orderId,
+        note: 'SMEPlug transaction is not yet visible in the provider ledger',
+        raw: records.slice(0, 5),
+      };
+    }
+
+    const status = providerTransaction.status || providerTransaction.delivery_status;
+    const deliveryState = this.getDeliveryState(status);
+    const state = deliveryState === 'unknown' ? 'pending' : deliveryState;
+    const notes = {
+      successful: 'Provider confirmed successful delivery',
+      pending: 'Provider is still processing the order',
+      failed: 'Provider reported a failed transaction',
+    };
+
+    return {
+      state,
+      provider: this.source,
+      providerReference: providerTransaction.reference || orderId,
+      note: providerTransaction.response || providerTransaction.message || notes[state],
+      raw: providerTransaction,
+    };
+  }
+
+  static async getBalance() {
+    return this.normalizeBalance(await SmePlugService.getWalletBalance());
+  }
+
+  static async listPlans(network = null) {
+    const rawPlans = await SmePlugService.getDataPlans(network);
+    return vtuConfig.transformDataPlans(this.source, rawPlans) || {};
+  }
+
+  static parseWebhook(payload) {
+    return SmePlugService.verifyCallbackBatch(payload).map((item) => ({
+      reference: item.customerReference,
+      orderId: item.reference,
+      state: this.getDeliveryState(item.status),
+      note: item.message,
+      raw: item,
+    }));
+  }
+}
+
+module.exports = SmePlugAdapter;
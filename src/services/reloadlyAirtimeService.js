@@ -1,6 +1,9 @@
-const axios = require('axios');
+const { createProviderClient } = require('./providerHttpClient');
 const logger = require('../utils/logger');
 const { AppError } = require('../middlewares/errorHandler');
+const CredentialVault = require('./credentialVault');
+
+const providerHttp = createProviderClient('reloadly');
 
 function parseBoolean(value, defaultValue = false) {
   if (value === undefined || value === null || value === '') {
@@ -26,15 +29,15 @@ class ReloadlyAirtimeService {
   static get config() {
     const sandbox = String(process.env.RELOADLY_AIRTIME_SANDBOX || 'true').toLowerCase() === 'true';
     return {
-      authBaseUrl: 'https://auth.reloadly.com',
-      apiBaseUrl: sandbox
+      authBaseUrl: process.env.RELOADLY_AUTH_BASE_URL || 'https://auth.reloadly.com',
+      apiBaseUrl: process.env.RELOADLY_AIRTIME_BASE_URL || (sandbox
         ? 'https://topups-sandbox.reloadly.com'
-        : 'https://topups.reloadly.com',
+        : 'https://topups.reloadly.com'),
       audience: sandbox
         ? 'https://topups-sandbox.reloadly.com'
         : 'https://topups.reloadly.com',
-      clientId: process.env.RELOADLY_CLIENT_ID || '',
-      clientSecret: process.env.RELOADLY_CLIENT_SECRET || '',
+      clientId: CredentialVault.get('reloadly', 'clientId') || process.env.RELOADLY_CLIENT_ID || '',
+      clientSecret: CredentialVault.get('reloadly', 'clientSecret') || process.env.RELOADLY_CLIENT_SECRET || '',
       timeout: Number(process.env.RELOADLY_TIMEOUT_MS || 45000),
     };
   }
@@ -58,7 +61,7 @@ class ReloadlyAirtimeService {
         audience: cfg.audience,
       });
 
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${cfg.authBaseUrl}/oauth/token`,
         formBody,
         { timeout: cfg.timeout, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
@@ -84,7 +87,7 @@ class ReloadlyAirtimeService {
     const cfg = this.config;
     const token = await this.getAccessToken();
     try {
-      const response = await axios({
+      const response = await providerHttp({
         method,
         url: `${cfg.apiBaseUrl}${path}`,
         headers: {
@@ -158,4 +161,11 @@ class ReloadlyAirtimeService {
   }
 }
 
+CredentialVault.onRotate('reloadly', () => {
+  ReloadlyAirtimeService.tokenCache = {
+    accessToken: null,
+    expiresAt: 0,
+  };
+});
+
 module.exports = ReloadlyAirtimeService;
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { AppError } = require('../middlewares/errorHandler');
+const CredentialVault = require('./credentialVault');
 
 class ReloadlyGiftCardService {
   static tokenCache = {
@@ -20,8 +21,8 @@ class ReloadlyGiftCardService {
       audience: sandbox
         ? defaultApiBaseUrl
         : (process.env.RELOADLY_GIFTCARD_AUDIENCE || defaultApiBaseUrl),
-      clientId: process.env.RELOADLY_CLIENT_ID || '',
-      clientSecret: process.env.RELOADLY_CLIENT_SECRET || '',
+      clientId: CredentialVault.get('reloadly', 'clientId') || process.env.RELOADLY_CLIENT_ID || '',
+      clientSecret: CredentialVault.get('reloadly', 'clientSecret') || process.env.RELOADLY_CLIENT_SECRET || '',
       timeout: Number(process.env.RELOADLY_TIMEOUT_MS || 45000),
     };
   }
@@ -232,4 +233,11 @@ class ReloadlyGiftCardService {
   }
 }
 
+CredentialVault.onRotate('reloadly', () => {
+  ReloadlyGiftCardService.tokenCache = {
+    accessToken: null,
+    expiresAt: 0,
+  };
+});
+
 module.exports = ReloadlyGiftCardService;
@@ -0,0 +1,648 @@
+const moment = require('moment');
+const ScheduledPurchase = require('../models/ScheduledPurchase');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const BeneficiaryService = require('./beneficiaryService');
+const NotificationService = require('./NotificationService');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const {
+  LAGOS_UTC_OFFSET_MINUTES,
+  getIntervalDays,
+  upsertScheduledPurchase,
+  removeScheduledPurchase,
+} = require('../queues/scheduledPurchaseQueue');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RUN_HISTORY_LIMIT = 20;
+
+const PAYLOAD_FIELDS = {
+  airtime: ['phoneNumber', 'network', 'amount', 'bonusType'],
+  data: ['phoneNumber', 'network', 'planId', 'dataPlan', 'dataType', 'amount'],
+  electricity: ['meterNumber', 'disco', 'meterType', 'amount', 'phoneNumber'],
+  cable_tv: ['smartCardNumber', 'provider', 'planId', 'months', 'amount'],
+};
+
+const BENEFICIARY_TYPES = {
+  airtime: 'phone',
+  data: 'phone',
+  electricity: 'meter',
+  cable_tv: 'smartcard',
+};
+
+const NOTIFICATION_TYPES = {
+  airtime: 'airtime',
+  data: 'data',
+};
+
+const SERVICE_LABELS = {
+  airtime: 'Airtime top-up',
+  data: 'Data renewal',
+  electricity: 'Electricity payment',
+  cable_tv: 'Cable TV renewal',
+};
+
+// A schedule-level failure that needs the user to act (re-authorize, contact
+// support) pauses the schedule straight away instead of counting retries.
+class ScheduleAuthorizationError extends AppError {
+  constructor(message) {
+    super(message, 403);
+    this.pauseSchedule = true;
+  }
+}
+
+class ScheduledPurchaseService {
+  static getMaxConsecutiveFailures() {
+    return Number(process.env.SCHEDULE_MAX_CONSECUTIVE_FAILURES || 3);
+  }
+
+  static getMaxActivePerUser() {
+    return Number(process.env.SCHEDULE_MAX_ACTIVE_PER_USER || 20);
+  }
+
+  static getRunLockMs() {
+    return Number(process.env.SCHEDULE_RUN_LOCK_MS || 10 * 60 * 1000);
+  }
+
+  static getPurchaseHandler(service) {
+    const telecomController = require('../controllers/telecomController');
+    const billsController = require('../controllers/billsController');
+
+    return {
+      airtime: telecomController.purchaseAirtime,
+      data: telecomController.purchaseData,
+      electricity: billsController.purchaseElectricity,
+      cable_tv: billsController.purchaseCableTV,
+    }[service];
+  }
+
+  static async buildPayload(userId, service, body = {}) {
+    if (!ScheduledPurchase.SERVICES.includes(service)) {
+      throw new AppError(`service must be one of: ${ScheduledPurchase.SERVICES.join(', ')}`, 400);
+    }
+
+    const source = { ...body };
+    let beneficiary;
+
+    if (body.beneficiaryId) {
+      beneficiary = await BeneficiaryService.getForUser(userId, body.beneficiaryId, [BENEFICIARY_TYPES[service]]);
+      Object.assign(source, BeneficiaryService.toRequestFields(beneficiary));
+    }
+
+    const payload = PAYLOAD_FIELDS[service].reduce((fields, field) => {
+      if (source[field] !== undefined && source[field] !== null && source[field] !== '') {
+        fields[field] = source[field];
+      }
+      return fields;
+    }, {});
+
+    const amount = payload.amount !== undefined ? Number(payload.amount) : undefined;
+    if (amount !== undefined && (!Number.isFinite(amount) || amount <= 0)) {
+      throw new AppError('amount must be a positive number', 400);
+    }
+
+    if (service === 'airtime') {
+      if (!payload.phoneNumber || !payload.network || !amount) {
+        throw new AppError('phoneNumber, network and amount are required for airtime schedules', 400);
+      }
+      if (amount < 50 || amount > 200000) {
+        throw new AppError('Airtime amount must be between 50 and 200000', 400);
+      }
+    }
+
+    if (service === 'data' && (!payload.phoneNumber || !payload.network || !(payload.planId || payload.dataPlan))) {
+      throw new AppError('phoneNumber, network and planId are required for data schedules', 400);
+    }
+
+    if (service === 'electricity') {
+      if (!payload.meterNumber || !payload.disco || !amount) {
+        throw new AppError('meterNumber, disco and amount are required for electricity schedules', 400);
+      }
+      if (amount < 500 || amount > 100000) {
+        throw new AppError('Amount must be between NGN 500 and NGN 100,000', 400);
+      }
+    }
+
+    if (service === 'cable_tv') {
+      if (!payload.smartCardNumber || !payload.provider || !payload.planId) {
+        throw new AppError('smartCardNumber, provider and planId are required for cable TV schedules', 400);
+      }
+      const months = Number(payload.months || 1);
+      if (!Number.isInteger(months) || months < 1 || months > 12) {
+        throw new AppError('months must be between 1 and 12', 400);
+      }
+      payload.months = months;
+    }
+
+    if (amount !== undefined) {
+      payload.amount = amount;
+    }
+
+    return {
+      payload,
+      amount,
+      beneficiary: beneficiary?._id,
+    };
+  }
+
+  static buildTiming(body = {}, existing = {}) {
+    const frequency = body.frequency || existing.frequency;
+    if (!ScheduledPurchase.FREQUENCIES.includes(frequency)) {
+      throw new AppError(`frequency must be one of: ${ScheduledPurchase.FREQUENCIES.join(', ')}`, 400);
+    }
+
+    const timing = {
+      frequency,
+      intervalDays: undefined,
+      startAt: body.startAt ? new Date(body.startAt) : (existing.startAt || new Date()),
+      endAt: body.endAt !== undefined ? (body.endAt ? new Date(body.endAt) : undefined) : existing.endAt,
+      maxRuns: body.maxRuns !== undefined ? (body.maxRuns ? Number(body.maxRuns) : undefined) : existing.maxRuns,
+    };
+
+    if (frequency === 'interval') {
+      const intervalDays = Number(body.intervalDays ?? existing.intervalDays);
+      if (!Number.isInteger(intervalDays) || intervalDays < 1 || intervalDays > 365) {
+        throw new AppError('intervalDays must be a whole number between 1 and 365', 400);
+      }
+      timing.intervalDays = intervalDays;
+    }
+
+    if (Number.isNaN(timing.startAt.getTime())) {
+      throw new AppError('startAt must be a valid date', 400);
+    }
+
+    if (frequency === 'monthly') {
+      const localStart = moment.utc(timing.startAt).utcOffset(LAGOS_UTC_OFFSET_MINUTES);
+      if (localStart.date() > 28) {
+        timing.startAt = localStart.date(localStart.daysInMonth()).toDate();
+      }
+    }
+
+    if (body.startAt && timing.startAt.getTime() < Date.now() - 60 * 1000) {
+      throw new AppError('startAt cannot be in the past', 400);
+    }
+
+    if (timing.endAt && (Number.isNaN(timing.endAt.getTime()) || timing.endAt <= timing.startAt)) {
+      throw new AppError('endAt must be a valid date after startAt', 400);
+    }
+
+    if (timing.maxRuns !== undefined && (!Number.isInteger(timing.maxRuns) || timing.maxRuns < 1)) {
+      throw new AppError('maxRuns must be a positive whole number', 400);
+    }
+
+    return timing;
+  }
+
+  static computeNextRunAt(schedule, after = new Date()) {
+    const runCount = schedule.runCount || 0;
+    if (schedule.maxRuns && runCount >= schedule.maxRuns) {
+      return null;
+    }
+
+    const startAt = new Date(schedule.startAt);
+    let next;
+
+    if (schedule.frequency === 'once') {
+      next = runCount > 0 ? null : startAt;
+    } else if (startAt > after) {
+      next = startAt;
+    } else if (schedule.frequency === 'monthly') {
+      const start = moment.utc(startAt).utcOffset(LAGOS_UTC_OFFSET_MINUTES);
+      const monthlyRun = (months) => {
+        const run = start.clone().add(months, 'months');
+        if (start.date() > 28) run.date(run.daysInMonth());
+        return run.toDate();
+      };
+
+      let months = Math.max(1, moment.utc(after).diff(start, 'months'));
+      next = monthlyRun(months);
+      while (next <= after) {
+        months += 1;
+        next = monthlyRun(months);
+      }
+    } else {
+      const intervalMs = getIntervalDays(schedule) * DAY_MS;
+      const periods = Math.floor((after.getTime() - startAt.getTime()) / intervalMs) + 1;
+      next = new Date(startAt.getTime() + periods * intervalMs);
+    }
+
+    if (next && schedule.endAt && next > new Date(schedule.endAt)) {
+      return null;
+    }
+
+    return next;
+  }
+
+  static async syncScheduler(schedule) {
+    try {
+      if (schedule.status === 'active' && schedule.nextRunAt) {
+        await removeScheduledPurchase(schedule._id);
+        await upsertScheduledPurchase(schedule);
+      } else {
+        await removeScheduledPurchase(schedule._id);
+      }
+    } catch (error) {
+      logger.error(`Failed to sync scheduler for schedule ${schedule._id}:`, error);
+    }
+  }
+
+  static async syncAllSchedulers() {
+    const schedules = await ScheduledPurchase.find({ status: 'active' });
+
+    for (const schedule of schedules) {
+      if (!schedule.nextRunAt || schedule.nextRunAt < new Date()) {
+        schedule.nextRunAt = this.computeNextRunAt(schedule);
+        if (!schedule.nextRunAt) {
+          schedule.status = 'completed';
+        }
+        await schedule.save();
+      }
+      await this.syncScheduler(schedule);
+    }
+
+    return schedules.length;
+  }
+
+  static async createSchedule(userId, body = {}) {
+    const activeCount = await ScheduledPurchase.countDocuments({ user: userId, status: 'active' });
+    if (activeCount >= this.getMaxActivePerUser()) {
+      throw new AppError(`You can have at most ${this.getMaxActivePerUser()} active schedules`, 400);
+    }
+
+    const { payload, amount, beneficiary } = await this.buildPayload(userId, body.service, body);
+    const timing = this.buildTiming(body);
+
+    const schedule = new ScheduledPurchase({
+      user: userId,
+      label: body.label,
+      service: body.service,
+      payload,
+      amount,
+      beneficiary,
+      ...timing,
+      authorizedAt: new Date(),
+    });
+    schedule.nextRunAt = this.computeNextRunAt(schedule);
+
+    if (!schedule.nextRunAt) {
+      throw new AppError('This schedule has no upcoming runs', 400);
+    }
+
+    await schedule.save();
+    await this.syncScheduler(schedule);
+
+    return schedule;
+  }
+
+  static async listSchedules(userId, { status } = {}) {
+    const query = { user: userId };
+    if (status) query.status = status;
+
+    return ScheduledPurchase.find(query)
+      .select('-runs')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  static async getSchedule(userId, scheduleId) {
+    const schedule = await ScheduledPurchase.findOne({ _id: scheduleId, user: userId });
+    if (!schedule) {
+      throw new AppError('Schedule not found', 404);
+    }
+    return schedule;
+  }
+
+  static async updateSchedule(userId, scheduleId, body = {}) {
+    const schedule = await this.getSchedule(userId, scheduleId);
+
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      throw new AppError(`A ${schedule.status} schedule cannot be edited`, 400);
+    }
+
+    if (body.label !== undefined) {
+      schedule.label = body.label;
+    }
+
+    const payloadChanged = body.beneficiaryId
+      || PAYLOAD_FIELDS[schedule.service].some((field) => body[field] !== undefined);
+    if (payloadChanged) {
+      const { payload, amount, beneficiary } = await this.buildPayload(userId, schedule.service, {
+        ...schedule.payload,
+        ...body,
+      });
+      schedule.payload = payload;
+      schedule.amount = amount;
+      schedule.beneficiary = beneficiary;
+    }
+
+    const timingChanged = ['frequency', 'intervalDays', 'startAt', 'endAt', 'maxRuns']
+      .some((field) => body[field] !== undefined);
+    if (timingChanged) {
+      schedule.set(this.buildTiming(body, schedule.toObject()));
+    }
+
+    schedule.authorizedAt = new Date();
+    if (schedule.status === 'active') {
+      schedule.nextRunAt = this.computeNextRunAt(schedule);
+      if (!schedule.nextRunAt) {
+        throw new AppError('This schedule has no upcoming runs', 400);
+      }
+    }
+
+    await schedule.save();
+    await this.syncScheduler(schedule);
+
+    return schedule;
+  }
+
+  static async pauseSchedule(userId, scheduleId, reason = 'Paused by user') {
+    const schedule = await this.getSchedule(userId, scheduleId);
+
+    if (schedule.status !== 'active') {
+      throw new AppError(`Only active schedules can be paused; this one is ${schedule.status}`, 400);
+    }
+
+    schedule.status = 'paused';
+    schedule.pausedReason = reason;
+    await schedule.save();
+    await this.syncScheduler(schedule);
+
+    return schedule;
+  }
+
+  static async resumeSchedule(userId, scheduleId) {
+    const schedule = await this.getSchedule(userId, scheduleId);
+
+    if (schedule.status !== 'paused') {
+      throw new AppError(`Only paused schedules can be resumed; this one is ${schedule.status}`, 400);
+    }
+
+    if (schedule.frequency === 'once' && !schedule.successCount) {
+      schedule.runCount = 0;
+      if (schedule.startAt < new Date()) {
+        schedule.startAt = new Date();
+      }
+    }
+
+    schedule.status = 'active';
+    schedule.pausedReason = undefined;
+    schedule.consecutiveFailures = 0;
+    schedule.authorizedAt = new Date();
+    schedule.nextRunAt = this.computeNextRunAt(schedule);
+
+    if (!schedule.nextRunAt) {
+      throw new AppError('This schedule has no upcoming runs. Create a new schedule instead.', 400);
+    }
+
+    await schedule.save();
+    await this.syncScheduler(schedule);
+
+    return schedule;
+  }
+
+  static async cancelSchedule(userId, scheduleId) {
+    const schedule = await this.getSchedule(userId, scheduleId);
+
+    if (schedule.status === 'cancelled') {
+      return schedule;
+    }
+
+    schedule.status = 'cancelled';
+    schedule.nextRunAt = undefined;
+    await schedule.save();
+    await this.syncScheduler(schedule);
+
+    return schedule;
+  }
+
+  // Runs execute without a PIN, so they are only allowed while the
+  // authorization given at creation or resume still holds.
+  static async assertRunAuthorized(schedule) {
+    const user = await User.findById(schedule.user).select('+pinLockedUntil');
+
+    if (!user || !user.isActive || user.isAccountLocked) {
+      throw new ScheduleAuthorizationError('Account is not active');
+    }
+
+    const isAgent = user.role === 'agent' || (user.roles && user.roles.includes('agent'));
+    if (isAgent && !user.isApproved) {
+      throw new ScheduleAuthorizationError('Agent account is pending approval');
+    }
+
+    if (user.transactionPinChangedAt && user.transactionPinChangedAt > schedule.authorizedAt) {
+      throw new ScheduleAuthorizationError('Transaction PIN changed after this schedule was authorized. Resume it to re-authorize.');
+    }
+
+    if (user.pinLockedUntil && user.pinLockedUntil > Date.now()) {
+      throw new AppError('Transaction PIN is temporarily locked', 403);
+    }
+
+    const wallet = await Wallet.findOne({ user: user._id });
+    if (!wallet) {
+      throw new ScheduleAuthorizationError('Wallet not found');
+    }
+
+    if (wallet.locked) {
+      throw new AppError('Wallet is locked', 403);
+    }
+
+    if (schedule.amount && wallet.availableBalance < schedule.amount) {
+      throw new AppError(`Insufficient wallet balance for ₦${schedule.amount}`, 400);
+    }
+
+    return { user, wallet };
+  }
+
+  static invokePurchase(schedule, user) {
+    const handler = this.getPurchaseHandler(schedule.service);
+
+    return new Promise((resolve) => {
+      // A handler that never answers must not hold the run lock forever; the
+      // outcome is unknown, so it is reported as pending rather than failed.
+      const timer = setTimeout(() => resolve({
+        statusCode: 202,
+        body: {
+          status: 'success',
+          message: 'Purchase is still processing. Check your transaction history for the result.',
+          data: { status: 'pending' },
+        },
+      }), Number(process.env.SCHEDULE_RUN_TIMEOUT_MS || 120000));
+
+      const finish = (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      };
+
+      const req = {
+        user,
+        body: { ...schedule.payload },
+        query: {},
+        params: {},
+        headers: {},
+        ip: 'scheduler',
+        get: () => undefined,
+        scheduledPurchase: { scheduleId: String(schedule._id) },
+      };
+
+      const res = {
+        statusCode: 200,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          finish({ statusCode: this.statusCode, body });
+          return this;
+        },
+        setHeader() {},
+      };
+
+      const next = (error) => finish({
+        statusCode: error?.statusCode || 500,
+        body: { status: 'error', message: error?.message || 'Purchase failed' },
+      });
+
+      Promise.resolve(handler(req, res, next)).catch(next);
+    });
+  }
+
+  static async runSchedule(scheduleId) {
+    const now = new Date();
+    const schedule = await ScheduledPurchase.findOneAndUpdate(
+      {
+        _id: scheduleId,
+        status: 'active',
+        $or: [
+          { runningAt: null },
+          { runningAt: { $lt: new Date(now.getTime() - this.getRunLockMs()) } },
+        ],
+      },
+      { $set: { runningAt: now } },
+      { new: true }
+    );
+
+    if (!schedule) {
+      return { skipped: true, reason: 'not_active_or_running' };
+    }
+
+    if ((schedule.maxRuns && schedule.runCount >= schedule.maxRuns) || (schedule.endAt && schedule.endAt < now)) {
+      await ScheduledPurchase.updateOne(
+        { _id: schedule._id },
+        { $set: { status: 'completed' }, $unset: { runningAt: 1, nextRunAt: 1 } }
+      );
+      await this.syncScheduler({ _id: schedule._id, status: 'completed' });
+      return { skipped: true, reason: 'completed' };
+    }
+
+    let run;
+    let pauseReason;
+
+    try {
+      const { user } = await this.assertRunAuthorized(schedule);
+      const { statusCode, body } = await this.invokePurchase(schedule, user);
+      const data = body?.data || {};
+      const succeeded = statusCode < 400 && body?.status === 'success' && data.status !== 'failed';
+
+      run = {
+        status: succeeded ? (data.status === 'successful' ? 'successful' : 'pending') : 'failed',
+        reference: data.reference,
+        amount: data.amount ?? schedule.amount,
+        message: body?.message,
+      };
+    } catch (error) {
+      run = {
+        status: error.pauseSchedule ? 'skipped' : 'failed',
+        amount: schedule.amount,
+        message: error.message,
+      };
+      if (error.pauseSchedule) {
+        pauseReason = error.message;
+      }
+    }
+
+    run.ranAt = new Date();
+
+    const failed = ['failed', 'skipped'].includes(run.status);
+    const consecutiveFailures = failed ? schedule.consecutiveFailures + 1 : 0;
+    const runCount = schedule.runCount + (run.status === 'skipped' ? 0 : 1);
+
+    if (!pauseReason && consecutiveFailures >= this.getMaxConsecutiveFailures()) {
+      pauseReason = `Paused after ${consecutiveFailures} failed runs in a row`;
+    }
+
+    const nextRunAt = schedule.frequency === 'once'
+      ? null
+      : this.computeNextRunAt({ ...schedule.toObject(), runCount }, run.ranAt);
+    let status = 'active';
+    if (pauseReason) {
+      status = 'paused';
+    } else if (!nextRunAt) {
+      status = schedule.frequency === 'once' && failed ? 'paused' : 'completed';
+      if (status === 'paused') {
+        pauseReason = 'One-off purchase failed';
+      }
+    }
+
+    const updated = await ScheduledPurchase.findByIdAndUpdate(
+      schedule._id,
+      {
+        $set: {
+          status,
+          runCount,
+          consecutiveFailures,
+          lastRunAt: run.ranAt,
+          lastRun: run,
+          ...(pauseReason && { pausedReason: pauseReason }),
+          ...(nextRunAt && status === 'active' ? { nextRunAt } : {}),
+        },
+        $inc: { successCount: failed ? 0 : 1 },
+        $push: { runs: { $each: [run], $slice: -RUN_HISTORY_LIMIT } },
+        $unset: {
+          runningAt: 1,
+          ...(!(nextRunAt && status === 'active') && { nextRunAt: 1 }),
+        },
+      },
+      { new: true }
+    );
+
+    if (status !== 'active') {
+      await this.syncScheduler(updated);
+    }
+
+    await this.notifyRunResult(updated, run);
+
+    logger.info(`Scheduled purchase ${schedule._id} run ${run.status}`, {
+      reference: run.reference,
+      status,
+      consecutiveFailures,
+    });
+
+    return { run, status };
+  }
+
+  static async notifyRunResult(schedule, run) {
+    const label = schedule.label || SERVICE_LABELS[schedule.service];
+    const amountText = run.amount ? ` of ₦${run.amount}` : '';
+    const failed = ['failed', 'skipped'].includes(run.status);
+
+    let message = failed
+      ? `Your scheduled ${label}${amountText} could not be completed: ${run.message}`
+      : `Your scheduled ${label}${amountText} was ${run.status === 'successful' ? 'successful' : 'submitted and is processing'}.`;
+
+    if (schedule.status === 'paused') {
+      message += ` The schedule has been paused: ${schedule.pausedReason}`;
+    } else if (schedule.status === 'completed') {
+      message += ' This schedule is now complete.';
+    }
+
+    await NotificationService.create({
+      user: schedule.user,
+      title: failed ? 'Scheduled Purchase Failed' : 'Scheduled Purchase',
+      message,
+      type: NOTIFICATION_TYPES[schedule.service] || 'system',
+      reference: run.reference,
+    });
+  }
+}
+
+module.exports = ScheduledPurchaseService;
@@ -0,0 +1,310 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const ProviderStatus = require('../models/ProviderStatus');
+const ServiceIncident = require('../models/ServiceIncident');
+const AdminLog = require('../models/AdminLog');
+const MaintenanceService = require('./maintenanceService');
+const VtuProviderService = require('./vtuProviderService');
+const vtuConfig = require('../config/vtuProviders');
+const { getCached, setCached, clearCached } = require('../utils/cache');
+const { AppError } = require('../middlewares/errorHandler');
+
+const CACHE_KEY = 'service-status:public';
+
+const NETWORKS = { mtn: 'MTN', glo: 'Glo', airtel: 'Airtel', '9mobile': '9mobile' };
+const CABLE_PROVIDERS = { dstv: 'DStv', gotv: 'GOtv', startimes: 'StarTimes' };
+const DISCOS = {
+  ekedc: 'Eko Electric',
+  ikedc: 'Ikeja Electric',
+  aedc: 'Abuja Electric',
+  kedco: 'Kano Electric',
+  phedc: 'Port Harcourt Electric',
+  jedc: 'Jos Electric',
+  ibedc: 'Ibadan Electric',
+  kaedc: 'Kaduna Electric',
+  eedc: 'Enugu Electric',
+  bedc: 'Benin Electric',
+  yedc: 'Yola Electric',
+  aple: 'Aba Power',
+};
+
+const SERVICE_CATALOG = [
+  ...Object.entries(NETWORKS).map(([network, label]) => ({
+    key: `data:${network}`, name: `${label} Data`, category: 'data', serviceType: 'data_recharge', network,
+  })),
+  ...Object.entries(NETWORKS).map(([network, label]) => ({
+    key: `airtime:${network}`, name: `${label} Airtime`, category: 'airtime', serviceType: 'airtime_recharge', network,
+  })),
+  ...Object.entries(CABLE_PROVIDERS).map(([network, label]) => ({
+    key: `cable:${network}`, name: label, category: 'cable_tv', serviceType: 'cable_tv', network,
+  })),
+  ...Object.entries(DISCOS).map(([network, label]) => ({
+    key: `electricity:${network}`, name: label, category: 'electricity', serviceType: 'electricity', network,
+  })),
+  { key: 'education', name: 'Exam PINs', category: 'education', serviceType: 'education_pin', network: null },
+];
+
+const SERVICE_KEYS = new Set(SERVICE_CATALOG.map((service) => service.key));
+
+function publicWindow(window, services) {
+  return {
+    id: window._id,
+    title: window.title,
+    message: window.message || MaintenanceService.DEFAULT_MESSAGE,
+    startsAt: window.startsAt,
+    endsAt: window.endsAt,
+    services,
+  };
+}
+
+function publicIncident(incident) {
+  return {
+    id: incident._id,
+    title: incident.title,
+    services: incident.services,
+    severity: incident.severity,
+    status: incident.status,
+    startedAt: incident.startedAt,
+    resolvedAt: incident.resolvedAt || null,
+    updates: (incident.updates || [])
+      .map((update) => ({ status: update.status, message: update.message, postedAt: update.postedAt }))
+      .sort((a, b) => new Date(b.postedAt) - new Date(a.postedAt)),
+  };
+}
+
+/**
+ * Customer-facing status of every service. Provider names never leave this
+ * service: a provider in maintenance or degraded only shows up when no other
+ * provider can carry the service.
+ */
+class ServiceStatusService {
+  static SERVICE_CATALOG = SERVICE_CATALOG;
+
+  static getCacheTtlMs() {
+    return Number(process.env.STATUS_CACHE_TTL_MS || 30000);
+  }
+
+  static getHistoryDays() {
+    return Number(process.env.STATUS_INCIDENT_HISTORY_DAYS || 30);
+  }
+
+  static getCandidateProviders(service) {
+    if (['data_recharge', 'airtime_recharge'].includes(service.serviceType)) {
+      return VtuProviderService.getProvidersForNetwork(service.network)
+        .filter((provider) => provider.supportedServices?.includes(service.serviceType));
+    }
+
+    return Object.values(vtuConfig.providers)
+      .filter((provider) => provider.status === 'active' && provider.supportedServices?.includes(service.serviceType));
+  }
+
+  static evaluateService(service, { windows, statusMap, openIncidents }) {
+    const scope = { serviceType: service.serviceType, network: service.network };
+    const serviceWindow = MaintenanceService.findServiceWindow(windows, scope);
+    if (serviceWindow) {
+      return { status: 'maintenance', message: serviceWindow.message || MaintenanceService.DEFAULT_MESSAGE };
+    }
+
+    const candidates = this.getCandidateProviders(service);
+    const inMaintenance = (provider) => {
+      const status = statusMap.get(provider.id);
+      return Boolean(MaintenanceService.findProviderWindow(windows, provider.id, scope))
+        || status?.status === 'maintenance'
+        || (status?.maintenanceStart && status?.maintenanceEnd && !status.isAvailable());
+    };
+    const usable = candidates.filter((provider) => {
+      const status = statusMap.get(provider.id);
+      return !inMaintenance(provider) && (!status || status.isAvailable());
+    });
+
+    if (candidates.length && !usable.length) {
+      return candidates.every(inMaintenance)
+        ? { status: 'maintenance', message: MaintenanceService.DEFAULT_MESSAGE }
+        : { status: 'degraded', message: 'This service is currently unavailable.' };
+    }
+
+    const incident = openIncidents.find((item) => item.services.includes(service.key));
+    if (incident) {
+      return { status: 'degraded', message: incident.title };
+    }
+
+    if (usable.length && usable.every((provider) => statusMap.get(provider.id)?.status === 'degraded')) {
+      return { status: 'degraded', message: 'Some transactions may take longer than usual.' };
+    }
+
+    return { status: 'operational', message: null };
+  }
+
+  static affectedServices(window) {
+    return SERVICE_CATALOG
+      .filter((service) => MaintenanceService.matchesScope(window, { serviceType: service.serviceType, network: service.network }))
+      .map((service) => service.key);
+  }
+
+  static async buildStatus() {
+    const now = new Date();
+    const historySince = new Date(now.getTime() - this.getHistoryDays() * 24 * 60 * 60 * 1000);
+
+    const [windows, upcomingWindows, statuses, openIncidents, incidentHistory] = await Promise.all([
+      MaintenanceService.getActiveWindows(now),
+      MaintenanceWindow.find({ provider: null, cancelledAt: null, startsAt: { $gt: now } })
+        .sort({ startsAt: 1 })
+        .limit(20)
+        .lean(),
+      ProviderStatus.find({}),
+      ServiceIncident.find({ status: { $ne: 'resolved' } }).lean(),
+      ServiceIncident.find({ startedAt: { $gte: historySince } })
+        .sort({ startedAt: -1 })
+        .limit(50)
+        .lean(),
+    ]);
+
+    const statusMap = new Map(statuses.map((status) => [status.providerName, status]));
+    const services = SERVICE_CATALOG.map((service) => ({
+      key: service.key,
+      name: service.name,
+      category: service.category,
+      ...this.evaluateService(service, { windows, statusMap, openIncidents }),
+    }));
+
+    const impacted = services.filter((service) => service.status !== 'operational');
+    let overall = 'operational';
+    if (impacted.length) {
+      overall = impacted.every((service) => service.status === 'maintenance') ? 'maintenance' : 'degraded';
+    }
+
+    return {
+      status: overall,
+      updatedAt: now,
+      services,
+      maintenance: {
+        active: windows.filter((window) => !window.provider).map((window) => publicWindow(window, this.affectedServices(window))),
+        upcoming: upcomingWindows.map((window) => publicWindow(window, this.affectedServices(window))),
+      },
+      incidents: incidentHistory.map(publicIncident),
+    };
+  }
+
+  static async getStatus() {
+    const cached = await getCached(CACHE_KEY);
+    if (cached) return cached;
+
+    const status = await this.buildStatus();
+    await setCached(CACHE_KEY, status, this.getCacheTtlMs());
+    return status;
+  }
+
+  static validateServices(services) {
+    const keys = [].concat(services || []).map(String);
+    if (!keys.length) {
+      throw new AppError('services must list at least one service key', 400);
+    }
+    const unknown = keys.filter((key) => !SERVICE_KEYS.has(key));
+    if (unknown.length) {
+      throw new AppError(`Unknown service keys: ${unknown.join(', ')}`, 400);
+    }
+    return [...new Set(keys)];
+  }
+
+  static async audit(actor, action, incident, description) {
+    if (!actor?.admin) return;
+    await AdminLog.log({
+      admin: actor.admin._id,
+      adminEmail: actor.admin.email,
+      adminRole: actor.admin.role,
+      action,
+      entity: 'system',
+      entityId: incident._id,
+      description,
+      ipAddress: actor.ipAddress,
+      userAgent: actor.userAgent,
+      status: 'success',
+      metadata: {
+        services: incident.services,
+        status: incident.status,
+      },
+    });
+  }
+
+  static async createIncident(data = {}, actor = {}) {
+    if (!data.title) {
+      throw new AppError('title is required', 400);
+    }
+
+    const status = data.status || 'investigating';
+    const incident = await ServiceIncident.create({
+      title: data.title,
+      services: this.validateServices(data.services),
+      severity: data.severity,
+      status,
+      startedAt: data.startedAt ? new Date(data.startedAt) : new Date(),
+      resolvedAt: status === 'resolved' ? new Date() : undefined,
+      updates: data.message ? [{ status, message: data.message, postedBy: actor.admin?._id }] : [],
+      createdBy: actor.admin?._id,
+    });
+
+    await clearCached('service-status');
+    await this.audit(actor, 'create', incident, `Incident "${incident.title}" opened (${incident.status})`);
+    return incident;
+  }
+
+  static async updateIncident(incidentId, data = {}, actor = {}) {
+    const incident = await ServiceIncident.findById(incidentId);
+    if (!incident) {
+      throw new AppError('Incident not found', 404);
+    }
+
+    if (data.title) incident.title = data.title;
+    if (data.severity) incident.severity = data.severity;
+    if (data.services) incident.services = this.validateServices(data.services);
+    if (data.status) {
+      incident.status = data.status;
+      incident.resolvedAt = data.status === 'resolved' ? (incident.resolvedAt || new Date()) : undefined;
+    }
+    if (data.message || data.status) {
+      incident.updates.push({
+        status: incident.status,
+        message: data.message,
+        postedBy: actor.admin?._id,
+      });
+    }
+
+    await incident.save();
+    await clearCached('service-status');
+    await this.audit(actor, 'update', incident, `Incident "${incident.title}" updated (${incident.status})`);
+    return incident;
+  }
+
+  static async listIncidents(filters = {}, { page = 1, limit = 20 } = {}) {
+    const resolvedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const resolvedPage = Math.max(parseInt(page, 10) || 1, 1);
+    const query = {};
+    if (filters.status === 'open') {
+      query.status = { $ne: 'resolved' };
+    } else if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.service) query.services = filters.service;
+
+    const [incidents, total] = await Promise.all([
+      ServiceIncident.find(query)
+        .sort({ startedAt: -1 })
+        .skip((resolvedPage - 1) * resolvedLimit)
+        .limit(resolvedLimit)
+        .populate('updates.postedBy', 'firstName lastName email')
+        .lean(),
+      ServiceIncident.countDocuments(query),
+    ]);
+
+    return {
+      incidents,
+      pagination: {
+        page: resolvedPage,
+        limit: resolvedLimit,
+        total,
+        pages: Math.ceil(total / resolvedLimit),
+      },
+    };
+  }
+}
+
+module.exports = ServiceStatusService;
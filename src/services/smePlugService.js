@@ -1,5 +1,9 @@
-const axios = require('axios');
+const { createProviderClient } = require('./providerHttpClient');
 const logger = require('../utils/logger');
+const CredentialVault = require('./credentialVault');
+const { wrapProviderError, providerRejection } = require('../utils/providerErrors');
+
+const providerHttp = createProviderClient('smeplug');
 
 class SmePlugService {
   static baseUrl = 'https://smeplug.ng/api/v1';
@@ -8,7 +12,7 @@ class SmePlugService {
   static getConfig() {
     return {
       baseUrl: process.env.SMEPLUG_BASE_URL || 'https://smeplug.ng/api/v1',
-      apiKey: process.env.SMEPLUG_API_KEY || '',
+      apiKey: CredentialVault.get('smeplug', 'apiKey') || process.env.SMEPLUG_API_KEY || '',
       timeout: 45000,
     };
   }
@@ -54,6 +58,16 @@ class SmePlugService {
     return aliases[value] || value;
   }
 
+  static normalizePhone(phoneNumber = '') {
+    if (phoneNumber.startsWith('0')) {
+      return `234${phoneNumber.substring(1)}`;
+    }
+    if (!phoneNumber.startsWith('234')) {
+      return `234${phoneNumber}`;
+    }
+    return phoneNumber;
+  }
+
   static inferDataType(label = '') {
     const normalized = String(label).toLowerCase();
     if (normalized.includes('awoof')) return 'awoof';
@@ -92,7 +106,7 @@ class SmePlugService {
 
   static async getWalletBalance() {
     try {
-      const response = await axios.get(
+      const response = await providerHttp.get(
         `${this.getConfig().baseUrl}/account/balance`,
         {
           headers: this.getHeaders(),
@@ -111,7 +125,7 @@ class SmePlugService {
       throw new Error('Failed to get wallet balance');
     } catch (error) {
       logger.error('SmePlug getWalletBalance error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Failed to get wallet balance');
+      throw wrapProviderError(error, 'Failed to get wallet balance');
     }
   }
 
@@ -120,7 +134,7 @@ class SmePlugService {
 
   static async getNetworks() {
     try {
-      const response = await axios.get(
+      const response = await providerHttp.get(
         `${this.getConfig().baseUrl}/networks`,
         {
           headers: this.getHeaders(),
@@ -138,7 +152,7 @@ class SmePlugService {
       throw new Error('Failed to get networks');
     } catch (error) {
       logger.error('SmePlug getNetworks error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Failed to get networks');
+      throw wrapProviderError(error, 'Failed to get networks');
     }
   }
 
@@ -155,7 +169,7 @@ class SmePlugService {
         const networkId = this.getNetworkId(net);
         try {
           console.log(`Fetching SMEPlug data plans for ${net} (network_id: ${networkId})...`);
-          const response = await axios.get(
+          const response = await providerHttp.get(
             `${this.getConfig().baseUrl}/data/plans`,
             {
               params: { network_id: networkId },
@@ -220,7 +234,7 @@ class SmePlugService {
     } catch (error) {
       console.error('SmePlug getDataPlans error:', error.response?.data || error.message);
       logger.error('SmePlug getDataPlans error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Failed to get data plans');
+      throw wrapProviderError(error, 'Failed to get data plans');
     }
   }
 
@@ -246,7 +260,7 @@ class SmePlugService {
         requestBody.callback_url = callbackUrl;
       }
       
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${this.getConfig().baseUrl}/data/purchase`,
         requestBody,
         {
@@ -264,10 +278,10 @@ class SmePlugService {
         };
       }
 
-      throw new Error(response.data?.message || 'Data purchase failed');
+      throw providerRejection(response.data?.message || 'Data purchase failed');
     } catch (error) {
       logger.error('SmePlug purchaseData error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Data purchase failed');
+      throw wrapProviderError(error, 'Data purchase failed');
     }
   }
 
@@ -293,7 +307,7 @@ class SmePlugService {
         requestBody.callback_url = callbackUrl;
       }
       
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${this.getConfig().baseUrl}/airtime/purchase`,
         requestBody,
         {
@@ -311,10 +325,10 @@ class SmePlugService {
         };
       }
 
-      throw new Error(response.data?.message || 'Airtime purchase failed');
+      throw providerRejection(response.data?.message || 'Airtime purchase failed');
     } catch (error) {
       logger.error('SmePlug purchaseAirtime error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Airtime purchase failed');
+      throw wrapProviderError(error, 'Airtime purchase failed');
     }
   }
 
@@ -328,7 +342,7 @@ class SmePlugService {
     try {
       const networkId = this.getNetworkId(network);
       
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${this.getConfig().baseUrl}/vtu/topup`,
         {
           network_id: networkId,
@@ -351,10 +365,10 @@ class SmePlugService {
         };
       }
 
-      throw new Error(response.data?.message || 'VTU topup failed');
+      throw providerRejection(response.data?.message || 'VTU topup failed');
     } catch (error) {
       logger.error('SmePlug vtuTopup error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'VTU topup failed');
+      throw wrapProviderError(error, 'VTU topup failed');
     }
   }
 
@@ -363,7 +377,7 @@ class SmePlugService {
 
   static async getBanks() {
     try {
-      const response = await axios.get(
+      const response = await providerHttp.get(
         `${this.getConfig().baseUrl}/transfer/banks`,
         {
           headers: this.getHeaders(),
@@ -381,7 +395,7 @@ class SmePlugService {
       throw new Error('Failed to get banks');
     } catch (error) {
       logger.error('SmePlug getBanks error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Failed to get banks');
+      throw wrapProviderError(error, 'Failed to get banks');
     }
   }
 
@@ -392,7 +406,7 @@ class SmePlugService {
 
   static async resolveAccount(bankCode, accountNumber) {
     try {
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${this.getConfig().baseUrl}/transfer/resolve`,
         {
           bank_code: bankCode,
@@ -414,7 +428,7 @@ class SmePlugService {
       throw new Error(response.data?.message || 'Account resolution failed');
     } catch (error) {
       logger.error('SmePlug resolveAccount error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Account resolution failed');
+      throw wrapProviderError(error, 'Account resolution failed');
     }
   }
 
@@ -426,7 +440,7 @@ class SmePlugService {
     const { bankCode, accountNumber, amount, customerReference } = options;
     
     try {
-      const response = await axios.post(
+      const response = await providerHttp.post(
         `${this.getConfig().baseUrl}/transfer`,
         {
           bank_code: bankCode,
@@ -452,7 +466,7 @@ class SmePlugService {
       throw new Error(response.data?.message || 'Transfer failed');
     } catch (error) {
       logger.error('SmePlug bankTransfer error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Transfer failed');
+      throw wrapProviderError(error, 'Transfer failed');
     }
   }
 
@@ -461,7 +475,7 @@ class SmePlugService {
 
   static async getTransactions() {
     try {
-      const response = await axios.get(
+      const response = await providerHttp.get(
         `${this.getConfig().baseUrl}/transactions`,
         {
           headers: this.getHeaders(),
@@ -479,7 +493,7 @@ class SmePlugService {
       throw new Error('Failed to get transactions');
     } catch (error) {
       logger.error('SmePlug getTransactions error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || error.message || 'Failed to get transactions');
+      throw wrapProviderError(error, 'Failed to get transactions');
     }
   }
 
@@ -0,0 +1,423 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const LedgerEntry = require('../models/LedgerEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const LedgerPostingFailure = require('../models/LedgerPostingFailure');
+const LedgerService = require('./ledgerService');
+const { AppError } = require('../middlewares/errorHandler');
+const { toDate } = require('../utils/dateRange');
+const { sendAccountStatementEmail } = require('../utils/emailService');
+const { toCsvRow, buildPaginatedPdf } = require('../utils/exportUtils');
+const { LAGOS_UTC_OFFSET_MINUTES } = require('../queues/scheduledPurchaseQueue');
+
+const STATEMENT_FORMATS = ['pdf', 'csv', 'json'];
+
+const ENTRY_TYPE_CATEGORIES = {
+  funding: 'funding',
+  transfer: 'transfer',
+  withdrawal: 'transfer',
+  commission: 'commission',
+  referral_bonus: 'commission',
+  refund: 'refunds',
+  adjustment: 'adjustments',
+  purchase: 'purchases',
+};
+
+const PDF_COLUMNS = [
+  { key: 'date', label: 'Date', width: 16 },
+  { key: 'reference', label: 'Reference', width: 20 },
+  { key: 'description', label: 'Description', width: 22 },
+  { key: 'category', label: 'Category', width: 10 },
+  { key: 'debit', label: 'Debit', width: 11, align: 'right' },
+  { key: 'credit', label: 'Credit', width: 11, align: 'right' },
+  { key: 'fee', label: 'Fee', width: 8, align: 'right' },
+  { key: 'balance', label: 'Balance', width: 12, align: 'right' },
+];
+
+function toKobo(value) {
+  return Math.round((Number(value) || 0) * 100);
+}
+
+function fromKobo(value) {
+  return value / 100;
+}
+
+function formatAmount(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function toLagos(date) {
+  return moment.utc(date).utcOffset(LAGOS_UTC_OFFSET_MINUTES);
+}
+
+function fitColumn(value, { width, align }) {
+  const text = String(value ?? '');
+  const clipped = text.length > width ? `${text.slice(0, width - 1)}~` : text;
+  return align === 'right' ? clipped.padStart(width) : clipped.padEnd(width);
+}
+
+function formatColumns(row) {
+  return PDF_COLUMNS.map((column) => fitColumn(row[column.key], column)).join(' ');
+}
+
+class StatementService {
+  static FORMATS = STATEMENT_FORMATS;
+
+  static getMaxEntries() {
+    return Number(process.env.STATEMENT_MAX_ENTRIES || 5000);
+  }
+
+  // `month` (YYYY-MM) takes precedence; otherwise from/to are used and the
+  // current month to date is the default. Months follow Lagos time.
+  static resolvePeriod({ month, from, to } = {}) {
+    let start;
+    let end;
+
+    if (month) {
+      const local = moment.utc(String(month), 'YYYY-MM', true);
+      if (!local.isValid()) {
+        throw new AppError('month must be in YYYY-MM format', 400);
+      }
+
+      start = local.clone().utcOffset(LAGOS_UTC_OFFSET_MINUTES, true).startOf('month');
+      end = start.clone().endOf('month');
+      return { start: start.toDate(), end: end.toDate() };
+    }
+
+    start = from ? toDate(from, 'start') : toLagos(new Date()).startOf('month').toDate();
+    end = to ? toDate(to, 'end') : new Date();
+
+    if (!start || !end) {
+      throw new AppError('from and to must be valid dates', 400);
+    }
+
+    if (start > end) {
+      throw new AppError('from must be before to', 400);
+    }
+
+    return { start, end: end > new Date() ? new Date() : end };
+  }
+
+  static getPreviousMonth(date = new Date()) {
+    return toLagos(date).subtract(1, 'month').format('YYYY-MM');
+  }
+
+  // Summed forward from the ledger. Wallets funded before the ledger existed
+  // get a backdated opening journal (LedgerService.postOpeningBalance), so
+  // it falls inside this window like any other entry.
+  static async getOpeningBalance(userId, start) {
+    const [result] = await LedgerEntry.aggregate([
+      {
+        $match: {
+          account: LedgerService.ACCOUNTS.USER_WALLET,
+          user: new mongoose.Types.ObjectId(String(userId)),
+          createdAt: { $lt: start },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          net: {
+            $sum: {
+              $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }],
+            },
+          },
+        },
+      },
+    ]);
+
+    return toKobo(result?.net || 0);
+  }
+
+  // Fees live on the journal's fee_income leg. They belong to the wallet that
+  // paid them, so a transfer recipient's credit never carries the sender's fee.
+  static async getJournalFees(journalIds) {
+    if (!journalIds.length) return new Map();
+
+    const legs = await LedgerEntry.find({
+      journalId: { $in: journalIds },
+      account: { $in: [LedgerService.ACCOUNTS.FEE_INCOME, LedgerService.ACCOUNTS.USER_WALLET] },
+    })
+      .select('journalId account direction amount')
+      .lean();
+
+    return legs.reduce((map, leg) => {
+      const journal = map.get(leg.journalId) || { fee: 0, walletLegs: 0 };
+      if (leg.account === LedgerService.ACCOUNTS.FEE_INCOME) {
+        journal.fee += leg.direction === 'credit' ? toKobo(leg.amount) : -toKobo(leg.amount);
+      } else {
+        journal.walletLegs += 1;
+      }
+      map.set(leg.journalId, journal);
+      return map;
+    }, new Map());
+  }
+
+  static async generate(userId, period = {}) {
+    const user = await User.findById(userId).select('firstName lastName email phoneNumber').lean();
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const { start, end } = this.resolvePeriod(period);
+    const maxEntries = this.getMaxEntries();
+
+    // A journal waiting in the retry queue is missing from the ledger, so
+    // every balance on the statement would be off until it is posted.
+    if (await LedgerPostingFailure.exists({ status: 'pending', 'journal.legs.user': userId })) {
+      throw new AppError('Your statement is not available while recent wallet activity is being recorded. Please try again shortly.', 409);
+    }
+
+    const [openingKobo, entries] = await Promise.all([
+      this.getOpeningBalance(userId, start),
+      LedgerEntry.find({
+        account: LedgerService.ACCOUNTS.USER_WALLET,
+        user: userId,
+        createdAt: { $gte: start, $lte: end },
+      })
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(maxEntries + 1)
+        .lean(),
+    ]);
+
+    if (entries.length > maxEntries) {
+      throw new AppError(`This period has more than ${maxEntries} entries. Please choose a shorter date range.`, 400);
+    }
+
+    const references = [...new Set(entries.map((entry) => entry.reference).filter(Boolean))];
+    const [transactions, journalFees] = await Promise.all([
+      references.length
+        ? Transaction.find({ user: userId, reference: { $in: references } })
+          .select('reference type category description')
+          .lean()
+        : [],
+      this.getJournalFees([...new Set(entries.map((entry) => entry.journalId))]),
+    ]);
+    const transactionsByReference = new Map(transactions.map((transaction) => [transaction.reference, transaction]));
+
+    let balanceKobo = openingKobo;
+    let creditsKobo = 0;
+    let debitsKobo = 0;
+    let feesKobo = 0;
+    const categories = new Map();
+
+    const rows = entries.map((entry) => {
+      const transaction = transactionsByReference.get(entry.reference);
+      const journal = journalFees.get(entry.journalId);
+      const amountKobo = toKobo(entry.amount);
+      const isCredit = entry.direction === 'credit';
+      const feeKobo = journal && (journal.walletLegs === 1 || !isCredit) ? journal.fee : 0;
+      const category = transaction?.category || ENTRY_TYPE_CATEGORIES[entry.entryType] || entry.entryType;
+
+      balanceKobo += isCredit ? amountKobo : -amountKobo;
+      if (isCredit) creditsKobo += amountKobo;
+      else debitsKobo += amountKobo;
+      feesKobo += feeKobo;
+
+      const subtotal = categories.get(category) || { category, count: 0, credits: 0, debits: 0, fees: 0 };
+      subtotal.count += 1;
+      subtotal[isCredit ? 'credits' : 'debits'] += amountKobo;
+      subtotal.fees += feeKobo;
+      categories.set(category, subtotal);
+
+      return {
+        date: entry.createdAt,
+        reference: entry.reference || entry.journalId,
+        description: entry.description || transaction?.description || entry.entryType,
+        type: transaction?.type || entry.entryType,
+        category,
+        debit: isCredit ? 0 : fromKobo(amountKobo),
+        credit: isCredit ? fromKobo(amountKobo) : 0,
+        fee: fromKobo(feeKobo),
+        balance: fromKobo(balanceKobo),
+      };
+    });
+
+    return {
+      account: {
+        name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+      },
+      period: { start, end },
+      currency: 'NGN',
+      summary: {
+        openingBalance: fromKobo(openingKobo),
+        totalCredits: fromKobo(creditsKobo),
+        totalDebits: fromKobo(debitsKobo),
+        totalFees: fromKobo(feesKobo),
+        closingBalance: fromKobo(balanceKobo),
+        entries: rows.length,
+      },
+      categories: [...categories.values()]
+        .sort((a, b) => a.category.localeCompare(b.category))
+        .map((subtotal) => ({
+          category: subtotal.category,
+          count: subtotal.count,
+          credits: fromKobo(subtotal.credits),
+          debits: fromKobo(subtotal.debits),
+          fees: fromKobo(subtotal.fees),
+          net: fromKobo(subtotal.credits - subtotal.debits),
+        })),
+      rows,
+      generatedAt: new Date(),
+    };
+  }
+
+  static getFileName(statement, format) {
+    const start = toLagos(statement.period.start).format('YYYYMMDD');
+    const end = toLagos(statement.period.end).format('YYYYMMDD');
+    return `statement-${start}-${end}.${format}`;
+  }
+
+  static toCsv(statement) {
+    const { summary, period, account } = statement;
+    const lines = [
+      toCsvRow(['Account Statement', account.name]),
+      toCsvRow(['Email', account.email]),
+      toCsvRow(['Period Start', toLagos(period.start).format()]),
+      toCsvRow(['Period End', toLagos(period.end).format()]),
+      toCsvRow(['Currency', statement.currency]),
+      toCsvRow(['Opening Balance', formatAmount(summary.openingBalance)]),
+      toCsvRow(['Total Credits', formatAmount(summary.totalCredits)]),
+      toCsvRow(['Total Debits', formatAmount(summary.totalDebits)]),
+      toCsvRow(['Total Fees', formatAmount(summary.totalFees)]),
+      toCsvRow(['Closing Balance', formatAmount(summary.closingBalance)]),
+      '',
+      toCsvRow(['Date', 'Reference', 'Description', 'Type', 'Category', 'Debit', 'Credit', 'Fee', 'Balance']),
+      ...statement.rows.map((row) => toCsvRow([
+        toLagos(row.date).format(),
+        row.reference,
+        row.description,
+        row.type,
+        row.category,
+        formatAmount(row.debit),
+        formatAmount(row.credit),
+        formatAmount(row.fee),
+        formatAmount(row.balance),
+      ])),
+      '',
+      toCsvRow(['Category', 'Entries', 'Debits', 'Credits', 'Fees', 'Net']),
+      ...statement.categories.map((subtotal) => toCsvRow([
+        subtotal.category,
+        subtotal.count,
+        formatAmount(subtotal.debits),
+        formatAmount(subtotal.credits),
+        formatAmount(subtotal.fees),
+        formatAmount(subtotal.net),
+      ])),
+    ];
+
+    return Buffer.from(lines.join('\n'), 'utf8');
+  }
+
+  static toPdf(statement) {
+    const { summary, period, account } = statement;
+    const periodLabel = `${toLagos(period.start).format('DD MMM YYYY')} - ${toLagos(period.end).format('DD MMM YYYY')}`;
+    const divider = '-'.repeat(PDF_COLUMNS.reduce((width, column) => width + column.width + 1, -1));
+
+    const header = [
+      'YAREEMA ACCOUNT STATEMENT',
+      `Account: ${account.name}${account.email ? ` (${account.email})` : ''}`,
+      `Period: ${periodLabel} (all amounts in ${statement.currency})`,
+      divider,
+      formatColumns(PDF_COLUMNS.reduce((labels, column) => ({ ...labels, [column.key]: column.label }), {})),
+      divider,
+    ];
+
+    const lines = [
+      formatColumns({
+        date: toLagos(period.start).format('YYYY-MM-DD HH:mm'),
+        description: 'Opening balance',
+        balance: formatAmount(summary.openingBalance),
+      }),
+      ...statement.rows.map((row) => formatColumns({
+        date: toLagos(row.date).format('YYYY-MM-DD HH:mm'),
+        reference: row.reference,
+        description: row.description,
+        category: row.category,
+        debit: row.debit ? formatAmount(row.debit) : '',
+        credit: row.credit ? formatAmount(row.credit) : '',
+        fee: row.fee ? formatAmount(row.fee) : '',
+        balance: formatAmount(row.balance),
+      })),
+      formatColumns({
+        date: toLagos(period.end).format('YYYY-MM-DD HH:mm'),
+        description: 'Closing balance',
+        balance: formatAmount(summary.closingBalance),
+      }),
+      divider,
+      '',
+      'SUMMARY',
+      `Opening Balance: ${formatAmount(summary.openingBalance)}`,
+      `Total Credits:   ${formatAmount(summary.totalCredits)}`,
+      `Total Debits:    ${formatAmount(summary.totalDebits)}`,
+      `Total Fees:      ${formatAmount(summary.totalFees)}`,
+      `Closing Balance: ${formatAmount(summary.closingBalance)}`,
+      '',
+      'CATEGORY SUBTOTALS',
+      `${'Category'.padEnd(14)} ${'Entries'.padStart(7)} ${'Debits'.padStart(14)} ${'Credits'.padStart(14)} ${'Fees'.padStart(10)} ${'Net'.padStart(14)}`,
+      ...statement.categories.map((subtotal) => [
+        subtotal.category.padEnd(14),
+        String(subtotal.count).padStart(7),
+        formatAmount(subtotal.debits).padStart(14),
+        formatAmount(subtotal.credits).padStart(14),
+        formatAmount(subtotal.fees).padStart(10),
+        formatAmount(subtotal.net).padStart(14),
+      ].join(' ')),
+    ];
+
+    return buildPaginatedPdf(lines, {
+      header,
+      footer: `Generated ${toLagos(statement.generatedAt).format('YYYY-MM-DD HH:mm')} WAT - Powered by Yareema`,
+      fontSize: 7,
+      leading: 10,
+    });
+  }
+
+  static render(statement, format = 'pdf') {
+    if (format === 'csv') {
+      return { buffer: this.toCsv(statement), contentType: 'text/csv', fileName: this.getFileName(statement, 'csv') };
+    }
+
+    return { buffer: this.toPdf(statement), contentType: 'application/pdf', fileName: this.getFileName(statement, 'pdf') };
+  }
+
+  static async listMonthlyRecipients(month) {
+    const { start, end } = this.resolvePeriod({ month });
+    const userIds = await LedgerEntry.distinct('user', {
+      account: LedgerService.ACCOUNTS.USER_WALLET,
+      createdAt: { $gte: start, $lte: end },
+    });
+
+    return userIds.filter(Boolean).map(String);
+  }
+
+  static async sendMonthlyStatement(userId, month) {
+    const user = await User.findById(userId).select('email firstName isActive').lean();
+
+    if (!user?.email || user.isActive === false) {
+      return { skipped: true, reason: 'no_active_email' };
+    }
+
+    const statement = await this.generate(userId, { month });
+    const pdf = this.render(statement, 'pdf');
+    const csv = this.render(statement, 'csv');
+
+    await sendAccountStatementEmail({
+      email: user.email,
+      firstName: user.firstName,
+      periodLabel: toLagos(statement.period.start).format('MMMM YYYY'),
+      summary: statement.summary,
+      attachments: [
+        { filename: pdf.fileName, content: pdf.buffer },
+        { filename: csv.fileName, content: csv.buffer },
+      ],
+    });
+
+    return { sent: true, entries: statement.summary.entries };
+  }
+}
+
+module.exports = StatementService;
@@ -2,6 +2,7 @@ const Transaction = require('../models/Transaction');
 const Wallet = require('../models/Wallet');
 const ServicePricing = require('../models/ServicePricing');
 const ProviderStatus = require('../models/ProviderStatus');
+const LedgerService = require('./ledgerService');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const telecomService = require('./telecomService');
@@ -171,6 +172,14 @@ class TransactionService {
       wallet.totalSpent += transaction.totalAmount;
       wallet.lastTransaction = new Date();
       await wallet.save({ session });
+
+      await LedgerService.recordWalletDebit(wallet, transaction.totalAmount - Number(transaction.fee || 0), {
+        entryType: 'purchase',
+        fee: transaction.fee,
+        reference: transaction.reference,
+        description: transaction.description,
+        session,
+      });
       
       transaction.previousBalance = previousBalance;
       transaction.newBalance = wallet.balance;
@@ -342,7 +351,7 @@ class TransactionService {
     }
   }
 
-  static async refundFailedTransaction(transactionId) {
+  static async refundFailedTransaction(transactionId, { allowedStatuses = ['failed'], note = null } = {}) {
     const session = await Transaction.startSession();
     
     try {
@@ -350,13 +359,21 @@ class TransactionService {
       
       const transaction = await Transaction.findById(transactionId).session(session);
       
-      if (!transaction || transaction.status !== 'failed') {
-        throw new AppError('Transaction not found or not failed', 400);
+      if (transaction?.status === 'refunded') {
+        throw new AppError('Transaction already refunded', 400);
       }
       
-      if (transaction.status === 'refunded') {
-        throw new AppError('Transaction already refunded', 400);
+      if (!transaction || !allowedStatuses.includes(transaction.status)) {
+        throw new AppError(`Transaction not found or not ${allowedStatuses.join('/')}`, 400);
       }
+
+      // A failed purchase has usually been settled already: markFailed
+      // releases the wallet hold and flags the refund as processed.
+      if (transaction.metadata?.refundProcessed || transaction.metadata?.walletHold?.status === 'released') {
+        throw new AppError('Transaction amount has already been returned to the wallet', 409);
+      }
+
+      const originalStatus = transaction.status;
       
       const wallet = await Wallet.findOne({ user: transaction.user }).session(session);
       
@@ -367,11 +384,20 @@ class TransactionService {
       wallet.balance += transaction.totalAmount;
       wallet.totalSpent -= transaction.totalAmount;
       await wallet.save({ session });
+
+      const refundedFee = await LedgerService.getPurchaseFee(transaction.reference, session);
+      await LedgerService.recordWalletReversal(wallet, transaction.totalAmount - refundedFee, {
+        fee: refundedFee,
+        entryType: 'refund',
+        reference: transaction.reference,
+        description: `Refund for ${originalStatus} transaction ${transaction.reference}`,
+        session,
+      });
       
       transaction.status = 'refunded';
       transaction.statusHistory.push({
         status: 'refunded',
-        note: 'Automatic refund for failed transaction',
+        note: note || 'Automatic refund for failed transaction',
         timestamp: new Date(),
       });
       await transaction.save({ session });
@@ -388,7 +414,7 @@ class TransactionService {
         previousBalance: wallet.balance - transaction.totalAmount,
         newBalance: wallet.balance,
         status: 'successful',
-        description: `Refund for failed transaction ${transaction.reference}`,
+        description: `Refund for ${originalStatus} transaction ${transaction.reference}`,
         metadata: {
           refundFor: transaction.reference,
           originalTransaction: transaction._id,
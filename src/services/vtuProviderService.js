@@ -2,16 +2,13 @@ const axios = require('axios');
 const ProviderStatus = require('../models/ProviderStatus');
 const vtuConfig = require('../config/vtuProviders');
 const logger = require('../utils/logger');
-const AirtimeNigeriaService = require('./airtimeNigeriaService');
-const SmePlugService = require('./smePlugService');
-const NelloBytesService = require('./nelloBytesService');
-const PluginngService = require('./pluginngService');
-const AlrahuzDataService = require('./alrahuzDataService');
-const ArewaService = require('./arewaService');
-const ReloadlyGiftCardService = require('./reloadlyGiftCardService');
+const ProviderRegistry = require('./providerRegistry');
+const CredentialVault = require('./credentialVault');
 
 class VtuProviderService {
   static AUTO_FAILOVER_THRESHOLD = 40;
+
+  static RESPONSE_TIME_SMOOTHING = 0.2;
   
   static normalizeProviderId(providerId) {
     return vtuConfig.normalizeProviderId
@@ -59,7 +56,8 @@ class VtuProviderService {
         priority: provider.priority,
         supportedServices: provider.supportedServices,
         supportedNetworks: provider.supportedNetworks,
-        uptime: dbStatus?.uptime || 99.9,
+        uptime: dbStatus?.uptime ?? 100,
+        health: dbStatus?.healthStats || null,
         successRate: dbStatus?.successRate || 100,
         averageResponseTime: dbStatus?.averageResponseTime || 0,
         totalRequests: dbStatus?.totalRequests || 0,
@@ -226,107 +224,18 @@ class VtuProviderService {
   
 
 
+  // Probes live in ProviderHealthService, which records them as samples.
   static async healthCheck(providerId) {
-    const resolvedProviderId = this.normalizeProviderId(providerId);
-    const provider = vtuConfig.providers[resolvedProviderId];
-    if (!provider) {
-      return {
-        providerId: resolvedProviderId || providerId,
-        status: 'unknown',
-        message: 'Provider not configured',
-        responseTime: 0,
-      };
-    }
-
-    const startTime = Date.now();
-    
-    try {
-      
-      const response = await axios.get(provider.baseUrl + '/health', {
-        timeout: provider.timeout,
-        validateStatus: () => true, 
-      });
-
-      const responseTime = Date.now() - startTime;
-      
-      
-      let status = 'active';
-      let message = 'Service is operational';
-
-      if (response.status >= 500) {
-        status = 'down';
-        message = 'Service is down';
-      } else if (response.status >= 400) {
-        status = 'degraded';
-        message = 'Service experiencing issues';
-      } else if (responseTime > provider.timeout) {
-        status = 'degraded';
-        message = 'Service is slow';
-      }
-
-      
-      await ProviderStatus.findOneAndUpdate(
-        { providerName: resolvedProviderId },
-        {
-          $set: {
-            status,
-            lastChecked: new Date(),
-            averageResponseTime: responseTime,
-            successRate: status === 'active' ? 100 : 50,
-          },
-          $inc: { totalRequests: 1 }
-        },
-        { upsert: true }
-      );
-
-      return {
-        providerId: resolvedProviderId,
-        providerName: provider.name,
-        status,
-        message,
-        responseTime,
-        lastChecked: new Date(),
-        color: provider.color,
-      };
-
-    } catch (error) {
-      const responseTime = Date.now() - startTime;
-      
-      
-      await ProviderStatus.findOneAndUpdate(
-        { providerName: resolvedProviderId },
-        {
-          $set: {
-            status: 'down',
-            lastChecked: new Date(),
-            averageResponseTime: responseTime,
-          },
-          $inc: { totalRequests: 1, failedRequests: 1 }
-        },
-        { upsert: true }
-      );
-
-      return {
-        providerId: resolvedProviderId,
-        providerName: provider.name,
-        status: 'down',
-        message: error.message || 'Health check failed',
-        responseTime,
-        lastChecked: new Date(),
-        color: provider.color,
-      };
-    }
+    const ProviderHealthService = require('./providerHealthService');
+    return ProviderHealthService.check(providerId);
   }
 
   
 
 
   static async runAllHealthChecks() {
-    const providers = this.getAllProviders();
-    const results = await Promise.all(
-      providers.map(p => this.healthCheck(p.id))
-    );
-    return results;
+    const ProviderHealthService = require('./providerHealthService');
+    return ProviderHealthService.runAll();
   }
 
   
@@ -379,6 +288,8 @@ class VtuProviderService {
       throw new Error(`Service type ${serviceType} not supported`);
     }
 
+    const apiKey = CredentialVault.get(providerId, 'apiKey');
+
     try {
       const response = await axios({
         method: serviceConfig.method,
@@ -386,8 +297,8 @@ class VtuProviderService {
         data: transaction.service,
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${provider.apiKey}`,
-          'X-API-Key': provider.apiKey,
+          'Authorization': `Bearer ${apiKey}`,
+          'X-API-Key': apiKey,
         },
         timeout: provider.timeout,
       });
@@ -407,7 +318,18 @@ class VtuProviderService {
   
 
 
-  static async markProviderSuccess(providerId) {
+  // Exponential moving average so one slow call does not swing routing.
+  static applyResponseTime(provider, responseTimeMs) {
+    const sample = Number(responseTimeMs);
+    if (!Number.isFinite(sample) || sample < 0) return;
+
+    const current = Number(provider.averageResponseTime);
+    provider.averageResponseTime = Number.isFinite(current) && current > 0
+      ? Math.round(current * (1 - this.RESPONSE_TIME_SMOOTHING) + sample * this.RESPONSE_TIME_SMOOTHING)
+      : Math.round(sample);
+  }
+
+  static async markProviderSuccess(providerId, responseTimeMs = null) {
     const provider = await ProviderStatus.findOneAndUpdate(
       { providerName: providerId },
       {
@@ -420,6 +342,7 @@ class VtuProviderService {
 
     if (provider.totalRequests > 0) {
       provider.successRate = (provider.successfulRequests / provider.totalRequests) * 100;
+      this.applyResponseTime(provider, responseTimeMs);
       await provider.save();
     }
   }
@@ -427,7 +350,7 @@ class VtuProviderService {
   
 
 
-  static async markProviderFailure(providerId) {
+  static async markProviderFailure(providerId, responseTimeMs = null) {
     const provider = await ProviderStatus.findOneAndUpdate(
       { providerName: providerId },
       {
@@ -440,6 +363,7 @@ class VtuProviderService {
 
     if (provider.totalRequests > 0) {
       provider.successRate = (provider.successfulRequests / provider.totalRequests) * 100;
+      this.applyResponseTime(provider, responseTimeMs);
       await provider.save();
       await this.autoSwitchProviderIfNeeded(providerId);
     }
@@ -455,133 +379,28 @@ class VtuProviderService {
       throw new Error(`Provider ${providerId} not found`);
     }
 
+    const adapter = ProviderRegistry.getAdapterBySource(provider.source);
+    if (!adapter || !adapter.supports('getBalance')) {
+      return {
+        providerId: resolvedProviderId,
+        providerName: provider.name,
+        available: false,
+        balance: null,
+        currency: 'NGN',
+        message: 'Balance endpoint is not implemented for this provider yet',
+        lastUpdated: new Date(),
+      };
+    }
+
     try {
-      switch (provider.source) {
-        case 'airtimenigeria': {
-          const result = await AirtimeNigeriaService.getWalletBalance();
-          const wallets = result?.data || {};
-          const primaryBalance =
-            Number(wallets.universalWallet) ||
-            Number(wallets.mtnDataWallet) ||
-            Number(wallets.airtelEdsWallet) ||
-            Number(wallets.gloCgWallet) ||
-            Number(wallets.smsWallet) ||
-            0;
-
-          return {
-            providerId: resolvedProviderId,
-            providerName: provider.name,
-            available: true,
-            balance: primaryBalance,
-            currency: 'NGN',
-            accountId: result?.accountId || result?.id || null,
-            phoneNumber: result?.phoneNumber || result?.phoneno || null,
-            raw: result?.raw || result,
-            lastUpdated: new Date(),
-          };
-        }
-
-        case 'smeplug': {
-          const result = await SmePlugService.getWalletBalance();
-          return {
-            providerId: resolvedProviderId,
-            providerName: provider.name,
-            available: true,
-            balance: Number(result?.balance || 0),
-            currency: result?.currency || 'NGN',
-            accountId: result?.accountId || result?.id || null,
-            phoneNumber: result?.phoneNumber || result?.phoneno || null,
-            raw: result,
-            lastUpdated: new Date(),
-          };
-        }
-
-        case 'nellobytes':
-        case 'clubkonnect': {
-          const result = await NelloBytesService.getWalletBalance();
-          return {
-            providerId: resolvedProviderId,
-            providerName: provider.name,
-            available: true,
-            balance: Number(result?.balance || 0),
-            currency: result?.currency || 'NGN',
-            accountId: result?.id || null,
-            phoneNumber: result?.phoneNumber || null,
-            raw: result?.raw || result,
-            lastUpdated: new Date(),
-          };
-        }
-
-        case 'pluginng': {
-          const result = await PluginngService.getWalletBalance();
-          return {
-            providerId: resolvedProviderId,
-            providerName: provider.name,
-            available: true,
-            balance: Number(result?.balance || 0),
-            currency: result?.currency || 'NGN',
-            accountId: result?.accountId || result?.id || null,
-            phoneNumber: result?.phoneNumber || result?.phoneno || null,
-            raw: result?.raw || result,
-            lastUpdated: new Date(),
-          };
-        }
-        case 'alrahuzdata': {
-          const result = await AlrahuzDataService.getWalletBalance();
-          return {
-            providerId: resolvedProviderId,
-            providerName: provider.name,
-            available: true,
-            balance: Number(result?.balance || 0),
-            currency: result?.currency || 'NGN',
-            accountId: result?.accountId || result?.id || null,
-            phoneNumber: result?.phoneNumber || result?.phoneno || null,
-            raw: result?.raw || result,
-            lastUpdated: new Date(),
-          };
-        }
-
-        case 'arewa': {
-          const result = await ArewaService.getBalance();
-          return {
-            providerId: resolvedProviderId,
-            providerName: provider.name,
-            available: true,
-            balance: Number(result?.balance || 0),
-            currency: result?.currency || 'NGN',
-            accountId: result?.accountId || null,
-            phoneNumber: result?.phoneNumber || null,
-            raw: result?.raw || result,
-            lastUpdated: new Date(),
-          };
-        }
-
-        case 'reloadly': {
-          const result = await ReloadlyGiftCardService.getBalance();
-          return {
-            providerId: resolvedProviderId,
-            providerName: provider.name,
-            available: true,
-            balance: Number(result?.balance || 0),
-            currency: result?.currency || 'USD',
-            accountId: result?.accountId || null,
-            phoneNumber: result?.phoneNumber || null,
-            raw: result?.raw || result,
-            lastUpdated: new Date(),
-          };
-        }
-
-        default:
-          return {
-            providerId: resolvedProviderId,
-            providerName: provider.name,
-            available: false,
-            balance: null,
-            currency: 'NGN',
-            message: 'Balance endpoint is not implemented for this provider yet',
-            lastUpdated: new Date(),
-          };
-      }
+      const result = await adapter.getBalance();
+      return {
+        providerId: resolvedProviderId,
+        providerName: provider.name,
+        available: true,
+        ...result,
+        lastUpdated: new Date(),
+      };
     } catch (error) {
       logger.warn(`Unable to fetch balance for provider ${resolvedProviderId || providerId}: ${error.message}`);
       return {
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const Wallet = require('../models/Wallet');
 const NotificationService = require('./NotificationService');
+const LedgerService = require('./ledgerService');
+const WalletService = require('./walletService');
 const logger = require('../utils/logger');
 const { AppError } = require('../middlewares/errorHandler');
 const {
@@ -130,7 +132,13 @@ class VtuTransactionLifecycleService {
         timestamp: now,
       });
 
-      if (nextStatus === 'failed') {
+      if (WalletService.hasOpenHold(transaction)) {
+        await WalletService.settleTransactionHold(
+          transaction,
+          nextStatus === 'successful' ? 'capture' : 'release',
+          { session }
+        );
+      } else if (nextStatus === 'failed') {
         const wallet = await Wallet.findOne({ user: transaction.user }).session(session);
 
         if (!wallet) {
@@ -142,6 +150,15 @@ class VtuTransactionLifecycleService {
         wallet.lastTransaction = now;
         await wallet.save({ session });
 
+        const refundedFee = await LedgerService.getPurchaseFee(transaction.reference, session);
+        await LedgerService.recordWalletReversal(wallet, transaction.totalAmount - refundedFee, {
+          fee: refundedFee,
+          entryType: 'refund',
+          reference: transaction.reference,
+          description: `Refund for failed ${transaction.type} ${transaction.reference}`,
+          session,
+        });
+
         transaction.newBalance = wallet.balance;
       }
 
@@ -193,7 +210,9 @@ class VtuTransactionLifecycleService {
           title: 'Purchase Failed',
           message:
             details.notificationMessage ||
-            `Your ${transaction.type} of N${transaction.amount} failed. Amount has been refunded.`,
+            (transaction.metadata?.walletHold?.status === 'released'
+              ? `Your ${transaction.type} of N${transaction.amount} failed. The held amount has been released to your wallet.`
+              : `Your ${transaction.type} of N${transaction.amount} failed. Amount has been refunded.`),
           type: 'purchase_failed',
           reference: transaction.reference,
         });
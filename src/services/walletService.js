@@ -1,21 +1,11 @@
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
-const Settings = require('../models/Settings');
+const LedgerService = require('./ledgerService');
+const FeeService = require('./feeService');
 const { AppError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const axios = require("axios");
 
-async function getTransferFeeRate() {
-  try {
-    const setting = await Settings.findOne({ key: 'transfer_fee_rate' }).lean();
-    if (setting && typeof setting.value === 'number') {
-      return setting.value;
-    }
-  } catch (_) {
-  }
-  return 0.02;
-}
-
 class WalletService {
     static async createWallet(user) {
       try {
@@ -122,6 +112,8 @@ class WalletService {
   
       return {
         balance: wallet.balance,
+        availableBalance: wallet.availableBalance,
+        heldBalance: wallet.heldBalance || 0,
         currency: wallet.currency,
         locked: wallet.locked,
         virtualAccount: wallet.virtualAccount
@@ -141,7 +133,7 @@ class WalletService {
     }
   }
 
-  static async creditWallet(userId, amount, reference, description = 'Wallet funding', metadata = {}) {
+  static async creditWallet(userId, amount, reference, description = 'Wallet funding', metadata = {}, ledger = {}) {
     const session = await Wallet.startSession();
     
     try {
@@ -185,6 +177,15 @@ class WalletService {
       });
       
       await transaction.save({ session });
+
+      await LedgerService.recordWalletCredit(wallet, amount, {
+        entryType: 'funding',
+        counterAccount: LedgerService.ACCOUNTS.SUSPENSE,
+        ...ledger,
+        reference,
+        description,
+        session,
+      });
       
       await session.commitTransaction();
       
@@ -205,7 +206,7 @@ class WalletService {
     }
   }
 
-  static async debitWallet(userId, amount, reference, description = 'Wallet debit', metadata = {}) {
+  static async debitWallet(userId, amount, reference, description = 'Wallet debit', metadata = {}, ledger = {}) {
     const session = await Wallet.startSession();
     
     try {
@@ -221,7 +222,7 @@ class WalletService {
         throw new AppError('Wallet is locked', 400);
       }
       
-      if (wallet.balance < amount) {
+      if (wallet.availableBalance < amount) {
         throw new AppError('Insufficient balance', 400);
       }
       
@@ -250,6 +251,15 @@ class WalletService {
       });
       
       await transaction.save({ session });
+
+      await LedgerService.recordWalletDebit(wallet, amount - Number(ledger.fee || 0), {
+        entryType: 'adjustment',
+        counterAccount: LedgerService.ACCOUNTS.SUSPENSE,
+        ...ledger,
+        reference,
+        description,
+        session,
+      });
       
       await session.commitTransaction();
       
@@ -270,6 +280,64 @@ class WalletService {
     }
   }
 
+  static buildHoldMetadata(reference, amount) {
+    return {
+      reference,
+      amount,
+      status: 'held',
+      heldAt: new Date(),
+    };
+  }
+
+  static hasOpenHold(transaction) {
+    return transaction?.metadata?.walletHold?.status === 'held';
+  }
+
+  static async settleTransactionHold(transaction, outcome, { session = null, persist = false, amount } = {}) {
+    const hold = transaction?.metadata?.walletHold;
+    if (!hold || hold.status !== 'held') {
+      return null;
+    }
+
+    const result = outcome === 'capture'
+      ? await Wallet.captureHold(transaction.user, hold.reference, {
+          entryType: 'purchase',
+          reference: transaction.reference,
+          description: transaction.description,
+          amount,
+          session,
+        })
+      : await Wallet.releaseHold(transaction.user, hold.reference, { session });
+
+    const settledHold = {
+      ...hold,
+      status: outcome === 'capture' ? 'captured' : 'released',
+      ...(result && outcome === 'capture' && { capturedAmount: result.amount }),
+      settledAt: new Date(),
+    };
+
+    transaction.metadata = {
+      ...(transaction.metadata || {}),
+      walletHold: settledHold,
+    };
+
+    const update = { 'metadata.walletHold': settledHold };
+    if (result?.wallet) {
+      transaction.newBalance = result.wallet.balance;
+      update.newBalance = result.wallet.balance;
+    }
+
+    if (persist) {
+      await Transaction.updateOne({ _id: transaction._id }, { $set: update }, session ? { session } : {});
+    }
+
+    logger.info(
+      `Wallet hold ${settledHold.status}: tx=${transaction.reference}, amount=${hold.amount}`
+    );
+
+    return result;
+  }
+
   static async transferFunds(senderId, recipientId, amount, transactionPin, description = '') {
     const session = await Wallet.startSession();
     
@@ -291,15 +359,19 @@ class WalletService {
         throw new AppError('Recipient wallet is locked', 400);
       }
       
-      if (senderWallet.balance < amount) {
+      if (senderWallet.availableBalance < amount) {
         throw new AppError('Insufficient balance', 400);
       }
       
-      const feeRate = await getTransferFeeRate();
-      const fee = Math.max(10, amount * feeRate);
+      const { fee, breakdown: feeBreakdown } = await FeeService.quote({
+        transactionType: 'transfer',
+        amount,
+        channel: 'wallet',
+        userId: senderId,
+      });
       const totalDebit = amount + fee;
       
-      if (senderWallet.balance < totalDebit) {
+      if (senderWallet.availableBalance < totalDebit) {
         throw new AppError('Insufficient balance to cover amount and fee', 400);
       }
       
@@ -341,6 +413,7 @@ class WalletService {
         metadata: {
           transferType: 'wallet_to_wallet',
           feeBreakdown: {
+            ...feeBreakdown,
             transferFee: fee,
           },
         },
@@ -390,6 +463,16 @@ class WalletService {
         feeTransaction.save({ session }),
         creditTransaction.save({ session }),
       ]);
+
+      await LedgerService.recordTransfer({
+        senderWallet,
+        recipientWallet,
+        amount,
+        fee,
+        reference: transferReference,
+        description: description || `Transfer from user ${senderId} to user ${recipientId}`,
+        session,
+      });
       
       await session.commitTransaction();
       
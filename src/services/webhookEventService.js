@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const { enqueueWebhookEvent } = require('../queues/webhookQueue');
+const WebhookVerificationService = require('./webhookVerificationService');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const REDACTED = '[REDACTED]';
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+const MAX_RESPONSE_CHARS = 2000;
+
+const handlers = new Map();
+
+// Providers that put a stable id on their events. Everything else is
+// deduplicated by a hash of the payload, so a status change is a new event.
+const EVENT_ID_RESOLVERS = {
+  paystack: (body) => {
+    const id = body?.data?.id || body?.data?.reference;
+    return body?.event && id ? `${body.event}:${id}` : null;
+  },
+  monnify: (body) => {
+    const reference = body?.eventData?.transactionReference
+      || body?.eventData?.reference
+      || body?.transactionReference
+      || body?.paymentReference;
+    return reference ? `${body.eventType || 'payment'}:${reference}` : null;
+  },
+  flutterwave: (body) => {
+    const id = body?.data?.id || body?.id;
+    return id ? `${body.event || body['event.type'] || body.status || 'event'}:${id}` : null;
+  },
+  budpay: (body) => {
+    const reference = body?.data?.reference || body?.transferDetails?.paymentReference;
+    return reference ? `${body.notify}:${body.notifyType || body.data?.status || ''}:${reference}` : null;
+  },
+};
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Mongo field names cannot start with $ and dotted keys read as paths.
+function toStorable(value, depth = 0) {
+  if (value === null || typeof value !== 'object' || depth > 10) return value;
+  if (Array.isArray(value)) return value.map((item) => toStorable(item, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key.replace(/^\$/, '_$').replace(/\./g, '_'), toStorable(item, depth + 1)])
+  );
+}
+
+function truncate(value) {
+  if (value === undefined || value === null) return value;
+  const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+  if (serialized.length <= MAX_RESPONSE_CHARS) return value;
+  return `${serialized.slice(0, MAX_RESPONSE_CHARS)}...`;
+}
+
+/**
+ * Inbox for every inbound provider callback. Each delivery is stored as a
+ * WebhookEvent before anything else happens, deduplicated on (handler,
+ * eventId), and then handed to the original Express handler from the
+ * webhook queue with a request rebuilt from the stored event. The same
+ * path is used to replay an event.
+ */
+class WebhookEventService {
+  static register(handlerKey, provider, handler) {
+    const existing = handlers.get(handlerKey);
+    if (existing && existing.handler !== handler) {
+      throw new Error(`Webhook handler ${handlerKey} is already registered to a different function`);
+    }
+    handlers.set(handlerKey, { provider, handler });
+  }
+
+  static getHandler(handlerKey) {
+    return handlers.get(handlerKey) || null;
+  }
+
+  static sanitizeHeaders(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers).map(([key, value]) => [key, REDACTED_HEADERS.includes(key.toLowerCase()) ? REDACTED : value])
+    );
+  }
+
+  static resolveEventId(provider, { body, query, rawBody }) {
+    const resolved = EVENT_ID_RESOLVERS[provider]?.(body);
+    if (resolved) return String(resolved);
+
+    const payload = rawBody || JSON.stringify(body || {});
+    return `sha256:${crypto.createHash('sha256').update(`${payload}|${JSON.stringify(query || {})}`).digest('hex')}`;
+  }
+
+  static resolveProvider(handlerKey, req) {
+    const registration = this.getHandler(handlerKey);
+    return typeof registration.provider === 'function'
+      ? String(registration.provider(req) || handlerKey).toLowerCase()
+      : registration.provider;
+  }
+
+  static async receive(handlerKey, req, verification = null) {
+    const provider = this.resolveProvider(handlerKey, req);
+    const rawBody = req.rawBody?.length ? req.rawBody.toString('utf8') : undefined;
+    const query = WebhookVerificationService.stripToken(req.query);
+    const eventId = this.resolveEventId(provider, { body: req.body, query, rawBody });
+
+    try {
+      const event = await WebhookEvent.create({
+        provider,
+        handler: handlerKey,
+        eventId,
+        method: req.method,
+        path: req.originalUrl?.split('?')[0],
+        headers: this.sanitizeHeaders(req.headers),
+        query: toStorable(query),
+        params: req.params,
+        body: toStorable(req.body),
+        rawBody,
+        ipAddress: req.ip,
+        verification: verification && {
+          status: verification.status,
+          method: verification.method,
+          reason: verification.reason,
+        },
+        lastDeliveredAt: new Date(),
+      });
+
+      await this.dispatch(event);
+      return { event, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const existing = await WebhookEvent.findOneAndUpdate(
+      { handler: handlerKey, eventId },
+      { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: new Date() } },
+      { new: true }
+    );
+
+    // A redelivery of an event we failed on is treated as a retry.
+    if (existing?.status === 'failed') {
+      await this.dispatch(existing);
+    }
+
+    logger.info(`Duplicate ${provider} webhook ${eventId} (${existing?.status || 'unknown'}, delivery ${existing?.deliveries || '?'})`);
+    return { event: existing, duplicate: true };
+  }
+
+  static async dispatch(event) {
+    // Never pull an event out from under the worker that has claimed it.
+    await WebhookEvent.updateOne({ _id: event._id, status: { $ne: 'processing' } }, { $set: { status: 'queued' } });
+    event.status = 'queued';
+
+    let job = null;
+    try {
+      job = await enqueueWebhookEvent(event._id, { attempt: event.attempts || 0 });
+    } catch (error) {
+      logger.warn(`Webhook queue unavailable for ${event._id}, processing inline: ${error.message}`);
+    }
+
+    if (!job) {
+      setImmediate(() => {
+        this.process(event._id).catch((error) => {
+          logger.error(`Inline webhook processing failed for ${event._id}:`, error);
+        });
+      });
+    }
+  }
+
+  // JSON bodies are replayed from the raw bytes so keys and signatures match the original delivery.
+  static buildRequest(event) {
+    const headers = event.headers || {};
+    let body = event.body ?? {};
+    if (event.rawBody && String(headers['content-type'] || '').includes('json')) {
+      try {
+        body = JSON.parse(event.rawBody);
+      } catch (error) {
+        logger.warn(`Stored raw body for webhook ${event._id} is not valid JSON`);
+      }
+    }
+
+    return {
+      method: event.method,
+      originalUrl: event.path,
+      url: event.path,
+      headers,
+      query: event.query || {},
+      params: event.params || {},
+      body,
+      rawBody: event.rawBody ? Buffer.from(event.rawBody, 'utf8') : undefined,
+      ip: event.ipAddress,
+      webhookEvent: event,
+      get(name) {
+        return headers[String(name).toLowerCase()];
+      },
+    };
+  }
+
+  static async invoke(handler, req) {
+    const captured = { statusCode: 200, body: undefined, error: null };
+    const res = {
+      status(code) {
+        captured.statusCode = code;
+        return this;
+      },
+      json(body) {
+        captured.body = body;
+        return this;
+      },
+      send(body) {
+        captured.body = body;
+        return this;
+      },
+      sendStatus(code) {
+        captured.statusCode = code;
+        return this;
+      },
+      set() {
+        return this;
+      },
+      setHeader() {
+        return this;
+      },
+      end(body) {
+        if (body !== undefined) captured.body = body;
+        return this;
+      },
+    };
+    const next = (error) => {
+      if (error) captured.error = error;
+    };
+
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      captured.error = error;
+    }
+
+    if (captured.error) {
+      captured.statusCode = captured.error.statusCode || 500;
+    }
+    return captured;
+  }
+
+  static async confirm(provider, req) {
+    try {
+      return { ...(await WebhookVerificationService.confirmByQuery({ provider, body: req.body, query: req.query })), error: null };
+    } catch (error) {
+      return { statusCode: 500, body: undefined, error };
+    }
+  }
+
+  /**
+   * Unverified callbacks from providers we can query are never trusted as
+   * they are: payment callbacks reach the handler only once the provider's
+   * API agrees with them, VTU callbacks are replaced by a status poll.
+   */
+  static async handleUnverified(provider, handler, req) {
+    if (!WebhookVerificationService.confirmsClaims(provider)) {
+      return this.confirm(provider, req);
+    }
+
+    try {
+      const claim = await WebhookVerificationService.confirmClaim(provider, { body: req.body, query: req.query });
+      if (claim.confirmed) {
+        return this.invoke(handler, req);
+      }
+      return {
+        statusCode: claim.retryable ? 503 : 422,
+        body: { status: 'error', message: claim.reason || 'Callback could not be confirmed' },
+        error: null,
+      };
+    } catch (error) {
+      return { statusCode: 500, body: undefined, error };
+    }
+  }
+
+  /**
+   * Runs the stored event through its handler, or for unverified callbacks
+   * from providers we can query, confirms them first (see handleUnverified). With `throwOnRetryable`,
+   * exceptions and 5xx responses are rethrown so the queue retries them;
+   * 4xx responses are final.
+   */
+  static async process(eventId, { throwOnRetryable = false } = {}) {
+    // The status filter makes the claim atomic: a second worker, the inline
+    // fallback or a recovery pass finds nothing to claim and backs off.
+    const event = await WebhookEvent.findOneAndUpdate(
+      { _id: eventId, status: { $in: ['received', 'queued', 'failed'] } },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!event) {
+      return WebhookEvent.findById(eventId);
+    }
+
+    const registration = this.getHandler(event.handler);
+    if (!registration) {
+      event.status = 'failed';
+      event.lastError = `No handler registered for ${event.handler}`;
+      await event.save();
+      return event;
+    }
+
+    const request = this.buildRequest(event.toObject());
+    const result = event.verification?.status === 'unverified' && WebhookVerificationService.requiresConfirmation(event.provider)
+      ? await this.handleUnverified(event.provider, registration.handler, request)
+      : await this.invoke(registration.handler, request);
+    const failed = Boolean(result.error) || result.statusCode >= 400;
+
+    event.response = {
+      statusCode: result.statusCode,
+      body: truncate(result.body),
+    };
+
+    if (failed) {
+      event.status = 'failed';
+      event.lastError = result.error?.message
+        || result.body?.message
+        || (typeof result.body === 'string' ? result.body : `Handler responded with ${result.statusCode}`);
+      logger.warn(`Webhook ${event.provider} ${event._id} failed (attempt ${event.attempts}): ${event.lastError}`);
+    } else {
+      event.status = 'processed';
+      event.processedAt = new Date();
+      event.lastError = undefined;
+    }
+    await event.save();
+
+    if (failed && throwOnRetryable && (result.error || result.statusCode >= 500)) {
+      throw new Error(event.lastError);
+    }
+    return event;
+  }
+
+  static async replay(eventId, actor = {}) {
+    const event = await WebhookEvent.findById(eventId);
+    if (!event) {
+      throw new AppError('Webhook event not found', 404);
+    }
+    if (['queued', 'processing'].includes(event.status)) {
+      throw new AppError(`Webhook event is already ${event.status}`, 409);
+    }
+    if (!this.getHandler(event.handler)) {
+      throw new AppError(`No handler registered for ${event.handler}`, 400);
+    }
+
+    event.replays.push({
+      replayedBy: actor.admin?._id,
+      replayedAt: new Date(),
+      previousStatus: event.status,
+    });
+    event.status = 'received';
+    event.processedAt = undefined;
+    await event.save();
+
+    await this.dispatch(event);
+    return event;
+  }
+
+  // Requeues events left behind by a restart or a Redis outage.
+  static async recoverPending({ olderThanMs = 60 * 1000, lookbackHours = 24 } = {}) {
+    const events = await WebhookEvent.find({
+      status: { $in: ['received', 'queued'] },
+      updatedAt: { $lte: new Date(Date.now() - olderThanMs) },
+      createdAt: { $gte: new Date(Date.now() - lookbackHours * 60 * 60 * 1000) },
+    })
+      .select('_id attempts')
+      .limit(Number(process.env.WEBHOOK_RECOVERY_BATCH_SIZE || 200))
+      .lean();
+
+    for (const event of events) {
+      await this.dispatch(event);
+    }
+    return events.length;
+  }
+
+  static buildQuery(filters = {}) {
+    const query = {};
+    if (filters.provider) query.provider = String(filters.provider).toLowerCase();
+    if (filters.handler) query.handler = filters.handler;
+    if (filters.status) query.status = filters.status;
+    if (filters.eventId) query.eventId = { $regex: escapeRegex(filters.eventId), $options: 'i' };
+
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+    }
+    return query;
+  }
+
+  static async list(filters = {}, { page = 1, limit = 20 } = {}) {
+    const resolvedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200);
+    const resolvedPage = Math.max(parseInt(page, 10) || 1, 1);
+    const query = this.buildQuery(filters);
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((resolvedPage - 1) * resolvedLimit)
+        .limit(resolvedLimit)
+        .select('-headers -body -rawBody -query -params')
+        .lean(),
+      WebhookEvent.countDocuments(query),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page: resolvedPage,
+        limit: resolvedLimit,
+        total,
+        pages: Math.ceil(total / resolvedLimit),
+      },
+    };
+  }
+
+  static async getById(eventId) {
+    return WebhookEvent.findById(eventId).lean();
+  }
+}
+
+module.exports = WebhookEventService;
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const Transaction = require('../models/Transaction');
+const ProviderRegistry = require('./providerRegistry');
+const BudpayPayoutService = require('./budpayPayoutService');
+const VtuPollingService = require('./vtuPollingService');
+const VtuTransactionLifecycleService = require('./vtuTransactionLifecycleService');
+const logger = require('../utils/logger');
+
+const TOKEN_HEADER = 'x-webhook-token';
+const TOKEN_QUERY_PARAM = 'token';
+
+// Reference fields used across provider callbacks when an adapter cannot parse the payload.
+const REFERENCE_KEYS = [
+  'reference',
+  'customer_reference',
+  'customerReference',
+  'custom_reference',
+  'ref',
+  'orderid',
+  'orderId',
+  'order_id',
+  'requestid',
+  'requestId',
+  'request_id',
+  'message_id',
+  'messageId',
+];
+
+/**
+ * How each provider proves a callback came from it.
+ *   signature: HMAC of the raw body sent in `header`, keyed with `secretEnv`.
+ *   sharedHeader: a static secret echoed back in `header`.
+ *   confirmByQuery: unverified callbacks are settled from the provider's
+ *     status API instead of the payload, or for providers in CLAIM_CONFIRMERS
+ *     only handled once the provider's API agrees with the payload.
+ *   requireSource: WEBHOOK_TOKEN_<PROVIDER> or WEBHOOK_ALLOWED_IPS_<PROVIDER>
+ *     must be configured, otherwise every delivery is rejected.
+ * A signature or shared header whose secret is not configured rejects every
+ * delivery. Every provider additionally honours WEBHOOK_ALLOWED_IPS_<PROVIDER>
+ * and WEBHOOK_TOKEN_<PROVIDER>.
+ */
+const PROVIDER_POLICIES = {
+  paystack: { signature: { algorithm: 'sha512', header: 'x-paystack-signature', secretEnv: 'PAYSTACK_SECRET_KEY' } },
+  // Legacy Monnify payment notifications carry a transactionHash in the body instead of a header.
+  monnify: { signature: { algorithm: 'sha512', header: 'monnify-signature', secretEnv: 'MONNIFY_SECRET_KEY', optional: true } },
+  flutterwave: { sharedHeader: { header: 'verif-hash', secretEnv: 'FLUTTERWAVE_SECRET_HASH' } },
+  budpay: {
+    signature: { algorithm: 'sha512', header: 'merchantsignature', secretEnv: 'BUDPAY_SECRET_KEY' },
+    confirmByQuery: true,
+  },
+  bulksmsnigeria: { requireSource: true },
+  smeplug: { confirmByQuery: true },
+  pluginng: { confirmByQuery: true },
+  nellobytes: { confirmByQuery: true },
+  airtimenigeria: { confirmByQuery: true },
+  smedata: { confirmByQuery: true },
+};
+
+const DEFAULT_POLICY = { confirmByQuery: true };
+
+// Payment providers whose callbacks move wallet money: an unverified
+// callback is only handled when the provider's API reports the same outcome.
+const CLAIM_CONFIRMERS = {
+  budpay: async ({ body }) => {
+    // Loaded lazily: PayoutService pulls in the wallet and ledger services.
+    const PayoutService = require('./payoutService');
+
+    if (body?.notify === 'payout') {
+      const reference = body.data?.reference;
+      if (!reference) return { confirmed: false, reason: 'Payout callback has no reference' };
+
+      const lookup = await BudpayPayoutService.getTransferStatus(reference);
+      if (!lookup.success) return { confirmed: false, reason: lookup.message, retryable: true };
+
+      const claimed = PayoutService.normalizeState(body.notifyType || body.data?.status);
+      const actual = PayoutService.normalizeState(lookup.status);
+      return actual === claimed
+        ? { confirmed: true }
+        : { confirmed: false, reason: `BudPay reports payout ${reference} as ${lookup.status || 'unknown'}` };
+    }
+
+    if (body?.notify === 'transaction') {
+      const reference = body.transferDetails?.paymentReference;
+      if (!reference) return { confirmed: false, reason: 'Transaction callback has no reference' };
+
+      const lookup = await BudpayPayoutService.verifyTransaction(reference);
+      if (!lookup.success) return { confirmed: false, reason: lookup.message, retryable: true };
+
+      if (PayoutService.normalizeState(lookup.status) !== 'successful') {
+        return { confirmed: false, reason: `BudPay reports transaction ${reference} as ${lookup.status || 'unknown'}` };
+      }
+      if (Number(lookup.amount) !== Number(body.transferDetails.amount)) {
+        return { confirmed: false, reason: `BudPay reports ${lookup.amount} for ${reference}, callback claimed ${body.transferDetails.amount}` };
+      }
+      return { confirmed: true };
+    }
+
+    return { confirmed: false, reason: `Unsupported BudPay notification ${body?.notify || 'unknown'}` };
+  },
+};
+
+function safeEqual(expected, actual) {
+  const expectedBuffer = Buffer.from(String(expected));
+  const actualBuffer = Buffer.from(String(actual));
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '').trim();
+}
+
+function envKey(provider) {
+  return String(provider).toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+class WebhookVerificationService {
+  static getMode() {
+    return process.env.WEBHOOK_VERIFICATION_MODE === 'monitor' ? 'monitor' : 'enforce';
+  }
+
+  static getPolicy(provider) {
+    return PROVIDER_POLICIES[provider] || DEFAULT_POLICY;
+  }
+
+  static getAllowedIps(provider) {
+    return String(process.env[`WEBHOOK_ALLOWED_IPS_${envKey(provider)}`] || '')
+      .split(',')
+      .map(normalizeIp)
+      .filter(Boolean);
+  }
+
+  static getToken(provider) {
+    return process.env[`WEBHOOK_TOKEN_${envKey(provider)}`] || null;
+  }
+
+  static requiresConfirmation(provider) {
+    return Boolean(this.getPolicy(provider).confirmByQuery);
+  }
+
+  static confirmsClaims(provider) {
+    return Boolean(CLAIM_CONFIRMERS[provider]);
+  }
+
+  static checkSignature({ algorithm, header, secretEnv, optional = false }, req) {
+    const secret = process.env[secretEnv];
+    if (!secret) {
+      return { status: 'rejected', method: 'hmac', reason: `${secretEnv} is not configured` };
+    }
+
+    const signature = req.headers?.[header];
+    if (!signature && optional) return null;
+    if (!signature) {
+      return { status: 'rejected', method: 'hmac', reason: `Missing ${header} header` };
+    }
+
+    const payload = req.rawBody?.length ? req.rawBody : JSON.stringify(req.body || {});
+    const expected = crypto.createHmac(algorithm, secret).update(payload).digest('hex');
+    return safeEqual(expected, String(signature).toLowerCase())
+      ? { status: 'verified', method: 'hmac' }
+      : { status: 'rejected', method: 'hmac', reason: 'Invalid signature' };
+  }
+
+  static checkSharedHeader({ header, secretEnv }, req) {
+    const secret = process.env[secretEnv];
+    if (!secret) {
+      return { status: 'rejected', method: 'shared_header', reason: `${secretEnv} is not configured` };
+    }
+
+    const supplied = req.headers?.[header];
+    return supplied && safeEqual(secret, supplied)
+      ? { status: 'verified', method: 'shared_header' }
+      : { status: 'rejected', method: 'shared_header', reason: `Invalid ${header} header` };
+  }
+
+  // Either configured source check is enough; configuring one makes it mandatory.
+  static checkSource(provider, req) {
+    const token = this.getToken(provider);
+    const allowedIps = this.getAllowedIps(provider);
+    if (!token && !allowedIps.length) {
+      return this.getPolicy(provider).requireSource
+        ? { status: 'rejected', method: 'token', reason: `WEBHOOK_TOKEN_${envKey(provider)} is not configured` }
+        : null;
+    }
+
+    const suppliedToken = req.query?.[TOKEN_QUERY_PARAM] || req.headers?.[TOKEN_HEADER];
+    if (token && suppliedToken && safeEqual(token, suppliedToken)) {
+      return { status: 'verified', method: 'token' };
+    }
+    if (allowedIps.includes(normalizeIp(req.ip))) {
+      return { status: 'verified', method: 'ip' };
+    }
+
+    return {
+      status: 'rejected',
+      method: token ? 'token' : 'ip',
+      reason: suppliedToken ? 'Invalid webhook token' : `Source ${normalizeIp(req.ip)} is not allowed`,
+    };
+  }
+
+  /**
+   * Returns { status: 'verified'|'unverified'|'rejected', method, reason }.
+   * In monitor mode rejections are logged and downgraded to unverified so
+   * confirm-by-query still applies.
+   */
+  static verify(provider, req) {
+    const policy = this.getPolicy(provider);
+    const result = (policy.signature && this.checkSignature(policy.signature, req))
+      || (policy.sharedHeader && this.checkSharedHeader(policy.sharedHeader, req))
+      || this.checkSource(provider, req)
+      || { status: 'unverified', method: 'none', reason: 'No verification configured' };
+
+    if (result.status === 'rejected') {
+      logger.warn(`Webhook from ${provider} failed verification (${result.reason}) ip=${normalizeIp(req.ip)}`);
+      if (this.getMode() === 'monitor') {
+        return { ...result, status: 'unverified' };
+      }
+    }
+
+    return result;
+  }
+
+  // Callback URLs handed to providers carry the shared token so it comes back on every delivery.
+  static withCallbackToken(provider, url) {
+    const token = this.getToken(provider);
+    if (!token || !url) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}${TOKEN_QUERY_PARAM}=${encodeURIComponent(token)}`;
+  }
+
+  static stripCallbackToken(url) {
+    if (!url) return url;
+    return String(url).replace(new RegExp(`([?&])${TOKEN_QUERY_PARAM}=[^&]*(&|$)`), (match, lead, tail) => (tail ? lead : ''));
+  }
+
+  static stripToken(query = {}) {
+    if (!query || !(TOKEN_QUERY_PARAM in query)) return query;
+    const { [TOKEN_QUERY_PARAM]: omitted, ...rest } = query;
+    return rest;
+  }
+
+  static extractReferences(provider, { body, query }) {
+    const payload = Array.isArray(body) || Object.keys(body || {}).length ? body : query;
+    const references = new Set();
+
+    const adapter = ProviderRegistry.getAdapter(provider);
+    if (adapter?.supports('parseWebhook')) {
+      try {
+        for (const item of adapter.parseWebhook(payload) || []) {
+          if (item.reference) references.add(String(item.reference));
+          if (item.orderId) references.add(String(item.orderId));
+        }
+      } catch (error) {
+        logger.warn(`Could not parse ${provider} webhook for confirmation: ${error.message}`);
+      }
+    }
+
+    const items = Array.isArray(payload) ? payload : (Array.isArray(payload?.events) ? payload.events : [payload]);
+    for (const item of [...items, query]) {
+      for (const key of REFERENCE_KEYS) {
+        if (item?.[key] !== undefined && item[key] !== null && item[key] !== '') {
+          references.add(String(item[key]));
+        }
+      }
+    }
+
+    return [...references];
+  }
+
+  /**
+   * For CLAIM_CONFIRMERS providers: checks the outcome an unverified callback
+   * claims against the provider's API. Returns { confirmed, reason, retryable }.
+   */
+  static async confirmClaim(provider, { body, query }) {
+    const confirmer = CLAIM_CONFIRMERS[provider];
+    if (!confirmer) return { confirmed: false, reason: `No claim confirmation for ${provider}` };
+
+    const result = await confirmer({ body, query });
+    if (!result.confirmed) {
+      logger.warn(`Unverified ${provider} callback not confirmed: ${result.reason}`);
+    }
+    return result;
+  }
+
+  /**
+   * Settles the transactions an unverified callback refers to by asking the
+   * provider for their status. The callback's own status is never trusted.
+   */
+  static async confirmByQuery({ provider, body, query }) {
+    const references = this.extractReferences(provider, { body, query });
+    if (!references.length) {
+      return { statusCode: 400, body: { status: 'error', message: 'No transaction reference in callback' } };
+    }
+
+    const transactions = await Transaction.find({
+      $or: [
+        { reference: { $in: references } },
+        { 'service.orderId': { $in: references } },
+        { 'service.requestId': { $in: references } },
+      ],
+    }).select('_id reference status');
+
+    const results = [];
+    for (const transaction of transactions) {
+      if (VtuTransactionLifecycleService.isTerminalStatus(transaction.status)) {
+        results.push({ reference: transaction.reference, reason: 'already_terminal' });
+        continue;
+      }
+
+      const outcome = await VtuPollingService.pollTransaction(transaction._id);
+      results.push({ reference: transaction.reference, reason: outcome.reason });
+    }
+
+    logger.info(`Confirmed unverified ${provider} callback by provider query`, { references, results });
+    return {
+      statusCode: 200,
+      body: {
+        status: 'success',
+        message: transactions.length ? 'Confirmed with provider' : 'No matching transaction',
+        confirmedBy: 'provider_query',
+        results,
+      },
+    };
+  }
+}
+
+module.exports = WebhookVerificationService;
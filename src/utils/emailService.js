@@ -305,6 +305,107 @@ exports.sendApiBalanceAlertEmail = async ({ email, providerName, balance, thresh
   }
 };
 
+exports.sendPlanMarginAlertEmail = async ({ email, changes = [] }) => {
+  try {
+    const rows = changes.map((change) => `
+            <tr>
+              <td>${change.provider}</td>
+              <td>${String(change.network || '').toUpperCase()}</td>
+              <td>${change.plan?.planName || change.providerPlanId}</td>
+              <td>${change.previousCostPrice ?? '-'}</td>
+              <td>${change.newCostPrice}</td>
+              <td>${change.sellingPrice}</td>
+              <td>${change.projectedMargin}</td>
+            </tr>`).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Plan Cost Increase Alert - ${changes.length} plan(s) below margin`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+          <h2 style="color: #c0392b;">Plan Cost Increase Alert</h2>
+          <p>Provider costs have risen above what these plans sell for. The changes are staged for approval in the admin pricing console.</p>
+          <table style="border-collapse: collapse; width: 100%;">
+            <tr><th align="left">Provider</th><th align="left">Network</th><th align="left">Plan</th><th align="left">Old Cost</th><th align="left">New Cost</th><th align="left">Selling</th><th align="left">Margin</th></tr>${rows}
+          </table>
+          <p style="font-size: 14px; color: #666;">Time: ${new Date().toISOString()}</p>
+        </div>
+      `,
+    };
+
+    await resend.emails.send(mailOptions);
+    logger.info(`Plan margin alert email sent to ${email} for ${changes.length} plan(s)`);
+  } catch (error) {
+    logger.error('Error sending plan margin alert email:', error);
+  }
+};
+
+exports.sendBalanceForecastAlertEmail = async ({ email, providerName, balance, spendPerHour, hoursToEmpty, projectedEmptyAt, currency = 'NGN' }) => {
+  try {
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Provider Balance Running Out - ${providerName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #d35400;">Provider Balance Forecast Alert</h2>
+          <p>At the current spend rate this provider balance will run out soon. Top it up to avoid failed purchases.</p>
+          <table style="border-collapse: collapse; width: 100%;">
+            <tr><td><strong>Provider</strong></td><td>${providerName}</td></tr>
+            <tr><td><strong>Current Balance</strong></td><td>${balance} ${currency}</td></tr>
+            <tr><td><strong>Spend Rate</strong></td><td>${spendPerHour} ${currency}/hour</td></tr>
+            <tr><td><strong>Time To Empty</strong></td><td>${hoursToEmpty} hours</td></tr>
+            <tr><td><strong>Projected Empty At</strong></td><td>${new Date(projectedEmptyAt).toISOString()}</td></tr>
+          </table>
+        </div>
+      `,
+    };
+
+    await resend.emails.send(mailOptions);
+    logger.info(`Balance forecast alert email sent to ${email} for provider ${providerName}`);
+  } catch (error) {
+    logger.error('Error sending balance forecast alert email:', error);
+  }
+};
+
+exports.sendAccountStatementEmail = async ({ email, firstName, periodLabel, summary, attachments = [] }) => {
+  try {
+    const amount = (value) => `NGN ${Number(value || 0).toFixed(2)}`;
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Your ${periodLabel} Account Statement - Yareema Data Hub`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Your Account Statement</h2>
+          <p style="font-size: 16px;">Hi ${firstName || 'there'},</p>
+          <p style="font-size: 16px;">
+            Your wallet statement for <strong>${periodLabel}</strong> is attached as PDF and CSV.
+          </p>
+          <table style="border-collapse: collapse; width: 100%;">
+            <tr><td><strong>Opening Balance</strong></td><td>${amount(summary.openingBalance)}</td></tr>
+            <tr><td><strong>Total Credits</strong></td><td>${amount(summary.totalCredits)}</td></tr>
+            <tr><td><strong>Total Debits</strong></td><td>${amount(summary.totalDebits)}</td></tr>
+            <tr><td><strong>Total Fees</strong></td><td>${amount(summary.totalFees)}</td></tr>
+            <tr><td><strong>Closing Balance</strong></td><td>${amount(summary.closingBalance)}</td></tr>
+          </table>
+          <p style="font-size: 14px; color: #666;">
+            You can download statements for any date range from the app at any time.
+          </p>
+        </div>
+      `,
+      attachments,
+    };
+
+    await resend.emails.send(mailOptions);
+    logger.info(`Account statement email sent to ${email} for ${periodLabel}`);
+  } catch (error) {
+    logger.error('Error sending account statement email:', error);
+    throw error;
+  }
+};
+
 exports.sendWhatsAppAlert = async ({ phone, message, metadata = {} }) => {
   try {
     const webhookUrl = process.env.WHATSAPP_ALERT_WEBHOOK_URL;
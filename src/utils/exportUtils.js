@@ -76,23 +76,33 @@ function toCsv(rows = []) {
   return [headerLine, ...dataLines].join('\n');
 }
 
-function buildSimplePdf(lines = []) {
-  const safeLines = (Array.isArray(lines) ? lines : [])
-    .map(line => String(line).replace(/[()\\]/g, '\\$&'));
-  const content = ['BT', '/F1 10 Tf', '40 800 Td'];
-  safeLines.forEach((line, index) => {
-    if (index > 0) content.push('0 -14 Td');
-    content.push(`(${line}) Tj`);
+function escapePdfText(line) {
+  return String(line).replace(/[()\\]/g, '\\$&');
+}
+
+function buildTextStream(lines, { fontSize, leading, top = 800, left = 40 }) {
+  const content = ['BT', `/F1 ${fontSize} Tf`, `${left} ${top} Td`];
+  lines.forEach((line, index) => {
+    if (index > 0) content.push(`0 -${leading} Td`);
+    content.push(`(${escapePdfText(line)}) Tj`);
   });
   content.push('ET');
+  return content.join('\n');
+}
 
-  const stream = content.join('\n');
+function writePdf(streams, baseFont = 'Helvetica') {
+  const pageCount = streams.length;
+  const fontId = 3;
+  const pageIds = streams.map((_, index) => 4 + index * 2);
   const objects = [];
   objects.push('1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
-  objects.push('2 0 obj\n<< /Type /Pages /Count 1 /Kids [3 0 R] >>\nendobj\n');
-  objects.push('3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 842] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>\nendobj\n');
-  objects.push('4 0 obj\n<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>\nendobj\n');
-  objects.push(`5 0 obj\n<< /Length ${Buffer.byteLength(stream, 'utf8')} >>\nstream\n${stream}\nendstream\nendobj\n`);
+  objects.push(`2 0 obj\n<< /Type /Pages /Count ${pageCount} /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] >>\nendobj\n`);
+  objects.push(`${fontId} 0 obj\n<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} >>\nendobj\n`);
+  streams.forEach((stream, index) => {
+    const pageId = pageIds[index];
+    objects.push(`${pageId} 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 842] /Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`);
+    objects.push(`${pageId + 1} 0 obj\n<< /Length ${Buffer.byteLength(stream, 'utf8')} >>\nstream\n${stream}\nendstream\nendobj\n`);
+  });
 
   let pdf = '%PDF-1.4\n';
   const offsets = [0];
@@ -112,7 +122,50 @@ function buildSimplePdf(lines = []) {
   return Buffer.from(pdf, 'utf8');
 }
 
+function buildSimplePdf(lines = []) {
+  const safeLines = Array.isArray(lines) ? lines : [];
+  return writePdf([buildTextStream(safeLines, { fontSize: 10, leading: 14 })]);
+}
+
+// Splits lines across as many pages as needed, repeating `header` at the top
+// of every page and stamping "Page X of Y" at the bottom. Courier keeps
+// column-aligned text lined up.
+function buildPaginatedPdf(lines = [], {
+  header = [],
+  footer = '',
+  fontSize = 8,
+  leading = 11,
+  baseFont = 'Courier',
+} = {}) {
+  const bodyLines = Array.isArray(lines) ? lines : [];
+  const usableHeight = 800 - 40;
+  const linesPerPage = Math.max(1, Math.floor(usableHeight / leading) - header.length - 2);
+  const pageCount = Math.max(1, Math.ceil(bodyLines.length / linesPerPage));
+  const streams = [];
+
+  for (let page = 0; page < pageCount; page += 1) {
+    const pageLines = [
+      ...header,
+      ...bodyLines.slice(page * linesPerPage, (page + 1) * linesPerPage),
+    ];
+    const footerText = [footer, `Page ${page + 1} of ${pageCount}`].filter(Boolean).join('    ');
+
+    streams.push([
+      buildTextStream(pageLines, { fontSize, leading }),
+      buildTextStream([footerText], { fontSize, leading, top: 30 }),
+    ].join('\n'));
+  }
+
+  return writePdf(streams, baseFont);
+}
+
+function toCsvRow(values = []) {
+  return values.map(escapeCsvValue).join(',');
+}
+
 module.exports = {
   toCsv,
+  toCsvRow,
   buildSimplePdf,
+  buildPaginatedPdf,
 };
@@ -0,0 +1,300 @@
+const zlib = require('zlib');
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXml(value = '') {
+  return String(value).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function detectDelimiter(headerLine = '') {
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, candidate) => (
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  ), ',');
+}
+
+function parseCsvRows(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+const ZIP64_LIMIT = 0xffffffff;
+// Excel's own limits: column XFD and 1,048,576 rows.
+const MAX_XLSX_COLUMN = 16383;
+const MAX_XLSX_ROWS = 1048576;
+
+// Uncompressed size any single workbook part may inflate to, so a small
+// upload cannot expand into gigabytes.
+function getMaxEntryBytes() {
+  return Number(process.env.IMPORT_MAX_XLSX_ENTRY_MB || 50) * 1024 * 1024;
+}
+
+function readBigUInt(buffer, offset) {
+  const value = buffer.readBigUInt64LE(offset);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error('File is not a valid XLSX workbook');
+  }
+  return Number(value);
+}
+
+// Zip64 moves the entry count and central directory offset into a second
+// end record when they overflow the classic fields.
+function readCentralDirectory(buffer, eocd) {
+  const count = buffer.readUInt16LE(eocd + 10);
+  const offset = buffer.readUInt32LE(eocd + 16);
+  const locator = eocd - 20;
+  if ((count !== 0xffff && offset !== ZIP64_LIMIT) || locator < 0 || buffer.readUInt32LE(locator) !== 0x07064b50) {
+    return { count, offset };
+  }
+
+  const zip64Eocd = readBigUInt(buffer, locator + 8);
+  if (zip64Eocd + 56 > buffer.length || buffer.readUInt32LE(zip64Eocd) !== 0x06064b50) {
+    throw new Error('File is not a valid XLSX workbook');
+  }
+  return { count: readBigUInt(buffer, zip64Eocd + 32), offset: readBigUInt(buffer, zip64Eocd + 48) };
+}
+
+// Sizes and offsets saturated at 0xffffffff are stored, in this order, in
+// the Zip64 extra field (id 0x0001).
+function readZip64Extra(buffer, start, length, fields) {
+  const resolved = { ...fields };
+  const end = Math.min(start + length, buffer.length);
+  for (let cursor = start; cursor + 4 <= end;) {
+    const id = buffer.readUInt16LE(cursor);
+    const size = buffer.readUInt16LE(cursor + 2);
+    if (id === 0x0001) {
+      let position = cursor + 4;
+      for (const key of ['uncompressedSize', 'compressedSize', 'localOffset']) {
+        if (resolved[key] === ZIP64_LIMIT && position + 8 <= Math.min(cursor + 4 + size, end)) {
+          resolved[key] = readBigUInt(buffer, position);
+          position += 8;
+        }
+      }
+      break;
+    }
+    cursor += 4 + size;
+  }
+  return resolved;
+}
+
+function readZipEntries(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i -= 1) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('File is not a valid XLSX workbook');
+  }
+
+  const maxEntryBytes = getMaxEntryBytes();
+  const entries = new Map();
+  const { count, offset: directoryOffset } = readCentralDirectory(buffer, eocd);
+  let offset = directoryOffset;
+
+  for (let i = 0; i < count; i += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const { compressedSize, localOffset } = readZip64Extra(buffer, offset + 46 + nameLength, extraLength, {
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+
+    entries.set(name, () => {
+      if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+        throw new Error('File is not a valid XLSX workbook');
+      }
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      if (dataStart + compressedSize > buffer.length) {
+        throw new Error('File is not a valid XLSX workbook');
+      }
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        if (data.length > maxEntryBytes) throw new Error(`${name} is larger than the import limit`);
+        return data.toString('utf8');
+      }
+      if (method === 8) {
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes }).toString('utf8');
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`${name} is larger than the import limit`);
+          throw error;
+        }
+      }
+      throw new Error(`Unsupported XLSX compression method ${method}`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function columnIndex(cellRef = '') {
+  const letters = String(cellRef).replace(/[^A-Z]/gi, '').toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function extractText(xml = '') {
+  return decodeXml([...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((match) => match[1]).join(''));
+}
+
+function sheetNumber(name) {
+  return Number(name.match(/sheet(\d+)\.xml$/)?.[1]);
+}
+
+// The first sheet in workbook order, which is not necessarily sheet1.xml
+// once sheets have been reordered or deleted.
+function resolveFirstSheet(entries) {
+  if (entries.has('xl/workbook.xml') && entries.has('xl/_rels/workbook.xml.rels')) {
+    const relationId = entries.get('xl/workbook.xml')().match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+    const relationships = entries.get('xl/_rels/workbook.xml.rels')();
+    const target = relationId && [...relationships.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+      .map((match) => match[1])
+      .find((attributes) => attributes.match(/\bId="([^"]+)"/)?.[1] === relationId)
+      ?.match(/\bTarget="([^"]+)"/)?.[1];
+    if (target) {
+      const name = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+      if (entries.has(name)) return name;
+    }
+  }
+
+  return [...entries.keys()]
+    .filter((name) => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+    .sort((a, b) => sheetNumber(a) - sheetNumber(b))[0];
+}
+
+// Reads the first worksheet. Dates come back as Excel serial numbers.
+function parseXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+  const sheetName = resolveFirstSheet(entries);
+  if (!sheetName) {
+    throw new Error('XLSX workbook has no worksheets');
+  }
+
+  const sharedStrings = entries.has('xl/sharedStrings.xml')
+    ? [...entries.get('xl/sharedStrings.xml')().matchAll(/<si>([\s\S]*?)<\/si>/g)].map((match) => extractText(match[1]))
+    : [];
+
+  const rows = [];
+  for (const rowMatch of entries.get(sheetName)().matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = attributes.match(/\br="([A-Z]+\d+)"/i)?.[1];
+      const type = attributes.match(/\bt="([^"]+)"/)?.[1];
+      const rawValue = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[Number(rawValue)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = extractText(body);
+      } else if (rawValue !== undefined) {
+        value = decodeXml(rawValue);
+      }
+
+      const column = ref ? columnIndex(ref) : row.length;
+      if (column > MAX_XLSX_COLUMN) {
+        throw new Error(`Cell ${ref} is beyond the last XLSX column`);
+      }
+      row[column] = value;
+    }
+    if (rows.length >= MAX_XLSX_ROWS) {
+      throw new Error(`Worksheet has more than ${MAX_XLSX_ROWS} rows`);
+    }
+    rows.push(Array.from(row, (value) => value ?? ''));
+  }
+
+  return rows;
+}
+
+/**
+ * Parses an uploaded CSV or XLSX file into header-keyed rows. `line` is
+ * the 1-based row number in the source file, for pointing admins back at
+ * the offending line.
+ */
+function parseSpreadsheet(buffer, fileName = '') {
+  const isXlsx = /\.xlsx$/i.test(fileName) || (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50);
+  const table = isXlsx ? parseXlsxRows(buffer) : parseCsvRows(buffer.toString('utf8'));
+  const headerIndex = table.findIndex((row) => row.some((value) => String(value).trim() !== ''));
+  if (headerIndex < 0) {
+    return { format: isXlsx ? 'xlsx' : 'csv', headers: [], rows: [] };
+  }
+
+  const headers = table[headerIndex].map((value) => String(value).trim());
+  const rows = [];
+  for (let i = headerIndex + 1; i < table.length; i += 1) {
+    if (!table[i].some((value) => String(value).trim() !== '')) continue;
+
+    const data = {};
+    headers.forEach((header, column) => {
+      if (header) data[header] = String(table[i][column] ?? '').trim();
+    });
+    rows.push({ line: i + 1, data });
+  }
+
+  return { format: isXlsx ? 'xlsx' : 'csv', headers, rows };
+}
+
+module.exports = {
+  parseSpreadsheet,
+};
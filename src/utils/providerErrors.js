@@ -0,0 +1,39 @@
+// Provider services rethrow failures with the provider's own message. The
+// original error is kept as `cause` so its HTTP status and network code
+// still tell a rejected order apart from one that may have gone through.
+function wrapProviderError(error, fallbackMessage) {
+  const wrapped = new Error(error?.response?.data?.message || error?.message || fallbackMessage, { cause: error });
+  if (typeof error?.definitive === 'boolean') {
+    wrapped.definitive = error.definitive;
+  }
+  return wrapped;
+}
+
+// The provider answered and explicitly refused the order.
+function providerRejection(message) {
+  const error = new Error(message);
+  error.definitive = true;
+  return error;
+}
+
+function getProviderHttpStatus(error) {
+  for (let current = error; current; current = current.cause) {
+    const status = current.response?.status || current.statusCode;
+    if (status) return Number(status);
+  }
+  return null;
+}
+
+function getProviderErrorCode(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code) return current.code;
+  }
+  return null;
+}
+
+module.exports = {
+  wrapProviderError,
+  providerRejection,
+  getProviderHttpStatus,
+  getProviderErrorCode,
+};
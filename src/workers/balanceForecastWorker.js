@@ -0,0 +1,31 @@
+const ProviderBalanceForecastService = require('../services/providerBalanceForecastService');
+const logger = require('../utils/logger');
+
+let intervalHandle = null;
+
+function startBalanceForecastWorker(intervalMs = ProviderBalanceForecastService.getIntervalMs()) {
+  if (intervalHandle || !ProviderBalanceForecastService.isEnabled()) return intervalHandle;
+
+  intervalHandle = setInterval(async () => {
+    try {
+      await ProviderBalanceForecastService.checkAndAlert('system_worker');
+    } catch (error) {
+      logger.error('Balance forecast worker error:', error.message);
+    }
+  }, intervalMs);
+
+  logger.info(`Balance forecast worker started (every ${Math.floor(intervalMs / 1000)}s, alerting ${ProviderBalanceForecastService.getAlertHours()}h ahead)`);
+  return intervalHandle;
+}
+
+function stopBalanceForecastWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  startBalanceForecastWorker,
+  stopBalanceForecastWorker,
+};
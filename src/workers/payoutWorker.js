@@ -0,0 +1,94 @@
+const { Worker } = require('bullmq');
+const {
+  isRedisConfigured,
+  createRedisConnection,
+  ensureRedisNoEviction,
+  verifyRedisConnection,
+} = require('../config/redis');
+const {
+  PAYOUT_QUEUE,
+  PAYOUT_PROCESS_JOB,
+  PAYOUT_STATUS_JOB,
+  PAYOUT_RECOVERY_JOB,
+  schedulePayoutRecoveryJob,
+  setQueueEnabled,
+} = require('../queues/payoutQueue');
+const PayoutService = require('../services/payoutService');
+const logger = require('../utils/logger');
+
+let worker;
+
+async function startPayoutWorker() {
+  if (worker || process.env.PAYOUT_WORKER_ENABLED === 'false') {
+    return worker;
+  }
+
+  if (!isRedisConfigured()) {
+    setQueueEnabled(false);
+    logger.warn('Redis is not configured. Bank payouts will run in-process without status polling.');
+    return null;
+  }
+
+  const connection = createRedisConnection();
+  const redisStatus = await verifyRedisConnection(connection);
+
+  if (!redisStatus.available) {
+    setQueueEnabled(false);
+    if (connection) {
+      connection.disconnect();
+    }
+    return null;
+  }
+
+  setQueueEnabled(true);
+  await ensureRedisNoEviction(connection);
+  await schedulePayoutRecoveryJob();
+
+  worker = new Worker(
+    PAYOUT_QUEUE,
+    async (job) => {
+      if (job.name === PAYOUT_RECOVERY_JOB) {
+        return PayoutService.recoverPendingPayouts();
+      }
+
+      if (job.name === PAYOUT_PROCESS_JOB) {
+        return PayoutService.processPayout(job.data.transactionId);
+      }
+
+      if (job.name === PAYOUT_STATUS_JOB) {
+        const { transactionId, attempt = 1 } = job.data;
+        return PayoutService.checkPayoutStatus(transactionId, attempt);
+      }
+
+      return null;
+    },
+    {
+      connection,
+      concurrency: Number(process.env.PAYOUT_WORKER_CONCURRENCY || 2),
+    }
+  );
+
+  worker.on('completed', (job, result) => {
+    logger.info(`Payout job ${job.name} completed for ${job.data.transactionId || 'recovery'}`, result);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`Payout job ${job?.name} failed for ${job?.data?.transactionId}:`, error);
+  });
+
+  return worker;
+}
+
+async function stopPayoutWorker() {
+  if (!worker) {
+    return;
+  }
+
+  await worker.close();
+  worker = null;
+}
+
+module.exports = {
+  startPayoutWorker,
+  stopPayoutWorker,
+};
@@ -0,0 +1,31 @@
+const PlanCatalogSyncService = require('../services/planCatalogSyncService');
+const logger = require('../utils/logger');
+
+let intervalHandle = null;
+
+function startPlanCatalogSyncWorker(intervalMs = PlanCatalogSyncService.getIntervalMs()) {
+  if (intervalHandle || !PlanCatalogSyncService.isEnabled()) return intervalHandle;
+
+  intervalHandle = setInterval(async () => {
+    try {
+      await PlanCatalogSyncService.run({ triggeredBy: 'system_worker' });
+    } catch (error) {
+      logger.error('Plan catalog sync worker error:', error.message);
+    }
+  }, intervalMs);
+
+  logger.info(`Plan catalog sync worker started (every ${Math.floor(intervalMs / 1000)}s, mode: ${PlanCatalogSyncService.getMode()})`);
+  return intervalHandle;
+}
+
+function stopPlanCatalogSyncWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  startPlanCatalogSyncWorker,
+  stopPlanCatalogSyncWorker,
+};
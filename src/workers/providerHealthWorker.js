@@ -0,0 +1,38 @@
+const ProviderHealthService = require('../services/providerHealthService');
+const logger = require('../utils/logger');
+
+let intervalHandle = null;
+let running = false;
+
+// Ticks often and probes only providers whose own interval has elapsed;
+// a tick is skipped while the previous round of probes is still running.
+function startProviderHealthWorker(intervalMs = ProviderHealthService.getTickMs()) {
+  if (intervalHandle || !ProviderHealthService.isEnabled()) return intervalHandle;
+
+  intervalHandle = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await ProviderHealthService.runDueChecks();
+    } catch (error) {
+      logger.error('Provider health worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  logger.info(`Provider health worker started (every ${Math.floor(intervalMs / 1000)}s)`);
+  return intervalHandle;
+}
+
+function stopProviderHealthWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  startProviderHealthWorker,
+  stopProviderHealthWorker,
+};
@@ -0,0 +1,88 @@
+const { Worker } = require('bullmq');
+const {
+  isRedisConfigured,
+  createRedisConnection,
+  ensureRedisNoEviction,
+  verifyRedisConnection,
+} = require('../config/redis');
+const {
+  SCHEDULED_PURCHASE_QUEUE,
+  SCHEDULED_PURCHASE_RUN_JOB,
+  setQueueEnabled,
+} = require('../queues/scheduledPurchaseQueue');
+const ScheduledPurchaseService = require('../services/scheduledPurchaseService');
+const logger = require('../utils/logger');
+
+let worker;
+
+async function startScheduledPurchaseWorker() {
+  if (worker || process.env.SCHEDULED_PURCHASES_ENABLED === 'false') {
+    return worker;
+  }
+
+  if (!isRedisConfigured()) {
+    setQueueEnabled(false);
+    logger.warn('Redis is not configured. Scheduled purchases will not run.');
+    return null;
+  }
+
+  const connection = createRedisConnection();
+  const redisStatus = await verifyRedisConnection(connection);
+
+  if (!redisStatus.available) {
+    setQueueEnabled(false);
+    if (connection) {
+      connection.disconnect();
+    }
+    return null;
+  }
+
+  setQueueEnabled(true);
+  await ensureRedisNoEviction(connection);
+
+  try {
+    const synced = await ScheduledPurchaseService.syncAllSchedulers();
+    logger.info(`Synced ${synced} active purchase schedules with the job scheduler`);
+  } catch (error) {
+    logger.error('Failed to sync purchase schedules on startup:', error);
+  }
+
+  worker = new Worker(
+    SCHEDULED_PURCHASE_QUEUE,
+    async (job) => {
+      if (job.name === SCHEDULED_PURCHASE_RUN_JOB) {
+        return ScheduledPurchaseService.runSchedule(job.data.scheduleId);
+      }
+
+      return null;
+    },
+    {
+      connection,
+      concurrency: Number(process.env.SCHEDULED_PURCHASE_WORKER_CONCURRENCY || 2),
+    }
+  );
+
+  worker.on('completed', (job, result) => {
+    logger.info(`Scheduled purchase job completed for ${job.data.scheduleId}`, result);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`Scheduled purchase job failed for ${job?.data?.scheduleId}:`, error);
+  });
+
+  return worker;
+}
+
+async function stopScheduledPurchaseWorker() {
+  if (!worker) {
+    return;
+  }
+
+  await worker.close();
+  worker = null;
+}
+
+module.exports = {
+  startScheduledPurchaseWorker,
+  stopScheduledPurchaseWorker,
+};
@@ -0,0 +1,98 @@
+const { Worker } = require('bullmq');
+const {
+  isRedisConfigured,
+  createRedisConnection,
+  ensureRedisNoEviction,
+  verifyRedisConnection,
+} = require('../config/redis');
+const {
+  STATEMENT_QUEUE,
+  STATEMENT_DISPATCH_JOB,
+  STATEMENT_SEND_JOB,
+  setQueueEnabled,
+  scheduleMonthlyStatements,
+  enqueueMonthlyStatements,
+} = require('../queues/statementQueue');
+const StatementService = require('../services/statementService');
+const logger = require('../utils/logger');
+
+let worker;
+
+async function dispatchMonthlyStatements(month = StatementService.getPreviousMonth()) {
+  const userIds = await StatementService.listMonthlyRecipients(month);
+  await enqueueMonthlyStatements(userIds, month);
+
+  logger.info(`Queued ${userIds.length} account statements for ${month}`);
+  return { month, queued: userIds.length };
+}
+
+async function startStatementWorker() {
+  if (worker || process.env.MONTHLY_STATEMENTS_ENABLED === 'false') {
+    return worker;
+  }
+
+  if (!isRedisConfigured()) {
+    setQueueEnabled(false);
+    logger.warn('Redis is not configured. Monthly statement emails will not be sent.');
+    return null;
+  }
+
+  const connection = createRedisConnection();
+  const redisStatus = await verifyRedisConnection(connection);
+
+  if (!redisStatus.available) {
+    setQueueEnabled(false);
+    if (connection) {
+      connection.disconnect();
+    }
+    return null;
+  }
+
+  setQueueEnabled(true);
+  await ensureRedisNoEviction(connection);
+  await scheduleMonthlyStatements();
+
+  worker = new Worker(
+    STATEMENT_QUEUE,
+    async (job) => {
+      if (job.name === STATEMENT_DISPATCH_JOB) {
+        return dispatchMonthlyStatements(job.data.month);
+      }
+
+      if (job.name === STATEMENT_SEND_JOB) {
+        return StatementService.sendMonthlyStatement(job.data.userId, job.data.month);
+      }
+
+      return null;
+    },
+    {
+      connection,
+      concurrency: Number(process.env.STATEMENT_WORKER_CONCURRENCY || 2),
+    }
+  );
+
+  worker.on('completed', (job, result) => {
+    logger.info(`Statement job ${job.name} completed`, result);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`Statement job ${job?.name} failed for ${job?.data?.userId || job?.data?.month || 'all users'}:`, error);
+  });
+
+  return worker;
+}
+
+async function stopStatementWorker() {
+  if (!worker) {
+    return;
+  }
+
+  await worker.close();
+  worker = null;
+}
+
+module.exports = {
+  startStatementWorker,
+  stopStatementWorker,
+  dispatchMonthlyStatements,
+};
@@ -0,0 +1,92 @@
+const { Worker } = require('bullmq');
+const {
+  isRedisConfigured,
+  createRedisConnection,
+  ensureRedisNoEviction,
+  verifyRedisConnection,
+} = require('../config/redis');
+const {
+  WEBHOOK_QUEUE,
+  WEBHOOK_PROCESS_JOB,
+  setQueueEnabled,
+} = require('../queues/webhookQueue');
+const WebhookEventService = require('../services/webhookEventService');
+const logger = require('../utils/logger');
+
+let worker;
+
+async function recoverWebhookEvents() {
+  try {
+    const recovered = await WebhookEventService.recoverPending();
+    if (recovered) {
+      logger.info(`Requeued ${recovered} unprocessed webhook events`);
+    }
+  } catch (error) {
+    logger.error('Webhook event recovery failed:', error.message);
+  }
+}
+
+async function startWebhookWorker() {
+  if (worker) {
+    return worker;
+  }
+
+  if (!isRedisConfigured()) {
+    setQueueEnabled(false);
+    logger.warn('Redis is not configured. Webhook events will be processed in-process.');
+    await recoverWebhookEvents();
+    return null;
+  }
+
+  const connection = createRedisConnection();
+  const redisStatus = await verifyRedisConnection(connection);
+
+  if (!redisStatus.available) {
+    setQueueEnabled(false);
+    if (connection) {
+      connection.disconnect();
+    }
+    await recoverWebhookEvents();
+    return null;
+  }
+
+  setQueueEnabled(true);
+  await ensureRedisNoEviction(connection);
+
+  worker = new Worker(
+    WEBHOOK_QUEUE,
+    async (job) => {
+      if (job.name === WEBHOOK_PROCESS_JOB) {
+        const event = await WebhookEventService.process(job.data.eventId, { throwOnRetryable: true });
+        return { eventId: job.data.eventId, status: event?.status || 'missing' };
+      }
+
+      return null;
+    },
+    {
+      connection,
+      concurrency: Number(process.env.WEBHOOK_WORKER_CONCURRENCY || 5),
+    }
+  );
+
+  worker.on('failed', (job, error) => {
+    logger.error(`Webhook job failed for event ${job?.data?.eventId} (attempt ${job?.attemptsMade}):`, error.message);
+  });
+
+  await recoverWebhookEvents();
+  return worker;
+}
+
+async function stopWebhookWorker() {
+  if (!worker) {
+    return;
+  }
+
+  await worker.close();
+  worker = null;
+}
+
+module.exports = {
+  startWebhookWorker,
+  stopWebhookWorker,
+};
@@ -0,0 +1,40 @@
+// Loaded first by every test file: keep tests off Redis, quiet the logger and
+// give the services the secrets they expect.
+delete process.env.REDIS_URL;
+delete process.env.REDIS_HOST;
+delete process.env.REDIS_PORT;
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const logger = require('../src/utils/logger');
+
+logger.silent = true;
+
+// Stands in for a Mongoose query: awaitable, and chainable through the
+// modifiers the services use.
+function query(result) {
+  const chain = {
+    session: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+}
+
+function fakeSession() {
+  return {
+    startTransaction() {},
+    commitTransaction: async () => {},
+    abortTransaction: async () => {},
+    endSession() {},
+    inTransaction: () => false,
+  };
+}
+
+module.exports = {
+  query,
+  fakeSession,
+};
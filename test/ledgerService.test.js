@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+require('./helpers');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const LedgerPostingFailure = require('../src/models/LedgerPostingFailure');
+const LedgerService = require('../src/services/ledgerService');
+
+function sumKobo(entries, direction) {
+  return entries
+    .filter((entry) => entry.direction === direction)
+    .reduce((total, entry) => total + Math.round(entry.amount * 100), 0);
+}
+
+function assertBalanced(entries) {
+  assert.ok(entries.length >= 2, 'a journal has at least two legs');
+  assert.equal(sumKobo(entries, 'debit'), sumKobo(entries, 'credit'));
+  assert.equal(new Set(entries.map((entry) => entry.journalId)).size, 1);
+}
+
+describe('LedgerService', () => {
+  const wallet = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), balance: 900 };
+  const recipient = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), balance: 300 };
+
+  beforeEach(() => {
+    mock.method(LedgerEntry, 'insertMany', async (entries) => entries);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('balances a purchase debit with its fee', async () => {
+    const entries = await LedgerService.recordWalletDebit(wallet, 100, { fee: 1.5, reference: 'PUR1' });
+
+    assertBalanced(entries);
+    const userLeg = entries.find((entry) => entry.account === 'user_wallet');
+    assert.equal(userLeg.direction, 'debit');
+    assert.equal(userLeg.amount, 101.5);
+    assert.equal(userLeg.balanceAfter, 900);
+    assert.equal(entries.find((entry) => entry.account === 'fee_income').amount, 1.5);
+  });
+
+  it('balances a funding credit net of its fee', async () => {
+    const entries = await LedgerService.recordWalletCredit(wallet, 98.6, {
+      entryType: 'funding',
+      counterAccount: LedgerService.ACCOUNTS.SUSPENSE,
+      fee: 1.4,
+      reference: 'FUND1',
+    });
+
+    assertBalanced(entries);
+    assert.equal(entries.find((entry) => entry.account === 'suspense').amount, 100);
+    assert.equal(entries.find((entry) => entry.account === 'user_wallet').amount, 98.6);
+  });
+
+  it('reverses a debit including the fee it charged', async () => {
+    const entries = await LedgerService.recordWalletReversal(wallet, 100, { fee: 1.5, reference: 'PUR1' });
+
+    assertBalanced(entries);
+    assert.equal(entries.find((entry) => entry.account === 'user_wallet').amount, 101.5);
+    assert.equal(entries.find((entry) => entry.account === 'fee_income').direction, 'debit');
+  });
+
+  it('balances a transfer between two wallets', async () => {
+    const entries = await LedgerService.recordTransfer({
+      senderWallet: wallet,
+      recipientWallet: recipient,
+      amount: 250,
+      fee: 10,
+      reference: 'TRF1',
+    });
+
+    assertBalanced(entries);
+    const walletLegs = entries.filter((entry) => entry.account === 'user_wallet');
+    assert.deepEqual(walletLegs.map((entry) => [entry.direction, entry.amount]), [['debit', 260], ['credit', 250]]);
+  });
+
+  it('keeps kobo exact on fractional amounts', async () => {
+    const entries = await LedgerService.recordWalletDebit(wallet, 0.1, { fee: 0.2 });
+    assertBalanced(entries);
+  });
+
+  it('refuses an unbalanced journal and writes nothing', async () => {
+    await assert.rejects(
+      LedgerService.postJournal({
+        entryType: 'adjustment',
+        reference: 'BAD1',
+        legs: [
+          { account: 'user_wallet', direction: 'credit', amount: 100 },
+          { account: 'suspense', direction: 'debit', amount: 99.99 },
+        ],
+      }),
+      (error) => error.statusCode === 500 && /Unbalanced/.test(error.message) && error.journal.reference === 'BAD1'
+    );
+    assert.equal(LedgerEntry.insertMany.mock.callCount(), 0);
+  });
+
+  it('stores a failed posting for retry instead of failing the caller', async () => {
+    mock.method(LedgerEntry, 'insertMany', async () => {
+      throw new Error('write conflict');
+    });
+    const stored = mock.method(LedgerPostingFailure, 'create', async (doc) => doc);
+
+    const result = await LedgerService.safeRecord(
+      () => LedgerService.recordWalletCredit(wallet, 50, { reference: 'REF1' }),
+      { reference: 'REF1' }
+    );
+
+    assert.deepEqual(result, []);
+    assert.equal(stored.mock.callCount(), 1);
+    const [failure] = stored.mock.calls[0].arguments;
+    assert.equal(failure.reference, 'REF1');
+    assert.equal(failure.journal.legs.length, 3);
+  });
+
+  it('posts an opening balance for what the ledger does not explain', async () => {
+    mock.method(LedgerEntry, 'exists', async () => null);
+    mock.method(LedgerPostingFailure, 'exists', async () => null);
+    mock.method(LedgerEntry, 'aggregate', async () => [{ credits: 400, debits: 100, entries: 2 }]);
+    mock.method(LedgerEntry, 'findOne', () => ({
+      sort: () => ({ select: () => ({ lean: async () => ({ createdAt: new Date('2026-01-01T00:00:00Z') }) }) }),
+    }));
+
+    const entries = await LedgerService.postOpeningBalance(wallet);
+
+    assertBalanced(entries);
+    const userLeg = entries.find((entry) => entry.account === 'user_wallet');
+    assert.equal(userLeg.direction, 'credit');
+    assert.equal(userLeg.amount, 600);
+    assert.equal(userLeg.reference, `OPENING-${wallet._id}`);
+    assert.ok(userLeg.createdAt < new Date('2026-01-01T00:00:00Z'));
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const ProviderStatus = require('../src/models/ProviderStatus');
+const ProviderCircuitBreaker = require('../src/services/providerCircuitBreaker');
+const { wrapProviderError, providerRejection } = require('../src/utils/providerErrors');
+
+const SERVICE = 'data_recharge';
+const SETTINGS = {
+  PROVIDER_CIRCUIT_WINDOW_MS: '60000',
+  PROVIDER_CIRCUIT_MIN_CALLS: '4',
+  PROVIDER_CIRCUIT_ERROR_RATE: '0.5',
+  PROVIDER_CIRCUIT_OPEN_MS: '30000',
+  PROVIDER_CIRCUIT_HALF_OPEN_PROBES: '2',
+};
+
+function serverError() {
+  const error = new Error('Request failed with status code 503');
+  error.response = { status: 503 };
+  return wrapProviderError(error, 'Data purchase failed');
+}
+
+let providerCount = 0;
+
+describe('ProviderCircuitBreaker', () => {
+  let providerId;
+
+  before(() => {
+    Object.assign(process.env, SETTINGS);
+    mock.method(ProviderStatus, 'updateOne', async () => ({ modifiedCount: 0 }));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    for (const key of Object.keys(SETTINGS)) delete process.env[key];
+  });
+
+  beforeEach(() => {
+    // Circuits live in process memory without Redis, so each test uses its own provider.
+    providerCount += 1;
+    providerId = `test-provider-${providerCount}`;
+  });
+
+  async function fail(times) {
+    for (let i = 0; i < times; i += 1) {
+      await ProviderCircuitBreaker.recordOutcome(providerId, SERVICE, { error: serverError() });
+    }
+  }
+
+  async function elapseOpenPeriod() {
+    const circuit = await ProviderCircuitBreaker.readCircuit(providerId, SERVICE);
+    const clock = mock.method(Date, 'now', () => circuit.openedAt + Number(SETTINGS.PROVIDER_CIRCUIT_OPEN_MS) + 1);
+    return () => clock.mock.restore();
+  }
+
+  it('counts only provider faults, read through rewrapped errors', () => {
+    assert.equal(ProviderCircuitBreaker.isProviderFault(serverError()), true);
+
+    const timeout = new Error('timeout of 30000ms exceeded');
+    timeout.code = 'ECONNABORTED';
+    assert.equal(ProviderCircuitBreaker.isProviderFault(wrapProviderError(timeout, 'failed')), true);
+
+    const badRequest = new Error('Request failed with status code 400');
+    badRequest.response = { status: 400 };
+    assert.equal(ProviderCircuitBreaker.isProviderFault(wrapProviderError(badRequest, 'failed')), false);
+    assert.equal(ProviderCircuitBreaker.isProviderFault(providerRejection('Invalid plan')), false);
+  });
+
+  it('stays closed below the minimum number of calls', async () => {
+    await fail(3);
+    assert.equal((await ProviderCircuitBreaker.readCircuit(providerId, SERVICE)).state, 'closed');
+    await ProviderCircuitBreaker.acquire(providerId, SERVICE);
+  });
+
+  it('opens past the error rate and fails fast while open', async () => {
+    await ProviderCircuitBreaker.recordOutcome(providerId, SERVICE, {});
+    await fail(3);
+
+    assert.equal((await ProviderCircuitBreaker.readCircuit(providerId, SERVICE)).state, 'open');
+    await assert.rejects(
+      ProviderCircuitBreaker.acquire(providerId, SERVICE),
+      (error) => error instanceof ProviderCircuitBreaker.CircuitOpenError && error.definitive === true
+    );
+  });
+
+  it('lets only the configured probes through once the open period elapses', async () => {
+    await fail(4);
+    const restore = await elapseOpenPeriod();
+    try {
+      const results = await Promise.allSettled([1, 2, 3, 4].map(() => ProviderCircuitBreaker.acquire(providerId, SERVICE)));
+
+      assert.equal(results.filter((result) => result.status === 'fulfilled').length, 2);
+      assert.equal((await ProviderCircuitBreaker.readCircuit(providerId, SERVICE)).state, 'half_open');
+      const transitions = (await ProviderCircuitBreaker.getRecentEvents(100))
+        .filter((event) => event.providerId === providerId && event.to === 'half_open');
+      assert.equal(transitions.length, 1);
+    } finally {
+      restore();
+    }
+  });
+
+  it('closes after the probes succeed', async () => {
+    await fail(4);
+    const restore = await elapseOpenPeriod();
+    try {
+      await ProviderCircuitBreaker.acquire(providerId, SERVICE);
+      await ProviderCircuitBreaker.acquire(providerId, SERVICE);
+      await ProviderCircuitBreaker.recordOutcome(providerId, SERVICE, {});
+      await ProviderCircuitBreaker.recordOutcome(providerId, SERVICE, {});
+    } finally {
+      restore();
+    }
+
+    const circuit = await ProviderCircuitBreaker.readCircuit(providerId, SERVICE);
+    assert.equal(circuit.state, 'closed');
+    assert.equal(circuit.calls, 0);
+  });
+
+  it('opens again when a probe fails', async () => {
+    await fail(4);
+    const restore = await elapseOpenPeriod();
+    try {
+      await ProviderCircuitBreaker.acquire(providerId, SERVICE);
+      await fail(1);
+    } finally {
+      restore();
+    }
+
+    assert.equal((await ProviderCircuitBreaker.readCircuit(providerId, SERVICE)).state, 'open');
+  });
+});
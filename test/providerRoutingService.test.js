@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const ProviderRoutingService = require('../src/services/providerRoutingService');
+const { CircuitOpenError } = require('../src/services/providerCircuitBreaker');
+const { wrapProviderError, providerRejection } = require('../src/utils/providerErrors');
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: {} };
+  return error;
+}
+
+function networkError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+describe('ProviderRoutingService.isDefinitiveFailure', () => {
+  const classify = (error) => ProviderRoutingService.isDefinitiveFailure(error);
+
+  it('fails over on an explicit provider rejection', () => {
+    assert.equal(classify(providerRejection('Insufficient provider balance')), true);
+    assert.equal(classify(wrapProviderError(providerRejection('Invalid plan'), 'Data purchase failed')), true);
+  });
+
+  it('fails over when the request never reached the provider', () => {
+    for (const code of ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH']) {
+      assert.equal(classify(wrapProviderError(networkError(code), 'failed')), true, code);
+    }
+  });
+
+  it('fails over on 4xx answers except request timeouts and conflicts', () => {
+    assert.equal(classify(wrapProviderError(httpError(400), 'failed')), true);
+    assert.equal(classify(wrapProviderError(httpError(422), 'failed')), true);
+    assert.equal(classify(wrapProviderError(httpError(408), 'failed')), false);
+    assert.equal(classify(wrapProviderError(httpError(409), 'failed')), false);
+  });
+
+  it('does not fail over when the provider may have taken the order', () => {
+    assert.equal(classify(wrapProviderError(httpError(502), 'failed')), false);
+    assert.equal(classify(wrapProviderError(networkError('ECONNRESET', 'socket hang up'), 'failed')), false);
+    assert.equal(classify(wrapProviderError(networkError('ECONNABORTED', 'timeout of 30000ms exceeded'), 'failed')), false);
+    assert.equal(classify(new Error('Unexpected response')), false);
+    assert.equal(classify(null), false);
+  });
+
+  it('fails over when the circuit refused the call', () => {
+    assert.equal(classify(new CircuitOpenError('smeplug', 'data_recharge')), true);
+  });
+});
+
+describe('ProviderRoutingService.unconfirmedOrder', () => {
+  it('keeps a duplicate-reference conflict pending under the original reference', () => {
+    const error = wrapProviderError(httpError(409), 'Data purchase failed');
+    const purchase = ProviderRoutingService.unconfirmedOrder('DATA-123', error);
+
+    assert.equal(purchase.status, 'unknown');
+    assert.equal(purchase.requestId, 'DATA-123');
+    assert.equal(purchase.orderId, null);
+  });
+});
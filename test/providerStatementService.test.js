@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, fakeSession } = require('./helpers');
+const Transaction = require('../src/models/Transaction');
+const Wallet = require('../src/models/Wallet');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const AdminLog = require('../src/models/AdminLog');
+const ProviderStatementService = require('../src/services/providerStatementService');
+
+function purchase(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    reference: 'TXN-DATA-1',
+    user: new mongoose.Types.ObjectId(),
+    type: 'data_recharge',
+    category: 'telecom',
+    status: 'successful',
+    totalAmount: 500,
+    metadata: {},
+    service: { provider: 'smeplug' },
+    statusHistory: [],
+    save: async () => {},
+    ...overrides,
+  };
+}
+
+describe('ProviderStatementService refund action', () => {
+  const item = { type: 'missing_from_statement' };
+  let wallet;
+  let ledgerEntries;
+
+  beforeEach(() => {
+    wallet = { _id: new mongoose.Types.ObjectId(), balance: 1000, totalSpent: 2000, save: async () => {} };
+    ledgerEntries = [];
+    mock.method(Transaction, 'startSession', async () => fakeSession());
+    mock.method(Wallet, 'findOne', () => query(wallet));
+    mock.method(LedgerEntry, 'find', () => query([{ direction: 'credit', amount: 20 }]));
+    mock.method(LedgerEntry, 'insertMany', async (entries) => {
+      ledgerEntries.push(...entries);
+      return entries;
+    });
+    mock.method(Transaction.prototype, 'save', async function save() {
+      return this;
+    });
+    mock.method(AdminLog, 'log', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function stubTransaction(transaction) {
+    item.transaction = transaction._id;
+    wallet.user = transaction.user;
+    mock.method(Transaction, 'findById', () => query(transaction));
+  }
+
+  it('returns a successful purchase the provider never charged to the wallet once', async () => {
+    const transaction = purchase();
+    stubTransaction(transaction);
+
+    const outcome = await ProviderStatementService.runAction(item, 'refund', { actor: {} });
+
+    assert.equal(outcome.status, 'resolved');
+    assert.equal(transaction.status, 'refunded');
+    assert.equal(wallet.balance, 1500);
+    const walletLeg = ledgerEntries.find((entry) => entry.account === 'user_wallet');
+    assert.equal(walletLeg.direction, 'credit');
+    assert.equal(walletLeg.amount, 500);
+    assert.equal(walletLeg.balanceAfter, 1500);
+    // Mirrors the purchase journal: principal back from the provider, fee back from fee income.
+    assert.deepEqual(
+      ledgerEntries.filter((entry) => entry.account !== 'user_wallet').map((entry) => [entry.account, entry.direction, entry.amount]),
+      [['provider_float', 'debit', 480], ['fee_income', 'debit', 20]]
+    );
+  });
+
+  it('refuses failed purchases, whose money markFailed already returned', async () => {
+    const transaction = purchase({ status: 'failed', metadata: { refundProcessed: true } });
+    stubTransaction(transaction);
+
+    await assert.rejects(ProviderStatementService.runAction(item, 'refund', { actor: {} }), { statusCode: 400 });
+    assert.equal(wallet.balance, 1000);
+    assert.equal(ledgerEntries.length, 0);
+  });
+
+  it('refuses a purchase whose wallet hold was already released', async () => {
+    const transaction = purchase({ metadata: { walletHold: { status: 'released' } } });
+    stubTransaction(transaction);
+
+    await assert.rejects(ProviderStatementService.runAction(item, 'refund', { actor: {} }), { statusCode: 409 });
+    assert.equal(wallet.balance, 1000);
+  });
+
+  it('refuses a purchase that has already been refunded', async () => {
+    const transaction = purchase({ status: 'refunded' });
+    stubTransaction(transaction);
+
+    await assert.rejects(ProviderStatementService.runAction(item, 'refund', { actor: {} }), { statusCode: 400 });
+    assert.equal(wallet.balance, 1000);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const WebhookEventService = require('../src/services/webhookEventService');
+
+describe('WebhookEventService inbox', () => {
+  const handler = mock.fn(async (req, res) => res.status(200).json({ ok: true }));
+  let dispatch;
+
+  beforeEach(() => {
+    WebhookEventService.register('test_inbox', 'paystack', handler);
+    handler.mock.resetCalls();
+    dispatch = mock.method(WebhookEventService, 'dispatch', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const delivery = () => ({
+    method: 'POST',
+    originalUrl: '/api/v1/webhook/paystack',
+    headers: {},
+    query: {},
+    params: {},
+    body: { event: 'charge.success', data: { id: 42, reference: 'PAY42' } },
+    ip: '203.0.113.10',
+  });
+
+  it('stores and dispatches a first delivery keyed on the provider event id', async () => {
+    const create = mock.method(WebhookEvent, 'create', async (doc) => ({ _id: 'evt1', ...doc }));
+
+    const { event, duplicate } = await WebhookEventService.receive('test_inbox', delivery(), { status: 'verified', method: 'hmac' });
+
+    assert.equal(duplicate, false);
+    assert.equal(event.eventId, 'charge.success:42');
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(dispatch.mock.callCount(), 1);
+  });
+
+  it('acknowledges a redelivery without dispatching it again', async () => {
+    mock.method(WebhookEvent, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    const update = mock.method(WebhookEvent, 'findOneAndUpdate', async () => ({ _id: 'evt1', status: 'processed', deliveries: 2 }));
+
+    const { duplicate } = await WebhookEventService.receive('test_inbox', delivery(), { status: 'verified' });
+
+    assert.equal(duplicate, true);
+    assert.deepEqual(update.mock.calls[0].arguments[0], { handler: 'test_inbox', eventId: 'charge.success:42' });
+    assert.equal(dispatch.mock.callCount(), 0);
+  });
+
+  it('retries a redelivery of an event that failed', async () => {
+    mock.method(WebhookEvent, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    mock.method(WebhookEvent, 'findOneAndUpdate', async () => ({ _id: 'evt1', status: 'failed', deliveries: 2 }));
+
+    await WebhookEventService.receive('test_inbox', delivery(), { status: 'verified' });
+
+    assert.equal(dispatch.mock.callCount(), 1);
+  });
+
+  it('runs the handler once when two workers race for the same event', async () => {
+    let claimed = false;
+    mock.method(WebhookEvent, 'findOneAndUpdate', async () => {
+      if (claimed) return null;
+      claimed = true;
+      return {
+        _id: 'evt1',
+        handler: 'test_inbox',
+        provider: 'paystack',
+        status: 'processing',
+        attempts: 1,
+        verification: { status: 'verified' },
+        save: async () => {},
+        toObject() {
+          return { headers: {}, body: {} };
+        },
+      };
+    });
+    mock.method(WebhookEvent, 'findById', async () => ({ _id: 'evt1', status: 'processing' }));
+
+    const results = await Promise.all([WebhookEventService.process('evt1'), WebhookEventService.process('evt1')]);
+
+    assert.equal(handler.mock.callCount(), 1);
+    assert.deepEqual(results.map((event) => event.status).sort(), ['processed', 'processing']);
+  });
+});
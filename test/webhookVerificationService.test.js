@@ -0,0 +1,69 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+require('./helpers');
+const WebhookVerificationService = require('../src/services/webhookVerificationService');
+
+const ENV_KEYS = ['PAYSTACK_SECRET_KEY', 'WEBHOOK_TOKEN_NELLOBYTES', 'WEBHOOK_TOKEN_BULKSMSNIGERIA', 'WEBHOOK_VERIFICATION_MODE'];
+
+function signedRequest(body, secret, header = 'x-paystack-signature') {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    method: 'POST',
+    originalUrl: '/api/v1/webhook/paystack',
+    headers: { [header]: crypto.createHmac('sha512', secret).update(rawBody).digest('hex') },
+    query: {},
+    params: {},
+    body,
+    rawBody,
+    ip: '203.0.113.10',
+  };
+}
+
+describe('WebhookVerificationService.verify', () => {
+  afterEach(() => {
+    for (const key of ENV_KEYS) delete process.env[key];
+  });
+
+  it('accepts a correctly signed Paystack delivery', () => {
+    process.env.PAYSTACK_SECRET_KEY = 'sk_test';
+    const result = WebhookVerificationService.verify('paystack', signedRequest({ event: 'charge.success' }, 'sk_test'));
+    assert.equal(result.status, 'verified');
+  });
+
+  it('rejects a tampered or unsigned Paystack delivery', () => {
+    process.env.PAYSTACK_SECRET_KEY = 'sk_test';
+    const req = signedRequest({ event: 'charge.success' }, 'sk_test');
+    req.rawBody = Buffer.from(JSON.stringify({ event: 'charge.success', amount: 1 }));
+    assert.equal(WebhookVerificationService.verify('paystack', req).status, 'rejected');
+
+    delete req.headers['x-paystack-signature'];
+    assert.equal(WebhookVerificationService.verify('paystack', req).status, 'rejected');
+  });
+
+  it('fails closed when the signing secret is not configured', () => {
+    const result = WebhookVerificationService.verify('paystack', signedRequest({ event: 'charge.success' }, 'anything'));
+    assert.equal(result.status, 'rejected');
+    assert.match(result.reason, /PAYSTACK_SECRET_KEY/);
+  });
+
+  it('checks the callback token for providers without signatures', () => {
+    process.env.WEBHOOK_TOKEN_NELLOBYTES = 'tok';
+    const base = { headers: {}, body: {}, ip: '203.0.113.10' };
+
+    assert.equal(WebhookVerificationService.verify('nellobytes', { ...base, query: { token: 'tok' } }).status, 'verified');
+    assert.equal(WebhookVerificationService.verify('nellobytes', { ...base, query: { token: 'nope' } }).status, 'rejected');
+    assert.equal(WebhookVerificationService.verify('nellobytes', { ...base, query: {} }).status, 'rejected');
+  });
+
+  it('rejects providers that require a source check when none is configured', () => {
+    const result = WebhookVerificationService.verify('bulksmsnigeria', { headers: {}, query: {}, body: {}, ip: '203.0.113.10' });
+    assert.equal(result.status, 'rejected');
+  });
+
+  it('downgrades rejections to unverified in monitor mode', () => {
+    process.env.WEBHOOK_VERIFICATION_MODE = 'monitor';
+    const result = WebhookVerificationService.verify('paystack', signedRequest({}, 'anything'));
+    assert.equal(result.status, 'unverified');
+  });
+});